@@ -1,12 +1,21 @@
 import { Routes, Route, Navigate } from 'react-router-dom'
 import { AuthProvider, useAuth } from './contexts/AuthContext'
+import SeverityLevelsProvider from './contexts/SeverityLevelsProvider'
 import Layout from './components/Layout'
 
 // Page components
 import LoginPage from './pages/Login'
 import DashboardPage from './pages/Dashboard'
 import LocationRulesPage from './pages/LocationRules'
+import LocationAliasesPage from './pages/LocationAliases'
 import CompanyRulesPage from './pages/CompanyRules'
+import CompanySubsidiariesPage from './pages/CompanySubsidiaries'
+import TitleRulesPage from './pages/TitleRules'
+import EducationRulesPage from './pages/EducationRules'
+import CompoundRulesPage from './pages/CompoundRules'
+import ExceptionRulesPage from './pages/ExceptionRules'
+import PoliciesPage from './pages/Policies'
+import RuleTemplatesPage from './pages/RuleTemplates'
 import TeamMembersPage from './pages/TeamMembers'
 import SettingsPage from './pages/Settings'
 
@@ -74,13 +83,23 @@ export default function App() {
         <Route
           element={
             <ProtectedRoute>
-              <Layout />
+              <SeverityLevelsProvider>
+                <Layout />
+              </SeverityLevelsProvider>
             </ProtectedRoute>
           }
         >
           <Route index element={<DashboardPage />} />
           <Route path="locations" element={<LocationRulesPage />} />
+          <Route path="aliases" element={<LocationAliasesPage />} />
           <Route path="companies" element={<CompanyRulesPage />} />
+          <Route path="subsidiaries" element={<CompanySubsidiariesPage />} />
+          <Route path="titles" element={<TitleRulesPage />} />
+          <Route path="education" element={<EducationRulesPage />} />
+          <Route path="compound" element={<CompoundRulesPage />} />
+          <Route path="exceptions" element={<ExceptionRulesPage />} />
+          <Route path="policies" element={<PoliciesPage />} />
+          <Route path="templates" element={<RuleTemplatesPage />} />
           <Route
             path="team"
             element={
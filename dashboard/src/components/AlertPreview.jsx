@@ -1,34 +1,13 @@
-import { useMemo } from 'react'
-
-const SEVERITY_CONFIG = {
-  red: {
-    bg: 'bg-red',
-    border: 'border-red',
-    text: 'text-white',
-    label: 'BLOCKED',
-    icon: '!!',
-  },
-  amber: {
-    bg: 'bg-orange',
-    border: 'border-orange',
-    text: 'text-white',
-    label: 'WARNING',
-    icon: '!',
-  },
-  green: {
-    bg: 'bg-green',
-    border: 'border-green',
-    text: 'text-white',
-    label: 'SAFE',
-    icon: '',
-  },
-}
+import {
+  findSeverityLevel,
+  severityGlyph,
+  severityTextColor,
+  useSeverityLevels,
+} from '../lib/severities'
 
 export default function AlertPreview({ severity = 'red', message = '' }) {
-  const config = useMemo(
-    () => SEVERITY_CONFIG[severity] || SEVERITY_CONFIG.red,
-    [severity],
-  )
+  const { levels } = useSeverityLevels()
+  const level = findSeverityLevel(levels, severity)
 
   const displayMessage =
     message.trim() || 'This is a preview of the extension banner.'
@@ -39,18 +18,20 @@ export default function AlertPreview({ severity = 'red', message = '' }) {
         Extension Banner Preview
       </p>
       <div
-        className={`${config.bg} ${config.text} rounded-lg px-4 py-3 flex items-center gap-3 shadow-sm text-sm`}
+        className="rounded-lg px-4 py-3 flex items-center gap-3 shadow-sm text-sm"
+        style={{
+          backgroundColor: level.color,
+          color: severityTextColor(level.color),
+        }}
       >
         {/* Icon badge */}
-        {config.icon && (
-          <span className="flex-shrink-0 inline-flex items-center justify-center w-6 h-6 rounded-full bg-white/20 text-xs font-bold">
-            {config.icon}
-          </span>
-        )}
+        <span className="flex-shrink-0 inline-flex items-center justify-center w-6 h-6 rounded-full bg-white/20 text-xs font-bold">
+          {severityGlyph(level)}
+        </span>
 
         {/* Content */}
         <div className="flex-1 min-w-0">
-          <span className="font-semibold mr-2">{config.label}:</span>
+          <span className="font-semibold uppercase mr-2">{level.label}:</span>
           <span className="opacity-95">{displayMessage}</span>
         </div>
 
@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react'
+
+export default function AliasForm({ initialValues = null, onSubmit, onCancel }) {
+  const [alias, setAlias] = useState('')
+  const [canonical, setCanonical] = useState('')
+  const [errors, setErrors] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+
+  const isEditing = !!initialValues
+
+  useEffect(() => {
+    if (initialValues) {
+      setAlias(initialValues.alias || '')
+      setCanonical(initialValues.canonical || '')
+    }
+  }, [initialValues])
+
+  const validate = () => {
+    const errs = {}
+    if (!alias.trim()) {
+      errs.alias = 'Alias is required.'
+    } else if (alias.includes(',')) {
+      errs.alias = 'An alias cannot contain commas.'
+    }
+    if (!canonical.trim()) {
+      errs.canonical = 'Canonical name is required.'
+    } else if (canonical.includes(',')) {
+      errs.canonical = 'A canonical name cannot contain commas.'
+    } else if (
+      alias.trim().toLowerCase() === canonical.trim().toLowerCase()
+    ) {
+      errs.canonical = 'Canonical name must differ from the alias.'
+    }
+    setErrors(errs)
+    return Object.keys(errs).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!validate()) return
+
+    setSubmitting(true)
+    try {
+      await onSubmit({ alias: alias.trim(), canonical: canonical.trim() })
+    } catch {
+      // Parent handles errors
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const inputClass = (hasError) =>
+    `w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+      hasError
+        ? 'border-red focus:border-red focus:ring-red/20'
+        : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+    }`
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {/* Alias */}
+      <div>
+        <label
+          htmlFor="alias-alias"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Alias <span className="text-red">*</span>
+        </label>
+        <input
+          id="alias-alias"
+          type="text"
+          value={alias}
+          onChange={(e) => setAlias(e.target.value)}
+          placeholder="e.g. Bay Area"
+          className={inputClass(errors.alias)}
+        />
+        {errors.alias && (
+          <p className="mt-1 text-xs text-red">{errors.alias}</p>
+        )}
+      </div>
+
+      {/* Canonical name */}
+      <div>
+        <label
+          htmlFor="alias-canonical"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Means <span className="text-red">*</span>
+        </label>
+        <input
+          id="alias-canonical"
+          type="text"
+          value={canonical}
+          onChange={(e) => setCanonical(e.target.value)}
+          placeholder="e.g. San Francisco"
+          className={inputClass(errors.canonical)}
+        />
+        {errors.canonical ? (
+          <p className="mt-1 text-xs text-red">{errors.canonical}</p>
+        ) : (
+          <p className="mt-1 text-xs text-gray-400">
+            Use the English name LinkedIn shows for the place so country and
+            region rules still recognize it.
+          </p>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="flex items-center gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
+        >
+          {submitting
+            ? 'Saving...'
+            : isEditing
+              ? 'Update Alias'
+              : 'Add Alias'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={submitting}
+            className="rounded-lg bg-gray-100 px-5 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-200 focus:outline-none transition"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
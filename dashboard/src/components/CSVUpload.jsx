@@ -1,8 +1,26 @@
-import { useState, useRef, useCallback } from 'react'
+import { useState, useRef, useCallback, useMemo } from 'react'
 import Papa from 'papaparse'
+import {
+  MATCH_MODES,
+  DEFAULT_MATCH_MODE,
+  validateLocationPattern,
+} from '../lib/matchModes'
+import { parseCompanyIds } from '../lib/linkedin'
+import { scheduleTime, toScheduleTimestamp } from '../lib/schedule'
+import { ruleSeverityOptions, useSeverityLevels } from '../lib/severities'
+import ScheduleCell from './ScheduleCell'
+import SeverityBadge from './SeverityBadge'
 
 const REQUIRED_COLUMNS = ['pattern', 'severity']
-const OPTIONAL_COMPANY_COLUMNS = ['expires_at', 'company_name']
+const OPTIONAL_COMPANY_COLUMNS = [
+  'starts_at',
+  'expires_at',
+  'company_name',
+  'lookback_months',
+  'include_subsidiaries',
+  'allow_reverse_match',
+  'linkedin_company_ids',
+]
 
 export default function CSVUpload({ type = 'location', onImport }) {
   const [file, setFile] = useState(null)
@@ -12,6 +30,8 @@ export default function CSVUpload({ type = 'location', onImport }) {
   const [importing, setImporting] = useState(false)
   const [dragActive, setDragActive] = useState(false)
   const inputRef = useRef(null)
+  const { levels } = useSeverityLevels()
+  const severityOptions = useMemo(() => ruleSeverityOptions(levels), [levels])
 
   const reset = () => {
     setFile(null)
@@ -40,30 +60,98 @@ export default function CSVUpload({ type = 'location', onImport }) {
           errors.push(`Row ${rowNum}: pattern is empty`)
           return
         }
-        if (!row.severity || !['red', 'amber'].includes(row.severity.trim().toLowerCase())) {
+        // A level's key ("red", "needs_approval") or its label
+        const severityText = (row.severity || '').trim().toLowerCase()
+        const level = severityOptions.find(
+          (l) => l.key === severityText || l.label.toLowerCase() === severityText,
+        )
+        if (!level) {
           errors.push(
-            `Row ${rowNum}: severity must be "red" or "amber" (got "${row.severity || ''}")`,
+            `Row ${rowNum}: severity must be one of ${severityOptions
+              .map((l) => `"${l.key}"`)
+              .join(', ')} (got "${row.severity || ''}")`,
           )
           return
         }
 
         const clean = {
           pattern: row.pattern.trim(),
-          severity: row.severity.trim().toLowerCase(),
+          severity: level.key,
           message: (row.message || '').trim(),
         }
 
+        // Schedules: a plain date (YYYY-MM-DD) is a whole day in the
+        // importer's time zone; full timestamps are used as they are
+        for (const col of ['starts_at', 'expires_at']) {
+          const value = (row[col] || '').trim()
+          if (!value) continue
+          const timestamp = toScheduleTimestamp(value, col === 'expires_at')
+          if (!timestamp) {
+            errors.push(`Row ${rowNum}: invalid date in ${col}`)
+            return
+          }
+          clean[col] = timestamp
+        }
+        if (
+          clean.starts_at &&
+          clean.expires_at &&
+          scheduleTime(clean.starts_at) >= scheduleTime(clean.expires_at)
+        ) {
+          errors.push(`Row ${rowNum}: starts_at must be before expires_at`)
+          return
+        }
+
+        if (type === 'location') {
+          const mode = (row.match_mode || '').trim().toLowerCase() || DEFAULT_MATCH_MODE
+          if (!MATCH_MODES.includes(mode)) {
+            errors.push(
+              `Row ${rowNum}: match_mode must be one of ${MATCH_MODES.join(', ')} (got "${row.match_mode}")`,
+            )
+            return
+          }
+          const patternErr = validateLocationPattern(clean.pattern, mode)
+          if (patternErr) {
+            errors.push(`Row ${rowNum}: ${patternErr}`)
+            return
+          }
+          clean.match_mode = mode
+        }
+
         if (type === 'company') {
-          if (row.expires_at && row.expires_at.trim()) {
-            const date = new Date(row.expires_at.trim())
-            if (isNaN(date.getTime())) {
-              errors.push(`Row ${rowNum}: invalid date in expires_at`)
+          if (row.company_name) {
+            clean.company_name = row.company_name.trim()
+          }
+          if (row.lookback_months && row.lookback_months.trim()) {
+            const months = Number(row.lookback_months.trim())
+            if (!Number.isInteger(months) || months < 1 || months > 60) {
+              errors.push(`Row ${rowNum}: lookback_months must be a whole number from 1 to 60`)
               return
             }
-            clean.expires_at = date.toISOString()
+            clean.lookback_months = months
           }
-          if (row.company_name) {
-            clean.company_name = row.company_name.trim()
+          if (row.include_subsidiaries && row.include_subsidiaries.trim()) {
+            const flag = row.include_subsidiaries.trim().toLowerCase()
+            if (!['true', 'false', 'yes', 'no'].includes(flag)) {
+              errors.push(`Row ${rowNum}: include_subsidiaries must be true or false`)
+              return
+            }
+            clean.include_subsidiaries = flag === 'true' || flag === 'yes'
+          }
+          if (row.allow_reverse_match && row.allow_reverse_match.trim()) {
+            const flag = row.allow_reverse_match.trim().toLowerCase()
+            if (!['true', 'false', 'yes', 'no'].includes(flag)) {
+              errors.push(`Row ${rowNum}: allow_reverse_match must be true or false`)
+              return
+            }
+            clean.allow_reverse_match = flag === 'true' || flag === 'yes'
+          }
+          if (row.linkedin_company_ids && row.linkedin_company_ids.trim()) {
+            const { ids, invalid } = parseCompanyIds(row.linkedin_company_ids)
+            if (invalid.length > 0) {
+              errors.push(`Row ${rowNum}: not a LinkedIn company page: ${invalid.join(', ')}`)
+              return
+            }
+            clean.linkedin_company_ids = ids
           }
         }
 
@@ -72,7 +160,7 @@ export default function CSVUpload({ type = 'location', onImport }) {
 
       return { validRows, errors }
     },
-    [type],
+    [type, severityOptions],
   )
 
   const handleFile = useCallback(
@@ -204,20 +292,48 @@ export default function CSVUpload({ type = 'location', onImport }) {
         <p>
           <span className="font-mono bg-gray-100 px-1 rounded">pattern</span>,{' '}
           <span className="font-mono bg-gray-100 px-1 rounded">severity</span>{' '}
-          (red/amber),{' '}
+          ({severityOptions.map((l) => l.key).join('/')}, or a level&apos;s
+          label),{' '}
           <span className="font-mono bg-gray-100 px-1 rounded">message</span>{' '}
-          (optional)
+          (optional),{' '}
+          <span className="font-mono bg-gray-100 px-1 rounded">starts_at</span>
+          ,{' '}
+          <span className="font-mono bg-gray-100 px-1 rounded">
+            expires_at
+          </span>{' '}
+          (YYYY-MM-DD in your time zone, or a full timestamp, optional)
+          {type === 'location' && (
+            <>
+              ,{' '}
+              <span className="font-mono bg-gray-100 px-1 rounded">
+                match_mode
+              </span>{' '}
+              (substring/word/exact/regex, optional)
+            </>
+          )}
           {type === 'company' && (
             <>
               ,{' '}
               <span className="font-mono bg-gray-100 px-1 rounded">
-                expires_at
+                company_name
               </span>{' '}
               (optional),{' '}
               <span className="font-mono bg-gray-100 px-1 rounded">
-                company_name
+                lookback_months
               </span>{' '}
-              (optional)
+              (optional),{' '}
+              <span className="font-mono bg-gray-100 px-1 rounded">
+                include_subsidiaries
+              </span>{' '}
+              (true/false, optional),{' '}
+              <span className="font-mono bg-gray-100 px-1 rounded">
+                allow_reverse_match
+              </span>{' '}
+              (true/false, optional),{' '}
+              <span className="font-mono bg-gray-100 px-1 rounded">
+                linkedin_company_ids
+              </span>{' '}
+              (company page URLs or IDs, optional)
             </>
           )}
         </p>
@@ -257,11 +373,9 @@ export default function CSVUpload({ type = 'location', onImport }) {
                   <th className="px-3 py-2 text-left font-semibold text-gray-500">
                     Message
                   </th>
-                  {type === 'company' && (
-                    <th className="px-3 py-2 text-left font-semibold text-gray-500">
-                      Expires
-                    </th>
-                  )}
+                  <th className="px-3 py-2 text-left font-semibold text-gray-500">
+                    Schedule
+                  </th>
                 </tr>
               </thead>
               <tbody>
@@ -276,24 +390,14 @@ export default function CSVUpload({ type = 'location', onImport }) {
                       {row.pattern}
                     </td>
                     <td className="px-3 py-2">
-                      <span
-                        className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium text-white ${
-                          row.severity === 'red' ? 'bg-red' : 'bg-orange'
-                        }`}
-                      >
-                        {row.severity}
-                      </span>
+                      <SeverityBadge severity={row.severity} />
                     </td>
                     <td className="px-3 py-2 text-gray-600 max-w-xs truncate">
                       {row.message || '-'}
                     </td>
-                    {type === 'company' && (
-                      <td className="px-3 py-2 text-gray-600">
-                        {row.expires_at
-                          ? new Date(row.expires_at).toLocaleDateString()
-                          : '-'}
-                      </td>
-                    )}
+                    <td className="px-3 py-2">
+                      <ScheduleCell rule={row} />
+                    </td>
                   </tr>
                 ))}
               </tbody>
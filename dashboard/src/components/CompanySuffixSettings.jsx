@@ -0,0 +1,293 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+import {
+  COMPANY_SUFFIX_LOCALES,
+  COMPANY_TERM_KINDS,
+  GENERIC_EMPLOYERS,
+  buildCompanyTermIndex,
+  isGenericEmployer,
+  normalizeCompanyName,
+  validateCompanyTerm,
+} from '../lib/companyNames'
+
+const inputClass =
+  'w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition'
+
+export default function CompanySuffixSettings() {
+  const [terms, setTerms] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [term, setTerm] = useState('')
+  const [kind, setKind] = useState('suffix')
+  const [locale, setLocale] = useState('')
+  const [termError, setTermError] = useState('')
+  const [adding, setAdding] = useState(false)
+  const [preview, setPreview] = useState('The Container Store Company')
+
+  const fetchTerms = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const { data, error: fetchErr } = await supabase
+        .from('company_suffixes')
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (fetchErr) throw fetchErr
+      setTerms(data || [])
+    } catch (err) {
+      setError('Failed to load company suffixes. Please try again.')
+      console.error('CompanySuffixes fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchTerms()
+  }, [fetchTerms])
+
+  const index = useMemo(() => buildCompanyTermIndex(terms), [terms])
+  const result = useMemo(
+    () => normalizeCompanyName(preview, index),
+    [preview, index],
+  )
+  const generic = useMemo(
+    () => isGenericEmployer(preview, index),
+    [preview, index],
+  )
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const termErr = validateCompanyTerm(term, kind)
+    setTermError(termErr || '')
+    if (termErr) return
+
+    setError('')
+    setAdding(true)
+    const values = { term: term.trim(), kind, locale: locale || null }
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('company_suffixes')
+        .insert([values])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+      setTerms((prev) => [data, ...prev])
+      setTerm('')
+    } catch (err) {
+      setError(
+        err?.code === '23505'
+          ? `"${values.term}" has already been added.`
+          : 'Failed to add term. Please try again.',
+      )
+      console.error('Add company suffix error:', err)
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    setError('')
+    const deleted = terms.find((t) => t.id === id)
+    // Optimistic remove
+    setTerms((prev) => prev.filter((t) => t.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('company_suffixes')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+    } catch (err) {
+      // Rollback
+      if (deleted) {
+        setTerms((prev) => [deleted, ...prev])
+      }
+      setError('Failed to delete term. Please try again.')
+      console.error('Delete company suffix error:', err)
+    }
+  }
+
+  const localeName = (code) =>
+    COMPANY_SUFFIX_LOCALES.find((l) => l.code === code)?.name || code
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red">
+          {error}
+        </div>
+      )}
+
+      {/* Preview */}
+      <div>
+        <label
+          htmlFor="suffix-preview"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Preview
+        </label>
+        <input
+          id="suffix-preview"
+          type="text"
+          value={preview}
+          onChange={(e) => setPreview(e.target.value)}
+          placeholder="e.g. Siemens GmbH & Co. KG"
+          className={`${inputClass} max-w-md`}
+        />
+        {generic ? (
+          <p className="mt-2 text-sm text-gray-600">
+            Generic employer &mdash; never matches a company rule.
+          </p>
+        ) : (
+          <p className="mt-2 text-sm text-gray-600">
+            Compared as{' '}
+            <span className="font-mono bg-gray-100 px-1.5 py-0.5 rounded text-dark">
+              {result.normalized || '—'}
+            </span>
+            {result.removed.length > 0 && (
+              <span className="text-xs text-gray-400 ml-2">
+                (removed: {result.removed.join(', ')})
+              </span>
+            )}
+          </p>
+        )}
+      </div>
+
+      {/* Team terms */}
+      <div>
+        <h3 className="text-sm font-medium text-dark mb-2">Team terms</h3>
+        {loading ? (
+          <div className="h-10 w-full max-w-md bg-gray-200 rounded animate-pulse" />
+        ) : terms.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            No team terms yet. The built-in list below already applies.
+          </p>
+        ) : (
+          <ul className="max-w-md rounded-lg border border-gray-200 divide-y divide-gray-100">
+            {terms.map((t) => (
+              <li
+                key={t.id}
+                className="flex items-center justify-between px-3 py-2 text-sm"
+              >
+                <span>
+                  <span className="font-mono text-dark">{t.term}</span>
+                  <span className="ml-2 text-xs text-gray-400">
+                    {COMPANY_TERM_KINDS.find((k) => k.value === t.kind)?.label}
+                    {t.locale && ` · ${localeName(t.locale)}`}
+                  </span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(t.id)}
+                  className="text-xs text-gray-400 hover:text-red transition"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Add term */}
+      <form onSubmit={handleAdd} className="space-y-3 max-w-md">
+        <div className="grid grid-cols-2 gap-3">
+          <select
+            aria-label="Kind"
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            className={inputClass}
+          >
+            {COMPANY_TERM_KINDS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Locale"
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Any locale</option>
+            {COMPANY_SUFFIX_LOCALES.map((l) => (
+              <option key={l.code} value={l.code}>
+                {l.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-start gap-3">
+          <div className="flex-1">
+            <input
+              type="text"
+              aria-label="Term"
+              value={term}
+              onChange={(e) => setTerm(e.target.value)}
+              placeholder={
+                kind === 'stop_word'
+                  ? 'e.g. The'
+                  : kind === 'generic_employer'
+                    ? 'e.g. Sabbatical'
+                    : 'e.g. Holdings'
+              }
+              className={inputClass}
+            />
+            {termError ? (
+              <p className="mt-1 text-xs text-red">{termError}</p>
+            ) : (
+              <p className="mt-1 text-xs text-gray-400">
+                {COMPANY_TERM_KINDS.find((k) => k.value === kind)?.hint}
+              </p>
+            )}
+          </div>
+          <button
+            type="submit"
+            disabled={adding}
+            className="rounded-lg bg-teal px-4 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition whitespace-nowrap"
+          >
+            {adding ? 'Adding...' : 'Add Term'}
+          </button>
+        </div>
+      </form>
+
+      {/* Built-in table */}
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-500 hover:text-dark">
+          Built-in suffixes, stop words and generic employers
+        </summary>
+        <dl className="mt-3 space-y-2 text-xs">
+          {COMPANY_SUFFIX_LOCALES.map((l) => (
+            <div key={l.code} className="flex gap-3">
+              <dt className="w-40 shrink-0 font-medium text-gray-600">
+                {l.name}
+              </dt>
+              <dd className="text-gray-500 font-mono">
+                {l.suffixes.join(', ')}
+                {l.stopWords.length > 0 && (
+                  <span className="font-sans text-gray-400">
+                    {' '}
+                    &middot; stop words: {l.stopWords.join(', ')}
+                  </span>
+                )}
+              </dd>
+            </div>
+          ))}
+          <div className="flex gap-3">
+            <dt className="w-40 shrink-0 font-medium text-gray-600">
+              Generic employers
+            </dt>
+            <dd className="text-gray-500 font-mono">
+              {GENERIC_EMPLOYERS.join(', ')}
+            </dd>
+          </div>
+        </dl>
+      </details>
+    </div>
+  )
+}
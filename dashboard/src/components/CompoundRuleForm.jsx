@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react'
+import AlertPreview from './AlertPreview'
+import ConditionBuilder from './ConditionBuilder'
+import {
+  cleanConditions,
+  createGroup,
+  describeConditions,
+  validateConditions,
+} from '../lib/conditions'
+import { ruleSeverityOptions, useSeverityLevels } from '../lib/severities'
+
+export default function CompoundRuleForm({
+  initialValues = null,
+  onSubmit,
+  onCancel,
+}) {
+  const [name, setName] = useState('')
+  const [conditions, setConditions] = useState(() => createGroup())
+  const [severity, setSeverity] = useState('red')
+  const [message, setMessage] = useState('')
+  const [errors, setErrors] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+  const { levels } = useSeverityLevels()
+  const severityOptions = ruleSeverityOptions(levels)
+
+  const isEditing = !!initialValues
+
+  useEffect(() => {
+    if (initialValues) {
+      setName(initialValues.name || '')
+      setConditions(initialValues.conditions || createGroup())
+      setSeverity(initialValues.severity || 'red')
+      setMessage(initialValues.message || '')
+    }
+  }, [initialValues])
+
+  const validate = () => {
+    const errs = {}
+    if (!name.trim()) {
+      errs.name = 'Name is required.'
+    }
+    const conditionsErr = validateConditions(conditions)
+    if (conditionsErr) {
+      errs.conditions = conditionsErr
+    }
+    setErrors(errs)
+    return Object.keys(errs).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!validate()) return
+
+    setSubmitting(true)
+    try {
+      await onSubmit({
+        name: name.trim(),
+        conditions: cleanConditions(conditions),
+        severity,
+        message: message.trim(),
+      })
+    } catch {
+      // Parent handles errors
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {/* Name */}
+      <div>
+        <label
+          htmlFor="compound-name"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Name <span className="text-red">*</span>
+        </label>
+        <input
+          id="compound-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Acme engineers in Germany"
+          className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+            errors.name
+              ? 'border-red focus:border-red focus:ring-red/20'
+              : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+          }`}
+        />
+        {errors.name && <p className="mt-1 text-xs text-red">{errors.name}</p>}
+      </div>
+
+      {/* Conditions */}
+      <div>
+        <span className="block text-sm font-medium text-dark mb-1.5">
+          Conditions <span className="text-red">*</span>
+        </span>
+        <ConditionBuilder value={conditions} onChange={setConditions} />
+        {errors.conditions ? (
+          <p className="mt-1 text-xs text-red">{errors.conditions}</p>
+        ) : (
+          <p className="mt-1 text-xs text-gray-400">
+            Matches when: {describeConditions(conditions)}
+          </p>
+        )}
+      </div>
+
+      {/* Severity */}
+      <div>
+        <label
+          htmlFor="compound-severity"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Severity <span className="text-red">*</span>
+        </label>
+        <select
+          id="compound-severity"
+          value={severity}
+          onChange={(e) => setSeverity(e.target.value)}
+          className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+        >
+          {severityOptions.map((level) => (
+            <option key={level.key} value={level.key}>
+              {level.label}
+              {level.rank < 0 ? ' (positive)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Message */}
+      <div>
+        <label
+          htmlFor="compound-message"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Message
+        </label>
+        <textarea
+          id="compound-message"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder="Message shown to the user when this rule triggers"
+          rows={3}
+          className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition resize-none"
+        />
+      </div>
+
+      {/* Alert preview */}
+      <AlertPreview severity={severity} message={message} />
+
+      {/* Actions */}
+      <div className="flex items-center gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
+        >
+          {submitting
+            ? 'Saving...'
+            : isEditing
+              ? 'Update Rule'
+              : 'Add Rule'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={submitting}
+            className="rounded-lg bg-gray-100 px-5 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-200 focus:outline-none transition"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,185 @@
+import { MATCH_MODE_OPTIONS } from '../lib/matchModes'
+import {
+  CONDITION_FIELDS,
+  MAX_GROUP_DEPTH,
+  createCondition,
+  createGroup,
+  fieldHasMatchMode,
+  isGroup,
+} from '../lib/conditions'
+
+const selectClass =
+  'rounded-lg border border-gray-300 px-3 py-2 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition'
+
+function NotToggle({ checked, onChange }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onChange(!checked)}
+      aria-pressed={checked}
+      className={`rounded-md px-2 py-1 text-xs font-semibold transition ${
+        checked
+          ? 'bg-navy text-white'
+          : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+      }`}
+    >
+      NOT
+    </button>
+  )
+}
+
+function RemoveButton({ onClick, label }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-label={label}
+      className="text-gray-400 hover:text-red text-lg leading-none px-1"
+    >
+      &times;
+    </button>
+  )
+}
+
+function ConditionRow({ condition, onChange, onRemove }) {
+  const field = CONDITION_FIELDS.find((f) => f.value === condition.field)
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <NotToggle
+        checked={condition.negate}
+        onChange={(negate) => onChange({ ...condition, negate })}
+      />
+      <select
+        value={condition.field}
+        onChange={(e) => onChange({ ...condition, field: e.target.value })}
+        className={selectClass}
+        aria-label="Field"
+      >
+        {CONDITION_FIELDS.map((opt) => (
+          <option key={opt.value} value={opt.value}>
+            {opt.label}
+          </option>
+        ))}
+      </select>
+      {fieldHasMatchMode(condition.field) && (
+        <select
+          value={condition.match_mode}
+          onChange={(e) =>
+            onChange({ ...condition, match_mode: e.target.value })
+          }
+          className={selectClass}
+          aria-label="Match mode"
+        >
+          {MATCH_MODE_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+      )}
+      <input
+        type="text"
+        value={condition.pattern}
+        onChange={(e) => onChange({ ...condition, pattern: e.target.value })}
+        placeholder={field?.placeholder}
+        aria-label="Value"
+        className="flex-1 min-w-40 rounded-lg border border-gray-300 px-3 py-2 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+      />
+      {onRemove && <RemoveButton onClick={onRemove} label="Remove condition" />}
+    </div>
+  )
+}
+
+function ConditionGroup({ group, onChange, onRemove, depth }) {
+  const updateChild = (index, child) => {
+    const conditions = group.conditions.slice()
+    conditions[index] = child
+    onChange({ ...group, conditions })
+  }
+
+  const removeChild = (index) => {
+    onChange({
+      ...group,
+      conditions: group.conditions.filter((_, i) => i !== index),
+    })
+  }
+
+  const addChild = (child) => {
+    onChange({ ...group, conditions: [...group.conditions, child] })
+  }
+
+  return (
+    <div
+      className={`space-y-3 rounded-lg border p-4 ${
+        depth === 1 ? 'border-gray-200' : 'border-teal/30 bg-teal/5'
+      }`}
+    >
+      <div className="flex items-center gap-2">
+        <NotToggle
+          checked={group.negate}
+          onChange={(negate) => onChange({ ...group, negate })}
+        />
+        <select
+          value={group.op}
+          onChange={(e) => onChange({ ...group, op: e.target.value })}
+          className={selectClass}
+          aria-label="Combine conditions with"
+        >
+          <option value="and">All of (AND)</option>
+          <option value="or">Any of (OR)</option>
+        </select>
+        <span className="text-xs text-gray-400">the following:</span>
+        {onRemove && (
+          <span className="ml-auto">
+            <RemoveButton onClick={onRemove} label="Remove group" />
+          </span>
+        )}
+      </div>
+
+      {group.conditions.map((child, index) =>
+        isGroup(child) ? (
+          <ConditionGroup
+            key={index}
+            group={child}
+            depth={depth + 1}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        ) : (
+          <ConditionRow
+            key={index}
+            condition={child}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={
+              group.conditions.length > 1 ? () => removeChild(index) : null
+            }
+          />
+        ),
+      )}
+
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => addChild(createCondition())}
+          className="text-sm font-medium text-teal hover:text-teal-dark"
+        >
+          + Condition
+        </button>
+        {depth < MAX_GROUP_DEPTH && (
+          <button
+            type="button"
+            onClick={() => addChild(createGroup(group.op === 'and' ? 'or' : 'and'))}
+            className="text-sm font-medium text-teal hover:text-teal-dark"
+          >
+            + Group
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function ConditionBuilder({ value, onChange }) {
+  return <ConditionGroup group={value} onChange={onChange} depth={1} />
+}
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react'
+import ConditionBuilder from './ConditionBuilder'
+import {
+  cleanConditions,
+  createGroup,
+  describeConditions,
+  validateConditions,
+} from '../lib/conditions'
+import { exceptionActions, useSeverityLevels } from '../lib/severities'
+
+// targets: [{ id, type, label }] — every rule an exception can override
+export default function ExceptionRuleForm({
+  initialValues = null,
+  targets = [],
+  onSubmit,
+  onCancel,
+}) {
+  const [name, setName] = useState('')
+  const [target, setTarget] = useState('')
+  const [conditions, setConditions] = useState(() => createGroup())
+  const [severity, setSeverity] = useState('green')
+  const [message, setMessage] = useState('')
+  const [errors, setErrors] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+  const { levels } = useSeverityLevels()
+  const actions = exceptionActions(levels)
+
+  const isEditing = !!initialValues
+
+  useEffect(() => {
+    if (initialValues) {
+      setName(initialValues.name || '')
+      setTarget(
+        initialValues.rule_id
+          ? `${initialValues.rule_type}:${initialValues.rule_id}`
+          : '',
+      )
+      setConditions(initialValues.conditions || createGroup())
+      setSeverity(initialValues.severity || 'green')
+      setMessage(initialValues.message || '')
+    }
+  }, [initialValues])
+
+  const validate = () => {
+    const errs = {}
+    if (!name.trim()) {
+      errs.name = 'Name is required.'
+    }
+    const conditionsErr = validateConditions(conditions)
+    if (conditionsErr) {
+      errs.conditions = conditionsErr
+    }
+    setErrors(errs)
+    return Object.keys(errs).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!validate()) return
+
+    const [ruleType, ruleId] = target ? target.split(':') : [null, null]
+
+    setSubmitting(true)
+    try {
+      await onSubmit({
+        name: name.trim(),
+        rule_id: ruleId,
+        rule_type: ruleType,
+        conditions: cleanConditions(conditions),
+        severity,
+        message: message.trim(),
+      })
+    } catch {
+      // Parent handles errors
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {/* Name */}
+      <div>
+        <label
+          htmlFor="exception-name"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Name <span className="text-red">*</span>
+        </label>
+        <input
+          id="exception-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. AWS Berlin is fine"
+          className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+            errors.name
+              ? 'border-red focus:border-red focus:ring-red/20'
+              : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+          }`}
+        />
+        {errors.name && <p className="mt-1 text-xs text-red">{errors.name}</p>}
+      </div>
+
+      {/* Target rule */}
+      <div>
+        <label
+          htmlFor="exception-target"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Overrides
+        </label>
+        <select
+          id="exception-target"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+        >
+          <option value="">Any matching rule</option>
+          {targets.map((t) => (
+            <option key={`${t.type}:${t.id}`} value={`${t.type}:${t.id}`}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Conditions */}
+      <div>
+        <span className="block text-sm font-medium text-dark mb-1.5">
+          Applies when <span className="text-red">*</span>
+        </span>
+        <ConditionBuilder value={conditions} onChange={setConditions} />
+        {errors.conditions ? (
+          <p className="mt-1 text-xs text-red">{errors.conditions}</p>
+        ) : (
+          <p className="mt-1 text-xs text-gray-400">
+            Applies when: {describeConditions(conditions)}
+          </p>
+        )}
+      </div>
+
+      {/* Action */}
+      <div>
+        <label
+          htmlFor="exception-severity"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Action <span className="text-red">*</span>
+        </label>
+        <select
+          id="exception-severity"
+          value={severity}
+          onChange={(e) => setSeverity(e.target.value)}
+          className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+        >
+          {actions.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+        <p className="mt-1 text-xs text-gray-400">
+          Only matches stricter than the chosen level are downgraded. Positive
+          levels such as Preferred are never changed.
+        </p>
+      </div>
+
+      {/* Message */}
+      <div>
+        <label
+          htmlFor="exception-message"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Message
+        </label>
+        <textarea
+          id="exception-message"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder="Shown instead of the cleared alert, e.g. why this candidate is fine"
+          rows={3}
+          className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition resize-none"
+        />
+      </div>
+
+      {/* Actions */}
+      <div className="flex items-center gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
+        >
+          {submitting
+            ? 'Saving...'
+            : isEditing
+              ? 'Update Exception'
+              : 'Add Exception'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={submitting}
+            className="rounded-lg bg-gray-100 px-5 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-200 focus:outline-none transition"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
@@ -5,7 +5,15 @@ import { useAuth } from '../contexts/AuthContext'
 const navigation = [
   { name: 'Dashboard', path: '/', icon: DashboardIcon },
   { name: 'Location Rules', path: '/locations', icon: LocationIcon },
+  { name: 'Location Aliases', path: '/aliases', icon: AliasIcon },
   { name: 'Company Rules', path: '/companies', icon: CompanyIcon },
+  { name: 'Subsidiaries', path: '/subsidiaries', icon: SubsidiaryIcon },
+  { name: 'Title Rules', path: '/titles', icon: TitleIcon },
+  { name: 'Education Rules', path: '/education', icon: EducationIcon },
+  { name: 'Compound Rules', path: '/compound', icon: CompoundIcon },
+  { name: 'Exceptions', path: '/exceptions', icon: ExceptionIcon },
+  { name: 'Policies', path: '/policies', icon: PolicyIcon },
+  { name: 'Rule Templates', path: '/templates', icon: TemplateIcon },
   { name: 'Team Members', path: '/team', icon: TeamIcon },
   { name: 'Settings', path: '/settings', icon: SettingsIcon },
 ]
@@ -14,7 +22,15 @@ const navigation = [
 const pageTitles = {
   '/': 'Dashboard',
   '/locations': 'Location Rules',
+  '/aliases': 'Location Aliases',
   '/companies': 'Company Rules',
+  '/subsidiaries': 'Company Subsidiaries',
+  '/titles': 'Title Rules',
+  '/education': 'Education Rules',
+  '/compound': 'Compound Rules',
+  '/exceptions': 'Exceptions',
+  '/policies': 'Policies',
+  '/templates': 'Rule Templates',
   '/team': 'Team Members',
   '/settings': 'Settings',
 }
@@ -169,6 +185,16 @@ function LocationIcon({ className }) {
   )
 }
 
+function AliasIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <circle cx="12" cy="12" r="10" />
+      <path d="M2 12h20" />
+      <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z" />
+    </svg>
+  )
+}
+
 function CompanyIcon({ className }) {
   return (
     <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -183,6 +209,78 @@ function CompanyIcon({ className }) {
   )
 }
 
+function SubsidiaryIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="9" y="2" width="6" height="5" rx="1" />
+      <rect x="2" y="17" width="6" height="5" rx="1" />
+      <rect x="16" y="17" width="6" height="5" rx="1" />
+      <path d="M12 7v5" />
+      <path d="M5 17v-5h14v5" />
+    </svg>
+  )
+}
+
+function TitleIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="3" y="4" width="18" height="16" rx="2" />
+      <circle cx="9" cy="11" r="2" />
+      <path d="M6 16c.6-1.2 1.7-2 3-2s2.4.8 3 2" />
+      <path d="M15 10h3" />
+      <path d="M15 14h3" />
+    </svg>
+  )
+}
+
+function EducationIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M22 10L12 5 2 10l10 5 10-5z" />
+      <path d="M6 12v5c3 2 9 2 12 0v-5" />
+    </svg>
+  )
+}
+
+function CompoundIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <circle cx="9" cy="12" r="6" />
+      <circle cx="15" cy="12" r="6" />
+    </svg>
+  )
+}
+
+function ExceptionIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" />
+      <path d="M9 12l2 2 4-4" />
+    </svg>
+  )
+}
+
+function PolicyIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+      <path d="M8 13h8" />
+      <path d="M8 17h5" />
+    </svg>
+  )
+}
+
+function TemplateIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="8" y="2" width="8" height="4" rx="1" />
+      <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" />
+      <path d="M9 12h6" />
+      <path d="M9 16h6" />
+    </svg>
+  )
+}
+
 function TeamIcon({ className }) {
   return (
     <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
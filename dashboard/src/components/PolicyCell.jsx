@@ -0,0 +1,21 @@
+import { policyStateInfo } from '../lib/policies'
+
+// The policy a location or company rule belongs to, and whether it is off
+// or expired (in which case the rule is not enforced)
+export default function PolicyCell({ policy }) {
+  if (!policy) return <span className="text-gray-400 text-sm">-</span>
+  const state = policyStateInfo(policy)
+
+  return (
+    <span className="block whitespace-nowrap">
+      <span className="text-gray-600 text-sm">{policy.name}</span>
+      {state.value !== 'active' && (
+        <span
+          className={`ml-2 inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold ${state.className}`}
+        >
+          {state.label}
+        </span>
+      )}
+    </span>
+  )
+}
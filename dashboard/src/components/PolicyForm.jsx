@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react'
+import { validatePolicy } from '../lib/policies'
+import {
+  localTimeZone,
+  timestampToDateInput,
+  toScheduleTimestamp,
+} from '../lib/schedule'
+
+const inputClass =
+  'w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition'
+
+// policies: every policy, to keep names unique; members: team members an
+// owner can be picked from
+export default function PolicyForm({
+  initialValues = null,
+  policies = [],
+  members = [],
+  onSubmit,
+  onCancel,
+}) {
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [ownerId, setOwnerId] = useState('')
+  const [expiresAt, setExpiresAt] = useState('')
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const isEditing = !!initialValues
+
+  useEffect(() => {
+    if (initialValues) {
+      setName(initialValues.name || '')
+      setDescription(initialValues.description || '')
+      setOwnerId(initialValues.owner_id || '')
+      setExpiresAt(timestampToDateInput(initialValues.expires_at, true))
+    }
+  }, [initialValues])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const err = validatePolicy({ name }, policies, initialValues?.id)
+    setError(err || '')
+    if (err) return
+
+    setSubmitting(true)
+    try {
+      await onSubmit({
+        name: name.trim(),
+        description: description.trim() || null,
+        owner_id: ownerId || null,
+        expires_at: toScheduleTimestamp(expiresAt, true),
+      })
+    } catch {
+      // Parent handles errors
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {/* Name */}
+      <div>
+        <label
+          htmlFor="policy-name"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Name <span className="text-red">*</span>
+        </label>
+        <input
+          id="policy-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. EU hiring freeze"
+          className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+            error
+              ? 'border-red focus:border-red focus:ring-red/20'
+              : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+          }`}
+        />
+        {error && <p className="mt-1 text-xs text-red">{error}</p>}
+      </div>
+
+      {/* Description */}
+      <div>
+        <label
+          htmlFor="policy-description"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Description
+        </label>
+        <textarea
+          id="policy-description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Why the policy exists, e.g. the agreement it comes from"
+          rows={2}
+          className={`${inputClass} resize-none`}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        {/* Owner */}
+        <div>
+          <label
+            htmlFor="policy-owner"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Owner{' '}
+            <span className="text-gray-400 font-normal">(optional)</span>
+          </label>
+          <select
+            id="policy-owner"
+            value={ownerId}
+            onChange={(e) => setOwnerId(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">No owner</option>
+            {members.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.email}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Expiry */}
+        <div>
+          <label
+            htmlFor="policy-expires"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Expires After{' '}
+            <span className="text-gray-400 font-normal">(optional)</span>
+          </label>
+          <input
+            id="policy-expires"
+            type="date"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <p className="-mt-3 text-xs text-gray-400">
+        After the expiry date ({localTimeZone()}) none of the policy&apos;s
+        rules are enforced, whatever their own dates. Leave blank for no
+        limit.
+      </p>
+
+      {/* Actions */}
+      <div className="flex items-center gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
+        >
+          {submitting
+            ? 'Saving...'
+            : isEditing
+              ? 'Update Policy'
+              : 'Add Policy'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={submitting}
+            className="rounded-lg bg-gray-100 px-5 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-200 focus:outline-none transition"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
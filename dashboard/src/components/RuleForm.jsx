@@ -1,47 +1,150 @@
 import { useState, useEffect } from 'react'
 import AlertPreview from './AlertPreview'
+import {
+  MATCH_MODE_OPTIONS,
+  DEFAULT_MATCH_MODE,
+  validateLocationPattern,
+} from '../lib/matchModes'
+import { parseCompanyIds } from '../lib/linkedin'
+import {
+  localTimeZone,
+  timestampToDateInput,
+  toScheduleTimestamp,
+  validateSchedule,
+} from '../lib/schedule'
+import { ruleSeverityOptions, useSeverityLevels } from '../lib/severities'
+import { policyStateInfo } from '../lib/policies'
 
-const SEVERITY_OPTIONS = [
-  { value: 'red', label: 'Red (Block)' },
-  { value: 'amber', label: 'Amber (Warning)' },
+// Longest cooling-off window a company rule can look back over. Matches the
+// CHECK constraint on company_rules.lookback_months.
+const MAX_LOOKBACK_MONTHS = 60
+
+// Widest "graduated within" window for an education rule. Matches the CHECK
+// constraint on education_rules.graduated_within_years.
+const MAX_GRADUATED_WITHIN_YEARS = 50
+
+// Which part of the profile a title rule tests. Keep in sync with
+// TITLE_FIELD_LABELS in extension/popup/popup.js.
+const TITLE_FIELD_OPTIONS = [
+  {
+    value: 'title',
+    label: 'Job title',
+    hint: 'The role parsed from the headline, e.g. "VP of Sales" in "VP of Sales at Acme".',
+  },
+  {
+    value: 'headline',
+    label: 'Full headline',
+    hint: 'The whole headline, e.g. to catch "TS/SCI" anywhere in it.',
+  },
 ]
 
+const PATTERN_PLACEHOLDERS = {
+  location: 'e.g. github.com/risky-org/*',
+  company: 'e.g. Acme Corp',
+  title: 'e.g. VP',
+  education: 'e.g. Stanford, Stanford University',
+}
+
+// policies: the team's policies a location or company rule can belong to
 export default function RuleForm({
   type = 'location',
   initialValues = null,
+  policies = [],
   onSubmit,
   onCancel,
 }) {
   const [pattern, setPattern] = useState('')
   const [severity, setSeverity] = useState('red')
+  const [matchMode, setMatchMode] = useState(DEFAULT_MATCH_MODE)
   const [message, setMessage] = useState('')
+  const [startsAt, setStartsAt] = useState('')
   const [expiresAt, setExpiresAt] = useState('')
+  const [policyId, setPolicyId] = useState('')
+  const [lookbackMonths, setLookbackMonths] = useState('')
+  const [includeSubsidiaries, setIncludeSubsidiaries] = useState(false)
+  const [allowReverseMatch, setAllowReverseMatch] = useState(true)
+  const [companyPages, setCompanyPages] = useState('')
+  const [field, setField] = useState('title')
+  const [companyPattern, setCompanyPattern] = useState('')
+  const [graduatedWithin, setGraduatedWithin] = useState('')
   const [errors, setErrors] = useState({})
   const [submitting, setSubmitting] = useState(false)
+  const { levels } = useSeverityLevels()
+  const severityOptions = ruleSeverityOptions(levels)
 
   const isEditing = !!initialValues
+  const hasMatchMode = type !== 'company'
+  const hasSchedule = type === 'location' || type === 'company'
+  const hasPolicy = type === 'location' || type === 'company'
 
   useEffect(() => {
     if (initialValues) {
       setPattern(initialValues.pattern || '')
       setSeverity(initialValues.severity || 'red')
       setMessage(initialValues.message || '')
-      if (type === 'company' && initialValues.expires_at) {
-        // Format date for input (YYYY-MM-DD)
-        const date = new Date(initialValues.expires_at)
-        setExpiresAt(date.toISOString().split('T')[0])
+      setMatchMode(initialValues.match_mode || DEFAULT_MATCH_MODE)
+      if (hasSchedule) {
+        setStartsAt(timestampToDateInput(initialValues.starts_at))
+        setExpiresAt(timestampToDateInput(initialValues.expires_at, true))
+      }
+      if (hasPolicy) {
+        setPolicyId(initialValues.policy_id || '')
+      }
+      if (type === 'company' && initialValues.lookback_months) {
+        setLookbackMonths(String(initialValues.lookback_months))
+      }
+      if (type === 'company') {
+        setIncludeSubsidiaries(!!initialValues.include_subsidiaries)
+        setAllowReverseMatch(initialValues.allow_reverse_match !== false)
+        setCompanyPages((initialValues.linkedin_company_ids || []).join(', '))
+      }
+      if (type === 'title') {
+        setField(initialValues.field || 'title')
+        setCompanyPattern(initialValues.company_pattern || '')
+      }
+      if (type === 'education' && initialValues.graduated_within_years) {
+        setGraduatedWithin(String(initialValues.graduated_within_years))
       }
     }
-  }, [initialValues, type])
+  }, [initialValues, type, hasSchedule, hasPolicy])
 
   const validate = () => {
     const errs = {}
     if (!pattern.trim()) {
       errs.pattern = 'Pattern is required.'
+    } else if (hasMatchMode) {
+      const patternErr = validateLocationPattern(pattern.trim(), matchMode)
+      if (patternErr) errs.pattern = patternErr
     }
     if (!severity) {
       errs.severity = 'Severity is required.'
     }
+    if (hasSchedule) {
+      const scheduleErr = validateSchedule(startsAt, expiresAt)
+      if (scheduleErr) errs.schedule = scheduleErr
+    }
+    if (type === 'company' && lookbackMonths !== '') {
+      const months = Number(lookbackMonths)
+      if (!Number.isInteger(months) || months < 1 || months > MAX_LOOKBACK_MONTHS) {
+        errs.lookbackMonths = `Enter a whole number of months from 1 to ${MAX_LOOKBACK_MONTHS}.`
+      }
+    }
+    if (type === 'company') {
+      const { invalid } = parseCompanyIds(companyPages)
+      if (invalid.length > 0) {
+        errs.companyPages = `Not a LinkedIn company page: ${invalid.join(', ')}`
+      }
+    }
+    if (type === 'education' && graduatedWithin !== '') {
+      const years = Number(graduatedWithin)
+      if (
+        !Number.isInteger(years) ||
+        years < 1 ||
+        years > MAX_GRADUATED_WITHIN_YEARS
+      ) {
+        errs.graduatedWithin = `Enter a whole number of years from 1 to ${MAX_GRADUATED_WITHIN_YEARS}.`
+      }
+    }
     setErrors(errs)
     return Object.keys(errs).length === 0
   }
@@ -57,8 +160,31 @@ export default function RuleForm({
         severity,
         message: message.trim(),
       }
+      if (hasMatchMode) {
+        values.match_mode = matchMode
+      }
+      if (type === 'title') {
+        values.field = field
+        values.company_pattern = companyPattern.trim() || null
+      }
+      if (type === 'education') {
+        values.graduated_within_years = graduatedWithin
+          ? Number(graduatedWithin)
+          : null
+      }
+      if (hasSchedule) {
+        values.starts_at = toScheduleTimestamp(startsAt)
+        values.expires_at = toScheduleTimestamp(expiresAt, true)
+      }
+      if (hasPolicy) {
+        values.policy_id = policyId || null
+      }
       if (type === 'company') {
-        values.expires_at = expiresAt ? new Date(expiresAt).toISOString() : null
+        values.lookback_months = lookbackMonths ? Number(lookbackMonths) : null
+        values.include_subsidiaries = includeSubsidiaries
+        values.allow_reverse_match = allowReverseMatch
+        const { ids } = parseCompanyIds(companyPages)
+        values.linkedin_company_ids = ids.length > 0 ? ids : null
       }
       await onSubmit(values)
     } catch {
@@ -83,11 +209,7 @@ export default function RuleForm({
           type="text"
           value={pattern}
           onChange={(e) => setPattern(e.target.value)}
-          placeholder={
-            type === 'location'
-              ? 'e.g. github.com/risky-org/*'
-              : 'e.g. Acme Corp'
-          }
+          placeholder={PATTERN_PLACEHOLDERS[type]}
           className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
             errors.pattern
               ? 'border-red focus:border-red focus:ring-red/20'
@@ -99,6 +221,84 @@ export default function RuleForm({
         )}
       </div>
 
+      {/* Match mode (all but company rules) */}
+      {hasMatchMode && (
+        <div>
+          <label
+            htmlFor="rule-match-mode"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Match Mode
+          </label>
+          <select
+            id="rule-match-mode"
+            value={matchMode}
+            onChange={(e) => setMatchMode(e.target.value)}
+            className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+          >
+            {MATCH_MODE_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-400">
+            {MATCH_MODE_OPTIONS.find((opt) => opt.value === matchMode)?.hint}
+          </p>
+        </div>
+      )}
+
+      {/* Field and company (title rules only) */}
+      {type === 'title' && (
+        <div>
+          <label
+            htmlFor="rule-field"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Checks
+          </label>
+          <select
+            id="rule-field"
+            value={field}
+            onChange={(e) => setField(e.target.value)}
+            className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+          >
+            {TITLE_FIELD_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-400">
+            {TITLE_FIELD_OPTIONS.find((opt) => opt.value === field)?.hint}
+          </p>
+        </div>
+      )}
+
+      {type === 'title' && (
+        <div>
+          <label
+            htmlFor="rule-company-pattern"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Only At Company{' '}
+            <span className="text-gray-400 font-normal">(optional)</span>
+          </label>
+          <input
+            id="rule-company-pattern"
+            type="text"
+            value={companyPattern}
+            onChange={(e) => setCompanyPattern(e.target.value)}
+            placeholder="e.g. Acme Corp"
+            className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+          />
+          <p className="mt-1 text-xs text-gray-400">
+            Leave blank to flag the title at any company. Compared the same
+            way as company rules.
+          </p>
+        </div>
+      )}
+
       {/* Severity */}
       <div>
         <label
@@ -117,9 +317,10 @@ export default function RuleForm({
               : 'border-gray-300 focus:border-teal focus:ring-teal/20'
           }`}
         >
-          {SEVERITY_OPTIONS.map((opt) => (
-            <option key={opt.value} value={opt.value}>
-              {opt.label}
+          {severityOptions.map((level) => (
+            <option key={level.key} value={level.key}>
+              {level.label}
+              {level.rank < 0 ? ' (positive)' : ''}
             </option>
           ))}
         </select>
@@ -146,23 +347,243 @@ export default function RuleForm({
         />
       </div>
 
-      {/* Expires At (company rules only) */}
+      {/* LinkedIn company pages (company rules only) */}
       {type === 'company' && (
         <div>
           <label
-            htmlFor="rule-expires"
+            htmlFor="rule-company-pages"
             className="block text-sm font-medium text-dark mb-1.5"
           >
-            Expires At{' '}
+            LinkedIn Company Page{' '}
             <span className="text-gray-400 font-normal">(optional)</span>
           </label>
           <input
-            id="rule-expires"
-            type="date"
-            value={expiresAt}
-            onChange={(e) => setExpiresAt(e.target.value)}
-            className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+            id="rule-company-pages"
+            type="text"
+            value={companyPages}
+            onChange={(e) => setCompanyPages(e.target.value)}
+            placeholder="e.g. linkedin.com/company/apex-systems"
+            className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+              errors.companyPages
+                ? 'border-red focus:border-red focus:ring-red/20'
+                : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+            }`}
           />
+          {errors.companyPages ? (
+            <p className="mt-1 text-xs text-red">{errors.companyPages}</p>
+          ) : (
+            <p className="mt-1 text-xs text-gray-400">
+              Match this exact company instead of every company with the same
+              name. Separate several page URLs or IDs with commas.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Policy (location and company rules) */}
+      {hasPolicy && (
+        <div>
+          <label
+            htmlFor="rule-policy"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Policy{' '}
+            <span className="text-gray-400 font-normal">(optional)</span>
+          </label>
+          <select
+            id="rule-policy"
+            value={policyId}
+            onChange={(e) => setPolicyId(e.target.value)}
+            className="w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition"
+          >
+            <option value="">No policy</option>
+            {policies.map((policy) => {
+              const state = policyStateInfo(policy)
+              return (
+                <option key={policy.id} value={policy.id}>
+                  {policy.name}
+                  {state.value !== 'active' ? ` (${state.label})` : ''}
+                </option>
+              )
+            })}
+          </select>
+          <p className="mt-1 text-xs text-gray-400">
+            The rule is only enforced while its policy is switched on and
+            has not expired. Manage policies on the Policies page.
+          </p>
+        </div>
+      )}
+
+      {/* Schedule (location and company rules) */}
+      {hasSchedule && (
+        <div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label
+                htmlFor="rule-starts"
+                className="block text-sm font-medium text-dark mb-1.5"
+              >
+                Starts On{' '}
+                <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <input
+                id="rule-starts"
+                type="date"
+                value={startsAt}
+                onChange={(e) => setStartsAt(e.target.value)}
+                className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark focus:outline-none focus:ring-2 transition ${
+                  errors.schedule
+                    ? 'border-red focus:border-red focus:ring-red/20'
+                    : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+                }`}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="rule-expires"
+                className="block text-sm font-medium text-dark mb-1.5"
+              >
+                Expires After{' '}
+                <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <input
+                id="rule-expires"
+                type="date"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+                className={`w-full rounded-lg border px-4 py-2.5 text-sm text-dark focus:outline-none focus:ring-2 transition ${
+                  errors.schedule
+                    ? 'border-red focus:border-red focus:ring-red/20'
+                    : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+                }`}
+              />
+            </div>
+          </div>
+          {errors.schedule ? (
+            <p className="mt-1 text-xs text-red">{errors.schedule}</p>
+          ) : (
+            <p className="mt-1 text-xs text-gray-400">
+              The rule applies from the start of the first day to the end of
+              the last, in your time zone ({localTimeZone()}), for every
+              recruiter at the same moment. Leave blank for no limit.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Reverse containment (company rules only) */}
+      {type === 'company' && (
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium text-dark">
+            <input
+              type="checkbox"
+              checked={allowReverseMatch}
+              onChange={(e) => setAllowReverseMatch(e.target.checked)}
+              className="rounded border-gray-300 text-teal focus:ring-teal/20"
+            />
+            Match shorter employer names
+          </label>
+          <p className="mt-1 text-xs text-gray-400">
+            Also flag employers whose whole name appears in the pattern, e.g.
+            &quot;Goldman Sachs&quot; for a &quot;Goldman Sachs Group&quot;
+            rule. Names under four characters never match this way. Turn off
+            when the shorter name is shared by other companies.
+          </p>
+        </div>
+      )}
+
+      {/* Corporate family (company rules only) */}
+      {type === 'company' && (
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium text-dark">
+            <input
+              type="checkbox"
+              checked={includeSubsidiaries}
+              onChange={(e) => setIncludeSubsidiaries(e.target.checked)}
+              className="rounded border-gray-300 text-teal focus:ring-teal/20"
+            />
+            Include subsidiaries
+          </label>
+          <p className="mt-1 text-xs text-gray-400">
+            Also flag companies listed under this one on the Subsidiaries
+            page, e.g. Waymo for an Alphabet rule.
+          </p>
+        </div>
+      )}
+
+      {/* Former employee lookback (company rules only) */}
+      {type === 'company' && (
+        <div>
+          <label
+            htmlFor="rule-lookback"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Include Former Employees{' '}
+            <span className="text-gray-400 font-normal">(optional)</span>
+          </label>
+          <div className="flex items-center gap-3">
+            <input
+              id="rule-lookback"
+              type="number"
+              min="1"
+              max={MAX_LOOKBACK_MONTHS}
+              value={lookbackMonths}
+              onChange={(e) => setLookbackMonths(e.target.value)}
+              placeholder="e.g. 12"
+              className={`w-32 rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+                errors.lookbackMonths
+                  ? 'border-red focus:border-red focus:ring-red/20'
+                  : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+              }`}
+            />
+            <span className="text-sm text-gray-500">months since they left</span>
+          </div>
+          {errors.lookbackMonths ? (
+            <p className="mt-1 text-xs text-red">{errors.lookbackMonths}</p>
+          ) : (
+            <p className="mt-1 text-xs text-gray-400">
+              Leave blank to flag current employees only. Past employers
+              listed without an end date are treated as recent.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Graduation window (education rules only) */}
+      {type === 'education' && (
+        <div>
+          <label
+            htmlFor="rule-graduated-within"
+            className="block text-sm font-medium text-dark mb-1.5"
+          >
+            Graduated Within{' '}
+            <span className="text-gray-400 font-normal">(optional)</span>
+          </label>
+          <div className="flex items-center gap-3">
+            <input
+              id="rule-graduated-within"
+              type="number"
+              min="1"
+              max={MAX_GRADUATED_WITHIN_YEARS}
+              value={graduatedWithin}
+              onChange={(e) => setGraduatedWithin(e.target.value)}
+              placeholder="e.g. 2"
+              className={`w-32 rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+                errors.graduatedWithin
+                  ? 'border-red focus:border-red focus:ring-red/20'
+                  : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+              }`}
+            />
+            <span className="text-sm text-gray-500">years</span>
+          </div>
+          {errors.graduatedWithin ? (
+            <p className="mt-1 text-xs text-red">{errors.graduatedWithin}</p>
+          ) : (
+            <p className="mt-1 text-xs text-gray-400">
+              Leave blank to flag all students and alumni. Current students
+              always match; entries without dates are treated as recent.
+            </p>
+          )}
         </div>
       )}
 
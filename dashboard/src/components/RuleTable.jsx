@@ -42,6 +42,7 @@ export default function RuleTable({
   onEdit,
   onDelete,
   onToggleActive,
+  activeKey = 'is_active',
   loading = false,
   emptyMessage = 'No data found.',
 }) {
@@ -99,7 +100,7 @@ export default function RuleTable({
   const handleToggle = async (row) => {
     setTogglingId(row.id)
     try {
-      await onToggleActive(row.id, !row.is_active)
+      await onToggleActive(row.id, !row[activeKey])
     } finally {
       setTogglingId(null)
     }
@@ -194,7 +195,7 @@ export default function RuleTable({
                 {onToggleActive && (
                   <td className="px-6 py-3.5">
                     <ToggleSwitch
-                      checked={!!row.is_active}
+                      checked={!!row[activeKey]}
                       onChange={() => handleToggle(row)}
                       disabled={togglingId === row.id}
                     />
@@ -0,0 +1,29 @@
+import {
+  SCHEDULE_STATES,
+  formatScheduleDate,
+  scheduleState,
+} from '../lib/schedule'
+
+export default function ScheduleCell({ rule }) {
+  const state = SCHEDULE_STATES.find((s) => s.value === scheduleState(rule))
+  const hasDates = rule.starts_at || rule.expires_at
+
+  return (
+    <span className="block whitespace-nowrap">
+      <span
+        className={`inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold ${state.className}`}
+      >
+        {state.label}
+      </span>
+      {hasDates && (
+        <span className="block mt-1 text-xs text-gray-500">
+          {rule.starts_at ? formatScheduleDate(rule.starts_at) : 'Now'}
+          {' – '}
+          {rule.expires_at
+            ? formatScheduleDate(rule.expires_at, true)
+            : 'no end date'}
+        </span>
+      )}
+    </span>
+  )
+}
@@ -0,0 +1,35 @@
+import { useMemo } from 'react'
+import { SCHEDULE_FILTERS, scheduleState } from '../lib/schedule'
+
+export default function ScheduleFilter({ rules, value, onChange }) {
+  const counts = useMemo(() => {
+    const result = { all: rules.length, active: 0, scheduled: 0, expired: 0 }
+    for (const rule of rules) result[scheduleState(rule)] += 1
+    return result
+  }, [rules])
+
+  return (
+    <div
+      className="flex items-center gap-2 mb-4"
+      role="group"
+      aria-label="Filter rules by schedule"
+    >
+      {SCHEDULE_FILTERS.map((f) => (
+        <button
+          key={f.value}
+          type="button"
+          onClick={() => onChange(f.value)}
+          aria-pressed={value === f.value}
+          className={`rounded-full px-3 py-1 text-xs font-medium transition ${
+            value === f.value
+              ? 'bg-navy text-white'
+              : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
+          }`}
+        >
+          {f.label}
+          <span className="ml-1.5 opacity-70">{counts[f.value]}</span>
+        </button>
+      ))}
+    </div>
+  )
+}
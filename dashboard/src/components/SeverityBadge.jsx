@@ -0,0 +1,23 @@
+import {
+  findSeverityLevel,
+  severityTextColor,
+  useSeverityLevels,
+} from '../lib/severities'
+
+export default function SeverityBadge({ severity }) {
+  const { levels } = useSeverityLevels()
+  const level = findSeverityLevel(levels, severity)
+
+  return (
+    <span
+      className="inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap"
+      style={{
+        backgroundColor: level.color,
+        color: severityTextColor(level.color),
+      }}
+      title={level.key === severity ? undefined : `Unknown level "${severity}"`}
+    >
+      {level.label}
+    </span>
+  )
+}
@@ -0,0 +1,308 @@
+import { useState } from 'react'
+import { supabase } from '../lib/supabase'
+import {
+  BUILT_IN_SEVERITY_LEVELS,
+  MAX_SEVERITY_RANK,
+  MIN_SEVERITY_RANK,
+  SEVERITY_ICONS,
+  severityGlyph,
+  severityKeyFromLabel,
+  severityTextColor,
+  useSeverityLevels,
+  validateSeverityLevel,
+} from '../lib/severities'
+
+const inputClass =
+  'w-full rounded-lg border border-gray-300 px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:border-teal focus:ring-2 focus:ring-teal/20 focus:outline-none transition'
+
+// Every table whose rows carry a severity level
+const RULE_TABLES = [
+  'location_rules',
+  'company_rules',
+  'title_rules',
+  'education_rules',
+  'compound_rules',
+  'exception_rules',
+]
+
+const EMPTY_FORM = { label: '', rank: '', color: '#7C3AED', icon: 'flag' }
+
+async function countRulesUsing(key) {
+  const results = await Promise.all(
+    RULE_TABLES.map((table) =>
+      supabase
+        .from(table)
+        .select('id', { count: 'exact', head: true })
+        .eq('severity', key),
+    ),
+  )
+  const failed = results.find((res) => res.error)
+  if (failed) throw failed.error
+  return results.reduce((sum, res) => sum + (res.count || 0), 0)
+}
+
+function LevelPill({ level }) {
+  return (
+    <span
+      className="inline-flex items-center gap-1.5 px-2.5 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap"
+      style={{
+        backgroundColor: level.color,
+        color: severityTextColor(level.color),
+      }}
+    >
+      <span aria-hidden="true">{severityGlyph(level)}</span>
+      {level.label || 'New level'}
+    </span>
+  )
+}
+
+export default function SeverityLevelSettings() {
+  const { levels, teamLevels, loading, reload } = useSeverityLevels()
+  const [form, setForm] = useState(EMPTY_FORM)
+  // Key of the level being edited; null while adding a new one
+  const [editingKey, setEditingKey] = useState(null)
+  const [formError, setFormError] = useState('')
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const teamRow = (key) => teamLevels.find((l) => l.key === key)
+
+  const startEdit = (level) => {
+    setEditingKey(level.key)
+    setForm({
+      label: level.label,
+      rank: String(level.rank),
+      color: level.color,
+      icon: level.icon,
+    })
+    setFormError('')
+  }
+
+  const cancelEdit = () => {
+    setEditingKey(null)
+    setForm(EMPTY_FORM)
+    setFormError('')
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const formErr = validateSeverityLevel(form, levels, editingKey)
+    setFormError(formErr || '')
+    if (formErr) return
+
+    setError('')
+    setSaving(true)
+    const values = {
+      label: form.label.trim(),
+      rank: Number(form.rank),
+      color: form.color.toUpperCase(),
+      icon: form.icon,
+    }
+    try {
+      const existing = editingKey && teamRow(editingKey)
+      // Editing a built-in level stores a team row that replaces it
+      const { error: saveErr } = existing
+        ? await supabase
+            .from('severity_levels')
+            .update(values)
+            .eq('id', existing.id)
+        : await supabase
+            .from('severity_levels')
+            .insert([
+              { key: editingKey || severityKeyFromLabel(values.label), ...values },
+            ])
+
+      if (saveErr) throw saveErr
+      await reload()
+      cancelEdit()
+    } catch (err) {
+      setError('Failed to save severity level. Please try again.')
+      console.error('Save severity level error:', err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Removes a team level, or the team's changes to a built-in one
+  const handleRemove = async (level) => {
+    setError('')
+    const row = teamRow(level.key)
+    if (!row) return
+    try {
+      if (!level.builtIn) {
+        const inUse = await countRulesUsing(level.key)
+        if (inUse > 0) {
+          setError(
+            `"${level.label}" is used by ${inUse} rule${inUse === 1 ? '' : 's'}. Move them to another level first.`,
+          )
+          return
+        }
+      }
+
+      const { error: deleteErr } = await supabase
+        .from('severity_levels')
+        .delete()
+        .eq('id', row.id)
+
+      if (deleteErr) throw deleteErr
+      if (editingKey === level.key) cancelEdit()
+      await reload()
+    } catch (err) {
+      setError('Failed to remove severity level. Please try again.')
+      console.error('Remove severity level error:', err)
+    }
+  }
+
+  const previewLevel = { ...form, label: form.label.trim() }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red">
+          {error}
+        </div>
+      )}
+
+      {/* Levels, strictest first */}
+      {loading ? (
+        <div className="h-10 w-full max-w-lg bg-gray-200 rounded animate-pulse" />
+      ) : (
+        <ul className="max-w-lg rounded-lg border border-gray-200 divide-y divide-gray-100">
+          {levels.map((level) => (
+            <li
+              key={level.key}
+              className="flex items-center justify-between gap-3 px-3 py-2 text-sm"
+            >
+              <span className="flex items-center gap-2 min-w-0">
+                <LevelPill level={level} />
+                <span className="text-xs text-gray-400 truncate">
+                  <span className="font-mono">{level.key}</span>
+                  {' · '}rank {level.rank}
+                  {level.rank < 0 && ' · positive'}
+                  {level.rank === 0 && ' · no match'}
+                  {level.builtIn && ' · built-in'}
+                  {level.builtIn && teamRow(level.key) && ' (changed)'}
+                </span>
+              </span>
+              {level.rank !== 0 && (
+                <span className="flex items-center gap-3 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => startEdit(level)}
+                    className="text-xs text-gray-400 hover:text-teal transition"
+                  >
+                    Edit
+                  </button>
+                  {teamRow(level.key) && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(level)}
+                      className="text-xs text-gray-400 hover:text-red transition"
+                    >
+                      {level.builtIn ? 'Reset' : 'Remove'}
+                    </button>
+                  )}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Add / edit level */}
+      <form onSubmit={handleSave} className="space-y-3 max-w-lg">
+        <h3 className="text-sm font-medium text-dark">
+          {editingKey ? (
+            <>
+              Edit{' '}
+              <span className="font-mono">{editingKey}</span>
+            </>
+          ) : (
+            'Add level'
+          )}
+        </h3>
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="text"
+            aria-label="Label"
+            value={form.label}
+            onChange={(e) => setForm({ ...form, label: e.target.value })}
+            placeholder="e.g. Needs approval"
+            className={inputClass}
+          />
+          <input
+            type="number"
+            aria-label="Rank"
+            min={MIN_SEVERITY_RANK}
+            max={MAX_SEVERITY_RANK}
+            step="1"
+            value={form.rank}
+            onChange={(e) => setForm({ ...form, rank: e.target.value })}
+            placeholder="Rank, e.g. 15"
+            className={inputClass}
+          />
+          <div className="flex items-center gap-2">
+            <input
+              type="color"
+              aria-label="Color"
+              value={form.color}
+              onChange={(e) => setForm({ ...form, color: e.target.value })}
+              className="h-10 w-12 shrink-0 rounded border border-gray-300 bg-white p-1"
+            />
+            <input
+              type="text"
+              aria-label="Color hex"
+              value={form.color}
+              onChange={(e) => setForm({ ...form, color: e.target.value })}
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <select
+            aria-label="Icon"
+            value={form.icon}
+            onChange={(e) => setForm({ ...form, icon: e.target.value })}
+            className={inputClass}
+          >
+            {SEVERITY_ICONS.map((icon) => (
+              <option key={icon.value} value={icon.value}>
+                {icon.glyph} {icon.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {formError ? (
+          <p className="text-xs text-red">{formError}</p>
+        ) : (
+          <p className="text-xs text-gray-400">
+            Higher ranks win when several rules match.{' '}
+            {BUILT_IN_SEVERITY_LEVELS.filter((l) => l.rank > 0)
+              .map((l) => `${l.label} is ${l.rank}`)
+              .join(' and ')}
+            . Use a negative rank for a positive signal such as Preferred,
+            which only shows when no restriction matches.
+          </p>
+        )}
+        <div className="flex items-center gap-3">
+          <LevelPill level={previewLevel} />
+          <span className="flex-1" />
+          {editingKey && (
+            <button
+              type="button"
+              onClick={cancelEdit}
+              className="rounded-lg border border-gray-300 px-4 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="rounded-lg bg-teal px-4 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition whitespace-nowrap"
+          >
+            {saving ? 'Saving...' : editingKey ? 'Save Level' : 'Add Level'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
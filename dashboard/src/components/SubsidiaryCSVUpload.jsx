@@ -0,0 +1,195 @@
+import { useState, useRef } from 'react'
+import Papa from 'papaparse'
+
+const REQUIRED_COLUMNS = ['parent', 'subsidiary']
+
+// Validate parsed rows; returns the clean relationships plus per-row errors.
+// Duplicates within the file are dropped silently.
+function validateRows(rows, headers) {
+  const errors = []
+  for (const col of REQUIRED_COLUMNS) {
+    if (!headers.includes(col)) {
+      errors.push(`Missing required column: "${col}"`)
+    }
+  }
+  if (errors.length > 0) return { validRows: [], errors }
+
+  const seen = new Set()
+  const validRows = []
+  rows.forEach((row, idx) => {
+    const rowNum = idx + 2 // 1-indexed + header row
+    const parent = (row.parent || '').trim()
+    const subsidiary = (row.subsidiary || '').trim()
+    if (!parent || !subsidiary) {
+      errors.push(`Row ${rowNum}: parent and subsidiary are both required`)
+      return
+    }
+    if (parent.toLowerCase() === subsidiary.toLowerCase()) {
+      errors.push(`Row ${rowNum}: a company cannot be its own subsidiary`)
+      return
+    }
+    const key = `${parent.toLowerCase()}\u0000${subsidiary.toLowerCase()}`
+    if (seen.has(key)) return
+    seen.add(key)
+    validRows.push({ parent, subsidiary })
+  })
+
+  return { validRows, errors }
+}
+
+export default function SubsidiaryCSVUpload({ onImport }) {
+  const [file, setFile] = useState(null)
+  const [parsedRows, setParsedRows] = useState([])
+  const [errors, setErrors] = useState([])
+  const [importing, setImporting] = useState(false)
+  const inputRef = useRef(null)
+
+  const reset = () => {
+    setFile(null)
+    setParsedRows([])
+    setErrors([])
+    if (inputRef.current) inputRef.current.value = ''
+  }
+
+  const handleFile = (selectedFile) => {
+    if (!selectedFile) return
+    if (!selectedFile.name.endsWith('.csv')) {
+      setErrors(['Please select a CSV file.'])
+      return
+    }
+
+    setFile(selectedFile)
+    setErrors([])
+    setParsedRows([])
+
+    Papa.parse(selectedFile, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim().toLowerCase(),
+      complete: (results) => {
+        const parseErrors = results.errors.map(
+          (e) => `Row ${e.row != null ? e.row + 2 : '?'}: ${e.message}`,
+        )
+        const { validRows, errors: rowErrors } = validateRows(
+          results.data,
+          results.meta.fields || [],
+        )
+        setErrors([...parseErrors, ...rowErrors])
+        setParsedRows(validRows)
+      },
+      error: (err) => {
+        setErrors([`Failed to parse CSV: ${err.message}`])
+      },
+    })
+  }
+
+  const handleImport = async () => {
+    if (!parsedRows.length || !onImport) return
+    setImporting(true)
+    try {
+      await onImport(parsedRows)
+      reset()
+    } catch {
+      // Parent handles errors
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* File picker */}
+      <div className="border-2 border-dashed rounded-xl p-6 text-center border-gray-300">
+        {file ? (
+          <>
+            <p className="text-sm text-dark font-medium">{file.name}</p>
+            <button
+              type="button"
+              onClick={reset}
+              className="mt-2 block mx-auto text-xs text-gray-400 hover:text-gray-600 transition"
+            >
+              Remove file
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            className="rounded-lg bg-teal px-4 py-2 text-sm font-medium text-white hover:bg-teal-dark transition"
+          >
+            Choose File
+          </button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".csv"
+          onChange={(e) => handleFile(e.target.files?.[0])}
+          className="hidden"
+        />
+      </div>
+
+      {/* Expected format hint */}
+      <div className="text-xs text-gray-400">
+        <p className="font-medium text-gray-500 mb-1">
+          Expected CSV columns:
+        </p>
+        <p>
+          <span className="font-mono bg-gray-100 px-1 rounded">parent</span>,{' '}
+          <span className="font-mono bg-gray-100 px-1 rounded">
+            subsidiary
+          </span>{' '}
+          &mdash; one row per relationship
+        </p>
+      </div>
+
+      {/* Errors */}
+      {errors.length > 0 && (
+        <div className="rounded-lg bg-red/10 border border-red/20 px-4 py-3">
+          <p className="text-sm font-medium text-red mb-1">
+            {errors.length} issue{errors.length === 1 ? '' : 's'} found:
+          </p>
+          <ul className="text-xs text-red/80 space-y-0.5 max-h-32 overflow-y-auto">
+            {errors.map((err, i) => (
+              <li key={i}>- {err}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Preview */}
+      {parsedRows.length > 0 && (
+        <div className="space-y-3">
+          <p className="text-sm font-medium text-dark">
+            Preview ({parsedRows.length} relationship
+            {parsedRows.length === 1 ? '' : 's'})
+          </p>
+          <ul className="rounded-lg border border-gray-200 divide-y divide-gray-100 text-xs max-h-48 overflow-y-auto">
+            {parsedRows.slice(0, 20).map((row, i) => (
+              <li key={i} className="px-3 py-2 text-gray-600">
+                <span className="text-dark">{row.subsidiary}</span> &rarr;{' '}
+                {row.parent}
+              </li>
+            ))}
+          </ul>
+          {parsedRows.length > 20 && (
+            <p className="text-xs text-gray-400">
+              ...and {parsedRows.length - 20} more
+            </p>
+          )}
+
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={importing}
+            className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
+          >
+            {importing
+              ? 'Importing...'
+              : `Import ${parsedRows.length} relationship${parsedRows.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
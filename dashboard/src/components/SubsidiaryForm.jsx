@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react'
+
+export default function SubsidiaryForm({
+  initialValues = null,
+  onSubmit,
+  onCancel,
+}) {
+  const [parent, setParent] = useState('')
+  const [subsidiary, setSubsidiary] = useState('')
+  const [errors, setErrors] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+
+  const isEditing = !!initialValues
+
+  useEffect(() => {
+    if (initialValues) {
+      setParent(initialValues.parent || '')
+      setSubsidiary(initialValues.subsidiary || '')
+    }
+  }, [initialValues])
+
+  const validate = () => {
+    const errs = {}
+    if (!parent.trim()) {
+      errs.parent = 'Parent company is required.'
+    }
+    if (!subsidiary.trim()) {
+      errs.subsidiary = 'Subsidiary is required.'
+    } else if (
+      parent.trim().toLowerCase() === subsidiary.trim().toLowerCase()
+    ) {
+      errs.subsidiary = 'A company cannot be its own subsidiary.'
+    }
+    setErrors(errs)
+    return Object.keys(errs).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!validate()) return
+
+    setSubmitting(true)
+    try {
+      await onSubmit({ parent: parent.trim(), subsidiary: subsidiary.trim() })
+    } catch {
+      // Parent handles errors
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const inputClass = (hasError) =>
+    `w-full rounded-lg border px-4 py-2.5 text-sm text-dark placeholder-gray-400 focus:outline-none focus:ring-2 transition ${
+      hasError
+        ? 'border-red focus:border-red focus:ring-red/20'
+        : 'border-gray-300 focus:border-teal focus:ring-teal/20'
+    }`
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {/* Parent */}
+      <div>
+        <label
+          htmlFor="subsidiary-parent"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Parent Company <span className="text-red">*</span>
+        </label>
+        <input
+          id="subsidiary-parent"
+          type="text"
+          value={parent}
+          onChange={(e) => setParent(e.target.value)}
+          placeholder="e.g. Alphabet"
+          className={inputClass(errors.parent)}
+        />
+        {errors.parent ? (
+          <p className="mt-1 text-xs text-red">{errors.parent}</p>
+        ) : (
+          <p className="mt-1 text-xs text-gray-400">
+            Use the same name as the company rule. Suffixes like Inc or Ltd
+            are ignored.
+          </p>
+        )}
+      </div>
+
+      {/* Subsidiary */}
+      <div>
+        <label
+          htmlFor="subsidiary-subsidiary"
+          className="block text-sm font-medium text-dark mb-1.5"
+        >
+          Subsidiary <span className="text-red">*</span>
+        </label>
+        <input
+          id="subsidiary-subsidiary"
+          type="text"
+          value={subsidiary}
+          onChange={(e) => setSubsidiary(e.target.value)}
+          placeholder="e.g. Waymo"
+          className={inputClass(errors.subsidiary)}
+        />
+        {errors.subsidiary ? (
+          <p className="mt-1 text-xs text-red">{errors.subsidiary}</p>
+        ) : (
+          <p className="mt-1 text-xs text-gray-400">
+            A subsidiary can have subsidiaries of its own, e.g. Alphabet
+            &rarr; Google &rarr; DeepMind.
+          </p>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="flex items-center gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
+        >
+          {submitting
+            ? 'Saving...'
+            : isEditing
+              ? 'Update Subsidiary'
+              : 'Add Subsidiary'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={submitting}
+            className="rounded-lg bg-gray-100 px-5 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-200 focus:outline-none transition"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
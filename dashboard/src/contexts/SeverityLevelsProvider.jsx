@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+import { SeverityLevelsContext, mergeSeverityLevels } from '../lib/severities'
+
+// Loads the team's severity levels once for every page. Read them with
+// useSeverityLevels() from lib/severities.
+export default function SeverityLevelsProvider({ children }) {
+  const [teamLevels, setTeamLevels] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const reload = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('severity_levels')
+        .select('*')
+        .order('rank', { ascending: false })
+
+      if (error) throw error
+      setTeamLevels(data || [])
+    } catch (err) {
+      // The built-in levels still apply
+      console.error('SeverityLevels fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    reload()
+  }, [reload])
+
+  const value = useMemo(
+    () => ({
+      levels: mergeSeverityLevels(teamLevels),
+      teamLevels,
+      loading,
+      reload,
+    }),
+    [teamLevels, loading, reload],
+  )
+
+  return (
+    <SeverityLevelsContext.Provider value={value}>
+      {children}
+    </SeverityLevelsContext.Provider>
+  )
+}
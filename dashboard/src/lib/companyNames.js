@@ -0,0 +1,202 @@
+// Company-name normalization for the Settings preview. Keep the tables in
+// sync with extension/data/company-suffixes.js and the algorithms in sync
+// with normalizeCompanyName and isGenericEmployer in
+// extension/content/matcher.js.
+export const COMPANY_SUFFIX_LOCALES = [
+  {
+    code: 'en',
+    name: 'English',
+    suffixes: [
+      'incorporated', 'inc', 'limited', 'ltd', 'corporation', 'corp',
+      'company', 'co', 'co ltd', 'llc', 'llp', 'lp', 'plc', 'pty',
+      'pty ltd',
+    ],
+    stopWords: ['the'],
+  },
+  {
+    code: 'de',
+    name: 'German',
+    suffixes: ['gmbh', 'ag', 'kg', 'gmbh & co kg', 'ug', 'kgaa'],
+    stopWords: [],
+  },
+  {
+    code: 'fr',
+    name: 'French',
+    suffixes: ['sa', 'sas', 'sasu', 'sarl', 'sca', 'snc'],
+    stopWords: [],
+  },
+  { code: 'nl', name: 'Dutch', suffixes: ['bv', 'nv'], stopWords: [] },
+  { code: 'it', name: 'Italian', suffixes: ['spa', 'srl'], stopWords: [] },
+  {
+    code: 'es',
+    name: 'Spanish and Portuguese',
+    suffixes: ['sl', 'sau', 'ltda', 'lda'],
+    stopWords: [],
+  },
+  {
+    code: 'nordic',
+    name: 'Nordic',
+    suffixes: ['ab', 'publ', 'asa', 'as', 'aps', 'oy', 'oyj', 'hf'],
+    stopWords: [],
+  },
+  { code: 'eu', name: 'European', suffixes: ['se'], stopWords: [] },
+  {
+    code: 'ja',
+    name: 'Japanese',
+    suffixes: ['kk', 'kabushiki kaisha', 'godo kaisha'],
+    stopWords: [],
+  },
+  {
+    code: 'in',
+    name: 'Indian',
+    suffixes: ['pvt', 'pvt ltd', 'private limited'],
+    stopWords: [],
+  },
+]
+
+export const GENERIC_EMPLOYERS = [
+  'self-employed', 'self employment', 'freelance', 'freelancer',
+  'freelancing', 'independent', 'independent consultant',
+  'independent contractor', 'contractor', 'consultant', 'stealth',
+  'stealth startup', 'stealth mode', 'stealth mode startup',
+  'confidential', 'confidential company', 'undisclosed', 'private',
+  'various', 'n/a', 'none', 'unemployed', 'career break', 'retired',
+  'student', 'open to work',
+]
+
+export const COMPANY_TERM_KINDS = [
+  {
+    value: 'suffix',
+    label: 'Suffix',
+    hint: 'Stripped from the end of a name, e.g. "Holdings" or "S.C.A.".',
+  },
+  {
+    value: 'stop_word',
+    label: 'Leading stop word',
+    hint: 'A single word dropped from the start of a name, e.g. "The".',
+  },
+  {
+    value: 'generic_employer',
+    label: 'Generic employer',
+    hint: 'A whole employer name that never matches a company rule, e.g. "Sabbatical".',
+  },
+]
+
+function normalize(str) {
+  return String(str ?? '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+}
+
+function splitWords(str) {
+  return normalize(str)
+    .split(/[\s,]+/)
+    .filter((w) => w !== '')
+}
+
+// Letters and digits only, so "Self Employed" equals "self-employed".
+function genericKey(str) {
+  return normalize(str).replace(/[^\p{L}\p{N}]/gu, '')
+}
+
+// Dots, slashes and parentheses are ignored, so "S.A.S." equals "sas".
+function termKey(word) {
+  return word.replace(/[./()]/g, '')
+}
+
+// Returns an error message if the term cannot be used, or null.
+export function validateCompanyTerm(term, kind) {
+  const words = splitWords(term).map(termKey).filter((k) => k !== '')
+  if (words.length === 0) return 'Term is required.'
+  if (term.includes(',')) return 'Terms cannot contain commas.'
+  if (kind === 'stop_word' && words.length > 1) {
+    return 'A stop word must be a single word.'
+  }
+  return null
+}
+
+// Build the suffix, stop-word and generic employer lookup from the
+// built-in tables plus the team's terms ({ term, kind }).
+export function buildCompanyTermIndex(teamTerms = []) {
+  const suffixes = []
+  const seen = new Set()
+  const stopWords = new Set()
+  const genericEmployers = new Set()
+
+  const addSuffix = (suffix) => {
+    const keys = splitWords(suffix)
+      .map(termKey)
+      .filter((k) => k !== '')
+    if (keys.length === 0 || seen.has(keys.join(' '))) return
+    seen.add(keys.join(' '))
+    suffixes.push(keys)
+  }
+  const addStopWord = (word) => {
+    const key = termKey(normalize(word))
+    if (key) stopWords.add(key)
+  }
+
+  const addGenericEmployer = (name) => {
+    const key = genericKey(name)
+    if (key) genericEmployers.add(key)
+  }
+
+  for (const locale of COMPANY_SUFFIX_LOCALES) {
+    locale.suffixes.forEach(addSuffix)
+    locale.stopWords.forEach(addStopWord)
+  }
+  GENERIC_EMPLOYERS.forEach(addGenericEmployer)
+  for (const t of teamTerms) {
+    if (!t?.term) continue
+    if (t.kind === 'stop_word') addStopWord(t.term)
+    else if (t.kind === 'generic_employer') addGenericEmployer(t.term)
+    else addSuffix(t.term)
+  }
+
+  suffixes.sort((a, b) => b.length - a.length)
+  return { suffixes, stopWords, genericEmployers }
+}
+
+// Whether the whole employer name is a placeholder such as "Self-employed".
+export function isGenericEmployer(name, index) {
+  const key = genericKey(name)
+  return key !== '' && index.genericEmployers.has(key)
+}
+
+// Normalize a company name the way the extension does. Returns the
+// normalized name and the words that were removed, in the order they were
+// stripped.
+export function normalizeCompanyName(name, index) {
+  const words = splitWords(name)
+  const removed = []
+  if (words.length < 2) return { normalized: words.join(' '), removed }
+
+  const keys = words.map(termKey)
+  let stripped = true
+  while (stripped) {
+    stripped = false
+    while (keys.length > 1 && !/[\p{L}\p{N}]/u.test(keys[keys.length - 1])) {
+      keys.pop()
+      words.pop()
+    }
+    for (const suffix of index.suffixes) {
+      if (suffix.length >= keys.length) continue
+      const offset = keys.length - suffix.length
+      if (suffix.every((key, j) => keys[offset + j] === key)) {
+        removed.push(words.slice(offset).join(' '))
+        keys.length = offset
+        words.length = offset
+        stripped = true
+        break
+      }
+    }
+  }
+
+  while (keys.length > 1 && index.stopWords.has(keys[0])) {
+    keys.shift()
+    removed.push(words.shift())
+  }
+  return { normalized: words.join(' '), removed }
+}
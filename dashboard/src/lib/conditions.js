@@ -0,0 +1,90 @@
+import { DEFAULT_MATCH_MODE, validateLocationPattern } from './matchModes'
+
+// Candidate fields a compound rule condition can test. Keep in sync with
+// COMPOUND_FIELDS in extension/content/matcher.js.
+export const CONDITION_FIELDS = [
+  { value: 'location', label: 'Location', placeholder: 'e.g. Germany' },
+  { value: 'company', label: 'Company', placeholder: 'e.g. Acme Corp' },
+  { value: 'headline', label: 'Headline', placeholder: 'e.g. open to work' },
+  { value: 'title', label: 'Job title', placeholder: 'e.g. engineer' },
+]
+
+// Company conditions always use the company-rule comparison (suffixes
+// stripped, containment either way), so they have no match mode.
+export function fieldHasMatchMode(field) {
+  return field !== 'company'
+}
+
+// Deepest group nesting the builder allows. The root group is depth 1.
+export const MAX_GROUP_DEPTH = 3
+
+export function createCondition(field = 'location') {
+  return { field, pattern: '', match_mode: DEFAULT_MATCH_MODE, negate: false }
+}
+
+export function createGroup(op = 'and') {
+  return { op, negate: false, conditions: [createCondition()] }
+}
+
+export function isGroup(node) {
+  return Array.isArray(node?.conditions)
+}
+
+// Trim patterns and drop match_mode from company leaves so the stored JSON
+// only carries what the matcher reads.
+export function cleanConditions(node) {
+  if (isGroup(node)) {
+    return {
+      op: node.op === 'or' ? 'or' : 'and',
+      negate: !!node.negate,
+      conditions: node.conditions.map(cleanConditions),
+    }
+  }
+  const leaf = {
+    field: node.field,
+    pattern: node.pattern.trim(),
+    negate: !!node.negate,
+  }
+  if (fieldHasMatchMode(node.field)) {
+    leaf.match_mode = node.match_mode || DEFAULT_MATCH_MODE
+  }
+  return leaf
+}
+
+// Returns an error message for the first problem in the tree, or null.
+export function validateConditions(node) {
+  if (isGroup(node)) {
+    if (node.conditions.length === 0) {
+      return 'Every group needs at least one condition.'
+    }
+    for (const child of node.conditions) {
+      const err = validateConditions(child)
+      if (err) return err
+    }
+    return null
+  }
+  if (!node.pattern.trim()) {
+    return 'Every condition needs a value to match.'
+  }
+  if (fieldHasMatchMode(node.field)) {
+    return validateLocationPattern(node.pattern.trim(), node.match_mode)
+  }
+  return null
+}
+
+// Human-readable summary, e.g.
+// 'location "Germany" and company not "Acme"'. Mirrors the wording the
+// extension uses when it explains a compound match.
+export function describeConditions(node) {
+  if (!node) return ''
+  if (isGroup(node)) {
+    const joined = node.conditions
+      .map((child) => {
+        const text = describeConditions(child)
+        return isGroup(child) && !child.negate ? `(${text})` : text
+      })
+      .join(node.op === 'or' ? ' or ' : ' and ')
+    return node.negate ? `not (${joined})` : joined
+  }
+  return `${node.field}${node.negate ? ' not' : ''} "${node.pattern}"`
+}
@@ -0,0 +1,36 @@
+// LinkedIn company page references for company rules. Keep the parsing in
+// sync with normalizeCompanyId in extension/content/matcher.js.
+
+// A company page ID is the numeric ID or vanity name after /company/ in the
+// page URL, e.g. "apex-systems" in linkedin.com/company/apex-systems/.
+const COMPANY_ID_PATTERN = /^[a-z0-9][a-z0-9\-_.%]*$/
+
+// Reduce a company page URL or bare ID to the lowercased ID.
+export function normalizeCompanyId(value) {
+  let id = String(value ?? '').trim()
+  const match = id.match(/\/company\/([^/?#]+)/i)
+  if (match) id = match[1]
+  try {
+    id = decodeURIComponent(id)
+  } catch {
+    // Keep the raw text
+  }
+  return id.replace(/\/+$/, '').trim().toLowerCase()
+}
+
+// Parse a comma-separated list of company page URLs or IDs. Returns the
+// unique IDs plus any entries that do not look like a company page.
+export function parseCompanyIds(text) {
+  const ids = []
+  const invalid = []
+  for (const part of String(text ?? '').split(',')) {
+    if (!part.trim()) continue
+    const id = normalizeCompanyId(part)
+    if (!COMPANY_ID_PATTERN.test(id)) {
+      invalid.push(part.trim())
+    } else if (!ids.includes(id)) {
+      ids.push(id)
+    }
+  }
+  return { ids, invalid }
+}
@@ -0,0 +1,41 @@
+// Location rule match modes. Keep in sync with MATCH_MODES in
+// extension/content/matcher.js.
+export const MATCH_MODE_OPTIONS = [
+  {
+    value: 'substring',
+    label: 'Contains text',
+    hint: 'Matches any location that contains this text.',
+  },
+  {
+    value: 'word',
+    label: 'Whole word',
+    hint: 'Matches whole words only, so "Oman" will not match "Romania".',
+  },
+  {
+    value: 'exact',
+    label: 'Exact match',
+    hint: 'Matches only when the entire location equals this text.',
+  },
+  {
+    value: 'regex',
+    label: 'Regular expression',
+    hint: 'Case-insensitive JavaScript regular expression. Commas are not treated as separators.',
+  },
+]
+
+export const MATCH_MODES = MATCH_MODE_OPTIONS.map((opt) => opt.value)
+
+export const DEFAULT_MATCH_MODE = 'substring'
+
+// Returns an error message if the pattern is not valid for the given mode,
+// or null if it is. Regexes are compiled with the same flags the extension
+// uses so a rule that saves here can never fail on a LinkedIn page.
+export function validateLocationPattern(pattern, mode) {
+  if (mode !== 'regex') return null
+  try {
+    new RegExp(pattern, 'i')
+    return null
+  } catch (err) {
+    return `Invalid regular expression: ${err.message}`
+  }
+}
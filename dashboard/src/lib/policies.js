@@ -0,0 +1,36 @@
+import { scheduleTime } from './schedule'
+
+// Whether a policy's rules are enforced. Keep in sync with policyState in
+// extension/content/matcher.js.
+export const POLICY_STATES = [
+  { value: 'active', label: 'Active', className: 'bg-teal/10 text-teal' },
+  { value: 'inactive', label: 'Off', className: 'bg-gray-100 text-gray-500' },
+  { value: 'expired', label: 'Expired', className: 'bg-red/10 text-red' },
+]
+
+// 'inactive' when switched off, 'expired' from expires_at, else 'active'.
+export function policyState(policy, now = Date.now()) {
+  if (!policy.active) return 'inactive'
+  const expires = scheduleTime(policy.expires_at, true)
+  if (expires !== null && now >= expires) return 'expired'
+  return 'active'
+}
+
+export function policyStateInfo(policy) {
+  return POLICY_STATES.find((s) => s.value === policyState(policy))
+}
+
+// Returns an error message for a policy about to be saved, or null. `id` is
+// the id of the policy being edited, if any.
+export function validatePolicy(values, policies, id = null) {
+  const name = values.name.trim()
+  if (!name) return 'Name is required.'
+  if (
+    policies.some(
+      (p) => p.id !== id && p.name.toLowerCase() === name.toLowerCase(),
+    )
+  ) {
+    return `A policy named "${name}" already exists.`
+  }
+  return null
+}
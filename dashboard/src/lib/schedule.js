@@ -0,0 +1,77 @@
+// Start and expiry dates for location and company rules. Keep the states in
+// sync with scheduleState in extension/content/matcher.js.
+export const SCHEDULE_STATES = [
+  { value: 'active', label: 'Active', className: 'bg-teal/10 text-teal' },
+  { value: 'scheduled', label: 'Scheduled', className: 'bg-navy/10 text-navy' },
+  { value: 'expired', label: 'Expired', className: 'bg-red/10 text-red' },
+]
+
+export const SCHEDULE_FILTERS = [
+  { value: 'all', label: 'All' },
+  ...SCHEDULE_STATES,
+]
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/
+
+function localDay(value, offsetDays = 0) {
+  const [, y, m, d] = DATE_ONLY.exec(value)
+  return new Date(Number(y), Number(m) - 1, Number(d) + offsetDays)
+}
+
+// Milliseconds for a starts_at / expires_at, or null. A date-only value is
+// a day in the local time zone; as an expiry it lasts to the end of the day.
+export function scheduleTime(value, isExpiry = false) {
+  if (!value) return null
+  const text = String(value).trim()
+  if (DATE_ONLY.test(text)) return localDay(text, isExpiry ? 1 : 0).getTime()
+  const time = new Date(text).getTime()
+  return Number.isNaN(time) ? null : time
+}
+
+// 'scheduled' before starts_at, 'expired' from expires_at, else 'active'.
+export function scheduleState(rule, now = Date.now()) {
+  const expires = scheduleTime(rule?.expires_at, true)
+  if (expires !== null && now >= expires) return 'expired'
+  const starts = scheduleTime(rule?.starts_at)
+  if (starts !== null && now < starts) return 'scheduled'
+  return 'active'
+}
+
+// The timestamp to store for a date input or CSV value, or null if it is not
+// a date. A plain day becomes the start of that day in the admin's time
+// zone, or for an expiry the start of the next day, so the whole day is
+// included.
+export function toScheduleTimestamp(value, isExpiry = false) {
+  const time = scheduleTime(value, isExpiry)
+  return time === null ? null : new Date(time).toISOString()
+}
+
+// The reverse of toScheduleTimestamp, as YYYY-MM-DD in local time.
+export function timestampToDateInput(value, isExpiry = false) {
+  const time = scheduleTime(value, isExpiry)
+  if (time === null) return ''
+  const date = new Date(isExpiry ? time - 1 : time)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// The first day a rule applies, or the last day for an expiry.
+export function formatScheduleDate(value, isExpiry = false) {
+  const time = scheduleTime(value, isExpiry)
+  if (time === null) return ''
+  return new Date(isExpiry ? time - 1 : time).toLocaleDateString()
+}
+
+// Returns an error message if the dates cannot be used together, or null.
+// Both are YYYY-MM-DD date input values.
+export function validateSchedule(startsAt, expiresAt) {
+  if (startsAt && expiresAt && startsAt > expiresAt) {
+    return 'The start date must be on or before the expiry date.'
+  }
+  return null
+}
+
+// The time zone date inputs are read in, e.g. "Europe/Berlin".
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'local time'
+}
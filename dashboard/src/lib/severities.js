@@ -0,0 +1,144 @@
+import { createContext, useContext } from 'react'
+
+// Severity levels a rule can carry. Keep the built-in levels and icons in
+// sync with extension/data/severity-levels.js, and the ordering with
+// outranks in extension/content/matcher.js.
+//
+// rank > 0 restricts sourcing (higher is stricter), rank < 0 is a positive
+// signal such as "Preferred", and 0 is green: nothing matched.
+export const BUILT_IN_SEVERITY_LEVELS = [
+  { key: 'red', label: 'Restricted', rank: 20, color: '#DC2626', icon: 'block' },
+  { key: 'amber', label: 'Caution', rank: 10, color: '#F59E0B', icon: 'warning' },
+  { key: 'green', label: 'Clear', rank: 0, color: '#0EA5A0', icon: 'check' },
+]
+
+// Unknown keys (a level deleted while the extension still has rules using
+// it) are shown and ranked as this level.
+export const FALLBACK_SEVERITY = 'amber'
+
+export const SEVERITY_ICONS = [
+  { value: 'block', label: 'Stop', glyph: '⊘' },
+  { value: 'warning', label: 'Warning', glyph: '!' },
+  { value: 'flag', label: 'Flag', glyph: '⚑' },
+  { value: 'info', label: 'Info', glyph: 'i' },
+  { value: 'star', label: 'Star', glyph: '★' },
+  { value: 'check', label: 'Check', glyph: '✓' },
+]
+
+export const MIN_SEVERITY_RANK = -100
+export const MAX_SEVERITY_RANK = 100
+
+// The team's levels merged over the built-in ones (a team level with a
+// built-in key replaces it), strictest first and positive levels last.
+export function mergeSeverityLevels(teamLevels = []) {
+  const byKey = new Map()
+  for (const level of BUILT_IN_SEVERITY_LEVELS) {
+    byKey.set(level.key, { ...level, builtIn: true })
+  }
+  for (const level of teamLevels) {
+    byKey.set(level.key, {
+      ...level,
+      builtIn: BUILT_IN_SEVERITY_LEVELS.some((b) => b.key === level.key),
+    })
+  }
+  return [...byKey.values()].sort((a, b) => b.rank - a.rank)
+}
+
+export function findSeverityLevel(levels, key) {
+  const level = levels.find((l) => l.key === key)
+  if (level) return level
+  const fallback = levels.find((l) => l.key === FALLBACK_SEVERITY)
+  return { ...fallback, key }
+}
+
+// Levels a rule can carry: every level except green.
+export function ruleSeverityOptions(levels) {
+  return levels.filter((l) => l.rank !== 0)
+}
+
+// What an exception rule does to the matches it applies to: the severity
+// they are lowered to. Positive levels never lower a restriction.
+export function exceptionActions(levels) {
+  return [
+    { value: 'green', label: 'Clear the match' },
+    ...levels
+      .filter((l) => l.rank > 0)
+      .reverse()
+      .map((l) => ({ value: l.key, label: `Downgrade to ${l.label}` })),
+  ]
+}
+
+export function severityGlyph(level) {
+  return SEVERITY_ICONS.find((i) => i.value === level.icon)?.glyph || '!'
+}
+
+// White or dark text, whichever contrasts more with a #RRGGBB color (WCAG
+// relative luminance). Matches the banner in extension/content/banner.js.
+export function severityTextColor(color) {
+  const n = parseInt(String(color).slice(1), 16) || 0
+  const [r, g, b] = [n >> 16, (n >> 8) & 255, n & 255].map((c) => {
+    const v = c / 255
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4
+  })
+  const l = 0.2126 * r + 0.7152 * g + 0.0722 * b
+  // #2D2D2D has a relative luminance of about 0.026
+  return 1.05 / (l + 0.05) >= (l + 0.05) / 0.076 ? '#ffffff' : '#2D2D2D'
+}
+
+// Storage key for a new level's label, e.g. "Needs approval" → "needs_approval".
+export function severityKeyFromLabel(label) {
+  return label
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '')
+}
+
+// Returns an error message for a level about to be saved, or null. `key` is
+// the key of the level being edited, if any.
+export function validateSeverityLevel(values, levels, key = null) {
+  const label = values.label.trim()
+  if (!label) return 'Label is required.'
+  const newKey = key || severityKeyFromLabel(label)
+  if (!newKey) return 'The label must contain a letter.'
+  if (!key && levels.some((l) => l.key === newKey)) {
+    return `A level with the key "${newKey}" already exists.`
+  }
+  if (
+    levels.some(
+      (l) => l.key !== newKey && l.label.toLowerCase() === label.toLowerCase(),
+    )
+  ) {
+    return `"${label}" is already the label of another level.`
+  }
+  const rank = Number(values.rank)
+  if (!Number.isInteger(rank) || rank === 0) {
+    return 'Rank must be a whole number other than 0.'
+  }
+  if (rank < MIN_SEVERITY_RANK || rank > MAX_SEVERITY_RANK) {
+    return `Rank must be between ${MIN_SEVERITY_RANK} and ${MAX_SEVERITY_RANK}.`
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(values.color)) {
+    return 'Color must be a hex color such as #7C3AED.'
+  }
+  return null
+}
+
+// Shared with SeverityLevelsProvider, which loads the team's levels once
+// for every page.
+export const SeverityLevelsContext = createContext(null)
+
+// { levels, teamLevels, loading, reload }. Outside the provider (or before
+// the team's levels load) levels are the built-in ones.
+export function useSeverityLevels() {
+  return (
+    useContext(SeverityLevelsContext) || {
+      levels: mergeSeverityLevels(),
+      teamLevels: [],
+      loading: false,
+      reload: () => {},
+    }
+  )
+}
@@ -1,50 +1,48 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { supabase } from '../lib/supabase'
 import RuleTable from '../components/RuleTable'
+import SeverityBadge from '../components/SeverityBadge'
 import RuleForm from '../components/RuleForm'
 import CSVUpload from '../components/CSVUpload'
-
-function ExpiresCell({ value }) {
-  if (!value) {
-    return <span className="text-gray-400 text-sm">Never</span>
-  }
-  const date = new Date(value)
-  const now = new Date()
-  const isExpired = date < now
-  return (
-    <span
-      className={`text-sm ${isExpired ? 'text-red font-medium' : 'text-gray-600'}`}
-    >
-      {date.toLocaleDateString()}
-      {isExpired && (
-        <span className="ml-1 text-xs">(expired)</span>
-      )}
-    </span>
-  )
-}
+import ScheduleCell from '../components/ScheduleCell'
+import ScheduleFilter from '../components/ScheduleFilter'
+import PolicyCell from '../components/PolicyCell'
+import { scheduleState } from '../lib/schedule'
 
 const COLUMNS = [
   {
     key: 'pattern',
     label: 'Pattern',
     sortable: true,
-    render: (val) => (
-      <span className="font-mono text-sm text-dark">{val}</span>
+    render: (val, row) => (
+      <span className="font-mono text-sm text-dark">
+        {val}
+        {row.include_subsidiaries && (
+          <span className="ml-2 font-sans text-xs text-gray-400">
+            + subsidiaries
+          </span>
+        )}
+        {row.allow_reverse_match === false && (
+          <span className="ml-2 font-sans text-xs text-gray-400">
+            full name only
+          </span>
+        )}
+        {row.linkedin_company_ids?.length > 0 && (
+          <span
+            className="block font-sans text-xs text-gray-400"
+            title="Matched by LinkedIn company page"
+          >
+            linkedin.com/company/{row.linkedin_company_ids.join(', ')}
+          </span>
+        )}
+      </span>
     ),
   },
   {
     key: 'severity',
     label: 'Severity',
     sortable: true,
-    render: (val) => (
-      <span
-        className={`inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold text-white ${
-          val === 'red' ? 'bg-red' : 'bg-orange'
-        }`}
-      >
-        {val}
-      </span>
-    ),
+    render: (val) => <SeverityBadge severity={val} />,
   },
   {
     key: 'message',
@@ -56,33 +54,53 @@ const COLUMNS = [
       </span>
     ),
   },
+  {
+    key: 'lookback_months',
+    label: 'Former Employees',
+    sortable: true,
+    render: (val) => (
+      <span className="text-gray-600 text-sm whitespace-nowrap">
+        {val ? `Left within ${val} mo` : '-'}
+      </span>
+    ),
+  },
   {
     key: 'expires_at',
-    label: 'Expires',
+    label: 'Schedule',
     sortable: true,
-    render: (val) => <ExpiresCell value={val} />,
+    render: (_, row) => <ScheduleCell rule={row} />,
   },
 ]
 
 export default function CompanyRules() {
   const [rules, setRules] = useState([])
+  const [policies, setPolicies] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [showForm, setShowForm] = useState(false)
   const [editingRule, setEditingRule] = useState(null)
   const [showCSV, setShowCSV] = useState(false)
+  const [scheduleFilter, setScheduleFilter] = useState('all')
 
   const fetchRules = useCallback(async () => {
     setLoading(true)
     setError('')
     try {
-      const { data, error: fetchErr } = await supabase
-        .from('company_rules')
-        .select('*')
-        .order('created_at', { ascending: false })
+      const [{ data, error: fetchErr }, policyRes] = await Promise.all([
+        supabase
+          .from('company_rules')
+          .select('*')
+          .order('created_at', { ascending: false }),
+        supabase
+          .from('policies')
+          .select('id, name, active, expires_at')
+          .order('name', { ascending: true }),
+      ])
 
       if (fetchErr) throw fetchErr
+      if (policyRes.error) throw policyRes.error
       setRules(data || [])
+      setPolicies(policyRes.data || [])
     } catch (err) {
       setError('Failed to load company rules. Please try again.')
       console.error('CompanyRules fetch error:', err)
@@ -95,6 +113,29 @@ export default function CompanyRules() {
     fetchRules()
   }, [fetchRules])
 
+  const columns = useMemo(
+    () => [
+      ...COLUMNS,
+      {
+        key: 'policy_id',
+        label: 'Policy',
+        sortable: false,
+        render: (val) => (
+          <PolicyCell policy={policies.find((p) => p.id === val)} />
+        ),
+      },
+    ],
+    [policies],
+  )
+
+  const visibleRules = useMemo(
+    () =>
+      scheduleFilter === 'all'
+        ? rules
+        : rules.filter((r) => scheduleState(r) === scheduleFilter),
+    [rules, scheduleFilter],
+  )
+
   const handleAdd = async (values) => {
     setError('')
     const tempId = `temp-${Date.now()}`
@@ -291,6 +332,7 @@ export default function CompanyRules() {
           <RuleForm
             type="company"
             initialValues={editingRule}
+            policies={policies}
             onSubmit={editingRule ? handleEdit : handleAdd}
             onCancel={closeForm}
           />
@@ -298,14 +340,25 @@ export default function CompanyRules() {
       )}
 
       {/* Table */}
+      {!loading && rules.length > 0 && (
+        <ScheduleFilter
+          rules={rules}
+          value={scheduleFilter}
+          onChange={setScheduleFilter}
+        />
+      )}
       <RuleTable
-        columns={COLUMNS}
-        data={rules}
+        columns={columns}
+        data={visibleRules}
         loading={loading}
         onEdit={openEdit}
         onDelete={handleDelete}
         onToggleActive={handleToggleActive}
-        emptyMessage="No company rules configured. Add your first rule to get started."
+        emptyMessage={
+          rules.length > 0
+            ? `No ${scheduleFilter} company rules.`
+            : 'No company rules configured. Add your first rule to get started.'
+        }
       />
     </div>
   )
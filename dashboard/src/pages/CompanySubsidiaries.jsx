@@ -0,0 +1,262 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import RuleTable from '../components/RuleTable'
+import SubsidiaryForm from '../components/SubsidiaryForm'
+import SubsidiaryCSVUpload from '../components/SubsidiaryCSVUpload'
+
+const COLUMNS = [
+  {
+    key: 'subsidiary',
+    label: 'Subsidiary',
+    sortable: true,
+    render: (val) => (
+      <span className="font-mono text-sm text-dark">{val}</span>
+    ),
+  },
+  {
+    key: 'parent',
+    label: 'Parent Company',
+    sortable: true,
+    render: (val) => <span className="text-gray-600 text-sm">{val}</span>,
+  },
+]
+
+const linkKey = (row) =>
+  `${row.parent.toLowerCase()}\u0000${row.subsidiary.toLowerCase()}`
+
+export default function CompanySubsidiaries() {
+  const [links, setLinks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingLink, setEditingLink] = useState(null)
+  const [showCSV, setShowCSV] = useState(false)
+
+  const fetchLinks = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const { data, error: fetchErr } = await supabase
+        .from('company_subsidiaries')
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (fetchErr) throw fetchErr
+      setLinks(data || [])
+    } catch (err) {
+      setError('Failed to load company subsidiaries. Please try again.')
+      console.error('CompanySubsidiaries fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchLinks()
+  }, [fetchLinks])
+
+  const handleAdd = async (values) => {
+    setError('')
+    // Optimistic: add to list
+    const tempId = `temp-${Date.now()}`
+    setLinks((prev) => [{ id: tempId, ...values }, ...prev])
+    setShowForm(false)
+
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('company_subsidiaries')
+        .insert([values])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+
+      // Replace optimistic entry with real one
+      setLinks((prev) => prev.map((a) => (a.id === tempId ? data : a)))
+    } catch (err) {
+      // Rollback
+      setLinks((prev) => prev.filter((a) => a.id !== tempId))
+      setError(
+        err?.code === '23505'
+          ? `${values.subsidiary} is already listed under ${values.parent}.`
+          : 'Failed to add subsidiary. Please try again.',
+      )
+      console.error('Add subsidiary error:', err)
+    }
+  }
+
+  const handleEdit = async (values) => {
+    if (!editingLink) return
+    setError('')
+
+    const original = { ...editingLink }
+    // Optimistic update
+    setLinks((prev) =>
+      prev.map((a) => (a.id === original.id ? { ...a, ...values } : a)),
+    )
+    setEditingLink(null)
+    setShowForm(false)
+
+    try {
+      const { error: updateErr } = await supabase
+        .from('company_subsidiaries')
+        .update(values)
+        .eq('id', original.id)
+
+      if (updateErr) throw updateErr
+    } catch (err) {
+      // Rollback
+      setLinks((prev) =>
+        prev.map((a) => (a.id === original.id ? original : a)),
+      )
+      setError('Failed to update subsidiary. Please try again.')
+      console.error('Update subsidiary error:', err)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    setError('')
+    const deleted = links.find((a) => a.id === id)
+    // Optimistic remove
+    setLinks((prev) => prev.filter((a) => a.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('company_subsidiaries')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+    } catch (err) {
+      // Rollback
+      if (deleted) {
+        setLinks((prev) => [deleted, ...prev])
+      }
+      setError('Failed to delete subsidiary. Please try again.')
+      console.error('Delete subsidiary error:', err)
+    }
+  }
+
+  const handleCSVImport = async (rows) => {
+    setError('')
+    try {
+      // Skip relationships the team already has; the unique index would
+      // reject the whole batch otherwise
+      const existing = new Set(links.map(linkKey))
+      const toInsert = rows.filter((row) => !existing.has(linkKey(row)))
+      if (toInsert.length === 0) {
+        setShowCSV(false)
+        return
+      }
+
+      const { data, error: insertErr } = await supabase
+        .from('company_subsidiaries')
+        .insert(toInsert)
+        .select()
+
+      if (insertErr) throw insertErr
+      setLinks((prev) => [...(data || []), ...prev])
+      setShowCSV(false)
+    } catch (err) {
+      setError('Failed to import subsidiaries. Please try again.')
+      console.error('CSV import error:', err)
+      throw err // re-throw so SubsidiaryCSVUpload knows import failed
+    }
+  }
+
+  const openEdit = (link) => {
+    setEditingLink(link)
+    setShowForm(true)
+    setShowCSV(false)
+  }
+
+  const openAdd = () => {
+    setEditingLink(null)
+    setShowForm(true)
+    setShowCSV(false)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingLink(null)
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-navy">Company Subsidiaries</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Map parent companies to their subsidiaries. Company rules set to
+            include subsidiaries flag the whole corporate family.
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => {
+              setShowCSV(!showCSV)
+              setShowForm(false)
+            }}
+            className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium text-gray-600 hover:bg-gray-50 transition"
+          >
+            {showCSV ? 'Close Import' : 'Import CSV'}
+          </button>
+          <button
+            onClick={openAdd}
+            className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark transition"
+          >
+            Add Subsidiary
+          </button>
+        </div>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* CSV Upload */}
+      {showCSV && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            Import Subsidiaries from CSV
+          </h2>
+          <SubsidiaryCSVUpload onImport={handleCSVImport} />
+        </div>
+      )}
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            {editingLink ? 'Edit Subsidiary' : 'Add New Subsidiary'}
+          </h2>
+          <SubsidiaryForm
+            initialValues={editingLink}
+            onSubmit={editingLink ? handleEdit : handleAdd}
+            onCancel={closeForm}
+          />
+        </div>
+      )}
+
+      {/* Table */}
+      <RuleTable
+        columns={COLUMNS}
+        data={links}
+        loading={loading}
+        onEdit={openEdit}
+        onDelete={handleDelete}
+        emptyMessage="No subsidiaries yet. Add one, or import a parent/subsidiary CSV, to let company rules cover a corporate family."
+      />
+    </div>
+  )
+}
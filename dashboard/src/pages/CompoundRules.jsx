@@ -0,0 +1,249 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import RuleTable from '../components/RuleTable'
+import SeverityBadge from '../components/SeverityBadge'
+import CompoundRuleForm from '../components/CompoundRuleForm'
+import { describeConditions } from '../lib/conditions'
+
+const COLUMNS = [
+  {
+    key: 'name',
+    label: 'Name',
+    sortable: true,
+    render: (val) => <span className="text-sm font-medium text-dark">{val}</span>,
+  },
+  {
+    key: 'conditions',
+    label: 'Conditions',
+    sortable: false,
+    render: (val) => (
+      <span className="font-mono text-xs text-gray-600 max-w-md block">
+        {describeConditions(val)}
+      </span>
+    ),
+  },
+  {
+    key: 'severity',
+    label: 'Severity',
+    sortable: true,
+    render: (val) => <SeverityBadge severity={val} />,
+  },
+  {
+    key: 'message',
+    label: 'Message',
+    sortable: false,
+    render: (val) => (
+      <span className="text-gray-600 text-sm max-w-xs truncate block">
+        {val || '-'}
+      </span>
+    ),
+  },
+]
+
+export default function CompoundRules() {
+  const [rules, setRules] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const { data, error: fetchErr } = await supabase
+        .from('compound_rules')
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (fetchErr) throw fetchErr
+      setRules(data || [])
+    } catch (err) {
+      setError('Failed to load compound rules. Please try again.')
+      console.error('CompoundRules fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRules()
+  }, [fetchRules])
+
+  const handleAdd = async (values) => {
+    setError('')
+    // Optimistic: add to list
+    const tempId = `temp-${Date.now()}`
+    setRules((prev) => [{ id: tempId, ...values, active: true }, ...prev])
+    setShowForm(false)
+
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('compound_rules')
+        .insert([{ ...values, active: true }])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+
+      // Replace optimistic entry with real one
+      setRules((prev) => prev.map((r) => (r.id === tempId ? data : r)))
+    } catch (err) {
+      // Rollback
+      setRules((prev) => prev.filter((r) => r.id !== tempId))
+      setError('Failed to add rule. Please try again.')
+      console.error('Add compound rule error:', err)
+    }
+  }
+
+  const handleEdit = async (values) => {
+    if (!editingRule) return
+    setError('')
+
+    const originalRule = { ...editingRule }
+    // Optimistic update
+    setRules((prev) =>
+      prev.map((r) => (r.id === originalRule.id ? { ...r, ...values } : r)),
+    )
+    setEditingRule(null)
+    setShowForm(false)
+
+    try {
+      const { error: updateErr } = await supabase
+        .from('compound_rules')
+        .update(values)
+        .eq('id', originalRule.id)
+
+      if (updateErr) throw updateErr
+    } catch (err) {
+      // Rollback
+      setRules((prev) =>
+        prev.map((r) => (r.id === originalRule.id ? originalRule : r)),
+      )
+      setError('Failed to update rule. Please try again.')
+      console.error('Update compound rule error:', err)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    setError('')
+    const deletedRule = rules.find((r) => r.id === id)
+    // Optimistic remove
+    setRules((prev) => prev.filter((r) => r.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('compound_rules')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+    } catch (err) {
+      // Rollback
+      if (deletedRule) {
+        setRules((prev) => [deletedRule, ...prev])
+      }
+      setError('Failed to delete rule. Please try again.')
+      console.error('Delete compound rule error:', err)
+    }
+  }
+
+  const handleToggleActive = async (id, newStatus) => {
+    setError('')
+    // Optimistic
+    setRules((prev) =>
+      prev.map((r) => (r.id === id ? { ...r, active: newStatus } : r)),
+    )
+
+    try {
+      const { error: toggleErr } = await supabase
+        .from('compound_rules')
+        .update({ active: newStatus })
+        .eq('id', id)
+
+      if (toggleErr) throw toggleErr
+    } catch (err) {
+      // Rollback
+      setRules((prev) =>
+        prev.map((r) => (r.id === id ? { ...r, active: !newStatus } : r)),
+      )
+      setError('Failed to update rule status. Please try again.')
+      console.error('Toggle active error:', err)
+    }
+  }
+
+  const openEdit = (rule) => {
+    setEditingRule(rule)
+    setShowForm(true)
+  }
+
+  const openAdd = () => {
+    setEditingRule(null)
+    setShowForm(true)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingRule(null)
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-navy">Compound Rules</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Combine location, company, headline and title conditions with
+            AND, OR and NOT
+          </p>
+        </div>
+        <button
+          onClick={openAdd}
+          className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark transition"
+        >
+          Add Rule
+        </button>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            {editingRule ? 'Edit Rule' : 'Add New Rule'}
+          </h2>
+          <CompoundRuleForm
+            initialValues={editingRule}
+            onSubmit={editingRule ? handleEdit : handleAdd}
+            onCancel={closeForm}
+          />
+        </div>
+      )}
+
+      {/* Table */}
+      <RuleTable
+        columns={COLUMNS}
+        data={rules}
+        loading={loading}
+        onEdit={openEdit}
+        onDelete={handleDelete}
+        onToggleActive={handleToggleActive}
+        activeKey="active"
+        emptyMessage="No compound rules configured. Add a rule to flag combinations such as a company in a specific country."
+      />
+    </div>
+  )
+}
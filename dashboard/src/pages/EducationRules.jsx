@@ -0,0 +1,262 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import RuleTable from '../components/RuleTable'
+import SeverityBadge from '../components/SeverityBadge'
+import RuleForm from '../components/RuleForm'
+import { MATCH_MODE_OPTIONS } from '../lib/matchModes'
+
+const COLUMNS = [
+  {
+    key: 'pattern',
+    label: 'Pattern',
+    sortable: true,
+    render: (val) => (
+      <span className="font-mono text-sm text-dark">{val}</span>
+    ),
+  },
+  {
+    key: 'match_mode',
+    label: 'Match',
+    sortable: true,
+    render: (val) => (
+      <span className="text-gray-600 text-sm whitespace-nowrap">
+        {MATCH_MODE_OPTIONS.find((opt) => opt.value === val)?.label ||
+          'Contains text'}
+      </span>
+    ),
+  },
+  {
+    key: 'graduated_within_years',
+    label: 'Graduated',
+    sortable: true,
+    render: (val) => (
+      <span className="text-gray-600 text-sm whitespace-nowrap">
+        {val ? `Within ${val} year${val === 1 ? '' : 's'}` : 'Any time'}
+      </span>
+    ),
+  },
+  {
+    key: 'severity',
+    label: 'Severity',
+    sortable: true,
+    render: (val) => <SeverityBadge severity={val} />,
+  },
+  {
+    key: 'message',
+    label: 'Message',
+    sortable: false,
+    render: (val) => (
+      <span className="text-gray-600 text-sm max-w-xs truncate block">
+        {val || '-'}
+      </span>
+    ),
+  },
+]
+
+export default function EducationRules() {
+  const [rules, setRules] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const { data, error: fetchErr } = await supabase
+        .from('education_rules')
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (fetchErr) throw fetchErr
+      setRules(data || [])
+    } catch (err) {
+      setError('Failed to load education rules. Please try again.')
+      console.error('EducationRules fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRules()
+  }, [fetchRules])
+
+  const handleAdd = async (values) => {
+    setError('')
+    // Optimistic: add to list
+    const tempId = `temp-${Date.now()}`
+    setRules((prev) => [{ id: tempId, ...values, active: true }, ...prev])
+    setShowForm(false)
+
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('education_rules')
+        .insert([{ ...values, active: true }])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+
+      // Replace optimistic entry with real one
+      setRules((prev) => prev.map((r) => (r.id === tempId ? data : r)))
+    } catch (err) {
+      // Rollback
+      setRules((prev) => prev.filter((r) => r.id !== tempId))
+      setError('Failed to add rule. Please try again.')
+      console.error('Add education rule error:', err)
+    }
+  }
+
+  const handleEdit = async (values) => {
+    if (!editingRule) return
+    setError('')
+
+    const originalRule = { ...editingRule }
+    // Optimistic update
+    setRules((prev) =>
+      prev.map((r) => (r.id === originalRule.id ? { ...r, ...values } : r)),
+    )
+    setEditingRule(null)
+    setShowForm(false)
+
+    try {
+      const { error: updateErr } = await supabase
+        .from('education_rules')
+        .update(values)
+        .eq('id', originalRule.id)
+
+      if (updateErr) throw updateErr
+    } catch (err) {
+      // Rollback
+      setRules((prev) =>
+        prev.map((r) => (r.id === originalRule.id ? originalRule : r)),
+      )
+      setError('Failed to update rule. Please try again.')
+      console.error('Update education rule error:', err)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    setError('')
+    const deletedRule = rules.find((r) => r.id === id)
+    // Optimistic remove
+    setRules((prev) => prev.filter((r) => r.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('education_rules')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+    } catch (err) {
+      // Rollback
+      if (deletedRule) {
+        setRules((prev) => [deletedRule, ...prev])
+      }
+      setError('Failed to delete rule. Please try again.')
+      console.error('Delete education rule error:', err)
+    }
+  }
+
+  const handleToggleActive = async (id, newStatus) => {
+    setError('')
+    // Optimistic
+    setRules((prev) =>
+      prev.map((r) => (r.id === id ? { ...r, active: newStatus } : r)),
+    )
+
+    try {
+      const { error: toggleErr } = await supabase
+        .from('education_rules')
+        .update({ active: newStatus })
+        .eq('id', id)
+
+      if (toggleErr) throw toggleErr
+    } catch (err) {
+      // Rollback
+      setRules((prev) =>
+        prev.map((r) => (r.id === id ? { ...r, active: !newStatus } : r)),
+      )
+      setError('Failed to update rule status. Please try again.')
+      console.error('Toggle active error:', err)
+    }
+  }
+
+  const openEdit = (rule) => {
+    setEditingRule(rule)
+    setShowForm(true)
+  }
+
+  const openAdd = () => {
+    setEditingRule(null)
+    setShowForm(true)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingRule(null)
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-navy">Education Rules</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Flag current students and recent graduates of specific schools
+          </p>
+        </div>
+        <button
+          onClick={openAdd}
+          className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark transition"
+        >
+          Add Rule
+        </button>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            {editingRule ? 'Edit Rule' : 'Add New Rule'}
+          </h2>
+          <RuleForm
+            type="education"
+            initialValues={editingRule}
+            onSubmit={editingRule ? handleEdit : handleAdd}
+            onCancel={closeForm}
+          />
+        </div>
+      )}
+
+      {/* Table */}
+      <RuleTable
+        columns={COLUMNS}
+        data={rules}
+        loading={loading}
+        onEdit={openEdit}
+        onDelete={handleDelete}
+        onToggleActive={handleToggleActive}
+        activeKey="active"
+        emptyMessage="No education rules configured. Add a rule to flag students and recent graduates of partner schools."
+      />
+    </div>
+  )
+}
@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+import RuleTable from '../components/RuleTable'
+import ExceptionRuleForm from '../components/ExceptionRuleForm'
+import SeverityBadge from '../components/SeverityBadge'
+import { describeConditions } from '../lib/conditions'
+
+const TARGET_TYPE_LABELS = {
+  location: 'Location',
+  company: 'Company',
+  title: 'Title',
+  education: 'Education',
+  compound: 'Compound',
+}
+
+// Load every rule an exception can point at, labelled for the picker
+async function fetchTargets() {
+  const [locations, companies, titles, schools, compounds] = await Promise.all([
+    supabase.from('location_rules').select('id, pattern'),
+    supabase.from('company_rules').select('id, pattern'),
+    supabase.from('title_rules').select('id, pattern'),
+    supabase.from('education_rules').select('id, pattern'),
+    supabase.from('compound_rules').select('id, name'),
+  ])
+  const failed = [locations, companies, titles, schools, compounds].find(
+    (res) => res.error,
+  )
+  if (failed) throw failed.error
+
+  const toTargets = (rows, type, labelKey) =>
+    (rows || []).map((row) => ({
+      id: row.id,
+      type,
+      label: `${TARGET_TYPE_LABELS[type]}: ${row[labelKey]}`,
+    }))
+
+  return [
+    ...toTargets(locations.data, 'location', 'pattern'),
+    ...toTargets(companies.data, 'company', 'pattern'),
+    ...toTargets(titles.data, 'title', 'pattern'),
+    ...toTargets(schools.data, 'education', 'pattern'),
+    ...toTargets(compounds.data, 'compound', 'name'),
+  ]
+}
+
+export default function ExceptionRules() {
+  const [exceptions, setExceptions] = useState([])
+  const [targets, setTargets] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingException, setEditingException] = useState(null)
+
+  const fetchExceptions = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const [{ data, error: fetchErr }, targetList] = await Promise.all([
+        supabase
+          .from('exception_rules')
+          .select('*')
+          .order('created_at', { ascending: false }),
+        fetchTargets(),
+      ])
+
+      if (fetchErr) throw fetchErr
+      setExceptions(data || [])
+      setTargets(targetList)
+    } catch (err) {
+      setError('Failed to load exceptions. Please try again.')
+      console.error('ExceptionRules fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchExceptions()
+  }, [fetchExceptions])
+
+  const columns = useMemo(
+    () => [
+      {
+        key: 'name',
+        label: 'Name',
+        sortable: true,
+        render: (val) => (
+          <span className="text-sm font-medium text-dark">{val}</span>
+        ),
+      },
+      {
+        key: 'rule_id',
+        label: 'Overrides',
+        sortable: false,
+        render: (val) => (
+          <span className="text-gray-600 text-sm">
+            {val
+              ? targets.find((t) => t.id === val)?.label || 'Deleted rule'
+              : 'Any matching rule'}
+          </span>
+        ),
+      },
+      {
+        key: 'conditions',
+        label: 'Applies When',
+        sortable: false,
+        render: (val) => (
+          <span className="font-mono text-xs text-gray-600 max-w-md block">
+            {describeConditions(val)}
+          </span>
+        ),
+      },
+      {
+        key: 'severity',
+        label: 'Action',
+        sortable: true,
+        render: (val) =>
+          val === 'green' ? (
+            <span className="inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold text-white bg-green">
+              Clear the match
+            </span>
+          ) : (
+            <span className="inline-flex items-center gap-1.5 text-sm text-gray-600 whitespace-nowrap">
+              Downgrade to <SeverityBadge severity={val} />
+            </span>
+          ),
+      },
+    ],
+    [targets],
+  )
+
+  const handleAdd = async (values) => {
+    setError('')
+    // Optimistic: add to list
+    const tempId = `temp-${Date.now()}`
+    setExceptions((prev) => [{ id: tempId, ...values, active: true }, ...prev])
+    setShowForm(false)
+
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('exception_rules')
+        .insert([{ ...values, active: true }])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+
+      // Replace optimistic entry with real one
+      setExceptions((prev) => prev.map((x) => (x.id === tempId ? data : x)))
+    } catch (err) {
+      // Rollback
+      setExceptions((prev) => prev.filter((x) => x.id !== tempId))
+      setError('Failed to add exception. Please try again.')
+      console.error('Add exception error:', err)
+    }
+  }
+
+  const handleEdit = async (values) => {
+    if (!editingException) return
+    setError('')
+
+    const original = { ...editingException }
+    // Optimistic update
+    setExceptions((prev) =>
+      prev.map((x) => (x.id === original.id ? { ...x, ...values } : x)),
+    )
+    setEditingException(null)
+    setShowForm(false)
+
+    try {
+      const { error: updateErr } = await supabase
+        .from('exception_rules')
+        .update(values)
+        .eq('id', original.id)
+
+      if (updateErr) throw updateErr
+    } catch (err) {
+      // Rollback
+      setExceptions((prev) =>
+        prev.map((x) => (x.id === original.id ? original : x)),
+      )
+      setError('Failed to update exception. Please try again.')
+      console.error('Update exception error:', err)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    setError('')
+    const deleted = exceptions.find((x) => x.id === id)
+    // Optimistic remove
+    setExceptions((prev) => prev.filter((x) => x.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('exception_rules')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+    } catch (err) {
+      // Rollback
+      if (deleted) {
+        setExceptions((prev) => [deleted, ...prev])
+      }
+      setError('Failed to delete exception. Please try again.')
+      console.error('Delete exception error:', err)
+    }
+  }
+
+  const handleToggleActive = async (id, newStatus) => {
+    setError('')
+    // Optimistic
+    setExceptions((prev) =>
+      prev.map((x) => (x.id === id ? { ...x, active: newStatus } : x)),
+    )
+
+    try {
+      const { error: toggleErr } = await supabase
+        .from('exception_rules')
+        .update({ active: newStatus })
+        .eq('id', id)
+
+      if (toggleErr) throw toggleErr
+    } catch (err) {
+      // Rollback
+      setExceptions((prev) =>
+        prev.map((x) => (x.id === id ? { ...x, active: !newStatus } : x)),
+      )
+      setError('Failed to update exception status. Please try again.')
+      console.error('Toggle active error:', err)
+    }
+  }
+
+  const openEdit = (exception) => {
+    setEditingException(exception)
+    setShowForm(true)
+  }
+
+  const openAdd = () => {
+    setEditingException(null)
+    setShowForm(true)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingException(null)
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-navy">Exceptions</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Clear or downgrade a rule for specific candidates, e.g. a company
+            rule that does not apply to one office
+          </p>
+        </div>
+        <button
+          onClick={openAdd}
+          className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark transition"
+        >
+          Add Exception
+        </button>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            {editingException ? 'Edit Exception' : 'Add New Exception'}
+          </h2>
+          <ExceptionRuleForm
+            initialValues={editingException}
+            targets={targets}
+            onSubmit={editingException ? handleEdit : handleAdd}
+            onCancel={closeForm}
+          />
+        </div>
+      )}
+
+      {/* Table */}
+      <RuleTable
+        columns={columns}
+        data={exceptions}
+        loading={loading}
+        onEdit={openEdit}
+        onDelete={handleDelete}
+        onToggleActive={handleToggleActive}
+        activeKey="active"
+        emptyMessage="No exceptions configured. Add one to clear or downgrade a rule for specific candidates."
+      />
+    </div>
+  )
+}
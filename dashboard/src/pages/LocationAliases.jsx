@@ -0,0 +1,207 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import RuleTable from '../components/RuleTable'
+import AliasForm from '../components/AliasForm'
+
+const COLUMNS = [
+  {
+    key: 'alias',
+    label: 'Alias',
+    sortable: true,
+    render: (val) => (
+      <span className="font-mono text-sm text-dark">{val}</span>
+    ),
+  },
+  {
+    key: 'canonical',
+    label: 'Means',
+    sortable: true,
+    render: (val) => <span className="text-gray-600 text-sm">{val}</span>,
+  },
+]
+
+export default function LocationAliases() {
+  const [aliases, setAliases] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingAlias, setEditingAlias] = useState(null)
+
+  const fetchAliases = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const { data, error: fetchErr } = await supabase
+        .from('location_aliases')
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (fetchErr) throw fetchErr
+      setAliases(data || [])
+    } catch (err) {
+      setError('Failed to load location aliases. Please try again.')
+      console.error('LocationAliases fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchAliases()
+  }, [fetchAliases])
+
+  const handleAdd = async (values) => {
+    setError('')
+    // Optimistic: add to list
+    const tempId = `temp-${Date.now()}`
+    setAliases((prev) => [{ id: tempId, ...values }, ...prev])
+    setShowForm(false)
+
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('location_aliases')
+        .insert([values])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+
+      // Replace optimistic entry with real one
+      setAliases((prev) => prev.map((a) => (a.id === tempId ? data : a)))
+    } catch (err) {
+      // Rollback
+      setAliases((prev) => prev.filter((a) => a.id !== tempId))
+      setError(
+        err?.code === '23505'
+          ? `"${values.alias}" is already defined as an alias.`
+          : 'Failed to add alias. Please try again.',
+      )
+      console.error('Add alias error:', err)
+    }
+  }
+
+  const handleEdit = async (values) => {
+    if (!editingAlias) return
+    setError('')
+
+    const original = { ...editingAlias }
+    // Optimistic update
+    setAliases((prev) =>
+      prev.map((a) => (a.id === original.id ? { ...a, ...values } : a)),
+    )
+    setEditingAlias(null)
+    setShowForm(false)
+
+    try {
+      const { error: updateErr } = await supabase
+        .from('location_aliases')
+        .update(values)
+        .eq('id', original.id)
+
+      if (updateErr) throw updateErr
+    } catch (err) {
+      // Rollback
+      setAliases((prev) =>
+        prev.map((a) => (a.id === original.id ? original : a)),
+      )
+      setError('Failed to update alias. Please try again.')
+      console.error('Update alias error:', err)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    setError('')
+    const deleted = aliases.find((a) => a.id === id)
+    // Optimistic remove
+    setAliases((prev) => prev.filter((a) => a.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('location_aliases')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+    } catch (err) {
+      // Rollback
+      if (deleted) {
+        setAliases((prev) => [deleted, ...prev])
+      }
+      setError('Failed to delete alias. Please try again.')
+      console.error('Delete alias error:', err)
+    }
+  }
+
+  const openEdit = (alias) => {
+    setEditingAlias(alias)
+    setShowForm(true)
+  }
+
+  const openAdd = () => {
+    setEditingAlias(null)
+    setShowForm(true)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingAlias(null)
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-navy">Location Aliases</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Teach the extension your team&apos;s own names for places. Common
+            translations and ISO country codes are built in.
+          </p>
+        </div>
+        <button
+          onClick={openAdd}
+          className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark transition"
+        >
+          Add Alias
+        </button>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            {editingAlias ? 'Edit Alias' : 'Add New Alias'}
+          </h2>
+          <AliasForm
+            initialValues={editingAlias}
+            onSubmit={editingAlias ? handleEdit : handleAdd}
+            onCancel={closeForm}
+          />
+        </div>
+      )}
+
+      {/* Table */}
+      <RuleTable
+        columns={COLUMNS}
+        data={aliases}
+        loading={loading}
+        onEdit={openEdit}
+        onDelete={handleDelete}
+        emptyMessage="No team aliases yet. Built-in aliases already cover common translations and country codes."
+      />
+    </div>
+  )
+}
@@ -1,8 +1,14 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { supabase } from '../lib/supabase'
 import RuleTable from '../components/RuleTable'
+import SeverityBadge from '../components/SeverityBadge'
 import RuleForm from '../components/RuleForm'
 import CSVUpload from '../components/CSVUpload'
+import ScheduleCell from '../components/ScheduleCell'
+import ScheduleFilter from '../components/ScheduleFilter'
+import PolicyCell from '../components/PolicyCell'
+import { scheduleState } from '../lib/schedule'
+import { MATCH_MODE_OPTIONS } from '../lib/matchModes'
 
 const COLUMNS = [
   {
@@ -14,19 +20,22 @@ const COLUMNS = [
     ),
   },
   {
-    key: 'severity',
-    label: 'Severity',
+    key: 'match_mode',
+    label: 'Match',
     sortable: true,
     render: (val) => (
-      <span
-        className={`inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold text-white ${
-          val === 'red' ? 'bg-red' : 'bg-orange'
-        }`}
-      >
-        {val}
+      <span className="text-gray-600 text-sm whitespace-nowrap">
+        {MATCH_MODE_OPTIONS.find((opt) => opt.value === val)?.label ||
+          'Contains text'}
       </span>
     ),
   },
+  {
+    key: 'severity',
+    label: 'Severity',
+    sortable: true,
+    render: (val) => <SeverityBadge severity={val} />,
+  },
   {
     key: 'message',
     label: 'Message',
@@ -36,28 +45,43 @@ const COLUMNS = [
         {val || '-'}
       </span>
     ),
+  },  {
+    key: 'expires_at',
+    label: 'Schedule',
+    sortable: true,
+    render: (_, row) => <ScheduleCell rule={row} />,
   },
 ]
 
 export default function LocationRules() {
   const [rules, setRules] = useState([])
+  const [policies, setPolicies] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [showForm, setShowForm] = useState(false)
   const [editingRule, setEditingRule] = useState(null)
   const [showCSV, setShowCSV] = useState(false)
+  const [scheduleFilter, setScheduleFilter] = useState('all')
 
   const fetchRules = useCallback(async () => {
     setLoading(true)
     setError('')
     try {
-      const { data, error: fetchErr } = await supabase
-        .from('location_rules')
-        .select('*')
-        .order('created_at', { ascending: false })
+      const [{ data, error: fetchErr }, policyRes] = await Promise.all([
+        supabase
+          .from('location_rules')
+          .select('*')
+          .order('created_at', { ascending: false }),
+        supabase
+          .from('policies')
+          .select('id, name, active, expires_at')
+          .order('name', { ascending: true }),
+      ])
 
       if (fetchErr) throw fetchErr
+      if (policyRes.error) throw policyRes.error
       setRules(data || [])
+      setPolicies(policyRes.data || [])
     } catch (err) {
       setError('Failed to load location rules. Please try again.')
       console.error('LocationRules fetch error:', err)
@@ -70,6 +94,29 @@ export default function LocationRules() {
     fetchRules()
   }, [fetchRules])
 
+  const columns = useMemo(
+    () => [
+      ...COLUMNS,
+      {
+        key: 'policy_id',
+        label: 'Policy',
+        sortable: false,
+        render: (val) => (
+          <PolicyCell policy={policies.find((p) => p.id === val)} />
+        ),
+      },
+    ],
+    [policies],
+  )
+
+  const visibleRules = useMemo(
+    () =>
+      scheduleFilter === 'all'
+        ? rules
+        : rules.filter((r) => scheduleState(r) === scheduleFilter),
+    [rules, scheduleFilter],
+  )
+
   const handleAdd = async (values) => {
     setError('')
     // Optimistic: add to list
@@ -276,6 +323,7 @@ export default function LocationRules() {
           <RuleForm
             type="location"
             initialValues={editingRule}
+            policies={policies}
             onSubmit={editingRule ? handleEdit : handleAdd}
             onCancel={closeForm}
           />
@@ -283,14 +331,25 @@ export default function LocationRules() {
       )}
 
       {/* Table */}
+      {!loading && rules.length > 0 && (
+        <ScheduleFilter
+          rules={rules}
+          value={scheduleFilter}
+          onChange={setScheduleFilter}
+        />
+      )}
       <RuleTable
-        columns={COLUMNS}
-        data={rules}
+        columns={columns}
+        data={visibleRules}
         loading={loading}
         onEdit={openEdit}
         onDelete={handleDelete}
         onToggleActive={handleToggleActive}
-        emptyMessage="No location rules configured. Add your first rule to get started."
+        emptyMessage={
+          rules.length > 0
+            ? `No ${scheduleFilter} location rules.`
+            : 'No location rules configured. Add your first rule to get started.'
+        }
       />
     </div>
   )
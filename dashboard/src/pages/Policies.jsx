@@ -0,0 +1,320 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+import RuleTable from '../components/RuleTable'
+import PolicyForm from '../components/PolicyForm'
+import { policyState } from '../lib/policies'
+import { formatScheduleDate } from '../lib/schedule'
+
+// Load the location and company rules that belong to a policy, with the
+// team members an owner can be picked from
+async function fetchRulesAndMembers() {
+  const [locations, companies, members] = await Promise.all([
+    supabase
+      .from('location_rules')
+      .select('id, pattern, policy_id')
+      .not('policy_id', 'is', null),
+    supabase
+      .from('company_rules')
+      .select('id, pattern, policy_id')
+      .not('policy_id', 'is', null),
+    supabase
+      .from('team_members')
+      .select('id, email')
+      .order('email', { ascending: true }),
+  ])
+  const failed = [locations, companies, members].find((res) => res.error)
+  if (failed) throw failed.error
+
+  return {
+    rules: [
+      ...(locations.data || []).map((r) => ({ ...r, type: 'Location' })),
+      ...(companies.data || []).map((r) => ({ ...r, type: 'Company' })),
+    ],
+    members: members.data || [],
+  }
+}
+
+export default function Policies() {
+  const [policies, setPolicies] = useState([])
+  const [rules, setRules] = useState([])
+  const [members, setMembers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingPolicy, setEditingPolicy] = useState(null)
+
+  const fetchPolicies = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const [{ data, error: fetchErr }, related] = await Promise.all([
+        supabase
+          .from('policies')
+          .select('*')
+          .order('created_at', { ascending: false }),
+        fetchRulesAndMembers(),
+      ])
+
+      if (fetchErr) throw fetchErr
+      setPolicies(data || [])
+      setRules(related.rules)
+      setMembers(related.members)
+    } catch (err) {
+      setError('Failed to load policies. Please try again.')
+      console.error('Policies fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchPolicies()
+  }, [fetchPolicies])
+
+  const columns = useMemo(
+    () => [
+      {
+        key: 'name',
+        label: 'Name',
+        sortable: true,
+        render: (val, row) => (
+          <span className="block max-w-xs">
+            <span className="text-sm font-medium text-dark">{val}</span>
+            {row.description && (
+              <span className="block text-xs text-gray-500 truncate">
+                {row.description}
+              </span>
+            )}
+          </span>
+        ),
+      },
+      {
+        key: 'rules',
+        label: 'Rules',
+        sortable: false,
+        render: (_, row) => {
+          const inPolicy = rules.filter((r) => r.policy_id === row.id)
+          if (inPolicy.length === 0) {
+            return <span className="text-gray-400 text-sm">No rules</span>
+          }
+          return (
+            <span
+              className="text-gray-600 text-sm whitespace-nowrap"
+              title={inPolicy.map((r) => `${r.type}: ${r.pattern}`).join('\n')}
+            >
+              {inPolicy.length} rule{inPolicy.length === 1 ? '' : 's'}
+            </span>
+          )
+        },
+      },
+      {
+        key: 'owner_id',
+        label: 'Owner',
+        sortable: false,
+        render: (val) => (
+          <span className="text-gray-600 text-sm">
+            {val ? members.find((m) => m.id === val)?.email || '-' : '-'}
+          </span>
+        ),
+      },
+      {
+        key: 'expires_at',
+        label: 'Expires',
+        sortable: true,
+        render: (val, row) => (
+          <span className="text-gray-600 text-sm whitespace-nowrap">
+            {val ? formatScheduleDate(val, true) : 'Never'}
+            {policyState(row) === 'expired' && (
+              <span className="ml-2 inline-block px-2.5 py-0.5 rounded-full text-xs font-semibold bg-red/10 text-red">
+                Expired
+              </span>
+            )}
+          </span>
+        ),
+      },
+    ],
+    [rules, members],
+  )
+
+  const handleAdd = async (values) => {
+    setError('')
+    // Optimistic: add to list
+    const tempId = `temp-${Date.now()}`
+    setPolicies((prev) => [{ id: tempId, ...values, active: true }, ...prev])
+    setShowForm(false)
+
+    try {
+      const { data, error: insertErr } = await supabase
+        .from('policies')
+        .insert([{ ...values, active: true }])
+        .select()
+        .single()
+
+      if (insertErr) throw insertErr
+
+      // Replace optimistic entry with real one
+      setPolicies((prev) => prev.map((p) => (p.id === tempId ? data : p)))
+    } catch (err) {
+      // Rollback
+      setPolicies((prev) => prev.filter((p) => p.id !== tempId))
+      setError('Failed to add policy. Please try again.')
+      console.error('Add policy error:', err)
+    }
+  }
+
+  const handleEdit = async (values) => {
+    if (!editingPolicy) return
+    setError('')
+
+    const original = { ...editingPolicy }
+    // Optimistic update
+    setPolicies((prev) =>
+      prev.map((p) => (p.id === original.id ? { ...p, ...values } : p)),
+    )
+    setEditingPolicy(null)
+    setShowForm(false)
+
+    try {
+      const { error: updateErr } = await supabase
+        .from('policies')
+        .update(values)
+        .eq('id', original.id)
+
+      if (updateErr) throw updateErr
+    } catch (err) {
+      // Rollback
+      setPolicies((prev) =>
+        prev.map((p) => (p.id === original.id ? original : p)),
+      )
+      setError('Failed to update policy. Please try again.')
+      console.error('Update policy error:', err)
+    }
+  }
+
+  // The policy's rules are kept and enforced on their own
+  const handleDelete = async (id) => {
+    setError('')
+    const deleted = policies.find((p) => p.id === id)
+    // Optimistic remove
+    setPolicies((prev) => prev.filter((p) => p.id !== id))
+
+    try {
+      const { error: deleteErr } = await supabase
+        .from('policies')
+        .delete()
+        .eq('id', id)
+
+      if (deleteErr) throw deleteErr
+      setRules((prev) => prev.filter((r) => r.policy_id !== id))
+    } catch (err) {
+      // Rollback
+      if (deleted) {
+        setPolicies((prev) => [deleted, ...prev])
+      }
+      setError('Failed to delete policy. Please try again.')
+      console.error('Delete policy error:', err)
+    }
+  }
+
+  const handleToggleActive = async (id, newStatus) => {
+    setError('')
+    // Optimistic
+    setPolicies((prev) =>
+      prev.map((p) => (p.id === id ? { ...p, active: newStatus } : p)),
+    )
+
+    try {
+      const { error: toggleErr } = await supabase
+        .from('policies')
+        .update({ active: newStatus })
+        .eq('id', id)
+
+      if (toggleErr) throw toggleErr
+    } catch (err) {
+      // Rollback
+      setPolicies((prev) =>
+        prev.map((p) => (p.id === id ? { ...p, active: !newStatus } : p)),
+      )
+      setError('Failed to update policy status. Please try again.')
+      console.error('Toggle active error:', err)
+    }
+  }
+
+  const openEdit = (policy) => {
+    setEditingPolicy(policy)
+    setShowForm(true)
+  }
+
+  const openAdd = () => {
+    setEditingPolicy(null)
+    setShowForm(true)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingPolicy(null)
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-navy">Policies</h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Group location and company rules, e.g. an EU hiring freeze, and
+            switch them on or off together. Add rules to a policy from the
+            Location Rules and Company Rules pages.
+          </p>
+        </div>
+        <button
+          onClick={openAdd}
+          className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark transition"
+        >
+          Add Policy
+        </button>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Add / Edit Form */}
+      {showForm && (
+        <div className="mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h2 className="text-lg font-semibold text-navy mb-4">
+            {editingPolicy ? 'Edit Policy' : 'Add New Policy'}
+          </h2>
+          <PolicyForm
+            initialValues={editingPolicy}
+            policies={policies}
+            members={members}
+            onSubmit={editingPolicy ? handleEdit : handleAdd}
+            onCancel={closeForm}
+          />
+        </div>
+      )}
+
+      {/* Table */}
+      <RuleTable
+        columns={columns}
+        data={policies}
+        loading={loading}
+        onEdit={openEdit}
+        onDelete={handleDelete}
+        onToggleActive={handleToggleActive}
+        activeKey="active"
+        emptyMessage="No policies yet. Add one to switch a group of rules on or off together."
+      />
+    </div>
+  )
+}
@@ -0,0 +1,338 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { supabase } from '../lib/supabase'
+import SeverityBadge from '../components/SeverityBadge'
+import { MATCH_MODE_OPTIONS } from '../lib/matchModes'
+import {
+  RULE_TEMPLATES,
+  isNewerVersion,
+  templateRuleCount,
+} from '../lib/ruleTemplates'
+
+// Where each kind of template rule is stored
+const RULE_TABLES = [
+  { key: 'location_rules', table: 'location_rules' },
+  { key: 'company_rules', table: 'company_rules' },
+]
+
+async function insertTemplateRules(template, policyId) {
+  for (const { key, table } of RULE_TABLES) {
+    if (template[key].length === 0) continue
+    const { error } = await supabase
+      .from(table)
+      .insert(
+        template[key].map((rule) => ({
+          ...rule,
+          policy_id: policyId,
+          is_active: true,
+        })),
+      )
+    if (error) throw error
+  }
+}
+
+function TemplatePreview({ template }) {
+  const rules = [
+    ...template.location_rules.map((r) => ({ ...r, type: 'Location' })),
+    ...template.company_rules.map((r) => ({ ...r, type: 'Company' })),
+  ]
+
+  return (
+    <div className="mt-4 overflow-x-auto rounded-lg border border-gray-100">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="bg-gray-50 border-b border-gray-100">
+            {['Type', 'Pattern', 'Match', 'Severity', 'Message'].map((label) => (
+              <th
+                key={label}
+                className="px-4 py-2 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider"
+              >
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((rule) => (
+            <tr
+              key={`${rule.type}:${rule.pattern}`}
+              className="border-b border-gray-50 last:border-0"
+            >
+              <td className="px-4 py-2 text-gray-600">{rule.type}</td>
+              <td className="px-4 py-2 font-mono text-dark">{rule.pattern}</td>
+              <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                {MATCH_MODE_OPTIONS.find((opt) => opt.value === rule.match_mode)
+                  ?.label || '-'}
+              </td>
+              <td className="px-4 py-2">
+                <SeverityBadge severity={rule.severity} />
+              </td>
+              <td className="px-4 py-2 text-xs text-gray-500 max-w-xs">
+                {rule.message}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default function RuleTemplates() {
+  const [policies, setPolicies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [previewId, setPreviewId] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [confirmUpdateId, setConfirmUpdateId] = useState(null)
+
+  const fetchPolicies = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const { data, error: fetchErr } = await supabase
+        .from('policies')
+        .select('id, name, template_id, template_version')
+
+      if (fetchErr) throw fetchErr
+      setPolicies(data || [])
+    } catch (err) {
+      setError('Failed to load policies. Please try again.')
+      console.error('RuleTemplates fetch error:', err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchPolicies()
+  }, [fetchPolicies])
+
+  const showSuccess = (msg) => {
+    setSuccess(msg)
+    setTimeout(() => setSuccess(''), 3000)
+  }
+
+  // Adds the template as a new policy holding its rules
+  const handleImport = async (template) => {
+    setError('')
+    setBusyId(template.id)
+    let policy = null
+    try {
+      // Policy names are unique; keep an admin's own policy of the same name
+      const taken = policies.some(
+        (p) => p.name.toLowerCase() === template.name.toLowerCase(),
+      )
+      const { data, error: insertErr } = await supabase
+        .from('policies')
+        .insert([
+          {
+            name: taken ? `${template.name} (template)` : template.name,
+            description: template.description,
+            template_id: template.id,
+            template_version: template.version,
+            active: true,
+          },
+        ])
+        .select('id, name, template_id, template_version')
+        .single()
+
+      if (insertErr) throw insertErr
+      policy = data
+      await insertTemplateRules(template, policy.id)
+
+      setPolicies((prev) => [...prev, policy])
+      showSuccess(
+        `Imported ${templateRuleCount(template)} rules as the "${policy.name}" policy.`,
+      )
+    } catch (err) {
+      // Don't leave an empty or half-filled policy behind
+      if (policy) {
+        await supabase.from('policies').delete().eq('id', policy.id)
+      }
+      setError('Failed to import template. Please try again.')
+      console.error('Import template error:', err)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Replaces the rules of a policy imported from an older version
+  const handleUpdate = async (template, policy) => {
+    if (confirmUpdateId !== template.id) {
+      setConfirmUpdateId(template.id)
+      return
+    }
+    setConfirmUpdateId(null)
+    setError('')
+    setBusyId(template.id)
+    try {
+      for (const { table } of RULE_TABLES) {
+        const { error: deleteErr } = await supabase
+          .from(table)
+          .delete()
+          .eq('policy_id', policy.id)
+        if (deleteErr) throw deleteErr
+      }
+      await insertTemplateRules(template, policy.id)
+
+      const { error: updateErr } = await supabase
+        .from('policies')
+        .update({
+          description: template.description,
+          template_version: template.version,
+        })
+        .eq('id', policy.id)
+      if (updateErr) throw updateErr
+
+      setPolicies((prev) =>
+        prev.map((p) =>
+          p.id === policy.id ? { ...p, template_version: template.version } : p,
+        ),
+      )
+      showSuccess(`Updated "${policy.name}" to version ${template.version}.`)
+    } catch (err) {
+      setError(
+        'Failed to update the policy. Some of its rules may be missing; try the update again.',
+      )
+      console.error('Update template error:', err)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-navy">Rule Templates</h1>
+        <p className="text-gray-500 text-sm mt-1">
+          Curated restriction lists, imported as a policy you can switch on
+          and off. Templates are a starting point, not legal advice: review
+          the rules before relying on them.
+        </p>
+      </div>
+
+      {/* Success */}
+      {success && (
+        <div className="mb-6 rounded-lg bg-green/10 border border-green/20 px-4 py-3 text-sm text-green">
+          {success}
+        </div>
+      )}
+
+      {/* Error */}
+      {error && (
+        <div className="mb-6 rounded-lg bg-red/10 border border-red/20 px-4 py-3 text-sm text-red flex items-center justify-between">
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            className="text-red/60 hover:text-red ml-4 text-lg leading-none"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Templates */}
+      <div className="space-y-4">
+        {RULE_TEMPLATES.map((template) => {
+          const policy = policies.find((p) => p.template_id === template.id)
+          const outdated =
+            policy && isNewerVersion(template.version, policy.template_version)
+          const busy = busyId === template.id
+
+          return (
+            <div
+              key={template.id}
+              className="bg-white rounded-xl shadow-sm border border-gray-100 p-6"
+            >
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <h2 className="text-lg font-semibold text-navy">
+                    {template.name}
+                    <span className="ml-2 align-middle inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-500">
+                      v{template.version}
+                    </span>
+                  </h2>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {template.description}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-2">
+                    {templateRuleCount(template)} rules
+                    {policy && (
+                      <>
+                        {' · '}Imported as{' '}
+                        <Link
+                          to="/policies"
+                          className="text-teal hover:text-teal-dark"
+                        >
+                          {policy.name}
+                        </Link>
+                        {outdated && ` (version ${policy.template_version})`}
+                      </>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setPreviewId(previewId === template.id ? null : template.id)
+                    }
+                    className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium text-gray-600 hover:bg-gray-50 transition"
+                  >
+                    {previewId === template.id ? 'Hide Rules' : 'Preview'}
+                  </button>
+                  {!policy && (
+                    <button
+                      type="button"
+                      onClick={() => handleImport(template)}
+                      disabled={loading || busy}
+                      className="rounded-lg bg-teal px-4 py-2 text-sm font-semibold text-white hover:bg-teal-dark disabled:opacity-60 disabled:cursor-not-allowed transition"
+                    >
+                      {busy ? 'Importing...' : 'Import as Policy'}
+                    </button>
+                  )}
+                  {outdated && (
+                    <button
+                      type="button"
+                      onClick={() => handleUpdate(template, policy)}
+                      disabled={busy}
+                      className={`rounded-lg px-4 py-2 text-sm font-semibold text-white disabled:opacity-60 disabled:cursor-not-allowed transition ${
+                        confirmUpdateId === template.id
+                          ? 'bg-red hover:bg-red/90'
+                          : 'bg-teal hover:bg-teal-dark'
+                      }`}
+                    >
+                      {busy
+                        ? 'Updating...'
+                        : confirmUpdateId === template.id
+                          ? 'Replace Rules?'
+                          : `Update to v${template.version}`}
+                    </button>
+                  )}
+                  {policy && !outdated && (
+                    <span className="text-sm font-medium text-teal">
+                      Imported
+                    </span>
+                  )}
+                </div>
+              </div>
+              {outdated && confirmUpdateId === template.id && (
+                <p className="mt-3 text-xs text-red">
+                  Updating replaces every rule in &quot;{policy.name}&quot;,
+                  including rules you edited or added. The policy keeps its
+                  name, owner and on/off switch.
+                </p>
+              )}
+              {previewId === template.id && (
+                <TemplatePreview template={template} />
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -2,6 +2,8 @@ import { useState, useEffect, useCallback } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import { supabase } from '../lib/supabase'
 import Papa from 'papaparse'
+import CompanySuffixSettings from '../components/CompanySuffixSettings'
+import SeverityLevelSettings from '../components/SeverityLevelSettings'
 
 function Section({ title, description, children }) {
   return (
@@ -20,6 +22,8 @@ export default function Settings() {
   const [companyName, setCompanyName] = useState('')
   const [domain, setDomain] = useState('')
   const [inviteCode, setInviteCode] = useState('')
+  const [companyId, setCompanyId] = useState(null)
+  const [isAdmin, setIsAdmin] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [success, setSuccess] = useState('')
@@ -32,18 +36,23 @@ export default function Settings() {
     setLoading(true)
     setError('')
     try {
+      // The signed-in user's team, preferring one they administer
       const { data, error: fetchErr } = await supabase
-        .from('team_settings')
-        .select('*')
-        .limit(1)
-        .maybeSingle()
+        .from('team_members')
+        .select('role, companies(id, name, domain, invite_code)')
+        .eq('user_id', user?.id)
 
       if (fetchErr) throw fetchErr
 
-      if (data) {
-        setCompanyName(data.company_name || '')
-        setDomain(data.domain || '')
-        setInviteCode(data.invite_code || '')
+      const membership =
+        (data || []).find((m) => m.role === 'admin') || (data || [])[0]
+      const company = membership?.companies
+      if (company) {
+        setCompanyId(company.id)
+        setIsAdmin(membership.role === 'admin')
+        setCompanyName(company.name || '')
+        setDomain(company.domain || '')
+        setInviteCode(company.invite_code || '')
       }
     } catch (err) {
       setError('Failed to load settings. Please try again.')
@@ -51,7 +60,7 @@ export default function Settings() {
     } finally {
       setLoading(false)
     }
-  }, [])
+  }, [user])
 
   useEffect(() => {
     fetchSettings()
@@ -68,9 +77,9 @@ export default function Settings() {
     setSavingCompany(true)
     try {
       const { error: updateErr } = await supabase
-        .from('team_settings')
-        .update({ company_name: companyName.trim() })
-        .eq('domain', domain)
+        .from('companies')
+        .update({ name: companyName.trim() })
+        .eq('id', companyId)
 
       if (updateErr) throw updateErr
       showSuccess('Company name updated successfully.')
@@ -86,17 +95,12 @@ export default function Settings() {
     setError('')
     setRegenerating(true)
     try {
-      // Generate a random 8-character code
-      const newCode = Array.from(crypto.getRandomValues(new Uint8Array(6)))
-        .map((b) => b.toString(36).padStart(2, '0'))
-        .join('')
-        .slice(0, 8)
-        .toUpperCase()
-
-      const { error: updateErr } = await supabase
-        .from('team_settings')
-        .update({ invite_code: newCode })
-        .eq('domain', domain)
+      // The database generates the code (migration 020), so it is always
+      // too long to guess
+      const { data: newCode, error: updateErr } = await supabase.rpc(
+        'regenerate_invite_code',
+        { p_company_id: companyId },
+      )
 
       if (updateErr) throw updateErr
       setInviteCode(newCode)
@@ -127,7 +131,7 @@ export default function Settings() {
     try {
       const { data, error: fetchErr } = await supabase
         .from('location_rules')
-        .select('pattern, severity, message, is_active')
+        .select('pattern, severity, message, match_mode, is_active, starts_at, expires_at')
         .order('created_at', { ascending: false })
 
       if (fetchErr) throw fetchErr
@@ -149,7 +153,7 @@ export default function Settings() {
     try {
       const { data, error: fetchErr } = await supabase
         .from('company_rules')
-        .select('pattern, severity, message, is_active, expires_at')
+        .select('pattern, severity, message, is_active, starts_at, expires_at')
         .order('created_at', { ascending: false })
 
       if (fetchErr) throw fetchErr
@@ -248,7 +252,7 @@ export default function Settings() {
 
           <button
             type="submit"
-            disabled={savingCompany}
+            disabled={savingCompany || !isAdmin}
             className="rounded-lg bg-teal px-5 py-2.5 text-sm font-semibold text-white hover:bg-teal-dark focus:outline-none focus:ring-2 focus:ring-teal/40 disabled:opacity-60 disabled:cursor-not-allowed transition"
           >
             {savingCompany ? 'Saving...' : 'Save Changes'}
@@ -259,7 +263,7 @@ export default function Settings() {
       {/* Invite Code */}
       <Section
         title="Invite Code"
-        description="Share this code with team members so they can join your organization."
+        description="Share this code with team members so they can join your organization from the extension's Settings page."
       >
         <div className="flex items-center gap-4 max-w-md">
           <div className="flex-1 rounded-lg border border-gray-200 bg-gray-50 px-4 py-2.5 font-mono text-sm text-dark tracking-wider select-all">
@@ -267,17 +271,35 @@ export default function Settings() {
           </div>
           <button
             onClick={handleRegenerateCode}
-            disabled={regenerating}
+            disabled={regenerating || !isAdmin}
             className="rounded-lg border border-gray-300 px-4 py-2.5 text-sm font-medium text-gray-600 hover:bg-gray-50 focus:outline-none transition disabled:opacity-60 disabled:cursor-not-allowed whitespace-nowrap"
           >
             {regenerating ? 'Regenerating...' : 'Regenerate'}
           </button>
         </div>
         <p className="text-xs text-gray-400 mt-2">
-          Regenerating will invalidate the previous code.
+          {isAdmin
+            ? 'Regenerating will invalidate the previous code.'
+            : 'Only team admins can regenerate the code.'}
         </p>
       </Section>
 
+      {/* Severity levels */}
+      <Section
+        title="Severity Levels"
+        description="The levels a rule can carry, with the label, color and icon the extension shows for them. Add your own, such as Needs approval or Preferred, or change the built-in ones."
+      >
+        <SeverityLevelSettings />
+      </Section>
+
+      {/* Company name normalization */}
+      <Section
+        title="Company Name Normalization"
+        description="Legal-form suffixes such as Inc, GmbH or S.A.S. and leading words such as The are ignored when comparing employers with company rules, and generic employers such as Self-employed never match. Add your own for names the built-in lists miss."
+      >
+        <CompanySuffixSettings />
+      </Section>
+
       {/* Export */}
       <Section
         title="Export Data"
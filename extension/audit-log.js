@@ -0,0 +1,255 @@
+/**
+ * SourceFence — Audit Log
+ *
+ * A local record of every candidate check, so compliance can show that a
+ * recruiter was warned before contacting someone. Entries live in
+ * IndexedDB (database "sourcefence", store "checks") and never leave the
+ * browser:
+ *
+ *   { id, check_id, timestamp, profile_url, public_id, location, company,
+ *     severity, severity_label, restricted, rule_ids, exception_ids,
+ *     banner, banner_at }
+ *
+ * banner is "not_shown" until the page reports otherwise, then "shown",
+ * "dismissed" or "acknowledged"; it only ever moves forward, so reopening
+ * a dismissed banner keeps "dismissed".
+ *
+ * There is one entry per visit to a profile. When the page re-checks the
+ * profile with a different outcome (Experience loads late, rules change)
+ * it reuses the check_id, and the entry takes the new result but keeps its
+ * timestamp and banner state.
+ *
+ * The log is pruned on every append to the retention in settings
+ * (audit_log_days, audit_log_max_entries).
+ *
+ * Loaded by the service worker, which writes the log, and the options page,
+ * which shows it.
+ *
+ * Exposed as self.SourceFenceAuditLog
+ */
+(function () {
+  'use strict';
+
+  const DB_NAME = 'sourcefence';
+  const DB_VERSION = 1;
+  const STORE = 'checks';
+
+  const DEFAULT_RETENTION = { days: 90, maxEntries: 10000 };
+
+  // Banner states in the order they can happen
+  const BANNER_STATES = ['not_shown', 'shown', 'dismissed', 'acknowledged'];
+
+  let dbPromise = null;
+
+  // Writes run one after another, so a banner event never overtakes the
+  // check it belongs to
+  let writeQueue = Promise.resolve();
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('check_id', 'check_id', { unique: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run `work` in a transaction on the checks store.
+   *
+   * @param {'readonly'|'readwrite'} mode
+   * @param {function(IDBObjectStore): *} work - queues the requests; it may
+   *   return a function that reads their results once the transaction
+   *   has completed
+   * @returns {Promise<*>} what that function returns
+   */
+  async function withStore(mode, work) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let result;
+      tx.oncomplete = () => resolve(typeof result === 'function' ? result() : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      result = work(tx.objectStore(STORE));
+    });
+  }
+
+  function enqueue(task) {
+    writeQueue = writeQueue.catch(() => {}).then(task);
+    return writeQueue;
+  }
+
+  /**
+   * Retention from the extension settings, with defaults for anything
+   * missing or out of range.
+   *
+   * @param {object} [settings] - sourcefence_settings
+   * @returns {{ days: number, maxEntries: number }}
+   */
+  function retentionFrom(settings) {
+    const days = Number(settings && settings.audit_log_days);
+    const maxEntries = Number(settings && settings.audit_log_max_entries);
+    return {
+      days: days >= 1 ? Math.floor(days) : DEFAULT_RETENTION.days,
+      maxEntries: maxEntries >= 1 ? Math.floor(maxEntries) : DEFAULT_RETENTION.maxEntries,
+    };
+  }
+
+  /**
+   * Delete entries older than the retention period, then the oldest entries
+   * beyond the maximum.
+   *
+   * @param {IDBObjectStore} store - in a readwrite transaction
+   * @param {{ days: number, maxEntries: number }} retention
+   */
+  function pruneStore(store, retention) {
+    const byTime = store.index('timestamp');
+    const cutoff = Date.now() - retention.days * 24 * 60 * 60 * 1000;
+    byTime.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        trimStore(store, retention.maxEntries);
+        return;
+      }
+      cursor.delete();
+      cursor.continue();
+    };
+  }
+
+  function trimStore(store, maxEntries) {
+    store.count().onsuccess = (event) => {
+      let excess = event.target.result - maxEntries;
+      if (excess <= 0) return;
+      store.index('timestamp').openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+    };
+  }
+
+  /**
+   * Add a check to the log, or update the entry with the same check_id, and
+   * prune the log.
+   *
+   * @param {object} entry - see the file comment; id, banner and banner_at
+   *   are filled in
+   * @param {{ days: number, maxEntries: number }|Promise} retention - or a
+   *   promise of it; the entry is queued straight away either way, ahead of
+   *   any banner event that follows
+   * @returns {Promise<void>}
+   */
+  function append(entry, retention) {
+    return enqueue(async () => {
+      const limits = await retention;
+      return withStore('readwrite', (store) => {
+        store.index('check_id').get(entry.check_id).onsuccess = (event) => {
+          const existing = event.target.result;
+          if (existing) {
+            store.put({
+              ...existing,
+              ...entry,
+              id: existing.id,
+              timestamp: existing.timestamp,
+              banner: existing.banner,
+              banner_at: existing.banner_at,
+            });
+          } else {
+            store.add({ ...entry, banner: 'not_shown', banner_at: null });
+          }
+          pruneStore(store, limits);
+        };
+      });
+    });
+  }
+
+  /**
+   * Record what happened to a check's banner.
+   *
+   * @param {string} checkId
+   * @param {string} state - 'shown', 'dismissed' or 'acknowledged'
+   * @returns {Promise<void>}
+   */
+  function recordBannerEvent(checkId, state) {
+    if (!checkId || BANNER_STATES.indexOf(state) < 1) return Promise.resolve();
+    return enqueue(() => withStore('readwrite', (store) => {
+      store.index('check_id').get(checkId).onsuccess = (event) => {
+        const entry = event.target.result;
+        if (!entry || BANNER_STATES.indexOf(state) <= BANNER_STATES.indexOf(entry.banner)) return;
+        store.put({ ...entry, banner: state, banner_at: Date.now() });
+      };
+    }));
+  }
+
+  /**
+   * Entries, newest first.
+   *
+   * @param {number} [limit] - all entries when omitted
+   * @returns {Promise<Array>}
+   */
+  function list(limit) {
+    const entries = [];
+    return withStore('readonly', (store) => {
+      store.index('timestamp').openCursor(null, 'prev').onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || (limit && entries.length >= limit)) return;
+        entries.push(cursor.value);
+        cursor.continue();
+      };
+      return () => entries;
+    });
+  }
+
+  /**
+   * @returns {Promise<number>}
+   */
+  function count() {
+    let total = 0;
+    return withStore('readonly', (store) => {
+      store.count().onsuccess = (event) => {
+        total = event.target.result;
+      };
+      return () => total;
+    });
+  }
+
+  /**
+   * @param {{ days: number, maxEntries: number }} retention
+   * @returns {Promise<void>}
+   */
+  function prune(retention) {
+    return enqueue(() => withStore('readwrite', (store) => {
+      pruneStore(store, retention);
+    }));
+  }
+
+  function clear() {
+    return enqueue(() => withStore('readwrite', (store) => {
+      store.clear();
+    }));
+  }
+
+  self.SourceFenceAuditLog = {
+    DEFAULT_RETENTION: DEFAULT_RETENTION,
+    retentionFrom: retentionFrom,
+    append: append,
+    recordBannerEvent: recordBannerEvent,
+    list: list,
+    count: count,
+    prune: prune,
+    clear: clear,
+  };
+})();
@@ -9,6 +9,11 @@
 // Chrome can wire them up on every wake before the worker goes idle.
 // ---------------------------------------------------------------------------
 
+// Supabase URL and anon key for team sync (self.SourceFenceConfig)
+importScripts('../config.js');
+// IndexedDB log of candidate checks (self.SourceFenceAuditLog)
+importScripts('../audit-log.js');
+
 // ---- Constants ------------------------------------------------------------
 
 const STORAGE_KEYS = {
@@ -17,17 +22,28 @@ const STORAGE_KEYS = {
   SETTINGS: 'sourcefence_settings',
   LOCATION_RULES: 'sourcefence_location_rules',
   COMPANY_RULES: 'sourcefence_company_rules',
+  TITLE_RULES: 'sourcefence_title_rules',
+  EDUCATION_RULES: 'sourcefence_education_rules',
+  COMPOUND_RULES: 'sourcefence_compound_rules',
+  EXCEPTION_RULES: 'sourcefence_exception_rules',
+  LOCATION_ALIASES: 'sourcefence_location_aliases',
+  COMPANY_HIERARCHY: 'sourcefence_company_hierarchy',
+  COMPANY_SUFFIXES: 'sourcefence_company_suffixes',
+  SEVERITY_LEVELS: 'sourcefence_severity_levels',
+  POLICIES: 'sourcefence_policies',
+  AUTH: 'sourcefence_auth',
+  ACCOUNT: 'sourcefence_account',
+  SYNC: 'sourcefence_sync',
+  REALTIME: 'sourcefence_realtime',
 };
 
 const DEFAULT_SETTINGS = {
   enabled: true,
   show_green_alerts: true,
   green_auto_dismiss_seconds: 3,
-};
-
-const BADGE_COLORS = {
-  red: '#DC2626',
-  amber: '#F59E0B',
+  fuzzy_suggestions: false,
+  audit_log_days: 90,
+  audit_log_max_entries: 10000,
 };
 
 const LINKEDIN_URL_PATTERNS = [
@@ -51,21 +67,43 @@ function isLinkedInProfileUrl(url) {
 }
 
 /**
- * Update the extension badge for a specific tab.
+ * The profile's id from its URL: the vanity name of a /in/ profile, or the
+ * id in a Recruiter or Sales Navigator profile URL.
+ *
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+function profilePublicId(url) {
+  const match = /linkedin\.com\/(?:in|talent\/(?:[^?#]*\/)?profile|sales\/(?:lead|people))\/([^/?#,]+)/
+    .exec(url || '');
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (err) {
+    return match[1];
+  }
+}
+
+/**
+ * Update the extension badge for a specific tab: "!" for a restriction and
+ * "+" for a positive level such as "Preferred", in the level's color.
  *
- * @param {number}  tabId
- * @param {'red'|'amber'|'green'|null} severity
+ * @param {number}      tabId
+ * @param {object|null} level - the matcher result's severity level
+ *                              ({ key, label, rank, color, icon })
  */
-function updateBadge(tabId, severity) {
-  if (severity === 'red' || severity === 'amber') {
-    chrome.action.setBadgeText({ text: '!', tabId });
+function updateBadge(tabId, level) {
+  if (level && level.rank !== 0) {
+    chrome.action.setBadgeText({ text: level.rank > 0 ? '!' : '+', tabId });
     chrome.action.setBadgeBackgroundColor({
-      color: BADGE_COLORS[severity],
+      color: /^#[0-9a-f]{6}$/i.test(level.color) ? level.color : '#F59E0B',
       tabId,
     });
+    chrome.action.setTitle({ title: 'SourceFence: ' + level.label, tabId });
   } else {
     // green or unknown — clear the badge
     chrome.action.setBadgeText({ text: '', tabId });
+    chrome.action.setTitle({ title: 'SourceFence', tabId });
   }
 }
 
@@ -89,6 +127,866 @@ async function notifyLinkedInTabs(message) {
   }
 }
 
+// ---- Supabase requests ----------------------------------------------------
+
+/**
+ * Error for a request Supabase rejected, with its HTTP status. A 401 means
+ * the session is no longer valid.
+ */
+class SupabaseRequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SupabaseRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Call the Supabase REST or auth API.
+ *
+ * @param {string} path - relative to the project URL, e.g. 'rest/v1/policies?select=id'
+ * @param {object} [options]
+ * @param {object} [options.session] - send the request as this signed-in user
+ * @param {object} [options.body]    - POST this JSON body
+ * @returns {Promise<*>} the parsed response, or null when it has no body
+ */
+async function supabaseRequest(path, { session, body } = {}) {
+  const config = self.SourceFenceConfig || {};
+  if (!config.supabaseUrl || !config.supabaseAnonKey) {
+    throw new Error('Supabase is not configured in config.js.');
+  }
+
+  const headers = { apikey: config.supabaseAnonKey };
+  if (session) headers.Authorization = 'Bearer ' + session.access_token;
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(config.supabaseUrl.replace(/\/$/, '') + '/' + path, {
+    method: body ? 'POST' : 'GET',
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (err) {
+    data = null;
+  }
+
+  if (!response.ok) {
+    // Auth errors use error_description or msg, PostgREST errors message
+    const reason = data && (data.error_description || data.msg || data.message);
+    throw new SupabaseRequestError(
+      reason || 'Supabase returned ' + response.status + ' for ' + path.split('?')[0],
+      response.status
+    );
+  }
+  return data;
+}
+
+// ---- Session ----------------------------------------------------------------
+// The Supabase session is kept under sourcefence_auth as { access_token,
+// refresh_token, expires_at (seconds), user: { id, email } } and refreshed
+// here shortly before it expires. The options page signs in through the
+// messages handled below; it never talks to Supabase itself.
+
+// Refresh the access token this long before it expires
+const SESSION_REFRESH_MARGIN_MS = 60 * 1000;
+
+// The refresh running right now; a refresh token can only be used once
+let refreshInFlight = null;
+
+/**
+ * Store a session from a Supabase token response (or magic-link redirect).
+ *
+ * @param {object} data - { access_token, refresh_token, expires_at?, expires_in?, user }
+ * @returns {Promise<object>} the stored session
+ */
+async function storeSession(data) {
+  const session = {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token,
+    expires_at: Number(data.expires_at) ||
+      Math.floor(Date.now() / 1000) + (Number(data.expires_in) || 3600),
+    user: { id: data.user.id, email: data.user.email },
+  };
+  await chrome.storage.local.set({ [STORAGE_KEYS.AUTH]: session });
+  return session;
+}
+
+/**
+ * The signed-in user's session, refreshed first if it is about to expire.
+ * Resolves to null when nobody is signed in. A refresh Supabase rejects
+ * fails with a 401 SupabaseRequestError; a network failure keeps the
+ * session so the next attempt can refresh it.
+ *
+ * @returns {Promise<object|null>}
+ */
+async function getSession() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.AUTH);
+  const session = stored[STORAGE_KEYS.AUTH];
+  if (!session || !session.access_token || !session.user) return null;
+  if (session.expires_at * 1000 - SESSION_REFRESH_MARGIN_MS > Date.now()) {
+    return session;
+  }
+
+  if (!refreshInFlight) {
+    refreshInFlight = supabaseRequest('auth/v1/token?grant_type=refresh_token', {
+      body: { refresh_token: session.refresh_token },
+    })
+      .then(storeSession)
+      .catch((err) => {
+        if (err instanceof SupabaseRequestError && err.status >= 400 && err.status < 500) {
+          throw new SupabaseRequestError(err.message, 401);
+        }
+        throw err;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Look up the team the user belongs to and store it under
+ * sourcefence_account as { email, company_id, company_name, role } for the
+ * popup and options page. company_id is null until they join a team. When
+ * they belong to several teams, the current one is kept, otherwise the
+ * one they joined last.
+ *
+ * @param {object} session
+ * @returns {Promise<object>} the stored account
+ */
+async function refreshAccount(session) {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.ACCOUNT);
+  const current = stored[STORAGE_KEYS.ACCOUNT] || {};
+  const memberships = await supabaseRequest(
+    'rest/v1/team_members?select=company_id,role,companies(name)' +
+      '&user_id=eq.' + encodeURIComponent(session.user.id) +
+      '&order=created_at.desc',
+    { session }
+  );
+  const membership =
+    memberships.find((m) => m.company_id === current.company_id) || memberships[0];
+
+  const account = {
+    email: session.user.email,
+    company_id: membership ? membership.company_id : null,
+    company_name: membership && membership.companies ? membership.companies.name : null,
+    role: membership ? membership.role : null,
+  };
+  await chrome.storage.local.set({ [STORAGE_KEYS.ACCOUNT]: account });
+  return account;
+}
+
+/**
+ * @param {string} email
+ * @param {string} password
+ */
+async function signInWithPassword(email, password) {
+  const data = await supabaseRequest('auth/v1/token?grant_type=password', {
+    body: { email, password },
+  });
+  await completeSignIn(data);
+}
+
+/**
+ * Email a magic link. It opens `redirectTo` (the options page) with the
+ * session in the URL fragment, which the options page passes to
+ * completeSignIn through MAGIC_LINK_SESSION.
+ *
+ * @param {string} email
+ * @param {string} redirectTo
+ */
+async function sendMagicLink(email, redirectTo) {
+  await supabaseRequest('auth/v1/otp?redirect_to=' + encodeURIComponent(redirectTo), {
+    body: { email },
+  });
+}
+
+/**
+ * Store a new session and pull the team's rules. Magic-link redirects do
+ * not include the user, so it is looked up with the new token.
+ *
+ * @param {object} data - a Supabase token response or magic-link fragment
+ */
+async function completeSignIn(data) {
+  if (!data || !data.access_token || !data.refresh_token) {
+    throw new Error('The sign-in link is incomplete. Request a new one.');
+  }
+  const user = data.user ||
+    await supabaseRequest('auth/v1/user', { session: { access_token: data.access_token } });
+
+  // Clear the previous user's account before the storage listener syncs
+  await chrome.storage.local.remove(STORAGE_KEYS.ACCOUNT);
+  await storeSession({ ...data, user });
+  await syncRules();
+}
+
+/**
+ * Join a team with its invite code (from the dashboard Settings page).
+ *
+ * @param {string} inviteCode
+ */
+async function joinTeam(inviteCode) {
+  const session = await getSession();
+  if (!session) throw new Error('Sign in before joining a team.');
+
+  const joined = await supabaseRequest('rest/v1/rpc/join_team_with_invite_code', {
+    session,
+    body: { p_invite_code: inviteCode },
+  });
+  // A wrong code comes back as { error } so the attempt counts towards the
+  // limit (migration 017)
+  if (joined.error) throw new Error(joined.error);
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.ACCOUNT]: { email: session.user.email, ...joined },
+  });
+  await syncRules();
+}
+
+/**
+ * Sign out and remove the team's rules; the recruiter's own rules stay.
+ */
+async function signOut() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.AUTH);
+  const session = stored[STORAGE_KEYS.AUTH];
+  if (session) {
+    // Revoke the refresh token; signing out locally matters more
+    supabaseRequest('auth/v1/logout', { session, body: {} }).catch((err) => {
+      console.warn('[SourceFence] Could not revoke the session:', err);
+    });
+  }
+  await chrome.storage.local.remove([STORAGE_KEYS.AUTH, STORAGE_KEYS.ACCOUNT]);
+  await clearTeamData();
+}
+
+/**
+ * Reply to an account message with { ok: true } or { ok: false, error }.
+ *
+ * @param {Promise}  promise
+ * @param {function} sendResponse
+ */
+function respondWhenDone(promise, sendResponse) {
+  promise
+    .then(() => sendResponse({ ok: true }))
+    .catch((err) => {
+      console.warn('[SourceFence] Account request failed:', err);
+      sendResponse({ ok: false, error: err.message || 'Something went wrong.' });
+    });
+}
+
+// ---- Team sync ------------------------------------------------------------
+// Pull-only sync from Supabase (see DECISIONS.md, Decision 3). The content
+// scripts only ever read chrome.storage.local; this applies the team's
+// changes there and keeps the recruiter's own rules. After the first sync
+// only the rows changed since the previous one are fetched
+// (team_changes_since, migration 018).
+
+const SYNC_ALARM = 'sourcefence_sync';
+const SYNC_INTERVAL_MINUTES = 15;
+
+/**
+ * Team tables and where their rows are stored. `merge` tables also hold
+ * the recruiter's own entries (`source: "local"` rules and policies added
+ * from a rule template): synced rows are tagged `source: "remote"` and
+ * only ever replace other synced rows. The other tables are only ever
+ * written by sync. `rules` tables count towards the change summary the
+ * popup shows after a sync.
+ */
+const SYNCED_TABLES = [
+  {
+    table: 'location_rules',
+    key: STORAGE_KEYS.LOCATION_RULES,
+    merge: true,
+    rules: true,
+    columns: 'id,pattern,match_mode,severity,message,active,starts_at,expires_at,policy_id',
+  },
+  {
+    table: 'company_rules',
+    key: STORAGE_KEYS.COMPANY_RULES,
+    merge: true,
+    rules: true,
+    columns: 'id,company_name,severity,message,active,starts_at,expires_at,policy_id,' +
+      'lookback_months,include_subsidiaries,linkedin_company_ids,allow_reverse_match',
+    // The extension calls the company name `pattern`, like other rules
+    toItem: ({ company_name, ...row }) => ({ ...row, pattern: company_name }),
+  },
+  {
+    table: 'title_rules',
+    key: STORAGE_KEYS.TITLE_RULES,
+    merge: true,
+    rules: true,
+    columns: 'id,pattern,match_mode,field,company_pattern,severity,message,active',
+  },
+  {
+    table: 'education_rules',
+    key: STORAGE_KEYS.EDUCATION_RULES,
+    merge: true,
+    rules: true,
+    columns: 'id,pattern,match_mode,graduated_within_years,severity,message,active',
+  },
+  {
+    table: 'compound_rules',
+    key: STORAGE_KEYS.COMPOUND_RULES,
+    merge: true,
+    rules: true,
+    columns: 'id,name,conditions,severity,message,active',
+  },
+  {
+    table: 'exception_rules',
+    key: STORAGE_KEYS.EXCEPTION_RULES,
+    merge: true,
+    rules: true,
+    columns: 'id,name,conditions,rule_id,severity,message,active',
+  },
+  {
+    table: 'policies',
+    key: STORAGE_KEYS.POLICIES,
+    merge: true,
+    columns: 'id,name,description,active,expires_at,template_id,template_version',
+  },
+  {
+    table: 'location_aliases',
+    key: STORAGE_KEYS.LOCATION_ALIASES,
+    columns: 'id,alias,canonical',
+  },
+  {
+    table: 'company_subsidiaries',
+    key: STORAGE_KEYS.COMPANY_HIERARCHY,
+    columns: 'id,parent,subsidiary',
+  },
+  {
+    table: 'company_suffixes',
+    key: STORAGE_KEYS.COMPANY_SUFFIXES,
+    columns: 'id,term,kind,locale',
+  },
+  {
+    table: 'severity_levels',
+    key: STORAGE_KEYS.SEVERITY_LEVELS,
+    columns: 'id,key,label,rank,color,icon',
+  },
+];
+
+// The sync running right now, so overlapping triggers share one request
+let syncInFlight = null;
+
+/**
+ * A changed row as stored in the extension: only the synced columns, renamed
+ * by the table's toItem.
+ *
+ * @param {object} spec - an entry of SYNCED_TABLES
+ * @param {object} row  - the full row from team_changes_since
+ * @returns {object}
+ */
+function toSyncedItem(spec, row) {
+  const picked = {};
+  spec.columns.split(',').forEach((column) => {
+    picked[column] = row[column] === undefined ? null : row[column];
+  });
+  const item = spec.toItem ? spec.toItem(picked) : picked;
+  return spec.merge ? { ...item, source: 'remote' } : item;
+}
+
+/**
+ * Apply one table's changes to its synced items.
+ *
+ * @param {object}  spec     - an entry of SYNCED_TABLES
+ * @param {Array}   previous - the synced items stored now
+ * @param {object}  changes  - the team_changes_since response
+ * @param {boolean} markNew  - stamp rows that were not stored before with
+ *                             added_at, so banners can flag them as new
+ * @returns {{ items: Array, added: number, updated: number, removed: number }}
+ */
+function applyTableChanges(spec, previous, changes, markNew) {
+  const before = new Map(previous.map((item) => [item.id, item]));
+  const next = new Map(changes.full ? [] : before);
+
+  changes.deleted
+    .filter((row) => row.table_name === spec.table)
+    .forEach((row) => next.delete(row.row_id));
+
+  (changes.changed[spec.table] || []).forEach((row) => {
+    const item = toSyncedItem(spec, row);
+    const old = before.get(item.id);
+    if (old && old.added_at) {
+      item.added_at = old.added_at;
+    } else if (!old && markNew) {
+      item.added_at = Date.now();
+    }
+    next.set(item.id, item);
+  });
+
+  let added = 0;
+  let updated = 0;
+  next.forEach((item, id) => {
+    const old = before.get(id);
+    if (!old) {
+      added += 1;
+    } else if (JSON.stringify(old) !== JSON.stringify(item)) {
+      updated += 1;
+    }
+  });
+  const removed = previous.filter((item) => !next.has(item.id)).length;
+
+  return { items: Array.from(next.values()), added, updated, removed };
+}
+
+/**
+ * Remove everything sync wrote: synced rules and policies, and the team's
+ * aliases, hierarchy, suffixes and severity levels. The recruiter's own
+ * rules are kept.
+ */
+async function clearTeamData() {
+  const cached = await chrome.storage.local.get(
+    SYNCED_TABLES.filter((spec) => spec.merge).map((spec) => spec.key)
+  );
+  const updates = {};
+  SYNCED_TABLES.forEach((spec) => {
+    updates[spec.key] = spec.merge
+      ? (cached[spec.key] || []).filter((item) => item.source !== 'remote')
+      : [];
+  });
+  await chrome.storage.local.set(updates);
+  await chrome.storage.local.remove(STORAGE_KEYS.SYNC);
+}
+
+/**
+ * Pull the signed-in member's team changes into chrome.storage.local.
+ * Skipped when nobody is signed in. On failure the cached rules are left
+ * as they are and the error is recorded for the popup; an expired session
+ * is also cleared.
+ *
+ * Sync state is kept under sourcefence_sync as { last_sync_timestamp,
+ * last_error, cursor, company_id, last_changes: { added, updated, removed } }.
+ * last_changes counts the rules the latest sync added, changed and removed;
+ * it is null after a first sync, which has nothing to compare with.
+ *
+ * @returns {Promise<{ ok: boolean, skipped?: boolean, error?: string }>}
+ */
+function syncRules() {
+  if (!syncInFlight) {
+    syncInFlight = runSync().finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+}
+
+async function runSync() {
+  try {
+    const session = await getSession();
+    if (!session) {
+      return { ok: false, skipped: true };
+    }
+
+    const account = await refreshAccount(session);
+    if (!account.company_id) {
+      throw new Error('Join your team with its invite code to sync its rules.');
+    }
+
+    const cached = await chrome.storage.local.get(
+      SYNCED_TABLES.map((spec) => spec.key).concat(STORAGE_KEYS.SYNC)
+    );
+    const state = cached[STORAGE_KEYS.SYNC] || {};
+    // A first sync, or one for another team, starts from a full snapshot
+    const resume = state.company_id === account.company_id && !!state.cursor;
+
+    const changes = await supabaseRequest('rest/v1/rpc/team_changes_since', {
+      session,
+      body: {
+        p_company_id: account.company_id,
+        p_since: resume ? state.cursor : null,
+      },
+    });
+
+    const updates = {};
+    const summary = { added: 0, updated: 0, removed: 0 };
+    SYNCED_TABLES.forEach((spec) => {
+      const stored = cached[spec.key] || [];
+      const own = spec.merge ? stored.filter((item) => item.source !== 'remote') : [];
+      const previous = !resume
+        ? []
+        : spec.merge ? stored.filter((item) => item.source === 'remote') : stored;
+
+      const result = applyTableChanges(spec, previous, changes, resume);
+      const items = result.items.concat(own);
+      // Unchanged keys are not rewritten, so open tabs are not re-checked
+      if (JSON.stringify(items) !== JSON.stringify(stored)) {
+        updates[spec.key] = items;
+      }
+      if (spec.rules) {
+        summary.added += result.added;
+        summary.updated += result.updated;
+        summary.removed += result.removed;
+      }
+    });
+    updates[STORAGE_KEYS.SYNC] = {
+      last_sync_timestamp: Date.now(),
+      last_error: null,
+      cursor: changes.cursor,
+      company_id: account.company_id,
+      last_changes: resume ? summary : null,
+    };
+
+    // The storage listener below sends RULES_UPDATED to open tabs
+    await chrome.storage.local.set(updates);
+    console.log('[SourceFence] Team rules synced.', resume ? summary : '(full)');
+    return { ok: true };
+  } catch (err) {
+    console.warn('[SourceFence] Team sync failed:', err);
+    const sessionExpired = err instanceof SupabaseRequestError && err.status === 401;
+    if (sessionExpired) {
+      await chrome.storage.local.remove([STORAGE_KEYS.AUTH, STORAGE_KEYS.ACCOUNT]);
+    }
+    const message = sessionExpired
+      ? 'Your session has expired. Sign in again to sync team rules.'
+      : err.message || 'Team sync failed.';
+
+    const previous = await chrome.storage.local.get(STORAGE_KEYS.SYNC);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SYNC]: {
+        ...(previous[STORAGE_KEYS.SYNC] || { last_sync_timestamp: null }),
+        last_error: message,
+      },
+    });
+    return { ok: false, error: message };
+  }
+}
+
+/**
+ * Sync when the last successful sync is older than the alarm period. The
+ * service worker can sleep through alarms, so this runs on every wake.
+ */
+async function syncIfStale() {
+  try {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.SYNC);
+    const last = (stored[STORAGE_KEYS.SYNC] || {}).last_sync_timestamp || 0;
+    if (Date.now() - last >= SYNC_INTERVAL_MINUTES * 60 * 1000) {
+      await syncRules();
+    }
+  } catch (err) {
+    console.warn('[SourceFence] Could not check sync state:', err);
+  }
+}
+
+/**
+ * @param {object} alarm
+ */
+function handleAlarm(alarm) {
+  if (alarm.name === SYNC_ALARM) {
+    syncRules();
+  }
+}
+
+function scheduleSync() {
+  chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+}
+
+// ---- Realtime -------------------------------------------------------------
+// While a LinkedIn tab is open, a Supabase Realtime socket reports changes
+// to the team's tables as they are saved, and each one starts a sync, so
+// an urgent rule reaches recruiters within seconds. The alarm keeps pulling
+// every 15 minutes whether or not the socket is up. The socket only lives
+// as long as the service worker; its heartbeat keeps the worker awake
+// while it is open.
+//
+// The connection state is kept under sourcefence_realtime as { status,
+// since } for the popup: "live" once the channel is joined, "connecting",
+// "stale" after the socket dropped (a reconnect is scheduled) or "off" when
+// no LinkedIn tab is open or nobody on a team is signed in.
+
+const REALTIME_HEARTBEAT_MS = 25 * 1000;
+
+// Wait before reconnecting, doubled after each failed attempt
+const REALTIME_RETRY_MS = 5 * 1000;
+const REALTIME_MAX_RETRY_MS = 5 * 60 * 1000;
+
+// Saving a policy writes several rows; their events share one sync
+const REALTIME_SYNC_DELAY_MS = 1000;
+
+const LINKEDIN_TAB_URLS = ['https://www.linkedin.com/*', 'https://linkedin.com/*'];
+
+// Deletes are picked up from the tombstones migration 018 records: Realtime
+// cannot apply row-level security to deleted rows, so it would report every
+// team's deletes.
+const REALTIME_CHANGES = SYNCED_TABLES
+  .flatMap((spec) => ['INSERT', 'UPDATE'].map((event) => ({ event, table: spec.table })))
+  .concat({ event: 'INSERT', table: 'deleted_rows' });
+
+const realtime = {
+  socket: null,
+  companyId: null,
+  accessToken: null,
+  joinRef: null,
+  ref: 0,
+  status: null,
+  heartbeatTimer: null,
+  retryTimer: null,
+  retryMs: REALTIME_RETRY_MS,
+  syncTimer: null,
+};
+
+// Connection checks run one after another, so a burst of tab events opens
+// at most one socket
+let realtimeUpdate = Promise.resolve();
+
+/**
+ * @param {string} status - 'live', 'connecting', 'stale' or 'off'
+ */
+function setRealtimeStatus(status) {
+  if (realtime.status === status) return;
+  realtime.status = status;
+  chrome.storage.local.set({
+    [STORAGE_KEYS.REALTIME]: { status, since: Date.now() },
+  });
+}
+
+/**
+ * Send a Phoenix channel message on the open socket.
+ *
+ * @param {string} topic
+ * @param {string} event
+ * @param {object} payload
+ * @returns {string} the message ref
+ */
+function sendRealtime(topic, event, payload) {
+  realtime.ref += 1;
+  const ref = String(realtime.ref);
+  if (event === 'phx_join') realtime.joinRef = ref;
+  realtime.socket.send(JSON.stringify({
+    topic,
+    event,
+    payload,
+    ref,
+    join_ref: topic === 'phoenix' ? undefined : realtime.joinRef,
+  }));
+  return ref;
+}
+
+function realtimeTopic() {
+  return 'realtime:sourcefence-' + realtime.companyId;
+}
+
+/**
+ * Close the socket, if any, and cancel its timers.
+ *
+ * @param {string} status - the status to report afterwards
+ */
+function closeRealtime(status) {
+  const socket = realtime.socket;
+  realtime.socket = null;
+  clearInterval(realtime.heartbeatTimer);
+  clearTimeout(realtime.syncTimer);
+  clearTimeout(realtime.retryTimer);
+  realtime.heartbeatTimer = null;
+  realtime.syncTimer = null;
+  realtime.retryTimer = null;
+  if (socket) socket.close();
+  setRealtimeStatus(status);
+}
+
+/**
+ * Open the socket and join the team's channel.
+ *
+ * @param {object} session
+ * @param {string} companyId
+ */
+function openRealtime(session, companyId) {
+  const config = self.SourceFenceConfig || {};
+  if (!config.supabaseUrl || !config.supabaseAnonKey) return;
+
+  const socket = new WebSocket(
+    config.supabaseUrl.replace(/\/$/, '').replace(/^http/, 'ws') +
+      '/realtime/v1/websocket?apikey=' + encodeURIComponent(config.supabaseAnonKey) +
+      '&vsn=1.0.0'
+  );
+  realtime.socket = socket;
+  realtime.companyId = companyId;
+  realtime.accessToken = session.access_token;
+  setRealtimeStatus('connecting');
+
+  socket.onopen = () => {
+    sendRealtime(realtimeTopic(), 'phx_join', {
+      config: {
+        broadcast: { self: false },
+        presence: { key: '' },
+        postgres_changes: REALTIME_CHANGES.map((change) => ({
+          ...change,
+          schema: 'public',
+          filter: 'company_id=eq.' + companyId,
+        })),
+      },
+      access_token: realtime.accessToken,
+    });
+    realtime.heartbeatTimer = setInterval(realtimeHeartbeat, REALTIME_HEARTBEAT_MS);
+  };
+
+  socket.onmessage = (event) => {
+    if (realtime.socket !== socket) return;
+    try {
+      handleRealtimeMessage(JSON.parse(event.data));
+    } catch (err) {
+      console.warn('[SourceFence] Bad Realtime message:', err);
+    }
+  };
+
+  // An error is followed by close
+  socket.onclose = () => {
+    if (realtime.socket !== socket) return;
+    console.warn('[SourceFence] Realtime connection lost; rules are pulled every ' +
+      SYNC_INTERVAL_MINUTES + ' minutes until it is back.');
+    closeRealtime('stale');
+    realtime.retryTimer = setTimeout(() => {
+      realtime.retryTimer = null;
+      updateRealtime();
+    }, realtime.retryMs);
+    realtime.retryMs = Math.min(realtime.retryMs * 2, REALTIME_MAX_RETRY_MS);
+  };
+}
+
+/**
+ * @param {{ topic: string, event: string, payload: object, ref: string }} message
+ */
+function handleRealtimeMessage(message) {
+  if (message.topic !== realtimeTopic()) return;
+
+  switch (message.event) {
+    case 'phx_reply':
+      if (message.ref !== realtime.joinRef) return;
+      if (message.payload && message.payload.status === 'ok') {
+        setRealtimeStatus('live');
+        realtime.retryMs = REALTIME_RETRY_MS;
+        // Catch up on anything saved while the socket was down
+        syncRules();
+      } else {
+        console.warn('[SourceFence] Could not join Realtime channel:', message.payload);
+        realtime.socket.close();
+      }
+      break;
+
+    case 'postgres_changes':
+      clearTimeout(realtime.syncTimer);
+      realtime.syncTimer = setTimeout(syncRules, REALTIME_SYNC_DELAY_MS);
+      break;
+
+    case 'system':
+      if (message.payload && message.payload.status === 'error') {
+        console.warn('[SourceFence] Realtime subscription failed:', message.payload.message);
+        realtime.socket.close();
+      }
+      break;
+
+    case 'phx_error':
+    case 'phx_close':
+      realtime.socket.close();
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Keep the socket (and the worker) alive, and hand Realtime the new access
+ * token after a refresh; the channel is closed when its token expires.
+ */
+async function realtimeHeartbeat() {
+  if (!realtime.socket || realtime.socket.readyState !== WebSocket.OPEN) return;
+  sendRealtime('phoenix', 'heartbeat', {});
+
+  try {
+    const session = await getSession();
+    if (!session) {
+      updateRealtime();
+    } else if (session.access_token !== realtime.accessToken && realtime.socket) {
+      realtime.accessToken = session.access_token;
+      sendRealtime(realtimeTopic(), 'access_token', { access_token: session.access_token });
+    }
+  } catch (err) {
+    console.warn('[SourceFence] Could not refresh the Realtime token:', err);
+  }
+}
+
+/**
+ * Open or close the socket to match the current state: it is wanted while
+ * a member of a team is signed in and a LinkedIn tab is open.
+ *
+ * @returns {Promise<void>}
+ */
+function updateRealtime() {
+  realtimeUpdate = realtimeUpdate.then(checkRealtime).catch((err) => {
+    console.warn('[SourceFence] Could not update Realtime connection:', err);
+  });
+  return realtimeUpdate;
+}
+
+async function checkRealtime() {
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.AUTH, STORAGE_KEYS.ACCOUNT]);
+  const account = stored[STORAGE_KEYS.ACCOUNT] || {};
+  const tabs = stored[STORAGE_KEYS.AUTH] && account.company_id
+    ? await chrome.tabs.query({ url: LINKEDIN_TAB_URLS })
+    : [];
+  if (tabs.length === 0) {
+    realtime.retryMs = REALTIME_RETRY_MS;
+    closeRealtime('off');
+    return;
+  }
+
+  if (realtime.socket && realtime.companyId === account.company_id) return;
+  // A reconnect is already scheduled
+  if (!realtime.socket && realtime.retryTimer) return;
+
+  const session = await getSession().catch(() => null);
+  if (!session) return;
+  closeRealtime('connecting');
+  openRealtime(session, account.company_id);
+}
+
+// ---- Audit log --------------------------------------------------------------
+
+/**
+ * Add a candidate check (a MATCH_RESULT message) to the audit log, pruned to
+ * the retention in settings; a re-check of the same profile visit carries
+ * the same check_id and updates its entry. The banner reports what happened
+ * to its warning separately, as BANNER_EVENT messages with the same
+ * check_id.
+ *
+ * @param {object} message - { data: matcher result, candidate: { location, company } }
+ * @param {object} sender
+ */
+function recordCheck(message, sender) {
+  const result = message.data;
+  if (!result || !result.check_id) return;
+
+  const url = (sender && (sender.url || (sender.tab && sender.tab.url))) || null;
+  const candidate = message.candidate || {};
+  const level = result.level || {};
+  const retention = chrome.storage.local.get(STORAGE_KEYS.SETTINGS)
+    .then((stored) => self.SourceFenceAuditLog.retentionFrom(stored[STORAGE_KEYS.SETTINGS]));
+
+  // Queued before anything the banner reports for this check
+  self.SourceFenceAuditLog.append(
+    {
+      check_id: result.check_id,
+      timestamp: Date.now(),
+      profile_url: url,
+      public_id: profilePublicId(url),
+      location: candidate.location || null,
+      company: candidate.company || null,
+      severity: result.severity,
+      severity_label: level.label || result.severity,
+      restricted: level.rank > 0,
+      rule_ids: (result.matches || []).map((m) => m.rule_id).filter(Boolean),
+      exception_ids: (result.exceptions || []).map((e) => e.exception_id).filter(Boolean),
+    },
+    retention
+  ).catch((err) => {
+    console.warn('[SourceFence] Could not write the audit log:', err);
+  });
+}
+
 // ---- Message handler ------------------------------------------------------
 
 /**
@@ -125,10 +1023,19 @@ function handleMessage(message, sender, sendResponse) {
         (sender && sender.tab && sender.tab.id) || message.tabId || null;
 
       if (tabId) {
-        const severity = message.data && message.data.severity;
-        updateBadge(tabId, severity);
+        updateBadge(tabId, message.data && message.data.level);
       }
 
+      recordCheck(message, sender);
+      sendResponse({ ok: true });
+      break;
+    }
+
+    // -- Banner shown, dismissed or acknowledged (audit log) ----------------
+    case 'BANNER_EVENT': {
+      self.SourceFenceAuditLog.recordBannerEvent(message.check_id, message.state).catch((err) => {
+        console.warn('[SourceFence] Could not update the audit log:', err);
+      });
       sendResponse({ ok: true });
       break;
     }
@@ -136,11 +1043,22 @@ function handleMessage(message, sender, sendResponse) {
     // -- Popup requests the current ruleset ---------------------------------
     case 'GET_RULES': {
       chrome.storage.local.get(
-        [STORAGE_KEYS.LOCATION_RULES, STORAGE_KEYS.COMPANY_RULES],
+        [
+          STORAGE_KEYS.LOCATION_RULES,
+          STORAGE_KEYS.COMPANY_RULES,
+          STORAGE_KEYS.TITLE_RULES,
+          STORAGE_KEYS.EDUCATION_RULES,
+          STORAGE_KEYS.COMPOUND_RULES,
+          STORAGE_KEYS.EXCEPTION_RULES,
+        ],
         (result) => {
           sendResponse({
             locationRules: result[STORAGE_KEYS.LOCATION_RULES] || [],
             companyRules: result[STORAGE_KEYS.COMPANY_RULES] || [],
+            titleRules: result[STORAGE_KEYS.TITLE_RULES] || [],
+            educationRules: result[STORAGE_KEYS.EDUCATION_RULES] || [],
+            compoundRules: result[STORAGE_KEYS.COMPOUND_RULES] || [],
+            exceptionRules: result[STORAGE_KEYS.EXCEPTION_RULES] || [],
           });
         }
       );
@@ -162,6 +1080,38 @@ function handleMessage(message, sender, sendResponse) {
       return true;
     }
 
+    // -- Popup "Sync now" button ---------------------------------------------
+    case 'SYNC_NOW': {
+      syncRules().then(sendResponse);
+      return true;
+    }
+
+    // -- Options page account actions ---------------------------------------
+    case 'SIGN_IN': {
+      respondWhenDone(signInWithPassword(message.email, message.password), sendResponse);
+      return true;
+    }
+
+    case 'SEND_MAGIC_LINK': {
+      respondWhenDone(sendMagicLink(message.email, message.redirectTo), sendResponse);
+      return true;
+    }
+
+    case 'MAGIC_LINK_SESSION': {
+      respondWhenDone(completeSignIn(message.session), sendResponse);
+      return true;
+    }
+
+    case 'JOIN_TEAM': {
+      respondWhenDone(joinTeam(message.inviteCode), sendResponse);
+      return true;
+    }
+
+    case 'SIGN_OUT': {
+      respondWhenDone(signOut(), sendResponse);
+      return true;
+    }
+
     default:
       // Unknown message type — no action.
       break;
@@ -190,6 +1140,9 @@ function handleTabUpdate(tabId, changeInfo, tab) {
       // Content script might not be ready yet — safe to ignore.
     });
   }
+
+  // The tab may have opened or left LinkedIn
+  updateRealtime();
 }
 
 // ---- Install / update handler ---------------------------------------------
@@ -211,6 +1164,10 @@ async function handleInstall(details) {
       STORAGE_KEYS.SETTINGS,
       STORAGE_KEYS.LOCATION_RULES,
       STORAGE_KEYS.COMPANY_RULES,
+      STORAGE_KEYS.TITLE_RULES,
+      STORAGE_KEYS.EDUCATION_RULES,
+      STORAGE_KEYS.COMPOUND_RULES,
+      STORAGE_KEYS.EXCEPTION_RULES,
     ]);
 
     const updates = {};
@@ -227,6 +1184,22 @@ async function handleInstall(details) {
       updates[STORAGE_KEYS.COMPANY_RULES] = [];
     }
 
+    if (!result[STORAGE_KEYS.TITLE_RULES]) {
+      updates[STORAGE_KEYS.TITLE_RULES] = [];
+    }
+
+    if (!result[STORAGE_KEYS.EDUCATION_RULES]) {
+      updates[STORAGE_KEYS.EDUCATION_RULES] = [];
+    }
+
+    if (!result[STORAGE_KEYS.COMPOUND_RULES]) {
+      updates[STORAGE_KEYS.COMPOUND_RULES] = [];
+    }
+
+    if (!result[STORAGE_KEYS.EXCEPTION_RULES]) {
+      updates[STORAGE_KEYS.EXCEPTION_RULES] = [];
+    }
+
     if (Object.keys(updates).length > 0) {
       await chrome.storage.local.set(updates);
       console.log('[SourceFence] Default storage values initialized.');
@@ -234,6 +1207,18 @@ async function handleInstall(details) {
   } catch (err) {
     console.error('[SourceFence] Failed to initialize storage:', err);
   }
+
+  scheduleSync();
+  syncRules();
+}
+
+/**
+ * Runs when the browser starts. Alarms are not guaranteed to survive a
+ * restart, so the sync alarm is created again.
+ */
+function handleStartup() {
+  scheduleSync();
+  syncRules();
 }
 
 // ---- Storage change listener ----------------------------------------------
@@ -250,12 +1235,36 @@ function handleStorageChange(changes, areaName) {
 
   const rulesChanged =
     STORAGE_KEYS.LOCATION_RULES in changes ||
-    STORAGE_KEYS.COMPANY_RULES in changes;
+    STORAGE_KEYS.COMPANY_RULES in changes ||
+    STORAGE_KEYS.TITLE_RULES in changes ||
+    STORAGE_KEYS.EDUCATION_RULES in changes ||
+    STORAGE_KEYS.COMPOUND_RULES in changes ||
+    STORAGE_KEYS.EXCEPTION_RULES in changes ||
+    STORAGE_KEYS.LOCATION_ALIASES in changes ||
+    STORAGE_KEYS.COMPANY_HIERARCHY in changes ||
+    STORAGE_KEYS.COMPANY_SUFFIXES in changes ||
+    STORAGE_KEYS.SEVERITY_LEVELS in changes ||
+    STORAGE_KEYS.POLICIES in changes;
 
   if (rulesChanged) {
     console.log('[SourceFence] Rules changed — notifying LinkedIn tabs.');
     notifyLinkedInTabs({ type: 'RULES_UPDATED' });
   }
+
+  // Pull the team's rules as soon as someone signs in
+  const auth = changes[STORAGE_KEYS.AUTH];
+  if (auth && auth.newValue && !auth.oldValue) {
+    syncRules();
+  }
+
+  // Connect to the team's Realtime channel, or disconnect, when the
+  // recruiter signs in or out or joins a team
+  const account = changes[STORAGE_KEYS.ACCOUNT];
+  const companyChanged = account &&
+    (account.oldValue || {}).company_id !== (account.newValue || {}).company_id;
+  if ((auth && !auth.newValue !== !auth.oldValue) || companyChanged) {
+    updateRealtime();
+  }
 }
 
 // ---- Register all event listeners at the top level ------------------------
@@ -265,5 +1274,11 @@ function handleStorageChange(changes, areaName) {
 
 chrome.runtime.onMessage.addListener(handleMessage);
 chrome.tabs.onUpdated.addListener(handleTabUpdate);
+chrome.tabs.onRemoved.addListener(updateRealtime);
 chrome.runtime.onInstalled.addListener(handleInstall);
 chrome.storage.onChanged.addListener(handleStorageChange);
+chrome.runtime.onStartup.addListener(handleStartup);
+chrome.alarms.onAlarm.addListener(handleAlarm);
+
+syncIfStale();
+updateRealtime();
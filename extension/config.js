@@ -0,0 +1,22 @@
+/**
+ * SourceFence — Backend Configuration
+ *
+ * The Supabase project that team rules are synced from. The defaults point
+ * at a local stack started with `supabase start` (see the README); for
+ * production, use your project's URL and anon key from Project Settings →
+ * API. The anon key is meant to be public: row-level security limits every
+ * signed-in user to their own team's rows.
+ *
+ * Loaded by the service worker and the options page.
+ *
+ * Exposed as self.SourceFenceConfig
+ */
+(function () {
+  'use strict';
+
+  self.SourceFenceConfig = {
+    supabaseUrl: 'http://127.0.0.1:54321',
+    // Printed as "anon key" by `supabase status`
+    supabaseAnonKey: ''
+  };
+})();
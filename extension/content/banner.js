@@ -5,12 +5,19 @@
  * Banners are injected INLINE above the profile card — not as a fixed overlay.
  *
  * Behavior by severity:
- *   Red/Amber — persistent. Dismiss minimizes to a small pill badge. Click pill to expand.
- *   Green    — auto-dismiss after a few seconds. No pill residual.
+ *   Any matched level — persistent, in the level's color with its label and
+ *                       icon. Dismiss minimizes to a small pill badge. Click
+ *                       pill to expand.
+ *   Green             — auto-dismiss after a few seconds. No pill residual.
+ *
+ * The banner headlines the highest-severity match. When more rules matched,
+ * an expandable "N more restrictions" section lists each of them, and the
+ * minimized pill shows the total count.
  *
  * Exposed as window.SourceFenceBanner with methods:
- *   show({ severity, message })  - inject and display a banner
- *   dismiss()                    - minimize (red/amber) or remove (green)
+ *   show(result)                 - inject and display a banner for a matcher
+ *                                  result ({ severity, message, winner, matches })
+ *   dismiss()                    - minimize (matched) or remove (green)
  *   destroy()                    - immediately remove everything
  */
 (function () {
@@ -34,12 +41,19 @@
   /*  SVG Icons                                                         */
   /* ------------------------------------------------------------------ */
 
+  // Keyed by the icon names in data/severity-levels.js, plus the banner's own
   var ICONS = {
-    red: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"/><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/></svg>',
+    block: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"/><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/></svg>',
+
+    warning: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>',
+
+    check: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>',
+
+    flag: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/></svg>',
 
-    amber: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>',
+    star: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>',
 
-    green: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>',
+    info: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>',
 
     dismiss: '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>',
 
@@ -58,6 +72,7 @@
       \
       .sf-banner {\
         display: flex;\
+        flex-wrap: wrap;\
         align-items: center;\
         gap: 10px;\
         width: 100%;\
@@ -78,27 +93,19 @@
         transform: translateY(0);\
       }\
       \
-      /* ---- Severity: Red ---- */\
-      .sf-banner--red {\
-        background: #DC2626;\
-        color: #ffffff;\
-        box-shadow: 0 2px 8px rgba(220, 38, 38, 0.3);\
-      }\
-      .sf-banner--red .sf-dismiss-btn { color: #ffffff; }\
-      .sf-banner--red .sf-dismiss-btn:hover { background: rgba(255, 255, 255, 0.2); }\
-      .sf-banner--red .sf-branding { color: rgba(255, 255, 255, 0.8); }\
-      .sf-banner--red .sf-separator { background: rgba(255, 255, 255, 0.3); }\
-      \
-      /* ---- Severity: Amber ---- */\
-      .sf-banner--amber {\
-        background: #F59E0B;\
-        color: #2D2D2D;\
-        box-shadow: 0 2px 8px rgba(245, 158, 11, 0.3);\
+      /* ---- Matched severity level: --sf-color / --sf-text set inline ---- */\
+      .sf-banner--level {\
+        background: var(--sf-color);\
+        color: var(--sf-text);\
+        box-shadow: 0 2px 8px color-mix(in srgb, var(--sf-color) 30%, transparent);\
       }\
-      .sf-banner--amber .sf-dismiss-btn { color: #2D2D2D; }\
-      .sf-banner--amber .sf-dismiss-btn:hover { background: rgba(0, 0, 0, 0.1); }\
-      .sf-banner--amber .sf-branding { color: rgba(45, 45, 45, 0.7); }\
-      .sf-banner--amber .sf-separator { background: rgba(45, 45, 45, 0.2); }\
+      .sf-banner--level .sf-dismiss-btn { color: var(--sf-text); }\
+      .sf-tone--light .sf-dismiss-btn:hover { background: rgba(255, 255, 255, 0.2); }\
+      .sf-tone--light .sf-branding { color: rgba(255, 255, 255, 0.8); }\
+      .sf-tone--light .sf-separator { background: rgba(255, 255, 255, 0.3); }\
+      .sf-tone--dark .sf-dismiss-btn:hover { background: rgba(0, 0, 0, 0.1); }\
+      .sf-tone--dark .sf-branding { color: rgba(45, 45, 45, 0.7); }\
+      .sf-tone--dark .sf-separator { background: rgba(45, 45, 45, 0.2); }\
       \
       /* ---- Severity: Green ---- */\
       .sf-banner--green {\
@@ -115,7 +122,13 @@
       .sf-banner--green .sf-branding { color: #9CA3AF; }\
       .sf-banner--green .sf-separator { background: #d1d5db; }\
       \
-      /* ---- Pill badge (minimized state for red/amber) ---- */\
+      /* ---- Possible-match note on an otherwise clear profile ---- */\
+      .sf-banner--green.sf-banner--note {\
+        border-left-color: #6B7280;\
+      }\
+      .sf-banner--green.sf-banner--note .sf-icon { color: #6B7280; }\
+      \
+      /* ---- Pill badge (minimized state for a matched level) ---- */\
       .sf-pill {\
         display: inline-flex;\
         align-items: center;\
@@ -141,13 +154,9 @@
       .sf-pill:hover {\
         box-shadow: 0 2px 6px rgba(0, 0, 0, 0.2);\
       }\
-      .sf-pill--red {\
-        background: #DC2626;\
-        color: #ffffff;\
-      }\
-      .sf-pill--amber {\
-        background: #F59E0B;\
-        color: #2D2D2D;\
+      .sf-pill--level {\
+        background: var(--sf-color);\
+        color: var(--sf-text);\
       }\
       .sf-pill-icon {\
         display: flex;\
@@ -183,6 +192,111 @@
         min-width: 0;\
         font-weight: 500;\
       }\
+      .sf-reason {\
+        display: block;\
+        font-size: 11px;\
+        font-weight: 400;\
+        opacity: 0.85;\
+        margin-top: 1px;\
+      }\
+      .sf-suggestion {\
+        display: block;\
+        margin-top: 4px;\
+        padding: 3px 8px;\
+        font-size: 11px;\
+        font-weight: 400;\
+        color: #374151;\
+        background: #F3F4F6;\
+        border-radius: 4px;\
+      }\
+      .sf-suggestion-tag {\
+        font-weight: 700;\
+        text-transform: uppercase;\
+        letter-spacing: 0.04em;\
+        margin-right: 6px;\
+      }\
+      .sf-more-btn {\
+        display: inline-flex;\
+        align-items: center;\
+        gap: 4px;\
+        margin-top: 3px;\
+        padding: 0;\
+        border: none;\
+        background: transparent;\
+        color: inherit;\
+        font: inherit;\
+        font-size: 12px;\
+        font-weight: 600;\
+        text-decoration: underline;\
+        cursor: pointer;\
+      }\
+      .sf-more-btn svg {\
+        transition: transform 150ms ease;\
+      }\
+      .sf-more-btn[aria-expanded="true"] svg {\
+        transform: rotate(180deg);\
+      }\
+      .sf-more-btn:focus-visible {\
+        outline: 2px solid currentColor;\
+        outline-offset: 2px;\
+      }\
+      .sf-more-list {\
+        flex-basis: 100%;\
+        list-style: none;\
+        margin-top: 4px;\
+        padding: 8px 0 0 36px;\
+        border-top: 1px solid rgba(0, 0, 0, 0.12);\
+        font-size: 13px;\
+      }\
+      .sf-more-list[hidden] {\
+        display: none;\
+      }\
+      .sf-more-item + .sf-more-item {\
+        margin-top: 6px;\
+      }\
+      .sf-more-tag {\
+        display: inline-block;\
+        padding: 1px 6px;\
+        margin-right: 6px;\
+        font-size: 10px;\
+        font-weight: 700;\
+        letter-spacing: 0.04em;\
+        border-radius: 3px;\
+        border: 1px solid rgba(255, 255, 255, 0.6);\
+        vertical-align: 1px;\
+      }\
+      .sf-more-tag--level {\
+        background: var(--sf-color);\
+        color: var(--sf-text);\
+      }\
+      .sf-new-tag {\
+        display: inline-block;\
+        padding: 1px 6px;\
+        margin-left: 6px;\
+        font-size: 10px;\
+        font-weight: 700;\
+        letter-spacing: 0.04em;\
+        text-transform: uppercase;\
+        color: #111827;\
+        background: #FFFFFF;\
+        border: 1px solid rgba(0, 0, 0, 0.12);\
+        border-radius: 3px;\
+        vertical-align: 1px;\
+      }\
+      .sf-pill-count {\
+        display: inline-flex;\
+        align-items: center;\
+        justify-content: center;\
+        min-width: 18px;\
+        height: 18px;\
+        padding: 0 5px;\
+        font-size: 11px;\
+        border-radius: 9px;\
+        background: rgba(255, 255, 255, 0.25);\
+      }\
+      .sf-pill.sf-tone--dark .sf-pill-count {\
+        background: rgba(0, 0, 0, 0.12);\
+      }\
       .sf-label {\
         font-weight: 700;\
         text-transform: uppercase;\
@@ -207,6 +321,24 @@
         outline: 2px solid currentColor;\
         outline-offset: 2px;\
       }\
+      .sf-ack-btn {\
+        flex-shrink: 0;\
+        padding: 3px 10px;\
+        border: 1px solid currentColor;\
+        border-radius: 4px;\
+        background: transparent;\
+        color: inherit;\
+        font: inherit;\
+        font-size: 12px;\
+        font-weight: 600;\
+        cursor: pointer;\
+      }\
+      .sf-tone--light .sf-ack-btn:hover { background: rgba(255, 255, 255, 0.2); }\
+      .sf-tone--dark .sf-ack-btn:hover { background: rgba(0, 0, 0, 0.1); }\
+      .sf-ack-btn:focus-visible {\
+        outline: 2px solid currentColor;\
+        outline-offset: 2px;\
+      }\
     ';
   }
 
@@ -214,41 +346,178 @@
   /*  Banner HTML builders                                              */
   /* ------------------------------------------------------------------ */
 
-  var SEVERITY_CONFIG = {
-    red: { cssClass: 'sf-banner--red', pillClass: 'sf-pill--red', label: 'RESTRICTED', icon: ICONS.red },
-    amber: { cssClass: 'sf-banner--amber', pillClass: 'sf-pill--amber', label: 'CAUTION', icon: ICONS.amber },
-    green: { cssClass: 'sf-banner--green', pillClass: '', label: '', icon: ICONS.green },
-  };
+  var LIGHT_TEXT = '#ffffff';
+  var DARK_TEXT = '#2D2D2D';
 
-  function buildBannerHTML(severity, message) {
-    var config = SEVERITY_CONFIG[severity];
-    if (!config) {
-      console.warn('[SourceFence] Unknown severity:', severity);
-      return '';
+  /**
+   * The level for a severity key: the matcher's (bundled plus team levels)
+   * when it is loaded, otherwise the bundled one.
+   * @param {string} severity
+   * @returns {{ key: string, label: string, rank: number, color: string, icon: string }}
+   */
+  function severityLevel(severity) {
+    var matcher = window.SourceFenceMatcher;
+    if (matcher && typeof matcher.getSeverityLevel === 'function') {
+      return matcher.getSeverityLevel(severity);
     }
+    var levels = (window.SourceFenceSeverityLevels || {}).levels || [];
+    for (var i = 0; i < levels.length; i++) {
+      if (levels[i].key === severity) return levels[i];
+    }
+    return { key: severity, label: 'Caution', rank: 1, color: '#F59E0B', icon: 'warning' };
+  }
+
+  /**
+   * White or dark text, whichever contrasts more with a #RRGGBB background
+   * (WCAG relative luminance).
+   */
+  function textColorFor(hex) {
+    var n = parseInt(hex.slice(1), 16);
+    var luminance = [n >> 16, (n >> 8) & 255, n & 255].map(function (c) {
+      c /= 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    var l = 0.2126 * luminance[0] + 0.7152 * luminance[1] + 0.0722 * luminance[2];
+    // #2D2D2D has a relative luminance of about 0.026
+    return (1.05 / (l + 0.05)) >= ((l + 0.05) / 0.076) ? LIGHT_TEXT : DARK_TEXT;
+  }
+
+  /**
+   * How to draw a severity: its label and icon, and for matched levels the
+   * inline custom properties and text tone for its color.
+   */
+  function severityConfig(severity) {
+    var level = severityLevel(severity);
+    var color = /^#[0-9a-f]{6}$/i.test(level.color) ? level.color : '#F59E0B';
+    var text = textColorFor(color);
+    return {
+      rank: level.rank,
+      label: severity === 'green' ? '' : level.label,
+      icon: ICONS[level.icon] || (severity === 'green' ? ICONS.check : ICONS.warning),
+      tone: text === LIGHT_TEXT ? 'sf-tone--light' : 'sf-tone--dark',
+      style: '--sf-color: ' + color + '; --sf-text: ' + text,
+    };
+  }
+
+  /**
+   * Matches other than the headline one, highest severity first (the
+   * strictest restrictions, then the strongest positive signals).
+   * @param {Object} result - matcher result ({ winner, matches })
+   * @returns {Array}
+   */
+  function otherMatches(result) {
+    if (!result || !Array.isArray(result.matches)) return [];
+    return result.matches
+      .filter(function (m) { return m !== result.winner; })
+      .sort(function (a, b) {
+        var ra = severityLevel(a.severity).rank;
+        var rb = severityLevel(b.severity).rank;
+        return ra > 0 || rb > 0 ? rb - ra : ra - rb;
+      });
+  }
+
+  // Flags a match on a team rule added by a recent sync (match.is_new)
+  var NEW_TAG_HTML = '<span class="sf-new-tag" title="Added to your team\'s rules recently">New</span>';
+
+  function buildMoreHTML(others) {
+    if (others.length === 0) return '';
+
+    var items = others.map(function (m) {
+      var config = severityConfig(m.severity);
+      return '<li class="sf-more-item">' +
+        '<span class="sf-more-tag sf-more-tag--level ' + config.tone + '" style="' + config.style + '">' +
+        escapeHTML(config.label) + '</span>' +
+        escapeHTML(m.message || config.label) +
+        (m.is_new ? NEW_TAG_HTML : '') +
+        (m.reason ? '<span class="sf-reason">' + escapeHTML(m.reason) + '</span>' : '') +
+        '</li>';
+    }).join('');
+
+    return '<ul class="sf-more-list" hidden>' + items + '</ul>';
+  }
+
+  /**
+   * "restriction" when any of the matches restricts sourcing, otherwise
+   * "match" (only positive levels such as "Preferred").
+   */
+  function matchNoun(matches, count) {
+    var restricts = matches.some(function (m) { return severityLevel(m.severity).rank > 0; });
+    return (restricts ? 'restriction' : 'match') + (count === 1 ? '' : restricts ? 's' : 'es');
+  }
+
+  function moreLabel(others) {
+    return others.length + ' more ' + matchNoun(others, others.length);
+  }
+
+  /**
+   * Possible matches from the matcher's advisory tier. Always neutral grey,
+   * whatever the banner's severity, so they are never mistaken for a
+   * restriction.
+   */
+  function buildSuggestionsHTML(suggestions) {
+    return suggestions.map(function (s) {
+      return '<span class="sf-suggestion">' +
+        '<span class="sf-suggestion-tag">Possible match</span>' +
+        escapeHTML('"' + s.employer + '" looks like company rule "' + s.pattern + '" (' +
+          s.edits + ' typo' + (s.edits === 1 ? '' : 's') + '). Not enforced \u2014 check the profile.') +
+        '</span>';
+    }).join('');
+  }
+
+  function buildBannerHTML(severity, message, reasons, others, suggestions, isNew) {
+    reasons = reasons || [];
+    others = others || [];
+    suggestions = suggestions || [];
+    var config = severityConfig(severity);
+    var noted = severity === 'green' && suggestions.length > 0;
 
     var labelSpan = config.label
-      ? '<span class="sf-label">' + config.label + ' &mdash;</span>'
+      ? '<span class="sf-label">' + escapeHTML(config.label) + ' &mdash;</span>'
       : '';
 
     var messageText = message || (severity === 'green' ? 'No restrictions apply' : '');
 
-    return '<div class="sf-banner ' + config.cssClass + '" role="alert" aria-live="assertive">' +
+    var classes = severity === 'green'
+      ? 'sf-banner--green' + (noted ? ' sf-banner--note' : '')
+      : 'sf-banner--level ' + config.tone + '" style="' + config.style;
+
+    return '<div class="sf-banner ' + classes + '" role="alert" aria-live="assertive">' +
       '<span class="sf-branding">SourceFence</span>' +
       '<span class="sf-separator"></span>' +
-      '<span class="sf-icon">' + config.icon + '</span>' +
-      '<span class="sf-message">' + labelSpan + escapeHTML(messageText) + '</span>' +
+      '<span class="sf-icon">' + (noted ? ICONS.info : config.icon) + '</span>' +
+      '<span class="sf-message">' + labelSpan + escapeHTML(messageText) +
+        (isNew ? NEW_TAG_HTML : '') +
+        reasons.map(function (reason) {
+          return '<span class="sf-reason">' + escapeHTML(reason) + '</span>';
+        }).join('') +
+        buildSuggestionsHTML(suggestions) +
+        (others.length > 0
+          ? '<button class="sf-more-btn" type="button" aria-expanded="false">' +
+            '<span class="sf-more-text">' + moreLabel(others) + '</span>' + ICONS.expand +
+            '</button>'
+          : '') +
+      '</span>' +
+      // A restriction can be acknowledged, which the audit log records
+      (config.rank > 0
+        ? '<button class="sf-ack-btn" type="button" title="Confirm you have read this warning">Acknowledge</button>'
+        : '') +
       '<button class="sf-dismiss-btn" aria-label="Dismiss banner" title="Dismiss">' + ICONS.dismiss + '</button>' +
+      buildMoreHTML(others) +
       '</div>';
   }
 
-  function buildPillHTML(severity) {
-    var config = SEVERITY_CONFIG[severity];
-    if (!config) return '';
+  function buildPillHTML(severity, matches) {
+    if (severity === 'green') return '';
+    var config = severityConfig(severity);
+    var count = matches.length;
+    var label = escapeHTML(config.label);
 
-    return '<div class="sf-pill ' + config.pillClass + '" role="button" tabindex="0" aria-label="' + config.label + ' — click to expand" title="Click to expand alert">' +
+    var countLabel = count > 1 ? ', ' + count + ' ' + matchNoun(matches, count) : '';
+
+    return '<div class="sf-pill sf-pill--level ' + config.tone + '" style="' + config.style + '" role="button" tabindex="0" aria-label="' + label + countLabel + ' — click to expand" title="Click to expand alert">' +
       '<span class="sf-pill-icon">' + config.icon + '</span>' +
-      '<span>' + config.label + '</span>' +
+      '<span>' + label + '</span>' +
+      (count > 1 ? '<span class="sf-pill-count">' + count + '</span>' : '') +
       '<span class="sf-pill-expand">' + ICONS.expand + '</span>' +
       '</div>';
   }
@@ -318,6 +587,9 @@
   /** @type {string|null} - current message for re-expansion */
   var currentMessage = null;
 
+  /** @type {Object|null} - full matcher result for re-expansion */
+  var currentResult = null;
+
   /** @type {boolean} - whether we're in pill (minimized) state */
   var isMinimized = false;
 
@@ -372,21 +644,42 @@
   /**
    * Show a SourceFence banner inline above the profile card.
    *
-   * @param {Object} options
-   * @param {'red'|'amber'|'green'} options.severity
+   * @param {Object} options - matcher result
+   * @param {string} options.severity - severity level key
    * @param {string} [options.message]
+   * @param {Object} [options.winner] - winning match; headlined with its reason,
+   *   and tagged "New" when its rule was added by a recent sync
+   * @param {Array}  [options.matches] - every matching rule; the rest are
+   *   listed under an expandable "N more restrictions" (or "N more
+   *   matches", when none of them restricts) section
+   * @param {Array}  [options.exceptions] - exception rules that cleared or
+   *   downgraded a match; their reasons are shown under the headline
+   * @param {Array}  [options.notes] - checks the matcher skipped, e.g. a
+   *   generic employer; shown after the reasons
+   * @param {Array}  [options.suggestions] - possible company matches; shown
+   *   as neutral notes, and keep an otherwise green banner on screen
    */
   function show(options) {
     if (!options) return;
     var severity = options.severity;
     var message = options.message;
+    var reasons = [];
+    if (options.winner && options.winner.reason) reasons.push(options.winner.reason);
+    (options.exceptions || []).forEach(function (e) {
+      if (e.reason) reasons.push(e.reason);
+    });
+    (options.notes || []).forEach(function (note) {
+      reasons.push(note);
+    });
+    var others = otherMatches(options);
+    var suggestions = options.suggestions || [];
 
     loadSettings().then(function (settings) {
       // Global kill switch
       if (!settings.enabled) return;
 
       // Green suppression
-      if (severity === 'green' && !settings.show_green_alerts) return;
+      if (severity === 'green' && !settings.show_green_alerts && suggestions.length === 0) return;
 
       // Clean up any previous banner
       removeExistingHost();
@@ -394,6 +687,7 @@
       // Store for pill re-expansion
       currentSeverity = severity;
       currentMessage = message;
+      currentResult = options;
 
       // Build host + shadow DOM
       var host = document.createElement('div');
@@ -406,7 +700,9 @@
       shadow.appendChild(styleEl);
 
       var wrapper = document.createElement('div');
-      wrapper.innerHTML = buildBannerHTML(severity, message);
+      wrapper.innerHTML = buildBannerHTML(
+        severity, message, reasons, others, suggestions, !!(options.winner && options.winner.is_new)
+      );
       shadow.appendChild(wrapper.firstElementChild);
 
       // Inject inline above profile card
@@ -428,8 +724,29 @@
         dismissBtn.addEventListener('click', dismiss);
       }
 
-      // Green auto-dismiss timer
-      if (severity === 'green') {
+      var ackBtn = shadow.querySelector('.sf-ack-btn');
+      if (ackBtn) {
+        ackBtn.addEventListener('click', acknowledge);
+      }
+
+      reportBanner('shown');
+
+      // Wire up the "N more restrictions" toggle
+      var moreBtn = shadow.querySelector('.sf-more-btn');
+      var moreList = shadow.querySelector('.sf-more-list');
+      if (moreBtn && moreList) {
+        moreBtn.addEventListener('click', function () {
+          var expanded = moreBtn.getAttribute('aria-expanded') === 'true';
+          moreBtn.setAttribute('aria-expanded', expanded ? 'false' : 'true');
+          moreList.hidden = expanded;
+          moreBtn.querySelector('.sf-more-text').textContent = expanded
+            ? moreLabel(others)
+            : 'Hide ' + moreLabel(others);
+        });
+      }
+
+      // Green auto-dismiss timer (a possible match stays until dismissed)
+      if (severity === 'green' && suggestions.length === 0) {
         var seconds = settings.green_auto_dismiss_seconds || DEFAULT_SETTINGS.green_auto_dismiss_seconds;
         autoDismissTimer = setTimeout(function () {
           removeExistingHost();
@@ -440,11 +757,12 @@
 
   /**
    * Dismiss the banner.
-   * Red/Amber: minimize to pill badge.
+   * Matched level: minimize to pill badge.
    * Green: remove entirely.
    */
   function dismiss() {
     clearAutoDismissTimer();
+    reportBanner('dismissed');
 
     if (!currentHost || !currentShadow) {
       removeExistingHost();
@@ -468,10 +786,35 @@
       return;
     }
 
-    // Red/Amber: minimize to pill
+    // Matched level: minimize to pill
+    minimizeToPill();
+  }
+
+  /**
+   * The recruiter confirmed a restriction: record it and minimize to the
+   * pill badge.
+   */
+  function acknowledge() {
+    clearAutoDismissTimer();
+    reportBanner('acknowledged');
     minimizeToPill();
   }
 
+  /**
+   * Tell the service worker what happened to the current check's banner,
+   * for the audit log.
+   *
+   * @param {string} state - 'shown', 'dismissed' or 'acknowledged'
+   */
+  function reportBanner(state) {
+    if (!currentResult || !currentResult.check_id) return;
+    try {
+      chrome.runtime.sendMessage({ type: 'BANNER_EVENT', check_id: currentResult.check_id, state: state });
+    } catch (err) {
+      console.warn('[SourceFence] Could not report banner event:', err);
+    }
+  }
+
   /**
    * Replace the full banner with a small pill badge.
    */
@@ -479,6 +822,7 @@
     if (!currentHost) return;
 
     var severity = currentSeverity;
+    var matches = currentResult && Array.isArray(currentResult.matches) ? currentResult.matches : [];
     var host = currentHost;
 
     // Fade out the current banner
@@ -503,7 +847,7 @@
       newShadow.appendChild(styleEl);
 
       var wrapper = document.createElement('div');
-      wrapper.innerHTML = buildPillHTML(severity);
+      wrapper.innerHTML = buildPillHTML(severity, matches);
       newShadow.appendChild(wrapper.firstElementChild);
 
       // Replace old host with new pill host
@@ -535,8 +879,8 @@
    * Expand from pill badge back to full banner.
    */
   function expandFromPill() {
-    if (currentSeverity && currentMessage !== undefined) {
-      show({ severity: currentSeverity, message: currentMessage });
+    if (currentResult) {
+      show(currentResult);
     }
   }
 
@@ -546,6 +890,7 @@
   function destroy() {
     currentSeverity = null;
     currentMessage = null;
+    currentResult = null;
     removeExistingHost();
   }
 
@@ -1,7 +1,8 @@
 /**
  * SourceFence — LinkedIn DOM Parser
  *
- * Extracts candidate location and current employer from LinkedIn profile pages.
+ * Extracts candidate location, current employer, headline, past employers and
+ * education from LinkedIn profile pages.
  * Supports Standard (/in/), Recruiter (/talent/), and Sales Navigator (/sales/) variants.
  *
  * Uses a hybrid parsing strategy: multi-layer selector chains with text-walking fallbacks.
@@ -52,6 +53,18 @@
         '.pvs-list__paged-list-wrapper li:first-child .t-14.t-normal span[aria-hidden="true"]',
         '.pvs-list__paged-list-wrapper li:first-child .t-bold span[aria-hidden="true"]',
       ],
+      // Links to the current employer's company page. The standard top card
+      // has none, so standard profiles rely on the Experience section.
+      companyLink: [
+        '[data-testid="profile-current-company"] a[href*="/company/"]',
+      ],
+      // Education section containers, tried after the #education anchor
+      // and aria-label lookups in _findEducationSection
+      education: [
+        '[data-testid="education-section"]',
+        'section.education-section',
+        '#education-section',
+      ],
     },
 
     recruiter: {
@@ -92,6 +105,19 @@
         '.experience-section .position-entity__company-name',
         '.profile-detail .experience .company-name',
       ],
+      companyLink: [
+        '[data-testid="profile-current-company"] a[href*="/company/"]',
+        '.topcard__current-positions a[href*="/company/"]',
+        '.profile-topcard__current-positions a[href*="/company/"]',
+        '.profile-info__current-company a[href*="/company/"]',
+      ],
+      education: [
+        '[data-testid="education-section"]',
+        '[data-test-education-section]',
+        '.background-card--education',
+        '.profile-detail .education',
+        '.education-section',
+      ],
     },
 
     salesNav: {
@@ -121,6 +147,18 @@
         '._companyName_1e5nen',
         '.profile-topcard__current-positions .profile-topcard__summary-position',
       ],
+      companyLink: [
+        '[data-testid="profile-current-company"] a[href*="/company/"]',
+        'a[data-anonymize="company-name"][href*="/company/"]',
+        '.profile-topcard__summary-position-company a[href*="/company/"]',
+        '.profile-topcard-person-entity__company a[href*="/company/"]',
+      ],
+      education: [
+        '[data-testid="education-section"]',
+        '[data-sn-view-name="feature-lead-education"]',
+        '#education-section',
+        '.profile-education',
+      ],
     },
   };
 
@@ -149,6 +187,12 @@
     /** @type {{ location: string|null, company: string|null }|null} */
     _lastParsedData: null,
 
+    /** @type {Object|null} - matcher explanation for _lastParsedData */
+    _lastMatchResult: null,
+
+    /** @type {string|null} - audit log check for this visit to the profile */
+    _checkId: null,
+
     /** @type {Function|null} */
     _debouncedParse: null,
 
@@ -218,6 +262,8 @@
         this._initialized = false;
         this._lastUrl = null;
         this._lastParsedData = null;
+        this._lastMatchResult = null;
+        this._checkId = null;
         this._debouncedParse = null;
       } catch (err) {
         console.warn('[SourceFence] LinkedInParser.destroy failed:', err);
@@ -303,6 +349,8 @@
       if (currentUrl !== this._lastUrl) {
         this._lastUrl = currentUrl;
         this._lastParsedData = null;
+        this._lastMatchResult = null;
+        this._checkId = null;
 
         if (this._isProfilePage()) {
           // If we were not initialized (started on non-profile page), do full init
@@ -377,13 +425,25 @@
 
         var location = result.location || null;
         var company = result.company || null;
+        var companyId = company ? this.extractCompanyId(variant) : null;
+        var headline = result.headline || null;
+        // Experience and Education render lazily, so past employers and
+        // schools can appear on a later pass
+        var pastEmployers = this.extractPastEmployers();
+        var pastKey = JSON.stringify(pastEmployers);
+        var education = this.extractEducation(variant);
+        var educationKey = JSON.stringify(education);
 
         // Avoid re-processing the exact same data for the same URL
         if (
           this._lastParsedData &&
           this._lastParsedData.status === 'success' &&
           this._lastParsedData.location === location &&
-          this._lastParsedData.company === company
+          this._lastParsedData.company === company &&
+          this._lastParsedData.companyId === companyId &&
+          this._lastParsedData.headline === headline &&
+          JSON.stringify(this._lastParsedData.pastEmployers || []) === pastKey &&
+          JSON.stringify(this._lastParsedData.education || []) === educationKey
         ) {
           return;
         }
@@ -395,11 +455,21 @@
           return;
         }
 
-        this._lastParsedData = { status: 'success', location: location, company: company, url: window.location.href };
+        this._lastParsedData = {
+          status: 'success',
+          location: location,
+          company: company,
+          companyId: companyId,
+          headline: headline,
+          title: this._parseTitleFromHeadline(headline),
+          pastEmployers: pastEmployers,
+          education: education,
+          url: window.location.href
+        };
 
         // Report success and invoke the matcher
         this._reportSuccess(location, company);
-        this._invokeMatcher(location, company);
+        this._invokeMatcher(this._candidateFrom(this._lastParsedData));
       } catch (err) {
         console.warn('[SourceFence] parse() error:', err);
         this._reportFailure();
@@ -408,46 +478,49 @@
 
     /**
      * Parse a standard LinkedIn profile (/in/).
-     * @returns {{ location: string|null, company: string|null }}
+     * @returns {{ location: string|null, company: string|null, headline: string|null }}
      */
     parseStandardProfile: function () {
       try {
         var location = this.extractLocation('standard');
         var company = this.extractCompany('standard');
-        return { location: location, company: company };
+        var headline = this.extractHeadline('standard');
+        return { location: location, company: company, headline: headline };
       } catch (err) {
         console.warn('[SourceFence] parseStandardProfile error:', err);
-        return { location: null, company: null };
+        return { location: null, company: null, headline: null };
       }
     },
 
     /**
      * Parse a LinkedIn Recruiter profile (/talent/).
-     * @returns {{ location: string|null, company: string|null }}
+     * @returns {{ location: string|null, company: string|null, headline: string|null }}
      */
     parseRecruiterProfile: function () {
       try {
         var location = this.extractLocation('recruiter');
         var company = this.extractCompany('recruiter');
-        return { location: location, company: company };
+        var headline = this.extractHeadline('recruiter');
+        return { location: location, company: company, headline: headline };
       } catch (err) {
         console.warn('[SourceFence] parseRecruiterProfile error:', err);
-        return { location: null, company: null };
+        return { location: null, company: null, headline: null };
       }
     },
 
     /**
      * Parse a Sales Navigator profile (/sales/).
-     * @returns {{ location: string|null, company: string|null }}
+     * @returns {{ location: string|null, company: string|null, headline: string|null }}
      */
     parseSalesNavProfile: function () {
       try {
         var location = this.extractLocation('salesNav');
         var company = this.extractCompany('salesNav');
-        return { location: location, company: company };
+        var headline = this.extractHeadline('salesNav');
+        return { location: location, company: company, headline: headline };
       } catch (err) {
         console.warn('[SourceFence] parseSalesNavProfile error:', err);
-        return { location: null, company: null };
+        return { location: null, company: null, headline: null };
       }
     },
 
@@ -768,28 +841,26 @@
     },
 
     /**
-     * Try to extract the company name from the profile headline.
-     * Looks for patterns like "Title at Company" or "Title | Company".
+     * Extract the profile headline ("Senior Engineer at Acme") using the
+     * selector chain for the given variant.
      *
      * @param {'standard'|'recruiter'|'salesNav'} variant
      * @returns {string|null}
      */
-    _extractCompanyFromHeadline: function (variant) {
+    extractHeadline: function (variant) {
       try {
         var headlineSelectors = SELECTORS[variant] && SELECTORS[variant].headline;
         if (!headlineSelectors) {
           return null;
         }
 
-        var headlineText = null;
-
         for (var i = 0; i < headlineSelectors.length; i++) {
           try {
             var el = document.querySelector(headlineSelectors[i]);
             if (el) {
-              headlineText = this._cleanText(el.textContent);
+              var headlineText = this._cleanText(el.textContent);
               if (headlineText) {
-                break;
+                return headlineText;
               }
             }
           } catch (e) {
@@ -797,15 +868,48 @@
           }
         }
 
-        if (!headlineText) {
-          return null;
-        }
-
-        return this._parseCompanyFromHeadline(headlineText);
+        return null;
       } catch (err) {
-        console.warn('[SourceFence] _extractCompanyFromHeadline error:', err);
+        console.warn('[SourceFence] extractHeadline error:', err);
+        return null;
+      }
+    },
+
+    /**
+     * Try to extract the company name from the profile headline.
+     * Looks for patterns like "Title at Company" or "Title | Company".
+     *
+     * @param {'standard'|'recruiter'|'salesNav'} variant
+     * @returns {string|null}
+     */
+    _extractCompanyFromHeadline: function (variant) {
+      var headlineText = this.extractHeadline(variant);
+      if (!headlineText) {
+        return null;
+      }
+      return this._parseCompanyFromHeadline(headlineText);
+    },
+
+    /**
+     * Parse the job title from a headline string: the part before
+     * "at Company", "@ Company" or the first "|" separator. A headline with
+     * no separator is used whole when it looks like a job title.
+     *
+     * @param {string|null} headline
+     * @returns {string|null}
+     */
+    _parseTitleFromHeadline: function (headline) {
+      if (!headline) {
         return null;
       }
+
+      var split = headline.split(/\s+at\s+|\s*@\s*|\s*\|\s*/i);
+      if (split.length > 1) {
+        var title = this._cleanText(split[0]);
+        return title && title.length > 1 && title.length < 100 ? title : null;
+      }
+
+      return this._looksLikeJobTitle(headline) ? headline : null;
     },
 
     /**
@@ -975,42 +1079,392 @@
           return null;
         }
 
-        // Try to find company name in the target experience entry
-        // LinkedIn often puts the company name in a secondary text element
-        var companyEl =
-          targetItem.querySelector('.t-14.t-normal span[aria-hidden="true"]') ||
-          targetItem.querySelector('.pv-entity__secondary-title') ||
-          targetItem.querySelector('[data-testid="experience-item-company"]') ||
-          targetItem.querySelector('.t-bold span[aria-hidden="true"]');
+        return this._companyFromExperienceItem(targetItem);
+      } catch (err) {
+        console.warn('[SourceFence] _extractFirstCompanyFromSection error:', err);
+        return null;
+      }
+    },
+
+    /**
+     * Read the company name from a single Experience entry.
+     *
+     * @param {Element} item
+     * @returns {string|null}
+     */
+    _companyFromExperienceItem: function (item) {
+      // LinkedIn often puts the company name in a secondary text element
+      var companyEl =
+        item.querySelector('.t-14.t-normal span[aria-hidden="true"]') ||
+        item.querySelector('.pv-entity__secondary-title') ||
+        item.querySelector('[data-testid="experience-item-company"]') ||
+        item.querySelector('.t-bold span[aria-hidden="true"]');
+
+      if (companyEl) {
+        var text = this._cleanText(companyEl.textContent);
+        if (text && text.length > 1 && text.length < 100) {
+          // Strip common prefixes like "Full-time" or date ranges
+          return this._cleanCompanyText(text);
+        }
+      }
+
+      // Broader fallback: look for any span with aria-hidden in the item
+      var spans = item.querySelectorAll('span[aria-hidden="true"]');
+      for (var i = 0; i < spans.length; i++) {
+        var spanText = this._cleanText(spans[i].textContent);
+        if (
+          spanText &&
+          spanText.length > 1 &&
+          spanText.length < 100 &&
+          !this._looksLikeDateRange(spanText) &&
+          !this._looksLikeJobTitle(spanText)
+        ) {
+          return this._cleanCompanyText(spanText);
+        }
+      }
+
+      return null;
+    },
 
-        if (companyEl) {
-          var text = this._cleanText(companyEl.textContent);
-          if (text && text.length > 1 && text.length < 100) {
-            // Strip common prefixes like "Full-time" or date ranges
-            return this._cleanCompanyText(text);
+    // -----------------------------------------------------------------------
+    // Company Page Identifiers
+    // -----------------------------------------------------------------------
+
+    /**
+     * Extract the LinkedIn company page identifier of the current employer:
+     * from the variant's top-card company link first, then from the first
+     * current ("Present") entry in the Experience section.
+     *
+     * @param {'standard'|'recruiter'|'salesNav'} variant
+     * @returns {string|null} the numeric ID or vanity name, lowercased
+     */
+    extractCompanyId: function (variant) {
+      try {
+        var selectors = (SELECTORS[variant] && SELECTORS[variant].companyLink) || [];
+        for (var i = 0; i < selectors.length; i++) {
+          var link = document.querySelector(selectors[i]);
+          var id = link && this._companyIdFromHref(link.getAttribute('href'));
+          if (id) {
+            return id;
           }
         }
 
-        // Broader fallback: look for any span with aria-hidden in the target item
-        var spans = targetItem.querySelectorAll('span[aria-hidden="true"]');
-        for (var i = 0; i < spans.length; i++) {
-          var spanText = this._cleanText(spans[i].textContent);
-          if (
-            spanText &&
-            spanText.length > 1 &&
-            spanText.length < 100 &&
-            !this._looksLikeDateRange(spanText) &&
-            !this._looksLikeJobTitle(spanText)
-          ) {
-            return this._cleanCompanyText(spanText);
+        var section = this._findExperienceSection();
+        if (!section) {
+          return null;
+        }
+
+        var items = section.querySelectorAll('li');
+        for (var j = 0; j < items.length; j++) {
+          if (items[j].querySelector('li')) {
+            continue;
           }
+          var range = this._parseDateRange(items[j].textContent || '');
+          if (range && range.current) {
+            return this._companyIdFromItem(items[j], section);
+          }
+        }
+      } catch (err) {
+        console.warn('[SourceFence] extractCompanyId error:', err);
+      }
+      return null;
+    },
+
+    /**
+     * Company page identifier for an Experience entry. Grouped positions
+     * carry the company link on the enclosing <li>, so that is checked too.
+     *
+     * @param {Element} item
+     * @param {Element} section — the Experience section, the search boundary
+     * @returns {string|null}
+     */
+    _companyIdFromItem: function (item, section) {
+      var el = item;
+      while (el && el !== section) {
+        var link = el.querySelector('a[href*="/company/"]');
+        if (link) {
+          return this._companyIdFromHref(link.getAttribute('href'));
         }
+        el = el.parentElement ? el.parentElement.closest('li') : null;
+      }
+      return null;
+    },
 
+    /**
+     * "10667" for "https://www.linkedin.com/company/10667/" or
+     * "/sales/company/10667?x=y"; "meta" for "/company/meta/".
+     *
+     * @param {string|null} href
+     * @returns {string|null}
+     */
+    _companyIdFromHref: function (href) {
+      var match = href && href.match(/\/company\/([^\/?#]+)/i);
+      if (!match) {
         return null;
+      }
+      try {
+        return decodeURIComponent(match[1]).toLowerCase();
       } catch (err) {
-        console.warn('[SourceFence] _extractFirstCompanyFromSection error:', err);
+        return match[1].toLowerCase();
+      }
+    },
+
+    // -----------------------------------------------------------------------
+    // Past Employer Extraction
+    // -----------------------------------------------------------------------
+
+    /**
+     * Find the profile's Experience section: by anchor id first, then by
+     * aria-label.
+     *
+     * @returns {Element|null}
+     */
+    _findExperienceSection: function () {
+      try {
+        var expById = document.getElementById('experience');
+        if (expById) {
+          var section = expById.closest('section') || expById.parentElement;
+          if (section) {
+            return section;
+          }
+        }
+
+        var sections = document.querySelectorAll('section[aria-label]');
+        for (var i = 0; i < sections.length; i++) {
+          var label = sections[i].getAttribute('aria-label');
+          if (label && label.toLowerCase().indexOf('experience') !== -1) {
+            return sections[i];
+          }
+        }
+      } catch (err) {
+        console.warn('[SourceFence] _findExperienceSection error:', err);
+      }
+      return null;
+    },
+
+    /**
+     * Extract former employers and when the candidate left them from the
+     * Experience section. Entries still marked "Present" are skipped; when
+     * the same company appears more than once the latest end date wins.
+     *
+     * @returns {Array<{ company: string, ended: string|null,
+     *   companyId: string|null }>} ended is "YYYY-MM", "YYYY" when only the
+     *   year is shown, or null if unreadable; companyId is the company page
+     *   identifier when the entry links to one
+     */
+    extractPastEmployers: function () {
+      var result = [];
+      try {
+        var section = this._findExperienceSection();
+        if (!section) {
+          return result;
+        }
+
+        var byCompany = {};
+        var items = section.querySelectorAll('li');
+        for (var i = 0; i < items.length; i++) {
+          // Grouped positions nest one <li> per role inside the company's
+          // <li>; read the innermost entries only.
+          if (items[i].querySelector('li')) {
+            continue;
+          }
+
+          var range = this._parseDateRange(items[i].textContent || '');
+          if (!range || range.current) {
+            continue;
+          }
+
+          var company = this._companyFromExperienceItem(items[i]);
+          if (!company) {
+            continue;
+          }
+
+          var companyId = this._companyIdFromItem(items[i], section);
+          var key = company.toLowerCase();
+          var existing = byCompany[key];
+          if (!existing) {
+            byCompany[key] = { company: company, ended: range.ended, companyId: companyId };
+            result.push(byCompany[key]);
+          } else {
+            if (range.ended && (!existing.ended || range.ended > existing.ended)) {
+              existing.ended = range.ended;
+            }
+            existing.companyId = existing.companyId || companyId;
+          }
+        }
+      } catch (err) {
+        console.warn('[SourceFence] extractPastEmployers error:', err);
+      }
+      return result;
+    },
+
+    /**
+     * Parse an Experience date range such as "Jan 2020 - Mar 2024 · 4 yrs"
+     * or "2019 – Present".
+     *
+     * @param {string} text
+     * @returns {{ current: boolean, ended: string|null }|null} null if the
+     *   text has no date range
+     */
+    _parseDateRange: function (text) {
+      var match = text.match(
+        /(?:\b([a-z]{3})[a-z]*\.?\s+)?\b(\d{4})\s*[-\u2013\u2014]\s*(?:(present)\b|(?:\b([a-z]{3})[a-z]*\.?\s+)?(\d{4})\b)/i
+      );
+      if (!match) {
         return null;
       }
+      if (match[3]) {
+        return { current: true, ended: null };
+      }
+
+      var months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+      var monthIndex = match[4] ? months.indexOf(match[4].toLowerCase()) : -1;
+      var ended = monthIndex === -1
+        ? match[5]
+        : match[5] + '-' + (monthIndex < 9 ? '0' : '') + (monthIndex + 1);
+      return { current: false, ended: ended };
+    },
+
+    // -----------------------------------------------------------------------
+    // Education Extraction
+    // -----------------------------------------------------------------------
+
+    /**
+     * Find the profile's Education section: by anchor id, then by
+     * aria-label, then by the variant's education selectors.
+     *
+     * @param {'standard'|'recruiter'|'salesNav'} variant
+     * @returns {Element|null}
+     */
+    _findEducationSection: function (variant) {
+      try {
+        var eduById = document.getElementById('education');
+        if (eduById) {
+          var section = eduById.closest('section') || eduById.parentElement;
+          if (section) {
+            return section;
+          }
+        }
+
+        var sections = document.querySelectorAll('section[aria-label]');
+        for (var i = 0; i < sections.length; i++) {
+          var label = sections[i].getAttribute('aria-label');
+          if (label && label.toLowerCase().indexOf('education') !== -1) {
+            return sections[i];
+          }
+        }
+
+        var selectors = (SELECTORS[variant] && SELECTORS[variant].education) || [];
+        for (var j = 0; j < selectors.length; j++) {
+          var el = document.querySelector(selectors[j]);
+          if (el) {
+            return el;
+          }
+        }
+      } catch (err) {
+        console.warn('[SourceFence] _findEducationSection error:', err);
+      }
+      return null;
+    },
+
+    /**
+     * Extract education entries from the Education section. Each <li> is
+     * one school; the school name is the first bold line, the degree the
+     * first secondary line that is not a date.
+     *
+     * @param {'standard'|'recruiter'|'salesNav'} variant
+     * @returns {Array<{ school: string, degree: string|null, year: number|null }>}
+     *   year is the graduation (or expected graduation) year, or null if
+     *   the entry shows no dates
+     */
+    extractEducation: function (variant) {
+      var result = [];
+      try {
+        var section = this._findEducationSection(variant);
+        if (!section) {
+          return result;
+        }
+
+        var items = section.querySelectorAll('li');
+        for (var i = 0; i < items.length; i++) {
+          // Skip wrapper items that contain other entries
+          if (items[i].querySelector('li')) {
+            continue;
+          }
+
+          var entry = this._educationFromItem(items[i]);
+          if (entry) {
+            result.push(entry);
+          }
+        }
+      } catch (err) {
+        console.warn('[SourceFence] extractEducation error:', err);
+      }
+      return result;
+    },
+
+    /**
+     * Read school, degree and graduation year from a single Education entry.
+     *
+     * @param {Element} item
+     * @returns {{ school: string, degree: string|null, year: number|null }|null}
+     */
+    _educationFromItem: function (item) {
+      var schoolEl =
+        item.querySelector('[data-testid="education-item-school"]') ||
+        item.querySelector('[data-anonymize="education-name"]') ||
+        item.querySelector('.pv-entity__school-name') ||
+        item.querySelector('.education-entity__school-name') ||
+        item.querySelector('.t-bold span[aria-hidden="true"]');
+      if (!schoolEl) {
+        return null;
+      }
+
+      var school = this._cleanText(schoolEl.textContent);
+      if (!school || school.length < 2 || school.length > 150) {
+        return null;
+      }
+
+      var degree = null;
+      var degreeEl =
+        item.querySelector('[data-testid="education-item-degree"]') ||
+        item.querySelector('.pv-entity__degree-name .pv-entity__comma-item') ||
+        item.querySelector('.education-entity__degree-name');
+      if (degreeEl) {
+        degree = this._cleanText(degreeEl.textContent) || null;
+      } else {
+        var spans = item.querySelectorAll('.t-14.t-normal span[aria-hidden="true"]');
+        for (var i = 0; i < spans.length; i++) {
+          var text = this._cleanText(spans[i].textContent);
+          if (text && text !== school && !this._parseGraduationYear(text)) {
+            degree = text;
+            break;
+          }
+        }
+      }
+
+      return {
+        school: school,
+        degree: degree,
+        year: this._parseGraduationYear((item.textContent || '').replace(school, ''))
+      };
+    },
+
+    /**
+     * Graduation year from an Education date line such as "2018 – 2022",
+     * "Sep 2021 - Jun 2025" or "Class of 2019": the end of a range, or the
+     * last year mentioned.
+     *
+     * @param {string} text
+     * @returns {number|null}
+     */
+    _parseGraduationYear: function (text) {
+      var range = text.match(/\b(?:19|20)\d{2}\s*[-\u2013\u2014]\s*(?:[a-z]{3}[a-z]*\.?\s+)?((?:19|20)\d{2})\b/i);
+      if (range) {
+        return parseInt(range[1], 10);
+      }
+      var years = text.match(/\b(?:19|20)\d{2}\b/g);
+      return years ? parseInt(years[years.length - 1], 10) : null;
     },
 
     // -----------------------------------------------------------------------
@@ -1276,38 +1730,107 @@
     // Communication — Matcher & Service Worker
     // -----------------------------------------------------------------------
 
+    /**
+     * Pick the fields the matcher looks at out of the last parsed data.
+     *
+     * @param {object} data
+     * @returns {{ location: string|null, company: string|null,
+     *             companyId: string|null, headline: string|null,
+     *             title: string|null, pastEmployers: Array,
+     *             education: Array }}
+     */
+    _candidateFrom: function (data) {
+      return {
+        location: data.location,
+        company: data.company,
+        companyId: data.companyId || null,
+        headline: data.headline || null,
+        title: data.title || null,
+        pastEmployers: data.pastEmployers || [],
+        education: data.education || [],
+      };
+    },
+
     /**
      * Invoke the SourceFence matcher with the extracted candidate data.
      *
-     * @param {string|null} location
-     * @param {string|null} company
+     * The first check on a visit shows the banner and is logged. Later
+     * passes (lazily rendered Experience or Education, rule updates) are
+     * matched quietly and only replace the banner and the log entry, under
+     * the same check id, when the severity or the matched rules change; a
+     * banner the recruiter dismissed stays dismissed otherwise.
+     *
+     * @param {{ location: string|null, company: string|null,
+     *           companyId: string|null, headline: string|null,
+     *           title: string|null, pastEmployers: Array,
+     *           education: Array }} candidate
      */
-    _invokeMatcher: function (location, company) {
-      try {
-        if (
+    _invokeMatcher: function (candidate) {
+      var self = this;
+      var recheck = !!this._checkId;
+      if (!recheck) {
+        this._checkId = 'chk_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+      }
+      var checkId = this._checkId;
+
+      function isCurrent() {
+        // Ignore stale results if the profile changed while matching
+        var current = self._lastParsedData;
+        return !!(
+          current &&
+          self._checkId === checkId &&
+          current.location === candidate.location &&
+          current.company === candidate.company &&
+          (current.headline || null) === candidate.headline
+        );
+      }
+
+      function remember(result) {
+        if (isCurrent()) {
+          self._lastMatchResult = result || null;
+        }
+      }
+
+      function warn(err) {
+        console.warn('[SourceFence] Matcher error:', err);
+      }
+
+      function run(matcher) {
+        if (!recheck) {
+          matcher.checkCandidate(candidate, checkId).then(remember).catch(warn);
+          return;
+        }
+        matcher.matchOnly(candidate).then(function (result) {
+          if (!isCurrent()) return;
+          var previous = self._lastMatchResult;
+          if (previous && self._sameOutcome(previous, result)) {
+            result.check_id = checkId;
+            remember(result);
+            return;
+          }
+          return matcher.checkCandidate(candidate, checkId).then(remember);
+        }).catch(warn);
+      }
+
+      function matcherReady() {
+        return (
           typeof window.SourceFenceMatcher !== 'undefined' &&
           typeof window.SourceFenceMatcher.checkCandidate === 'function'
-        ) {
-          window.SourceFenceMatcher.checkCandidate({
-            location: location,
-            company: company,
-          });
+        );
+      }
+
+      try {
+        if (matcherReady()) {
+          run(window.SourceFenceMatcher);
         } else {
           console.warn(
             '[SourceFence] SourceFenceMatcher not available — matcher.js may not be loaded yet'
           );
           // Retry after a short delay in case matcher hasn't loaded yet
-          var self = this;
           setTimeout(function () {
             try {
-              if (
-                typeof window.SourceFenceMatcher !== 'undefined' &&
-                typeof window.SourceFenceMatcher.checkCandidate === 'function'
-              ) {
-                window.SourceFenceMatcher.checkCandidate({
-                  location: location,
-                  company: company,
-                });
+              if (matcherReady()) {
+                run(window.SourceFenceMatcher);
               }
             } catch (retryErr) {
               console.warn('[SourceFence] Matcher retry failed:', retryErr);
@@ -1319,6 +1842,21 @@
       }
     },
 
+    /**
+     * Whether two matcher results would show the same banner: the same
+     * severity from the same rules.
+     *
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    _sameOutcome: function (a, b) {
+      function ruleIds(result) {
+        return (result.matches || []).map(function (m) { return m.rule_id; }).sort().join('\n');
+      }
+      return a.severity === b.severity && ruleIds(a) === ruleIds(b);
+    },
+
     /**
      * Report successful parse to the service worker.
      *
@@ -1424,10 +1962,22 @@
           break;
 
         case 'GET_STATUS':
-          // Popup requesting current profile data
+          // Popup requesting current profile data, plus the match explanation
+          // once the matcher has run
+          var data = LinkedInParser._lastParsedData || { status: 'no_data', url: window.location.href };
+          var match = LinkedInParser._lastMatchResult;
+          if (match) {
+            data = Object.assign({}, data, {
+              severity: match.severity,
+              message: match.message,
+              winner: match.winner,
+              matches: match.matches,
+              exceptions: match.exceptions,
+            });
+          }
           sendResponse({
             type: 'PARSE_RESULT',
-            data: LinkedInParser._lastParsedData || { status: 'no_data', url: window.location.href },
+            data: data,
           });
           return true; // keep channel open for async sendResponse
 
@@ -1435,8 +1985,7 @@
           // Rules changed — re-evaluate current profile
           if (LinkedInParser._lastParsedData && LinkedInParser._lastParsedData.status === 'success') {
             LinkedInParser._invokeMatcher(
-              LinkedInParser._lastParsedData.location,
-              LinkedInParser._lastParsedData.company
+              LinkedInParser._candidateFrom(LinkedInParser._lastParsedData)
             );
           }
           break;
@@ -3,7 +3,10 @@
  *
  * Loads restriction rules from chrome.storage.local, matches candidate
  * location and company against those rules using normalized substring
- * matching, and returns the highest-severity result.
+ * matching (or a per-rule word / exact / regex mode for locations), and
+ * returns the highest-severity result. Locations are additionally compared
+ * in a canonical form where known aliases ("Deutschland", "DEU") are
+ * replaced by one English name ("Germany").
  *
  * Exposed as window.SourceFenceMatcher
  */
@@ -11,184 +14,1810 @@
   'use strict';
 
   // -----------------------------------------------------------------------
-  // Severity ranking — higher number means more restrictive
+  // Location match modes
+  //   substring — normalized containment (default, original behaviour)
+  //   word      — alternative must appear as whole word(s) in the location
+  //   exact     — normalized location must equal the alternative
+  //   regex     — pattern is a case-insensitive regular expression
   // -----------------------------------------------------------------------
 
-  const SEVERITY_RANK = { green: 0, amber: 1, red: 2 };
+  const MATCH_MODES = ['substring', 'word', 'exact', 'regex'];
+  const DEFAULT_MATCH_MODE = 'substring';
+
+  // Shortest employer name that may match a longer company pattern (the
+  // pattern contains the employer, e.g. "Goldman Sachs" for a "Goldman Sachs
+  // Group" rule). Shorter names such as "AI" or "HP" would match too much.
+  const MIN_REVERSE_MATCH_LENGTH = 4;
+
+  // Possible-match suggestions: how many typos a company name of a given
+  // length may contain and still be suggested. Names shorter than the first
+  // threshold are never suggested ("Meta" is one edit from "Beta").
+  const FUZZY_MIN_LENGTH = 5;
+  const FUZZY_TWO_EDIT_LENGTH = 9;
+  const FUZZY_MAX_EDITS = 2;
+
+  // Candidate fields a compound rule condition can test
+  const COMPOUND_FIELDS = ['location', 'company', 'headline', 'title'];
+
+  // Team rules a sync added (added_at, set by the service worker) are
+  // flagged as new for this long. Mirrored in popup/popup.js.
+  const NEW_RULE_DAYS = 7;
+
+  // -----------------------------------------------------------------------
+  // Internal state
+  // -----------------------------------------------------------------------
+
+  var locationRules = [];
+  var companyRules = [];
+  var titleRules = [];
+  var educationRules = [];
+  var compoundRules = [];
+  var exceptionRules = [];
+  var rulesLoaded = false;
+  var loadPromise = null;
+
+  // Gazetteer token index, built lazily from window.SourceFenceGazetteer
+  var gazetteerIndex = null;
+
+  // Team-specific location aliases ({ alias, canonical }) synced from the
+  // dashboard. Combined with the bundled aliases into aliasIndex, which is
+  // rebuilt lazily whenever either changes.
+  var teamAliases = [];
+  var aliasIndex = null;
+
+  // Team parent → subsidiary relationships ({ parent, subsidiary }) synced
+  // from the dashboard, indexed lazily into hierarchyIndex for company rules
+  // that include subsidiaries.
+  var companyHierarchy = [];
+  var hierarchyIndex = null;
+
+  // Team company-name terms ({ term, kind: 'suffix' | 'stop_word', locale })
+  // synced from the dashboard. Combined with the bundled suffix table into
+  // companyTermIndex, which is rebuilt lazily whenever either changes.
+  var teamCompanyTerms = [];
+  var companyTermIndex = null;
+
+  // Team severity levels ({ key, label, rank, color, icon }) synced from the
+  // dashboard. Combined with the bundled levels into severityIndex, which is
+  // rebuilt lazily whenever they change.
+  var teamSeverityLevels = [];
+  var severityIndex = null;
+
+  // Policies ({ id, name, active, expires_at }) synced from the dashboard,
+  // keyed by id into policyIndex, which is rebuilt lazily whenever they
+  // change. Location and company rules with a policy_id are only enforced
+  // while their policy is.
+  var policies = [];
+  var policyIndex = null;
+
+  // Opt-in "possible match" suggestions (settings.fuzzy_suggestions)
+  var fuzzySuggestions = false;
+
+  // Compiled location regexes keyed by pattern source. Invalid patterns are
+  // cached as null so the warning is only logged once per pattern.
+  var regexCache = {};
+
+  // Normalized comma alternatives keyed by pattern (see patternAlternatives).
+  // Location alternatives depend on the aliases, so this is cleared with
+  // aliasIndex.
+  var alternativesCache = {};
+
+  // Precompiled lookups over the location and company rules (see
+  // buildLocationIndex and buildCompanyIndex), built lazily for the rules
+  // array they were built from and dropped whenever rules, aliases, the
+  // hierarchy or the company terms change.
+  var locationIndex = null;
+  var companyIndex = null;
+  var useRuleIndex = true;
+
+  // -----------------------------------------------------------------------
+  // Normalization helpers
+  // -----------------------------------------------------------------------
+
+  /**
+   * Normalize a string: lowercase, trim, strip diacritics.
+   * @param {string} str
+   * @returns {string}
+   */
+  function normalize(str) {
+    if (typeof str !== 'string') return '';
+    return str
+      .trim()
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Comparison key for one word of a company name or suffix: dots, slashes
+   * and parentheses removed, so "S.A.S." equals "sas" and "A/S" equals "as".
+   * @param {string} word — already normalized
+   * @returns {string}
+   */
+  function companyTermKey(word) {
+    return word.replace(/[.\/()]/g, '');
+  }
+
+  /**
+   * Comparison key for a whole employer name when checking it against the
+   * generic employer list: letters and digits only, so "Self-employed" and
+   * "self employed" are the same.
+   * @param {string} str
+   * @returns {string}
+   */
+  function genericEmployerKey(str) {
+    return normalize(str).replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  /**
+   * Build the suffix, stop-word and generic employer lookup from
+   * window.SourceFenceCompanySuffixes (see data/company-suffixes.js) plus
+   * the team's own terms.
+   * @returns {{ suffixes: Array<Array<string>>, stopWords: Object,
+   *             genericEmployers: Object }} suffixes are word-key lists,
+   *   longest first
+   */
+  function buildCompanyTermIndex() {
+    var index = { suffixes: [], stopWords: {}, genericEmployers: {} };
+    var seen = {};
+    var data = window.SourceFenceCompanySuffixes || {};
+
+    function addSuffix(suffix) {
+      var keys = normalize(suffix).split(/[\s,]+/).map(companyTermKey)
+        .filter(function (k) { return k !== ''; });
+      if (keys.length === 0 || seen[keys.join(' ')]) return;
+      seen[keys.join(' ')] = true;
+      index.suffixes.push(keys);
+    }
+
+    function addStopWord(word) {
+      var key = companyTermKey(normalize(word));
+      if (key) index.stopWords[key] = true;
+    }
+
+    function addGenericEmployer(name) {
+      var key = genericEmployerKey(name);
+      if (key) index.genericEmployers[key] = true;
+    }
+
+    (data.locales || []).forEach(function (locale) {
+      (locale.suffixes || []).forEach(addSuffix);
+      (locale.stopWords || []).forEach(addStopWord);
+    });
+    (data.genericEmployers || []).forEach(addGenericEmployer);
+
+    teamCompanyTerms.forEach(function (t) {
+      if (!t || typeof t.term !== 'string') return;
+      if (t.kind === 'stop_word') addStopWord(t.term);
+      else if (t.kind === 'generic_employer') addGenericEmployer(t.term);
+      else addSuffix(t.term);
+    });
+
+    index.suffixes.sort(function (a, b) { return b.length - a.length; });
+    return index;
+  }
+
+  /**
+   * Normalize a company name: normalize(), then repeatedly strip legal-form
+   * suffixes from the end ("Foo Corp LLC") and stop words from the start
+   * ("The Foo Company"). Words are rejoined with single spaces and commas
+   * dropped. A name is never stripped down to nothing, so "Company" or
+   * "The AG" stay as they are.
+   * @param {string} str
+   * @returns {string}
+   */
+  function normalizeCompanyName(str) {
+    var words = normalize(str).split(/[\s,]+/).filter(function (w) { return w !== ''; });
+    if (words.length < 2) return words.join(' ');
+    if (!companyTermIndex) companyTermIndex = buildCompanyTermIndex();
+
+    var keys = words.map(companyTermKey);
+    var suffixes = companyTermIndex.suffixes;
+    var stripped = true;
+    while (stripped) {
+      stripped = false;
+      // Dangling punctuation left behind, e.g. "&" in "Johnson & Co"
+      while (keys.length > 1 && !/[\p{L}\p{N}]/u.test(keys[keys.length - 1])) {
+        keys.pop();
+        words.pop();
+      }
+      for (var i = 0; i < suffixes.length; i++) {
+        var suffix = suffixes[i];
+        if (suffix.length >= keys.length) continue;
+        var offset = keys.length - suffix.length;
+        var same = true;
+        for (var j = 0; j < suffix.length && same; j++) {
+          same = keys[offset + j] === suffix[j];
+        }
+        if (same) {
+          keys.length = offset;
+          words.length = offset;
+          stripped = true;
+          break;
+        }
+      }
+    }
+
+    while (keys.length > 1 && companyTermIndex.stopWords[keys[0]]) {
+      keys.shift();
+      words.shift();
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Whether an employer name is a placeholder such as "Self-employed",
+   * "Freelance" or "Stealth" rather than a company. Compared against the
+   * whole name, so "Stealth Security Inc" is not generic.
+   * @param {string} company — raw employer name
+   * @returns {boolean}
+   */
+  function isGenericEmployer(company) {
+    var key = genericEmployerKey(company);
+    if (!key) return false;
+    if (!companyTermIndex) companyTermIndex = buildCompanyTermIndex();
+    return companyTermIndex.genericEmployers[key] === true;
+  }
+
+  /**
+   * Normalize a LinkedIn company page reference to its identifier: the
+   * numeric ID or vanity name from a "/company/<id>/" URL, or the value
+   * itself when it is already a bare ID. Lowercased; '' if empty.
+   * @param {string} value
+   * @returns {string}
+   */
+  function normalizeCompanyId(value) {
+    if (value === null || value === undefined) return '';
+    var str = String(value).trim();
+    var match = str.match(/\/company\/([^\/?#]+)/i);
+    if (match) str = match[1];
+    try {
+      str = decodeURIComponent(str);
+    } catch (err) {
+      // Keep the raw text
+    }
+    return str.replace(/\/+$/, '').trim().toLowerCase();
+  }
+
+  /**
+   * Split a normalized string into word tokens (letters and digits only,
+   * in any script).
+   * @param {string} str — already normalized
+   * @returns {Array<string>}
+   */
+  function tokenize(str) {
+    return str.split(/[^\p{L}\p{N}]+/u).filter(function (t) {
+      return t !== '';
+    });
+  }
+
+  /**
+   * Return true if the token sequence `needle` appears contiguously in
+   * `haystack`.
+   * @param {Array<string>} haystack
+   * @param {Array<string>} needle
+   * @returns {boolean}
+   */
+  function containsTokens(haystack, needle) {
+    if (needle.length === 0 || needle.length > haystack.length) return false;
+    for (var i = 0; i <= haystack.length - needle.length; i++) {
+      var matched = true;
+      for (var j = 0; j < needle.length; j++) {
+        if (haystack[i + j] !== needle[j]) {
+          matched = false;
+          break;
+        }
+      }
+      if (matched) return true;
+    }
+    return false;
+  }
+
+  // -----------------------------------------------------------------------
+  // Location aliases (endonyms, exonyms, historical names, ISO codes)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Build the alias lookup from window.SourceFenceLocationAliases (see
+   * data/location-aliases.js) plus the team aliases. Team aliases are added
+   * last so they override a bundled alias with the same spelling.
+   * @returns {{ byFirstToken: Object, codes: Object, ambiguousCodes: Object }}
+   */
+  function buildAliasIndex() {
+    var index = { byFirstToken: {}, codes: {}, ambiguousCodes: {} };
+    var data = window.SourceFenceLocationAliases || {};
+
+    function addAlias(alias, canonical) {
+      var tokens = tokenize(normalize(alias));
+      var canon = tokenize(normalize(canonical)).join(' ');
+      if (tokens.length === 0 || canon === '') return;
+      var bucket = index.byFirstToken[tokens[0]] || (index.byFirstToken[tokens[0]] = []);
+      for (var i = 0; i < bucket.length; i++) {
+        if (bucket[i].tokens.join(' ') === tokens.join(' ')) {
+          bucket[i].canonical = canon;
+          return;
+        }
+      }
+      bucket.push({ tokens: tokens, canonical: canon });
+    }
+
+    (data.ambiguousCodes || []).forEach(function (code) {
+      index.ambiguousCodes[normalize(code)] = true;
+    });
+
+    (data.entries || []).forEach(function (entry) {
+      (entry.aliases || []).forEach(function (alias) {
+        addAlias(alias, entry.name);
+      });
+      (entry.codes || []).forEach(function (code) {
+        index.codes[normalize(code)] = tokenize(normalize(entry.name)).join(' ');
+      });
+    });
+
+    teamAliases.forEach(function (a) {
+      if (a && typeof a.alias === 'string' && typeof a.canonical === 'string') {
+        addAlias(a.alias, a.canonical);
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Rewrite a normalized location into its canonical form: every known
+   * alias is replaced by its canonical name (longest alias wins), and each
+   * comma-separated part that is exactly an ISO country code becomes the
+   * country name. Codes that double as state/province abbreviations are
+   * only honoured when they are the whole string.
+   *
+   * Punctuation other than commas is dropped, so the result is only ever
+   * used for comparison — never shown to the user.
+   *
+   * @param {string} norm — already normalized
+   * @returns {string}
+   */
+  function canonicalizeLocation(norm) {
+    if (!aliasIndex) aliasIndex = buildAliasIndex();
+
+    var segments = norm.split(',');
+    return segments.map(function (segment) {
+      var tokens = tokenize(segment);
+      var whole = tokens.join(' ');
+      if (
+        Object.prototype.hasOwnProperty.call(aliasIndex.codes, whole) &&
+        (segments.length === 1 || !aliasIndex.ambiguousCodes[whole])
+      ) {
+        return aliasIndex.codes[whole];
+      }
+
+      var out = [];
+      var i = 0;
+      while (i < tokens.length) {
+        var best = null;
+        var bucket = aliasIndex.byFirstToken[tokens[i]] || [];
+        for (var b = 0; b < bucket.length; b++) {
+          var entry = bucket[b];
+          if (
+            (!best || entry.tokens.length > best.tokens.length) &&
+            containsTokens(tokens.slice(i, i + entry.tokens.length), entry.tokens)
+          ) {
+            best = entry;
+          }
+        }
+        if (best) {
+          out.push(best.canonical);
+          i += best.tokens.length;
+        } else {
+          out.push(tokens[i]);
+          i++;
+        }
+      }
+      return out.join(' ');
+    }).filter(function (segment) {
+      return segment !== '';
+    }).join(', ');
+  }
+
+  /**
+   * Normalize a location and resolve its aliases — see canonicalizeLocation().
+   * @param {string} str
+   * @returns {string}
+   */
+  function normalizeLocation(str) {
+    return canonicalizeLocation(normalize(str));
+  }
+
+  /**
+   * Compile (and cache) a case-insensitive regex for a location rule.
+   * Returns null for invalid patterns — these should have been rejected at
+   * save time, so we warn and skip rather than throwing on a LinkedIn page.
+   * @param {string} source
+   * @returns {RegExp|null}
+   */
+  function compileRegex(source) {
+    if (Object.prototype.hasOwnProperty.call(regexCache, source)) {
+      return regexCache[source];
+    }
+    var compiled = null;
+    try {
+      compiled = new RegExp(source, 'i');
+    } catch (err) {
+      console.warn('[SourceFence] Skipping invalid location regex: ' + source, err);
+    }
+    regexCache[source] = compiled;
+    return compiled;
+  }
+
+  // -----------------------------------------------------------------------
+  // Company hierarchy (parent → subsidiaries)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Index the team's parent → subsidiary relationships by normalized parent
+   * name. Family lookups are memoized on the index, which is dropped
+   * whenever the hierarchy reloads.
+   * @returns {{ children: Object, families: Object }}
+   */
+  function buildHierarchyIndex() {
+    var children = {};
+    companyHierarchy.forEach(function (link) {
+      if (!link || !link.parent || !link.subsidiary) return;
+      var parent = normalizeCompanyName(link.parent);
+      var subsidiary = normalizeCompanyName(link.subsidiary);
+      if (!parent || !subsidiary || parent === subsidiary) return;
+      (children[parent] = children[parent] || []).push({
+        name: link.subsidiary.trim(),
+        norm: subsidiary
+      });
+    });
+    return { children: children, families: {} };
+  }
+
+  /**
+   * Every subsidiary below a company, at any depth, with the path that
+   * links it back up, e.g. { name: 'DeepMind', path: 'DeepMind → Google →
+   * Alphabet' }. Cycles in the team's data are ignored.
+   *
+   * @param {string} company — the rule pattern naming the parent
+   * @returns {Array<{ name: string, norm: string, path: string }>}
+   */
+  function companyFamily(company) {
+    if (!hierarchyIndex) hierarchyIndex = buildHierarchyIndex();
+    var root = normalizeCompanyName(company);
+    if (!root) return [];
+    if (hierarchyIndex.families[root]) return hierarchyIndex.families[root];
+
+    var family = [];
+    var seen = {};
+    seen[root] = true;
+    var queue = [{ norm: root, path: company.trim() }];
+    while (queue.length > 0) {
+      var current = queue.shift();
+      var subs = hierarchyIndex.children[current.norm] || [];
+      for (var i = 0; i < subs.length; i++) {
+        if (seen[subs[i].norm]) continue;
+        seen[subs[i].norm] = true;
+        var member = {
+          name: subs[i].name,
+          norm: subs[i].norm,
+          path: subs[i].name + ' \u2192 ' + current.path
+        };
+        family.push(member);
+        queue.push(member);
+      }
+    }
+
+    hierarchyIndex.families[root] = family;
+    return family;
+  }
+
+  // -----------------------------------------------------------------------
+  // Gazetteer (offline city / region → country hierarchy)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Build a first-token index over every country, region and place in
+   * window.SourceFenceGazetteer (see data/gazetteer.js). Each node keeps a
+   * reference to its parent so a match can be walked up to the country.
+   * @returns {{ byFirstToken: Object, version: string|null }}
+   */
+  function buildGazetteerIndex() {
+    var index = { byFirstToken: {}, version: null };
+    var data = window.SourceFenceGazetteer;
+    if (!data || !Array.isArray(data.countries)) return index;
+
+    index.version = data.version || null;
+
+    function addNode(name, parent, country, depth) {
+      var tokens = tokenize(normalize(name));
+      if (tokens.length === 0) return null;
+      var node = { name: name, norm: tokens.join(' '), parent: parent, country: country, depth: depth };
+      node.country = country || node;
+      var bucket = index.byFirstToken[tokens[0]] || (index.byFirstToken[tokens[0]] = []);
+      bucket.push({ tokens: tokens, node: node });
+      return node;
+    }
+
+    data.countries.forEach(function (c) {
+      var countryNode = addNode(c.name, null, null, 0);
+      if (!countryNode) return;
+      (c.regions || []).forEach(function (r) {
+        var regionNode = addNode(r.name, countryNode, countryNode, 1);
+        if (!regionNode) return;
+        (r.places || []).forEach(function (p) {
+          addNode(p, regionNode, countryNode, 2);
+        });
+      });
+      (c.places || []).forEach(function (p) {
+        addNode(p, countryNode, countryNode, 2);
+      });
+    });
+
+    return index;
+  }
+
+  /**
+   * Resolve which gazetteer nodes a location refers to.
+   *
+   * Returns a map of node name (normalized tokens joined by single spaces)
+   * → { name, via } where `via` is the most specific place in the location
+   * that lies under that node (e.g. "germany" → { name: "Germany", via:
+   * "Munich" }). Returns null when the
+   * location names no known place, or when it is ambiguous — i.e. its places
+   * belong to more than one country and no country is stated explicitly.
+   *
+   * @param {Array<string>} locationTokens — tokenize(normalize(location))
+   * @returns {Object|null}
+   */
+  function resolveGeography(locationTokens) {
+    if (!gazetteerIndex) gazetteerIndex = buildGazetteerIndex();
+
+    var found = [];
+    for (var i = 0; i < locationTokens.length; i++) {
+      var bucket = gazetteerIndex.byFirstToken[locationTokens[i]];
+      if (!bucket) continue;
+      for (var b = 0; b < bucket.length; b++) {
+        var entry = bucket[b];
+        if (containsTokens(locationTokens.slice(i, i + entry.tokens.length), entry.tokens)) {
+          found.push({ start: i, end: i + entry.tokens.length, node: entry.node });
+        }
+      }
+    }
+
+    // Drop matches covered by a longer one — "New Mexico" must not also
+    // count as "Mexico", nor "New South Wales" as "Wales".
+    found = found.filter(function (m) {
+      return !found.some(function (other) {
+        return other !== m &&
+          other.start <= m.start && other.end >= m.end &&
+          (other.end - other.start) > (m.end - m.start);
+      });
+    });
+    if (found.length === 0) return null;
+
+    // An explicitly named country wins; otherwise all places must agree on
+    // a single country before we infer one.
+    var explicit = [];
+    found.forEach(function (m) {
+      if (m.node.depth === 0 && explicit.indexOf(m.node) === -1) explicit.push(m.node);
+    });
+    if (explicit.length > 0) {
+      found = found.filter(function (m) {
+        return explicit.indexOf(m.node.country) !== -1;
+      });
+    } else {
+      var countries = [];
+      found.forEach(function (m) {
+        if (countries.indexOf(m.node.country) === -1) countries.push(m.node.country);
+      });
+      if (countries.length !== 1) return null;
+    }
+
+    var reach = {};
+    found.forEach(function (m) {
+      for (var node = m.node; node; node = node.parent) {
+        var existing = reach[node.norm];
+        if (!existing || m.node.depth > existing.depth) {
+          reach[node.norm] = { name: node.name, via: m.node.name, depth: m.node.depth };
+        }
+      }
+    });
+    return reach;
+  }
+
+  // -----------------------------------------------------------------------
+  // Rule schedules (starts_at / expires_at)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Parse a rule's starts_at or expires_at into milliseconds.
+   *
+   * A date-only value ("2026-12-31", as the popup stores it) is a calendar
+   * day in the browser's time zone: a start date takes effect at the first
+   * moment of the day, an expiry date at the end of it. A timestamp (the
+   * dashboard stores these) carries its own offset and means the same
+   * instant in every time zone.
+   *
+   * @param {string}  value
+   * @param {boolean} [isExpiry] — date-only values count to the end of the day
+   * @returns {number|null} null when missing or invalid
+   */
+  function scheduleTime(value, isExpiry) {
+    if (!value) return null;
+    var day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    if (day) {
+      var date = new Date(+day[1], +day[2] - 1, +day[3] + (isExpiry ? 1 : 0));
+      return date.getTime();
+    }
+    var time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Return true if a rule's expires_at has passed. Rules without an
+   * expires_at are never considered expired.
+   * @param {object} rule
+   * @returns {boolean}
+   */
+  function isExpired(rule) {
+    var expires = scheduleTime(rule.expires_at, true);
+    return expires !== null && Date.now() >= expires;
+  }
+
+  /**
+   * Where a location or company rule is in its schedule: 'scheduled' before
+   * its starts_at, 'expired' from its expires_at, otherwise 'active'.
+   * Whether the rule is switched on (`active`) is separate.
+   * @param {object} rule
+   * @returns {string}
+   */
+  function scheduleState(rule) {
+    if (isExpired(rule)) return 'expired';
+    var starts = scheduleTime(rule.starts_at, false);
+    if (starts !== null && Date.now() < starts) return 'scheduled';
+    return 'active';
+  }
+
+  /**
+   * Return true if a rule is switched on and inside its schedule, and so is
+   * its policy, if it belongs to one (see policyState).
+   * @param {object} rule
+   * @returns {boolean}
+   */
+  function isInEffect(rule) {
+    if (!rule.active || scheduleState(rule) !== 'active') return false;
+    var policy = rulePolicy(rule);
+    return !policy || policyState(policy) === 'active';
+  }
+
+  // -----------------------------------------------------------------------
+  // Policies
+  // -----------------------------------------------------------------------
+
+  /**
+   * The policy a location or company rule belongs to, or null. A policy_id
+   * missing from the synced policies (a policy deleted since the rules were
+   * synced) counts as no policy, so the rule is still enforced on its own.
+   * @param {object} rule
+   * @returns {object|null}
+   */
+  function rulePolicy(rule) {
+    if (!rule.policy_id) return null;
+    if (!policyIndex) {
+      policyIndex = {};
+      policies.forEach(function (p) {
+        if (p && p.id) policyIndex[p.id] = p;
+      });
+    }
+    return policyIndex[rule.policy_id] || null;
+  }
+
+  /**
+   * Whether a policy is enforced: 'inactive' when it is switched off,
+   * 'expired' from its expires_at, otherwise 'active'. A rule's own switch
+   * and schedule still apply inside an active policy.
+   * @param {object} policy
+   * @returns {string}
+   */
+  function policyState(policy) {
+    if (!policy.active) return 'inactive';
+    if (isExpired(policy)) return 'expired';
+    return 'active';
+  }
+
+  // -----------------------------------------------------------------------
+  // Former-employer lookback
+  // -----------------------------------------------------------------------
+
+  var MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+    'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  /**
+   * Return true if a position that ended on `ended` falls inside a rule's
+   * lookback window. `ended` is "YYYY-MM" or "YYYY" (treated as December,
+   * so a year-only date never ages out early). An unknown end date — e.g.
+   * a "Past:" line on a search card — is outside the window: the candidate
+   * may have left years ago (see explainSkipped for the note it gets).
+   *
+   * @param {string|null} ended
+   * @param {number} months — the rule's lookback_months
+   * @returns {boolean}
+   */
+  function withinLookback(ended, months) {
+    if (!ended) return false;
+    var parts = String(ended).split('-');
+    var year = parseInt(parts[0], 10);
+    var month = parts[1] ? parseInt(parts[1], 10) : 12;
+    if (isNaN(year) || isNaN(month)) return false;
+
+    var now = new Date();
+    var elapsed = (now.getFullYear() * 12 + now.getMonth() + 1) - (year * 12 + month);
+    return elapsed <= months;
+  }
+
+  /**
+   * "Mar 2025" for "2025-03", "2025" for "2025".
+   * @param {string} ended
+   * @returns {string}
+   */
+  function formatEnded(ended) {
+    var parts = String(ended).split('-');
+    var month = parseInt(parts[1], 10);
+    return month >= 1 && month <= 12 ? MONTH_NAMES[month - 1] + ' ' + parts[0] : parts[0];
+  }
+
+  /**
+   * Return true if a graduation year falls inside an education rule's
+   * "graduated within N years" window. Future years (current students)
+   * are always inside; an unknown year is treated as inside.
+   *
+   * @param {number|null} year
+   * @param {number} years — the rule's graduated_within_years
+   * @returns {boolean}
+   */
+  function withinGraduationWindow(year, years) {
+    if (!year) return true;
+    return new Date().getFullYear() - year <= years;
+  }
+
+  // -----------------------------------------------------------------------
+  // Rule loading
+  // -----------------------------------------------------------------------
+
+  /**
+   * Load rules from chrome.storage.local.
+   * @returns {Promise<void>}
+   */
+  function loadRules() {
+    loadPromise = new Promise(function (resolve) {
+      try {
+        chrome.storage.local.get(
+          [
+            'sourcefence_location_rules',
+            'sourcefence_company_rules',
+            'sourcefence_title_rules',
+            'sourcefence_education_rules',
+            'sourcefence_compound_rules',
+            'sourcefence_exception_rules',
+            'sourcefence_location_aliases',
+            'sourcefence_company_hierarchy',
+            'sourcefence_company_suffixes',
+            'sourcefence_severity_levels',
+            'sourcefence_policies',
+            'sourcefence_settings'
+          ],
+          function (data) {
+            locationRules = Array.isArray(data.sourcefence_location_rules)
+              ? data.sourcefence_location_rules
+              : [];
+            companyRules = Array.isArray(data.sourcefence_company_rules)
+              ? data.sourcefence_company_rules
+              : [];
+            titleRules = Array.isArray(data.sourcefence_title_rules)
+              ? data.sourcefence_title_rules
+              : [];
+            educationRules = Array.isArray(data.sourcefence_education_rules)
+              ? data.sourcefence_education_rules
+              : [];
+            compoundRules = Array.isArray(data.sourcefence_compound_rules)
+              ? data.sourcefence_compound_rules
+              : [];
+            exceptionRules = Array.isArray(data.sourcefence_exception_rules)
+              ? data.sourcefence_exception_rules
+              : [];
+            teamAliases = Array.isArray(data.sourcefence_location_aliases)
+              ? data.sourcefence_location_aliases
+              : [];
+            aliasIndex = null;
+            companyHierarchy = Array.isArray(data.sourcefence_company_hierarchy)
+              ? data.sourcefence_company_hierarchy
+              : [];
+            hierarchyIndex = null;
+            teamCompanyTerms = Array.isArray(data.sourcefence_company_suffixes)
+              ? data.sourcefence_company_suffixes
+              : [];
+            companyTermIndex = null;
+            teamSeverityLevels = Array.isArray(data.sourcefence_severity_levels)
+              ? data.sourcefence_severity_levels
+              : [];
+            severityIndex = null;
+            policies = Array.isArray(data.sourcefence_policies)
+              ? data.sourcefence_policies
+              : [];
+            policyIndex = null;
+            alternativesCache = {};
+            locationIndex = null;
+            companyIndex = null;
+            fuzzySuggestions = !!(data.sourcefence_settings &&
+              data.sourcefence_settings.fuzzy_suggestions);
+
+            rulesLoaded = true;
+            resolve();
+          }
+        );
+      } catch (err) {
+        console.warn('[SourceFence] Could not access chrome.storage:', err);
+        locationRules = [];
+        companyRules = [];
+        titleRules = [];
+        educationRules = [];
+        compoundRules = [];
+        exceptionRules = [];
+        teamAliases = [];
+        aliasIndex = null;
+        companyHierarchy = [];
+        hierarchyIndex = null;
+        teamCompanyTerms = [];
+        companyTermIndex = null;
+        teamSeverityLevels = [];
+        severityIndex = null;
+        policies = [];
+        policyIndex = null;
+        alternativesCache = {};
+        locationIndex = null;
+        companyIndex = null;
+        fuzzySuggestions = false;
+        rulesLoaded = true;
+        resolve();
+      }
+    });
+
+    return loadPromise;
+  }
+
+  // -----------------------------------------------------------------------
+  // Match explanations
+  // -----------------------------------------------------------------------
+
+  /**
+   * Build the explanation entry for a single matching rule.
+   *
+   * @param {object} rule
+   * @param {string} ruleType   — 'location', 'company', 'title', 'education'
+   *                              or 'compound'
+   * @param {string} matched    — the comma alternative (or regex match) that
+   *                              hit; for compound rules, the satisfied conditions
+   * @param {string} candidate  — the normalized candidate text it was tested against
+   * @param {object} [extra]    — match_mode, via, former ({ company, ended }),
+   *                              company_id (company rules matched by LinkedIn
+   *                              company page), reverse (company rules whose
+   *                              name contains the employer's), field and/or company (title
+   *                              rules), or
+   *                              education ({ school, degree, year }) and
+   *                              within_years (education rules)
+   * @returns {{ rule_id: string|null, rule_type: string, pattern: string,
+   *             matched: string, candidate: string, severity: string,
+   *             message: string, match_mode?: string, via?: string,
+   *             policy?: { id: string, name: string }, is_new?: boolean,
+   *             reason: string }}
+   *   policy is set for location and company rules in a policy, and named
+   *   in the reason; is_new for team rules added in the last NEW_RULE_DAYS
+   */
+  function buildMatch(rule, ruleType, matched, candidate, extra) {
+    var match = {
+      rule_id: rule.id || null,
+      rule_type: ruleType,
+      pattern: ruleType === 'compound' ? rule.name : rule.pattern,
+      matched: matched,
+      candidate: candidate,
+      severity: rule.severity,
+      message: rule.message
+    };
+    if (extra && extra.match_mode) match.match_mode = extra.match_mode;
+    if (extra && extra.via) match.via = extra.via;
+    if (extra && extra.former) match.former = extra.former;
+    if (extra && extra.field) match.field = extra.field;
+    if (extra && extra.company) match.company = extra.company;
+    if (extra && extra.company_id) match.company_id = extra.company_id;
+    if (extra && extra.reverse) match.reverse = true;
+    if (extra && extra.education) match.education = extra.education;
+    if (extra && extra.within_years) match.within_years = extra.within_years;
+    var policy = rulePolicy(rule);
+    if (policy) match.policy = { id: policy.id, name: policy.name };
+    if (isNewRule(rule)) match.is_new = true;
+    match.reason = describeMatch(match);
+    if (match.policy) match.reason += ' (policy "' + match.policy.name + '")';
+    return match;
+  }
+
+  /**
+   * True for a team rule that a sync added within the last NEW_RULE_DAYS.
+   * @param {object} rule
+   * @returns {boolean}
+   */
+  function isNewRule(rule) {
+    return typeof rule.added_at === 'number' &&
+      Date.now() - rule.added_at < NEW_RULE_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * One-line, human-readable reason for a match, shown in the banner, the
+   * search badge tooltip and the popup.
+   * @param {object} match — see buildMatch
+   * @returns {string}
+   */
+  function describeMatch(match) {
+    if (match.rule_type === 'compound') {
+      return 'Compound rule "' + match.pattern + '" matched: ' + match.matched;
+    }
+
+    if (match.rule_type === 'title') {
+      return 'Title rule "' + match.pattern + '" matched ' +
+        (match.matched && match.matched !== match.pattern.trim() ? '"' + match.matched + '" in ' : '') +
+        (match.field === 'headline' ? 'the headline' : 'the job title') +
+        (match.company ? ' at "' + match.company + '"' : '');
+    }
+
+    if (match.rule_type === 'education') {
+      var year = match.education.year;
+      var when = '';
+      if (year) {
+        when = ' (' + (year > new Date().getFullYear() ? 'graduates ' : 'graduated ') + year + ')';
+      } else if (match.within_years) {
+        when = ' (graduation year unknown)';
+      }
+      return 'Education rule "' + match.pattern + '" matched "' + match.education.school + '"' + when;
+    }
+
+    var text = (match.rule_type === 'company' ? 'Company' : 'Location') +
+      ' rule "' + match.pattern + '" matched ';
+
+    var via = match.via ? ' via ' + match.via : '';
+    var byId = match.company_id ? ' by LinkedIn company ID ' + match.company_id : '';
+    var reverse = match.reverse ? ' (the rule name contains the employer name)' : '';
+    if (match.former) {
+      return text + 'former employer "' + match.former.company + '"' + byId + ' (' +
+        (match.former.ended ? 'left ' + formatEnded(match.former.ended) : 'end date unknown') + ')' +
+        via + reverse;
+    }
+    if (match.rule_type === 'company') return text + 'the current employer' + byId + via + reverse;
+    if (match.via) return text + 'via ' + match.via;
+    if (match.matched && match.matched !== match.pattern.trim()) {
+      return text + '"' + match.matched + '"';
+    }
+    return text + 'the location';
+  }
+
+  // -----------------------------------------------------------------------
+  // Rule index (precompiled lookups for large rule sets)
+  // -----------------------------------------------------------------------
+  //
+  // Teams that import sanctions or client lists have thousands of location
+  // and company rules, and the search annotator checks every card on the
+  // page. Rather than testing every rule against every candidate, the rules
+  // are compiled once into lookups that return the few rules that could
+  // possibly match; only those are then tested the usual way (testPattern,
+  // testCompanyRule). The lookups may return too many rules but never too
+  // few, so results are the same as testing every rule.
+
+  /**
+   * Build an Aho-Corasick automaton over a set of keys, so every key that
+   * occurs in a text can be found in one pass over the text.
+   * @param {Array<{ text: string, id: number }>} keys — non-empty texts
+   * @returns {{ next: Array<Object>, fail: Array<number>,
+   *             out: Array<Array<number>|null>, link: Array<number> }}
+   *   `link` points to the nearest state on the failure chain that ends a key
+   */
+  function buildAutomaton(keys) {
+    var auto = { next: [Object.create(null)], fail: [0], out: [null], link: [0] };
+
+    keys.forEach(function (key) {
+      var state = 0;
+      for (var i = 0; i < key.text.length; i++) {
+        var c = key.text.charAt(i);
+        var target = auto.next[state][c];
+        if (target === undefined) {
+          target = auto.next.length;
+          auto.next.push(Object.create(null));
+          auto.fail.push(0);
+          auto.out.push(null);
+          auto.link.push(0);
+          auto.next[state][c] = target;
+        }
+        state = target;
+      }
+      (auto.out[state] || (auto.out[state] = [])).push(key.id);
+    });
+
+    // Breadth-first, so a state's failure target is final before its
+    // children are visited
+    var queue = [];
+    Object.keys(auto.next[0]).forEach(function (c) {
+      queue.push(auto.next[0][c]);
+    });
+    for (var q = 0; q < queue.length; q++) {
+      var u = queue[q];
+      var children = auto.next[u];
+      for (var c in children) {
+        var v = children[c];
+        var f = auto.fail[u];
+        while (f > 0 && auto.next[f][c] === undefined) f = auto.fail[f];
+        f = auto.next[f][c];
+        auto.fail[v] = f === undefined ? 0 : f;
+        auto.link[v] = auto.out[auto.fail[v]] ? auto.fail[v] : auto.link[auto.fail[v]];
+        queue.push(v);
+      }
+    }
+    return auto;
+  }
+
+  /**
+   * Call `found(id)` for every key of the automaton that occurs in `text`.
+   * @param {object}   auto — see buildAutomaton
+   * @param {string}   text
+   * @param {function} found
+   */
+  function searchAutomaton(auto, text, found) {
+    var state = 0;
+    for (var i = 0; i < text.length; i++) {
+      var c = text.charAt(i);
+      while (state > 0 && auto.next[state][c] === undefined) state = auto.fail[state];
+      state = auto.next[state][c] || 0;
+      for (var s = auto.out[state] ? state : auto.link[state]; s > 0; s = auto.link[s]) {
+        auto.out[s].forEach(found);
+      }
+    }
+  }
+
+  /**
+   * Add `id` to the list stored under `key` in a lookup object.
+   * @param {Object} map
+   * @param {string} key
+   * @param {number} id
+   */
+  function addToLookup(map, key, id) {
+    var list = map[key] || (map[key] = []);
+    if (list[list.length - 1] !== id) list.push(id);
+  }
+
+  /**
+   * The rule indices collected in `seen`, in rule order.
+   * @param {Object} seen — rule index → true
+   * @returns {Array<number>}
+   */
+  function sortedIds(seen) {
+    return Object.keys(seen).map(Number).sort(function (a, b) { return a - b; });
+  }
+
+  /**
+   * Precompile location rules (see testPattern for what each mode compares):
+   *   - substring alternatives, and word alternatives as space-delimited
+   *     token runs, go into one automaton;
+   *   - exact alternatives go into a lookup by normalized text;
+   *   - substring and word alternatives go into a lookup by canonical name
+   *     for the gazetteer fallback;
+   *   - regex rules, and substring alternatives that normalize to nothing,
+   *     are always tested.
+   * @param {Array} rules
+   * @returns {object}
+   */
+  function buildLocationIndex(rules) {
+    var keys = [];
+    var exact = Object.create(null);
+    var places = Object.create(null);
+    var always = [];
+
+    rules.forEach(function (rule, id) {
+      if (!rule.pattern) return;
+      var mode = MATCH_MODES.indexOf(rule.match_mode) === -1 ? DEFAULT_MATCH_MODE : rule.match_mode;
+      if (mode === 'regex') {
+        always.push(id);
+        return;
+      }
+      patternAlternatives(rule.pattern, true).forEach(function (alt) {
+        if (mode === 'exact') {
+          addToLookup(exact, alt.norm, id);
+          addToLookup(exact, alt.canon, id);
+          return;
+        }
+        addToLookup(places, alt.canon, id);
+        if (mode === 'word') {
+          [alt.norm, alt.canon].forEach(function (text) {
+            var tokens = tokenize(text);
+            if (tokens.length > 0) keys.push({ text: ' ' + tokens.join(' ') + ' ', id: id });
+          });
+        } else if (alt.canon === '') {
+          always.push(id); // an empty string is contained in everything
+        } else {
+          keys.push({ text: alt.norm, id: id });
+          keys.push({ text: alt.canon, id: id });
+        }
+      });
+    });
+
+    return {
+      rules: rules,
+      automaton: buildAutomaton(keys),
+      exact: exact,
+      places: places,
+      hasPlaces: Object.keys(places).length > 0,
+      always: always
+    };
+  }
+
+  /**
+   * The location rules that could match a prepared location field.
+   * @param {object} index — see buildLocationIndex
+   * @param {object} ctx   — see createFieldContext
+   * @returns {Array<number>} rule indices, in rule order
+   */
+  function locationCandidates(index, ctx) {
+    var seen = {};
+    function found(id) { seen[id] = true; }
+
+    index.always.forEach(found);
+    (index.exact[ctx.norm] || []).forEach(found);
+    (index.exact[ctx.canon] || []).forEach(found);
+
+    if (!ctx.tokens) ctx.tokens = tokenize(ctx.norm);
+    if (!ctx.canonTokens) ctx.canonTokens = tokenize(ctx.canon);
+    searchAutomaton(index.automaton, ctx.norm, found);
+    searchAutomaton(index.automaton, ctx.canon, found);
+    searchAutomaton(index.automaton, ' ' + ctx.tokens.join(' ') + ' ', found);
+    searchAutomaton(index.automaton, ' ' + ctx.canonTokens.join(' ') + ' ', found);
+
+    if (index.hasPlaces) {
+      if (ctx.geography === undefined) ctx.geography = resolveGeography(ctx.canonTokens);
+      Object.keys(ctx.geography || {}).forEach(function (place) {
+        (index.places[place] || []).forEach(found);
+      });
+    }
+    return sortedIds(seen);
+  }
+
+  /**
+   * Precompile company rules (see testCompanyRule for what is compared):
+   *   - the normalized rule name, and with `include_subsidiaries` the names
+   *     of its subsidiaries, go into an automaton for employers that
+   *     contain them;
+   *   - every run of whole words of those names goes into a lookup for
+   *     reverse matches, unless the rule has `allow_reverse_match: false`;
+   *   - LinkedIn company IDs go into a lookup by ID;
+   *   - names long enough for possible-match suggestions go into a lookup
+   *     by word count and length (see fuzzyPattern and suggestCompany).
+   * @param {Array} rules
+   * @returns {object}
+   */
+  function buildCompanyIndex(rules) {
+    var keys = [];
+    var words = Object.create(null);
+    var ids = Object.create(null);
+    var fuzzy = Object.create(null);
+    var hasLookback = false;
+
+    rules.forEach(function (rule, id) {
+      if (rule.lookback_months > 0) hasLookback = true;
+      var pattern = fuzzyPattern(rule, id);
+      if (pattern) {
+        var bySize = fuzzy[pattern.size] || (fuzzy[pattern.size] = Object.create(null));
+        addToLookup(bySize, pattern.text.length, pattern);
+      }
+      ruleCompanyIds(rule).forEach(function (companyId) {
+        addToLookup(ids, companyId, id);
+      });
+      if (!rule.pattern) return;
+
+      var names = [rule.pattern];
+      if (rule.include_subsidiaries) {
+        companyFamily(rule.pattern).forEach(function (member) {
+          names.push(member.name);
+        });
+      }
+      names.forEach(function (name) {
+        var norm = normalizeCompanyName(name);
+        if (norm === '') return;
+        keys.push({ text: norm, id: id });
+        if (rule.allow_reverse_match === false) return;
+        var parts = norm.split(' ');
+        for (var i = 0; i < parts.length; i++) {
+          for (var j = i + 1; j <= parts.length; j++) {
+            var run = parts.slice(i, j).join(' ');
+            if (run.length >= MIN_REVERSE_MATCH_LENGTH) addToLookup(words, run, id);
+          }
+        }
+      });
+    });
+
+    return {
+      rules: rules,
+      automaton: buildAutomaton(keys),
+      words: words,
+      ids: ids,
+      fuzzy: fuzzy,
+      hasLookback: hasLookback
+    };
+  }
+
+  /**
+   * Collect the company rules that could match one employer into `seen`.
+   * @param {object} index       — see buildCompanyIndex
+   * @param {string} normCompany — already normalizeCompanyName'd
+   * @param {string} companyId   — already normalizeCompanyId'd
+   * @param {Object} seen        — rule index → true
+   */
+  function companyCandidates(index, normCompany, companyId, seen) {
+    function found(id) { seen[id] = true; }
+    if (companyId) (index.ids[companyId] || []).forEach(found);
+    if (!normCompany) return;
+    searchAutomaton(index.automaton, normCompany, found);
+    (index.words[normCompany] || []).forEach(found);
+  }
+
+  /**
+   * Turn the rule indexes off to test every rule, as before they existed.
+   * Used by scripts/benchmark-matcher.js to compare timings and results.
+   * @param {boolean} enabled
+   */
+  function setRuleIndexEnabled(enabled) {
+    useRuleIndex = enabled !== false;
+  }
 
   // -----------------------------------------------------------------------
-  // Company-name suffixes to strip during normalization
+  // Matching functions
   // -----------------------------------------------------------------------
 
-  const COMPANY_SUFFIXES = [
-    'incorporated',
-    'inc.',
-    'inc',
-    'limited',
-    'ltd.',
-    'ltd',
-    'corporation',
-    'corp.',
-    'corp',
-    'llc',
-    'l.l.c.',
-    'gmbh',
-    'ag',
-    's.a.',
-    'pty',
-    'plc',
-    'co.',
-    'company'
-  ];
+  /**
+   * Prepare a candidate field for pattern tests. Normalized, canonical and
+   * tokenized forms are computed once and shared by every rule and compound
+   * condition that looks at the field.
+   *
+   * @param {string} raw    — raw candidate text
+   * @param {string} field  — 'location', 'headline', 'title' or 'school'
+   * @returns {object}
+   */
+  function createFieldContext(raw, field) {
+    var norm = normalize(raw);
+    var isLocation = field === 'location';
+    return {
+      raw: raw,
+      norm: norm,
+      canon: isLocation ? canonicalizeLocation(norm) : norm,
+      isLocation: isLocation,
+      tokens: null, // tokenized lazily — only word mode needs it
+      canonTokens: null, // tokenized lazily — word mode and the gazetteer
+      geography: undefined // resolved lazily; null means no (unambiguous) geography
+    };
+  }
+
+  /**
+   * Split a substring, word or exact pattern into its comma alternatives,
+   * normalized (and, for locations, alias-resolved) once per pattern.
+   * @param {string}  pattern
+   * @param {boolean} isLocation
+   * @returns {Array<{ text: string, norm: string, canon: string }>}
+   */
+  function patternAlternatives(pattern, isLocation) {
+    var key = (isLocation ? 'l:' : 'f:') + pattern;
+    if (Object.prototype.hasOwnProperty.call(alternativesCache, key)) {
+      return alternativesCache[key];
+    }
+    var alternatives = [];
+    pattern.split(',').forEach(function (alt) {
+      var normAlt = normalize(alt);
+      if (normAlt === '') return;
+      alternatives.push({
+        text: alt.trim(),
+        norm: normAlt,
+        canon: isLocation ? canonicalizeLocation(normAlt) : normAlt
+      });
+    });
+    alternativesCache[key] = alternatives;
+    return alternatives;
+  }
+
+  /**
+   * Test one pattern against a prepared field.
+   *
+   * For substring, word and exact modes the pattern may contain
+   * comma-separated alternatives, and both sides are normalized before
+   * comparison. Regex patterns are used whole (commas are valid regex
+   * syntax) and tested against the raw, the normalized and the canonical
+   * text.
+   *
+   * Location fields additionally compare alias-resolved forms and, for
+   * substring and word modes, fall back to the gazetteer.
+   *
+   * @param {object} ctx      — see createFieldContext
+   * @param {string} pattern
+   * @param {string} [mode]   — one of MATCH_MODES; defaults to substring
+   * @returns {{ matched: string, match_mode: string, via?: string }|null}
+   */
+  function testPattern(ctx, pattern, mode) {
+    if (!ctx.norm || !pattern) return null;
+    if (MATCH_MODES.indexOf(mode) === -1) mode = DEFAULT_MATCH_MODE;
+
+    if (mode === 'regex') {
+      var regex = compileRegex(pattern);
+      var found = regex &&
+        (regex.exec(ctx.raw) || regex.exec(ctx.norm) || regex.exec(ctx.canon));
+      return found ? { matched: found[0], match_mode: mode } : null;
+    }
+
+    if (mode !== 'substring') {
+      if (!ctx.tokens) ctx.tokens = tokenize(ctx.norm);
+      if (!ctx.canonTokens) ctx.canonTokens = tokenize(ctx.canon);
+    }
+
+    function test(text, tokens, alt) {
+      if (mode === 'exact') return text === alt;
+      if (mode === 'word') return containsTokens(tokens, tokenize(alt));
+      return text.indexOf(alt) !== -1;
+    }
+
+    // Direct matches are tried on every alternative before falling back to
+    // the gazetteer, so the explanation names the alternative that literally
+    // matched.
+    var alternatives = patternAlternatives(pattern, ctx.isLocation);
+
+    for (var i = 0; i < alternatives.length; i++) {
+      if (
+        test(ctx.norm, ctx.tokens, alternatives[i].norm) ||
+        test(ctx.canon, ctx.canonTokens, alternatives[i].canon)
+      ) {
+        return { matched: alternatives[i].text, match_mode: mode };
+      }
+    }
+
+    if (mode === 'exact' || !ctx.isLocation) return null;
+    if (ctx.geography === undefined) {
+      if (!ctx.canonTokens) ctx.canonTokens = tokenize(ctx.canon);
+      ctx.geography = resolveGeography(ctx.canonTokens);
+    }
+    if (!ctx.geography) return null;
+
+    for (var k = 0; k < alternatives.length; k++) {
+      var hit = ctx.geography[alternatives[k].canon];
+      if (hit && hit.via !== hit.name) {
+        return {
+          matched: alternatives[k].text,
+          match_mode: mode,
+          via: hit.via + ' \u2192 ' + hit.name
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Bidirectional normalized containment: the candidate contains the
+   * pattern ('contains') OR the pattern contains the candidate ('reverse',
+   * handles abbreviated vs. full names).
+   *
+   * A reverse match needs an employer name of at least
+   * MIN_REVERSE_MATCH_LENGTH characters that makes up whole words of the
+   * pattern, so "Meta" does not match "Metabase" and "AI" matches nothing.
+   *
+   * @param {string}  normCompany — candidate, already normalizeCompanyName'd
+   * @param {string}  pattern
+   * @param {boolean} [allowReverse=true]
+   * @returns {string|null} 'contains', 'reverse' or null
+   */
+  function companyContainment(normCompany, pattern, allowReverse) {
+    var normPattern = normalizeCompanyName(pattern);
+    if (normCompany === '' || normPattern === '') return null;
+    if (normCompany.indexOf(normPattern) !== -1) return 'contains';
+    if (
+      allowReverse !== false &&
+      normCompany.length >= MIN_REVERSE_MATCH_LENGTH &&
+      (' ' + normPattern + ' ').indexOf(' ' + normCompany + ' ') !== -1
+    ) {
+      return 'reverse';
+    }
+    return null;
+  }
+
+  /**
+   * companyContainment in either direction, as a boolean.
+   * @param {string} normCompany — candidate, already normalizeCompanyName'd
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  function testCompany(normCompany, pattern) {
+    return companyContainment(normCompany, pattern) !== null;
+  }
+
+  /**
+   * Match a candidate location against every location rule in effect
+   * (see isInEffect).
+   *
+   * Each rule carries a match_mode (see MATCH_MODES); see testPattern for
+   * how alternatives and modes are applied.
+   *
+   * Non-regex alternatives match if either the plain normalized forms or
+   * the canonical (alias-resolved) forms match, so "Deutschland" and "DEU"
+   * both satisfy a "Germany" rule without breaking partial patterns such as
+   * "Bengal" against "Bengaluru".
+   *
+   * Substring and word rules that name a country or region in the
+   * gazetteer also match the cities and regions beneath it; those matches
+   * carry a `via` path such as "Munich → Germany".
+   *
+   * Only the rules the location index returns are tested (see
+   * buildLocationIndex).
+   *
+   * @param {string} location  — raw candidate location string
+   * @param {Array}  rules     — array of location rule objects
+   * @returns {Array} array of match entries (see buildMatch) for every matching rule
+   */
+  function matchLocation(location, rules) {
+    var matches = [];
+    if (!location) return matches;
+
+    var ctx = createFieldContext(location, 'location');
+    var ids = null;
+    if (useRuleIndex) {
+      if (!locationIndex || locationIndex.rules !== rules) locationIndex = buildLocationIndex(rules);
+      ids = locationCandidates(locationIndex, ctx);
+    }
 
-  // Pre-build a regex that anchors each suffix at a word boundary at the end
-  // of the string (after optional trailing whitespace).
-  // Escaping dots for regex safety.
-  const suffixPattern = new RegExp(
-    '\\b(' +
-      COMPANY_SUFFIXES.map(function (s) {
-        return s.replace(/\./g, '\\.');
-      }).join('|') +
-      ')\\s*$',
-    'i'
-  );
+    var count = ids ? ids.length : rules.length;
+    for (var n = 0; n < count; n++) {
+      var rule = rules[ids ? ids[n] : n];
+      if (!isInEffect(rule)) continue;
 
-  // -----------------------------------------------------------------------
-  // Internal state
-  // -----------------------------------------------------------------------
+      var hit = testPattern(ctx, rule.pattern, rule.match_mode);
+      if (hit) {
+        matches.push(buildMatch(rule, 'location', hit.matched, ctx.norm, hit));
+      }
+    }
 
-  var locationRules = [];
-  var companyRules = [];
-  var rulesLoaded = false;
-  var loadPromise = null;
+    return matches;
+  }
 
-  // -----------------------------------------------------------------------
-  // Normalization helpers
-  // -----------------------------------------------------------------------
+  /**
+   * The LinkedIn company page identifiers a company rule pins to, from its
+   * `linkedin_company_ids` (an array, or a comma-separated string of IDs or
+   * company page URLs).
+   * @param {object} rule
+   * @returns {Array<string>}
+   */
+  function ruleCompanyIds(rule) {
+    var ids = rule.linkedin_company_ids;
+    if (!ids) return [];
+    if (!Array.isArray(ids)) ids = String(ids).split(',');
+    return ids.map(normalizeCompanyId).filter(function (id) { return id !== ''; });
+  }
 
   /**
-   * Normalize a string: lowercase, trim, strip diacritics.
-   * @param {string} str
-   * @returns {string}
+   * Test an employer against a company rule, including the rule's
+   * subsidiaries when it has `include_subsidiaries`.
+   *
+   * When the rule lists LinkedIn company IDs and the employer's company
+   * page is known, the IDs decide: a different company that happens to
+   * share the name does not match. Otherwise names are compared (see
+   * companyContainment); rules with `allow_reverse_match: false` only match
+   * employers whose name contains the pattern.
+   *
+   * @param {string} normCompany — already normalizeCompanyName'd
+   * @param {object} rule
+   * @param {string} [companyId] — the employer's normalized company page ID
+   * @returns {{ via?: string, company_id?: string, reverse?: boolean }|null}
+   *   via is the subsidiary path, e.g. "Waymo → Alphabet"; company_id is set
+   *   when the match was made by ID; reverse when the rule name contains the
+   *   employer name rather than the other way round
    */
-  function normalize(str) {
-    if (typeof str !== 'string') return '';
-    return str
-      .trim()
-      .toLowerCase()
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '');
+  function testCompanyRule(normCompany, rule, companyId) {
+    var allowReverse = rule.allow_reverse_match !== false;
+    var ids = companyId ? ruleCompanyIds(rule) : [];
+    var how;
+    if (ids.length > 0) {
+      if (ids.indexOf(companyId) !== -1) return { company_id: companyId };
+    } else {
+      how = companyContainment(normCompany, rule.pattern, allowReverse);
+      if (how) return how === 'reverse' ? { reverse: true } : {};
+    }
+    if (!rule.include_subsidiaries || !normCompany) return null;
+
+    var family = companyFamily(rule.pattern);
+    for (var i = 0; i < family.length; i++) {
+      how = companyContainment(normCompany, family[i].name, allowReverse);
+      if (how) {
+        return how === 'reverse'
+          ? { via: family[i].path, reverse: true }
+          : { via: family[i].path };
+      }
+    }
+    return null;
   }
 
   /**
-   * Normalize a company name: normalize() then strip common corporate
-   * suffixes and trim again.
-   * @param {string} str
-   * @returns {string}
+   * Match a candidate company/employer against every company rule in
+   * effect (see isInEffect).
+   *
+   * Uses bidirectional normalized substring containment after stripping
+   * common corporate suffixes (see companyContainment for the guards on
+   * reverse matches, which carry `reverse: true`), unless the rule lists LinkedIn company IDs
+   * and the employer's company page is known (see testCompanyRule); those
+   * matches carry `company_id`. Rules with `include_subsidiaries` also match
+   * the subsidiaries of the named company from the team's hierarchy; those
+   * matches carry a `via` path such as "Waymo → Alphabet". Rules with a
+   * `lookback_months` also match former employers the candidate left within
+   * that many months; those matches carry `former: { company, ended }`.
+   * Generic employers ("Self-employed", "Stealth") never match.
+   *
+   * Only the rules the company index returns for the current and former
+   * employers are tested (see buildCompanyIndex).
+   *
+   * @param {string} company        — raw candidate employer string
+   * @param {Array}  rules          — array of company rule objects
+   * @param {Array}  [pastEmployers] — [{ company, ended, companyId? }] from
+   *   the profile's Experience section or a search card's "Past:" lines
+   * @param {string} [companyId] — the current employer's LinkedIn company
+   *   page ID or URL
+   * @returns {Array} array of match entries (see buildMatch) for every matching rule
    */
-  function normalizeCompanyName(str) {
-    var n = normalize(str);
-    // Repeatedly strip suffixes in case multiple are present (e.g. "Foo Corp LLC")
-    var prev;
-    do {
-      prev = n;
-      n = n.replace(suffixPattern, '').trim();
-    } while (n !== prev);
-    return n;
+  function matchCompany(company, rules, pastEmployers, companyId) {
+    var matches = [];
+    var hasPast = Array.isArray(pastEmployers) && pastEmployers.length > 0;
+    if (!company && !hasPast) return matches;
+
+    var genericCurrent = !company || isGenericEmployer(company);
+    var normCompany = genericCurrent ? '' : normalizeCompanyName(company);
+    var normId = genericCurrent ? '' : normalizeCompanyId(companyId);
+    var past = null; // normalized lazily — only lookback rules need it
+
+    function formerEmployers() {
+      if (!past) {
+        past = pastEmployers.filter(function (p) {
+          return p && p.company && !isGenericEmployer(p.company);
+        }).map(function (p) {
+          return {
+            company: p.company,
+            ended: p.ended || null,
+            norm: normalizeCompanyName(p.company),
+            id: normalizeCompanyId(p.companyId)
+          };
+        });
+      }
+      return past;
+    }
+
+    var ids = null;
+    if (useRuleIndex) {
+      if (!companyIndex || companyIndex.rules !== rules) companyIndex = buildCompanyIndex(rules);
+      var seen = {};
+      companyCandidates(companyIndex, normCompany, normId, seen);
+      if (hasPast && companyIndex.hasLookback) {
+        formerEmployers().forEach(function (p) {
+          companyCandidates(companyIndex, p.norm, p.id, seen);
+        });
+      }
+      ids = sortedIds(seen);
+    }
+
+    var count = ids ? ids.length : rules.length;
+    for (var n = 0; n < count; n++) {
+      var rule = rules[ids ? ids[n] : n];
+      if (!isInEffect(rule)) continue;
+
+      var hit = genericCurrent ? null : testCompanyRule(normCompany, rule, normId);
+      if (hit) {
+        matches.push(buildMatch(rule, 'company', rule.pattern.trim(), normCompany, hit));
+        continue;
+      }
+
+      if (!hasPast || !(rule.lookback_months > 0)) continue;
+      var former = formerEmployers();
+
+      for (var j = 0; j < former.length; j++) {
+        if (!withinLookback(former[j].ended, rule.lookback_months)) continue;
+        var pastHit = testCompanyRule(former[j].norm, rule, former[j].id);
+        if (pastHit) {
+          matches.push(buildMatch(rule, 'company', rule.pattern.trim(), former[j].norm, {
+            via: pastHit.via,
+            company_id: pastHit.company_id,
+            reverse: pastHit.reverse,
+            former: { company: former[j].company, ended: former[j].ended }
+          }));
+          break; // One former employer is enough for this rule
+        }
+      }
+    }
+
+    return matches;
   }
 
-  // -----------------------------------------------------------------------
-  // Expiration check
-  // -----------------------------------------------------------------------
+  /**
+   * Optimal string alignment distance between two strings (insertions,
+   * deletions, substitutions and swapping two neighbouring characters each
+   * cost one), or -1 once it is certain to exceed `max`.
+   * @param {string} a
+   * @param {string} b
+   * @param {number} max
+   * @returns {number}
+   */
+  function editDistanceWithin(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return -1;
+    var prevPrev = null;
+    var prev = [];
+    for (var j = 0; j <= b.length; j++) prev[j] = j;
+
+    for (var i = 1; i <= a.length; i++) {
+      var cur = [i];
+      var rowMin = i;
+      for (j = 1; j <= b.length; j++) {
+        var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+        var d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+          d = Math.min(d, prevPrev[j - 2] + 1);
+        }
+        cur[j] = d;
+        if (d < rowMin) rowMin = d;
+      }
+      if (rowMin > max) return -1;
+      prevPrev = prev;
+      prev = cur;
+    }
+    return prev[b.length] <= max ? prev[b.length] : -1;
+  }
 
   /**
-   * Return true if a company rule's expires_at date is in the past.
-   * Rules without an expires_at are never considered expired.
-   * @param {object} rule
-   * @returns {boolean}
+   * How many typos a name of this length may contain (see FUZZY_MIN_LENGTH).
+   * @param {string} name
+   * @returns {number}
    */
-  function isExpired(rule) {
-    if (!rule.expires_at) return false;
-    var expiryDate = new Date(rule.expires_at);
-    if (isNaN(expiryDate.getTime())) return false;
-    // Compare against end of the expiry day (23:59:59.999) to treat the
-    // entire expiry date as still valid.
-    expiryDate.setHours(23, 59, 59, 999);
-    return Date.now() > expiryDate.getTime();
+  function typoBudget(name) {
+    if (name.length < FUZZY_MIN_LENGTH) return 0;
+    return name.length < FUZZY_TWO_EDIT_LENGTH ? 1 : 2;
   }
 
-  // -----------------------------------------------------------------------
-  // Rule loading
-  // -----------------------------------------------------------------------
+  /**
+   * A company rule's normalized pattern as compared by suggestCompany, or
+   * null when the pattern is too short to suggest.
+   * @param {object} rule
+   * @param {number} id — the rule's position in the rule list
+   * @returns {{ id: number, text: string, size: number, allowed: number }|null}
+   */
+  function fuzzyPattern(rule, id) {
+    if (!rule.pattern) return null;
+    var text = normalizeCompanyName(rule.pattern);
+    var allowed = typoBudget(text);
+    if (allowed === 0) return null;
+    return { id: id, text: text, size: text.split(' ').length, allowed: allowed };
+  }
 
   /**
-   * Load rules from chrome.storage.local.
-   * @returns {Promise<void>}
+   * Suggest company rules that the current employer nearly matches, e.g. a
+   * "Google" rule for "Gooogle" or "Gooogle Cloud". Advisory only:
+   * suggestions never carry a severity and never affect the result, they
+   * are listed separately for the user to check.
+   *
+   * Each normalized rule pattern is compared with every run of the same
+   * number of words in the normalized employer name (see typoBudget for
+   * how close is close enough). With the rule index, only patterns whose
+   * length is within their typo budget of a run are compared. Rules that
+   * already matched, rules pinned to a LinkedIn company page when the
+   * employer's page is known, and generic employers are skipped.
+   *
+   * @param {string} company   — raw candidate employer string
+   * @param {Array}  rules     — array of company rule objects
+   * @param {Array}  matched   — company match entries, whose rules are skipped
+   * @param {string} [companyId] — the current employer's LinkedIn company page
+   * @returns {Array<{ rule_id: string|null, rule_type: string, pattern: string,
+   *                   employer: string, closest: string, edits: number,
+   *                   message: string, reason: string }>}
    */
-  function loadRules() {
-    loadPromise = new Promise(function (resolve) {
-      try {
-        chrome.storage.local.get(
-          ['sourcefence_location_rules', 'sourcefence_company_rules'],
-          function (data) {
-            locationRules = Array.isArray(data.sourcefence_location_rules)
-              ? data.sourcefence_location_rules
-              : [];
-            companyRules = Array.isArray(data.sourcefence_company_rules)
-              ? data.sourcefence_company_rules
-              : [];
+  function suggestCompany(company, rules, matched, companyId) {
+    var suggestions = [];
+    if (!company || isGenericEmployer(company)) return suggestions;
 
-            rulesLoaded = true;
-            resolve();
-          }
-        );
-      } catch (err) {
-        console.warn('[SourceFence] Could not access chrome.storage:', err);
-        locationRules = [];
-        companyRules = [];
-        rulesLoaded = true;
-        resolve();
+    var words = normalizeCompanyName(company).split(' ');
+    var skip = {};
+    matched.forEach(function (m) { skip[m.rule_id] = true; });
+    var normId = normalizeCompanyId(companyId);
+    var closest = {}; // rule index → { closest, edits }
+
+    function compare(pattern, run) {
+      var d = editDistanceWithin(run, pattern.text, pattern.allowed);
+      var best = closest[pattern.id];
+      if (d > 0 && (!best || d < best.edits)) closest[pattern.id] = { closest: run, edits: d };
+    }
+
+    function runs(size, visit) {
+      for (var start = 0; start + size <= words.length; start++) {
+        visit(words.slice(start, start + size).join(' '));
       }
-    });
+    }
 
-    return loadPromise;
-  }
+    if (useRuleIndex) {
+      if (!companyIndex || companyIndex.rules !== rules) companyIndex = buildCompanyIndex(rules);
+      Object.keys(companyIndex.fuzzy).forEach(function (size) {
+        var bySize = companyIndex.fuzzy[size];
+        runs(Number(size), function (run) {
+          for (var len = run.length - FUZZY_MAX_EDITS; len <= run.length + FUZZY_MAX_EDITS; len++) {
+            (bySize[len] || []).forEach(function (pattern) {
+              if (Math.abs(len - run.length) <= pattern.allowed) compare(pattern, run);
+            });
+          }
+        });
+      });
+    } else {
+      rules.forEach(function (rule, id) {
+        var pattern = fuzzyPattern(rule, id);
+        if (pattern) runs(pattern.size, function (run) { compare(pattern, run); });
+      });
+    }
 
-  // -----------------------------------------------------------------------
-  // Matching functions
-  // -----------------------------------------------------------------------
+    var hits = sortedIds(closest);
+    for (var i = 0; i < hits.length; i++) {
+      var rule = rules[hits[i]];
+      var best = closest[hits[i]];
+      if (!isInEffect(rule) || skip[rule.id]) continue;
+      if (normId && ruleCompanyIds(rule).length > 0) continue;
+
+      suggestions.push({
+        rule_id: rule.id || null,
+        rule_type: 'company',
+        pattern: rule.pattern,
+        employer: company.trim(),
+        closest: best.closest,
+        edits: best.edits,
+        message: rule.message,
+        reason: 'Possible match, not enforced: employer "' + company.trim() +
+          '" is ' + best.edits + ' typo' + (best.edits === 1 ? '' : 's') +
+          ' away from company rule "' + rule.pattern + '"'
+      });
+    }
+
+    return suggestions;
+  }
 
   /**
-   * Match a candidate location against all active location rules.
+   * Match a candidate's job title or headline against all active title
+   * rules.
    *
-   * Rule patterns may contain comma-separated alternatives.  Matching uses
-   * normalized substring containment (candidate contains alternative).
+   * Each rule tests one field — `field: 'title'` (the default, the part of
+   * the headline before "at Company") or `'headline'` — using the same
+   * match modes and comma alternatives as location rules. A rule with a
+   * `company_pattern` only applies while the candidate's current employer
+   * matches it, using company-rule comparison.
    *
-   * @param {string} location  — raw candidate location string
-   * @param {Array}  rules     — array of location rule objects
-   * @returns {Array} array of { severity, message } for every matching rule
+   * @param {Array}    rules    — array of title rule objects
+   * @param {function} getField — see fieldGetter
+   * @returns {Array} array of match entries (see buildMatch) for every matching rule
    */
-  function matchLocation(location, rules) {
+  function matchTitle(rules, getField) {
     var matches = [];
-    if (!location) return matches;
-
-    var normLocation = normalize(location);
 
     for (var i = 0; i < rules.length; i++) {
       var rule = rules[i];
       if (!rule.active) continue;
 
-      // Split pattern on commas to get alternatives
-      var alternatives = rule.pattern.split(',');
+      var field = rule.field === 'headline' ? 'headline' : 'title';
+      var ctx = getField(field);
+      if (!ctx) continue;
 
-      for (var j = 0; j < alternatives.length; j++) {
-        var normAlt = normalize(alternatives[j]);
-        if (normAlt === '') continue;
+      if (rule.company_pattern && !testCompany(getField('company') || '', rule.company_pattern)) {
+        continue;
+      }
 
-        if (normLocation.indexOf(normAlt) !== -1) {
-          matches.push({ severity: rule.severity, message: rule.message });
-          break; // One matching alternative is enough for this rule
-        }
+      var hit = testPattern(ctx, rule.pattern, rule.match_mode);
+      if (hit) {
+        matches.push(buildMatch(rule, 'title', hit.matched, ctx.norm, {
+          match_mode: hit.match_mode,
+          field: field,
+          company: rule.company_pattern ? rule.company_pattern.trim() : null
+        }));
       }
     }
 
@@ -196,69 +1825,395 @@
   }
 
   /**
-   * Match a candidate company/employer against all active, non-expired
-   * company rules.
+   * Match a candidate's education against all active education rules.
    *
-   * Uses bidirectional normalized substring containment after stripping
-   * common corporate suffixes.
+   * The pattern is tested against each school name using the same match
+   * modes and comma alternatives as location rules. A rule with a
+   * `graduated_within_years` only matches entries whose graduation year
+   * falls inside that window (see withinGraduationWindow).
    *
-   * @param {string} company  — raw candidate employer string
-   * @param {Array}  rules    — array of company rule objects
-   * @returns {Array} array of { severity, message } for every matching rule
+   * @param {Array} education — [{ school, degree, year }] from the profile's
+   *   Education section
+   * @param {Array} rules     — array of education rule objects
+   * @returns {Array} array of match entries (see buildMatch) for every matching rule
    */
-  function matchCompany(company, rules) {
+  function matchEducation(education, rules) {
     var matches = [];
-    if (!company) return matches;
+    if (!Array.isArray(education) || education.length === 0) return matches;
 
-    var normCompany = normalizeCompanyName(company);
+    var schools = education.filter(function (e) { return e && e.school; }).map(function (e) {
+      return { entry: e, ctx: createFieldContext(e.school, 'school') };
+    });
 
     for (var i = 0; i < rules.length; i++) {
       var rule = rules[i];
       if (!rule.active) continue;
-      if (isExpired(rule)) continue;
 
-      var normPattern = normalizeCompanyName(rule.pattern);
-      if (normPattern === '') continue;
+      var withinYears = rule.graduated_within_years > 0 ? rule.graduated_within_years : null;
+      for (var j = 0; j < schools.length; j++) {
+        var entry = schools[j].entry;
+        if (withinYears && !withinGraduationWindow(entry.year, withinYears)) continue;
 
-      // Bidirectional substring: candidate contains pattern OR pattern
-      // contains candidate (handles abbreviated vs. full names).
-      if (
-        normCompany.indexOf(normPattern) !== -1 ||
-        normPattern.indexOf(normCompany) !== -1
-      ) {
-        matches.push({ severity: rule.severity, message: rule.message });
+        var hit = testPattern(schools[j].ctx, rule.pattern, rule.match_mode);
+        if (hit) {
+          matches.push(buildMatch(rule, 'education', hit.matched, schools[j].ctx.norm, {
+            match_mode: hit.match_mode,
+            education: { school: entry.school, degree: entry.degree || null, year: entry.year || null },
+            within_years: withinYears
+          }));
+          break; // One school is enough for this rule
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  // -----------------------------------------------------------------------
+  // Compound rules
+  // -----------------------------------------------------------------------
+
+  /**
+   * Static, human-readable form of a condition tree, used when a negated
+   * group is satisfied (there is no "matching" child to point at).
+   * @param {object} node
+   * @returns {string}
+   */
+  function describeCondition(node) {
+    if (!node) return '';
+    if (Array.isArray(node.conditions)) {
+      var parts = node.conditions.map(function (child) {
+        var text = describeCondition(child);
+        return Array.isArray(child.conditions) && !child.negate ? '(' + text + ')' : text;
+      });
+      var joined = parts.join(node.op === 'or' ? ' or ' : ' and ');
+      return node.negate ? 'not (' + joined + ')' : joined;
+    }
+    return node.field + (node.negate ? ' not "' : ' "') + node.pattern + '"';
+  }
+
+  /**
+   * Evaluate a condition tree against a candidate.
+   *
+   * Groups are `{ op: 'and'|'or', negate, conditions: [...] }`; leaves are
+   * `{ field, pattern, match_mode?, negate }` where field is one of
+   * COMPOUND_FIELDS. An empty group never matches. A field the parser
+   * could not read counts as "does not match", so a negated leaf on a
+   * missing field is satisfied.
+   *
+   * @param {object}   node
+   * @param {function} getField — returns the prepared context for a field
+   * @returns {{ ok: boolean, description: string }}
+   */
+  function evalCondition(node, getField) {
+    if (!node) return { ok: false, description: '' };
+
+    if (Array.isArray(node.conditions)) {
+      var isOr = node.op === 'or';
+      var satisfied = [];
+      var ok = !isOr && node.conditions.length > 0;
+
+      for (var i = 0; i < node.conditions.length; i++) {
+        var child = evalCondition(node.conditions[i], getField);
+        if (child.ok) {
+          var text = Array.isArray(node.conditions[i].conditions) && !node.conditions[i].negate
+            ? '(' + child.description + ')'
+            : child.description;
+          satisfied.push(text);
+          if (isOr) {
+            ok = true;
+            break; // The first satisfied alternative explains an OR group
+          }
+        } else if (!isOr) {
+          ok = false;
+          break;
+        }
+      }
+
+      if (node.negate) {
+        return { ok: !ok, description: ok ? '' : describeCondition(node) };
+      }
+      return { ok: ok, description: ok ? satisfied.join(' and ') : '' };
+    }
+
+    if (COMPOUND_FIELDS.indexOf(node.field) === -1 || !node.pattern) {
+      return { ok: false, description: '' };
+    }
+
+    var ctx = getField(node.field);
+    var hit = null;
+    if (ctx) {
+      if (node.field === 'company') {
+        hit = testCompany(ctx, node.pattern) ? {} : null;
+      } else {
+        hit = testPattern(ctx, node.pattern, node.match_mode);
+      }
+    }
+
+    if (node.negate) {
+      return { ok: !hit, description: hit ? '' : describeCondition(node) };
+    }
+    if (!hit) return { ok: false, description: '' };
+    return {
+      ok: true,
+      description: node.field + ' "' + node.pattern.trim() + '"' +
+        (hit.via ? ' via ' + hit.via : '')
+    };
+  }
+
+  /**
+   * Lazily prepared candidate fields for condition trees, shared by compound
+   * and exception rules. Company is normalizeCompanyName'd; other fields get
+   * a createFieldContext. Missing fields resolve to null.
+   *
+   * @param {object} candidate
+   * @returns {function(string): (object|string|null)}
+   */
+  function fieldGetter(candidate) {
+    var fields = {};
+    return function (field) {
+      if (!(field in fields)) {
+        var raw = candidate[field];
+        if (!raw) {
+          fields[field] = null;
+        } else if (field === 'company') {
+          fields[field] = normalizeCompanyName(raw);
+        } else {
+          fields[field] = createFieldContext(raw, field);
+        }
+      }
+      return fields[field];
+    };
+  }
+
+  /**
+   * Match a candidate against all active compound rules.
+   *
+   * @param {{ location: string, company: string, headline?: string,
+   *           title?: string }} candidate
+   * @param {Array}    rules      — array of compound rule objects
+   * @param {function} [getField] — see fieldGetter; built from candidate if omitted
+   * @returns {Array} array of match entries (see buildMatch) for every matching rule
+   */
+  function matchCompound(candidate, rules, getField) {
+    var matches = [];
+    getField = getField || fieldGetter(candidate);
+
+    for (var i = 0; i < rules.length; i++) {
+      var rule = rules[i];
+      if (!rule.active || !rule.conditions) continue;
+
+      var result = evalCondition(rule.conditions, getField);
+      if (result.ok) {
+        matches.push(buildMatch(rule, 'compound', result.description, normalize(candidate.location)));
       }
     }
 
     return matches;
   }
 
+  // -----------------------------------------------------------------------
+  // Exception rules
+  // -----------------------------------------------------------------------
+
+  /**
+   * Apply exception (allow-list) rules to the matches from the normal pass.
+   *
+   * An exception carries a condition tree (same shape as compound rules),
+   * an optional target `rule_id`, and the `severity` it lowers matches to:
+   * 'green' (or a positive level) clears, a restrictive level downgrades
+   * stricter matches to it. Without a target it applies to every match. Exceptions only ever lower
+   * severity, and never touch positive levels such as "Preferred".
+   *
+   * @param {Array}    matches    — match entries from the normal pass
+   * @param {Array}    exceptions — array of exception rule objects
+   * @param {function} getField   — see fieldGetter
+   * @returns {{ matches: Array, cleared: Array, applied: Array }} the
+   *   remaining (possibly downgraded) matches, the matches that were
+   *   cleared, and an entry for every exception that changed something
+   */
+  function applyExceptions(matches, exceptions, getField) {
+    var applied = [];
+    if (matches.length === 0) return { matches: matches, cleared: [], applied: applied };
+
+    var remaining = matches.slice();
+    var cleared = [];
+
+    for (var i = 0; i < exceptions.length; i++) {
+      var exception = exceptions[i];
+      if (!exception.active || !exception.conditions) continue;
+
+      var target = exception.rule_id || null;
+      var capRank = Math.max(severityLevel(exception.severity).rank, 0);
+      var affected = remaining.filter(function (m) {
+        return (!target || m.rule_id === target) &&
+          severityLevel(m.severity).rank > capRank;
+      });
+      if (affected.length === 0) continue;
+
+      var result = evalCondition(exception.conditions, getField);
+      if (!result.ok) continue;
+
+      var entry = {
+        exception_id: exception.id || null,
+        name: exception.name,
+        rule_id: target,
+        // A positive level cannot lower a restriction, it clears it
+        severity: capRank === 0 ? 'green' : exception.severity,
+        message: exception.message || '',
+        matched: result.description,
+        rules: affected.map(function (m) { return m.pattern; })
+      };
+      entry.reason = describeException(entry);
+      applied.push(entry);
+
+      remaining = remaining.reduce(function (kept, m) {
+        if (affected.indexOf(m) === -1) {
+          kept.push(m);
+        } else if (capRank === 0) {
+          cleared.push(m);
+        } else {
+          var downgraded = {};
+          for (var key in m) downgraded[key] = m[key];
+          downgraded.severity = exception.severity;
+          downgraded.downgraded_from = m.severity;
+          downgraded.exception_id = entry.exception_id;
+          downgraded.reason = m.reason + ' (downgraded by exception "' + exception.name + '")';
+          kept.push(downgraded);
+        }
+        return kept;
+      }, []);
+    }
+
+    return { matches: remaining, cleared: cleared, applied: applied };
+  }
+
+  /**
+   * One-line reason for an applied exception, shown alongside the rules
+   * it cleared or downgraded.
+   * @param {object} entry — see applyExceptions
+   * @returns {string}
+   */
+  function describeException(entry) {
+    var action = entry.severity === 'green' ? 'cleared ' : 'downgraded ';
+    var rules = entry.rules.map(function (p) { return '"' + p + '"'; }).join(', ');
+    return 'Exception "' + entry.name + '" ' + action + rules +
+      (entry.severity === 'green' ? '' : ' to ' + severityLevel(entry.severity).label) +
+      ': ' + entry.matched;
+  }
+
+  // -----------------------------------------------------------------------
+  // Severity levels
+  // -----------------------------------------------------------------------
+
+  /**
+   * Build the level lookup from window.SourceFenceSeverityLevels (see
+   * data/severity-levels.js) plus the team's own levels, which replace
+   * built-in levels with the same key. Levels without a key or a numeric
+   * rank are ignored, and only 'green' may have rank 0.
+   * @returns {Object} level objects ({ key, label, rank, color, icon })
+   *   keyed by severity key
+   */
+  function buildSeverityIndex() {
+    var index = {};
+    var data = window.SourceFenceSeverityLevels || {};
+
+    (data.levels || []).concat(teamSeverityLevels).forEach(function (level) {
+      if (!level || typeof level.key !== 'string' || typeof level.rank !== 'number') return;
+      if ((level.key === 'green') !== (level.rank === 0)) return;
+      index[level.key] = {
+        key: level.key,
+        label: level.label || level.key,
+        rank: level.rank,
+        color: level.color || '',
+        icon: level.icon || ''
+      };
+    });
+    return index;
+  }
+
+  /**
+   * The level for a severity key. Unknown keys (a team level deleted while
+   * rules still use it) are ranked and shown as the bundled fallback level.
+   * @param {string} key
+   * @returns {{ key: string, label: string, rank: number, color: string,
+   *             icon: string }}
+   */
+  function severityLevel(key) {
+    if (!severityIndex) severityIndex = buildSeverityIndex();
+    if (severityIndex[key]) return severityIndex[key];
+
+    var fallback = severityIndex[(window.SourceFenceSeverityLevels || {}).fallback];
+    return {
+      key: key,
+      label: fallback ? fallback.label : String(key),
+      rank: key === 'green' ? 0 : fallback ? fallback.rank : 1,
+      color: fallback ? fallback.color : '',
+      icon: fallback ? fallback.icon : ''
+    };
+  }
+
+  /**
+   * Whether a match at rank `a` beats one at rank `b`. The strictest
+   * restriction wins; when neither restricts, the strongest positive signal
+   * (the lowest rank) does, so any match beats no match.
+   * @param {number} a
+   * @param {number} b
+   * @returns {boolean}
+   */
+  function outranks(a, b) {
+    return a > 0 || b > 0 ? a > b : a < b;
+  }
+
   // -----------------------------------------------------------------------
   // Severity resolution
   // -----------------------------------------------------------------------
 
   /**
-   * Given an array of { severity, message } match objects, return the
-   * single highest-severity result.
+   * Given an array of match entries, return the explanation for the
+   * candidate: the winning (highest-severity, see outranks) match plus every
+   * match that contributed, and the winning severity's level. When several
+   * rules share the top severity the first one wins, so compound rules (the
+   * most specific) take precedence over location rules, then company, title
+   * and education rules.
    *
-   * @param {Array} matches
-   * @returns {{ severity: string, message: string }}
+   * @param {Array}  matches
+   * @param {{ location: string, company: string }} [candidate] — normalized
+   *   candidate text, echoed back so consumers can show what was compared
+   * @returns {{ severity: string, level: object, message: string,
+   *             winner: object|null, matches: Array, candidate: object }}
    */
-  function resolveHighestSeverity(matches) {
+  function resolveHighestSeverity(matches, candidate) {
+    candidate = candidate || { location: '', company: '' };
+
     if (!matches || matches.length === 0) {
-      return { severity: 'green', message: 'No restrictions. Source freely.' };
+      return {
+        severity: 'green',
+        level: severityLevel('green'),
+        message: 'No restrictions. Source freely.',
+        winner: null,
+        matches: [],
+        candidate: candidate
+      };
     }
 
     var highest = matches[0];
 
     for (var i = 1; i < matches.length; i++) {
       var current = matches[i];
-      if ((SEVERITY_RANK[current.severity] || 0) > (SEVERITY_RANK[highest.severity] || 0)) {
+      if (outranks(severityLevel(current.severity).rank, severityLevel(highest.severity).rank)) {
         highest = current;
       }
     }
 
-    return { severity: highest.severity, message: highest.message };
+    return {
+      severity: highest.severity,
+      level: severityLevel(highest.severity),
+      message: highest.message,
+      winner: highest,
+      matches: matches,
+      candidate: candidate
+    };
   }
 
   // -----------------------------------------------------------------------
@@ -272,8 +2227,19 @@
 
         if (
           changes.sourcefence_location_rules ||
-          changes.sourcefence_company_rules
+          changes.sourcefence_company_rules ||
+          changes.sourcefence_title_rules ||
+          changes.sourcefence_education_rules ||
+          changes.sourcefence_compound_rules ||
+          changes.sourcefence_exception_rules ||
+          changes.sourcefence_location_aliases ||
+          changes.sourcefence_company_hierarchy ||
+          changes.sourcefence_company_suffixes ||
+          changes.sourcefence_severity_levels ||
+          changes.sourcefence_policies ||
+          changes.sourcefence_settings
         ) {
+          regexCache = {};
           loadRules();
         }
       });
@@ -296,26 +2262,118 @@
     return loadRules();
   }
 
+  /**
+   * Explanation lines for things the matcher deliberately did not check,
+   * such as a generic current employer ("Self-employed") while company
+   * rules are active, or a former employer with no end date that a
+   * lookback rule would otherwise match.
+   * @param {object} candidate
+   * @param {Array} companyMatches - from matchCompany; rules that already
+   *   matched get no note
+   * @returns {Array<string>}
+   */
+  function explainSkipped(candidate, companyMatches) {
+    var notes = [];
+    var hasCompanyRules = companyRules.some(isInEffect);
+    if (hasCompanyRules && candidate.company && isGenericEmployer(candidate.company)) {
+      notes.push('Current employer "' + candidate.company.trim() +
+        '" is a generic name, so company rules were not checked against it');
+    }
+
+    var undated = (candidate.pastEmployers || []).filter(function (p) {
+      return p && p.company && !p.ended && !isGenericEmployer(p.company);
+    });
+    if (undated.length === 0) return notes;
+
+    var matched = {};
+    companyMatches.forEach(function (m) { matched[m.rule_id] = true; });
+    companyRules.forEach(function (rule) {
+      if (!(rule.lookback_months > 0) || !isInEffect(rule) || matched[rule.id]) return;
+      for (var i = 0; i < undated.length; i++) {
+        var p = undated[i];
+        if (testCompanyRule(normalizeCompanyName(p.company), rule, normalizeCompanyId(p.companyId))) {
+          notes.push('Possible former employee of "' + p.company.trim() + '": the end date is unknown, so the ' +
+            rule.lookback_months + '-month lookback of rule "' + rule.pattern.trim() + '" was not applied');
+          return;
+        }
+      }
+    });
+    return notes;
+  }
+
+  /**
+   * Run every active rule against a candidate, apply exception rules to the
+   * matches, and build the explanation.
+   * @param {{ location: string, company: string, companyId?: string,
+   *           headline?: string, title?: string, pastEmployers?: Array,
+   *           education?: Array }} candidate
+   * @returns {object} see resolveHighestSeverity, plus `exceptions` (every
+   *   exception that applied, see applyExceptions), `cleared` (the
+   *   matches those exceptions removed), `notes` (see explainSkipped) and
+   *   `suggestions` (possible company matches when settings.fuzzy_suggestions
+   *   is on, see suggestCompany)
+   */
+  function evaluate(candidate) {
+    var getField = fieldGetter(candidate);
+    var compoundMatches = matchCompound(candidate, compoundRules, getField);
+    var locationMatches = matchLocation(candidate.location, locationRules);
+    var companyMatches = matchCompany(
+      candidate.company,
+      companyRules,
+      candidate.pastEmployers,
+      candidate.companyId
+    );
+    var titleMatches = matchTitle(titleRules, getField);
+    var educationMatches = matchEducation(candidate.education, educationRules);
+    var outcome = applyExceptions(
+      compoundMatches.concat(locationMatches, companyMatches, titleMatches, educationMatches),
+      exceptionRules,
+      getField
+    );
+
+    var result = resolveHighestSeverity(outcome.matches, {
+      location: normalize(candidate.location),
+      company: normalizeCompanyName(candidate.company)
+    });
+    result.exceptions = outcome.applied;
+    result.cleared = outcome.cleared;
+    result.notes = explainSkipped(candidate, companyMatches);
+    result.suggestions = fuzzySuggestions
+      ? suggestCompany(candidate.company, companyRules, companyMatches, candidate.companyId)
+      : [];
+
+    // Everything was cleared — say so instead of "no restrictions"
+    if (result.severity === 'green' && outcome.applied.length > 0) {
+      result.message = outcome.applied[0].message ||
+        'Cleared by exception "' + outcome.applied[0].name + '".';
+    }
+    return result;
+  }
+
   /**
    * Main entry point.  Checks a candidate's location and company against
-   * all active rules, returns the highest-severity match, notifies the
-   * banner, and sends the result to the service worker.
+   * all active rules, returns the explanation (highest-severity match plus
+   * every contributing rule), notifies the banner, and sends the result to
+   * the service worker, which adds it to the audit log. The result gets a
+   * `check_id` for the banner to report back with.
    *
-   * @param {{ location: string, company: string }} candidate
-   * @returns {Promise<{ severity: string, message: string }>}
+   * @param {{ location: string, company: string, companyId?: string,
+   *           headline?: string, title?: string, pastEmployers?: Array,
+   *           education?: Array }} candidate
+   * @param {string} [checkId] - reuse an earlier check's id, so a re-check
+   *   of the same profile updates its audit log entry instead of adding one
+   * @returns {Promise<object>} see resolveHighestSeverity
    */
-  function checkCandidate(candidate) {
+  function checkCandidate(candidate, checkId) {
     candidate = candidate || {};
 
     // Ensure rules have been loaded before matching
     var ready = rulesLoaded ? Promise.resolve() : loadRules();
 
     return ready.then(function () {
-      var locationMatches = matchLocation(candidate.location, locationRules);
-      var companyMatches = matchCompany(candidate.company, companyRules);
-
-      var allMatches = locationMatches.concat(companyMatches);
-      var result = resolveHighestSeverity(allMatches);
+      var result = evaluate(candidate);
+      // Links the audit log entry to the banner events reported for it
+      result.check_id = checkId || 'chk_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
 
       // Notify the on-page banner
       if (window.SourceFenceBanner && typeof window.SourceFenceBanner.show === 'function') {
@@ -324,7 +2382,12 @@
 
       // Notify the background service worker
       try {
-        chrome.runtime.sendMessage({ type: 'MATCH_RESULT', data: result });
+        chrome.runtime.sendMessage({
+          type: 'MATCH_RESULT',
+          data: result,
+          // As parsed, for the audit log (result.candidate is normalized)
+          candidate: { location: candidate.location || null, company: candidate.company || null }
+        });
       } catch (err) {
         console.warn('[SourceFence] Could not send message to service worker:', err);
       }
@@ -341,17 +2404,17 @@
    * Match-only variant that does NOT trigger the banner or send messages.
    * Used by the search-annotator to check candidates without side effects.
    *
-   * @param {{ location: string, company: string }} candidate
-   * @returns {Promise<{ severity: string, message: string }>}
+   * @param {{ location: string, company: string, companyId?: string,
+   *           headline?: string, title?: string, pastEmployers?: Array,
+   *           education?: Array }} candidate
+   * @returns {Promise<object>} see resolveHighestSeverity
    */
   function matchOnly(candidate) {
     candidate = candidate || {};
     var ready = rulesLoaded ? Promise.resolve() : loadRules();
 
     return ready.then(function () {
-      var locationMatches = matchLocation(candidate.location, locationRules);
-      var companyMatches = matchCompany(candidate.company, companyRules);
-      return resolveHighestSeverity(locationMatches.concat(companyMatches));
+      return evaluate(candidate);
     });
   }
 
@@ -359,13 +2422,32 @@
     init: init,
     checkCandidate: checkCandidate,
     matchOnly: matchOnly,
+    getSeverityLevel: severityLevel,
+    outranks: outranks,
     // Exposed for testability — not part of the public contract
     _matchLocation: matchLocation,
     _matchCompany: matchCompany,
+    _matchTitle: matchTitle,
+    _matchEducation: matchEducation,
+    _matchCompound: matchCompound,
+    _applyExceptions: applyExceptions,
     _normalize: normalize,
     _normalizeCompanyName: normalizeCompanyName,
+    _normalizeCompanyId: normalizeCompanyId,
+    _isGenericEmployer: isGenericEmployer,
+    _editDistanceWithin: editDistanceWithin,
+    _suggestCompany: suggestCompany,
+    _normalizeLocation: normalizeLocation,
+    _tokenize: tokenize,
+    _resolveGeography: resolveGeography,
     _resolveHighestSeverity: resolveHighestSeverity,
-    _isExpired: isExpired
+    _isExpired: isExpired,
+    _scheduleState: scheduleState,
+    _policyState: policyState,
+    _companyFamily: companyFamily,
+    _withinLookback: withinLookback,
+    _withinGraduationWindow: withinGraduationWindow,
+    _setRuleIndexEnabled: setRuleIndexEnabled
   };
 
   // Listen for messages from service worker / popup
@@ -5,10 +5,12 @@
  * Works on: LinkedIn Recruiter search (/talent/), Sales Nav search (/sales/search),
  * and standard LinkedIn search (/search/).
  *
- * Each candidate card gets a small colored badge:
- *   Red pill:  "RESTRICTED" — candidate is in a blocked market/company
+ * Each candidate card gets a small badge in the color of its severity level,
+ * with the level's icon and label:
+ *   Red pill:   "RESTRICTED" — candidate is in a blocked market/company
  *   Amber pill: "CAUTION" — candidate needs review
- *   Green:     No badge shown (don't clutter clean results)
+ *   Team levels ("Needs approval", "Preferred") — as defined on the dashboard
+ *   Green:      No badge shown (don't clutter clean results)
  *
  * Uses MutationObserver to handle infinite scroll loading new cards.
  *
@@ -161,45 +163,106 @@
         cursor: default;\
         white-space: nowrap;\
       }\
-      .sourcefence-search-badge--red {\
-        background: #DC2626;\
-        color: #ffffff;\
-      }\
-      .sourcefence-search-badge--amber {\
-        background: #F59E0B;\
-        color: #2D2D2D;\
+      .sourcefence-search-badge--level {\
+        background: var(--sourcefence-color);\
+        color: var(--sourcefence-text);\
       }\
       .sourcefence-search-badge svg {\
         width: 12px;\
         height: 12px;\
         flex-shrink: 0;\
       }\
-      /* Left border accent on the whole card */\
-      [data-sourcefence-severity="red"] {\
-        border-left: 3px solid #DC2626 !important;\
-      }\
-      [data-sourcefence-severity="amber"] {\
-        border-left: 3px solid #F59E0B !important;\
+      /* Left border accent on the whole card, in the level color set on it */\
+      [data-sourcefence-severity] {\
+        border-left: 3px solid var(--sourcefence-color) !important;\
       }\
     ';
     document.head.appendChild(style);
   }
 
+  // Keyed by the icon names in data/severity-levels.js
   var BADGE_ICONS = {
-    red: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/></svg>',
-    amber: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>',
+    block: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/></svg>',
+    warning: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>',
+    flag: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/></svg>',
+    info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>',
+    star: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>',
+    check: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>',
   };
 
-  function createBadge(severity, message) {
+  /**
+   * The level for a severity key: the matcher's (bundled plus team levels)
+   * when it is loaded, otherwise the bundled one.
+   */
+  function severityLevel(severity) {
+    var matcher = window.SourceFenceMatcher;
+    if (matcher && typeof matcher.getSeverityLevel === 'function') {
+      return matcher.getSeverityLevel(severity);
+    }
+    var levels = (window.SourceFenceSeverityLevels || {}).levels || [];
+    for (var i = 0; i < levels.length; i++) {
+      if (levels[i].key === severity) return levels[i];
+    }
+    return { key: severity, label: 'Caution', rank: 1, color: '#F59E0B', icon: 'warning' };
+  }
+
+  /**
+   * A level's color, and white or dark text, whichever contrasts more with
+   * it (WCAG relative luminance).
+   */
+  function levelColors(level) {
+    var color = /^#[0-9a-f]{6}$/i.test(level.color) ? level.color : '#F59E0B';
+    var n = parseInt(color.slice(1), 16);
+    var channels = [n >> 16, (n >> 8) & 255, n & 255].map(function (c) {
+      c /= 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    var l = 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+    // #2D2D2D has a relative luminance of about 0.026
+    var text = (1.05 / (l + 0.05)) >= ((l + 0.05) / 0.076) ? '#ffffff' : '#2D2D2D';
+    return { color: color, text: text };
+  }
+
+  /**
+   * Tooltip text for a badge: the rule message, followed by one line per
+   * matching rule explaining why it fired, and any checks that were skipped.
+   */
+  function buildBadgeTitle(result) {
+    var lines = [result.message || severityLevel(result.severity).label];
+    var matches = result.matches || [];
+    for (var i = 0; i < matches.length; i++) {
+      if (matches[i].reason) lines.push('\u2022 ' + matches[i].reason);
+    }
+    var exceptions = result.exceptions || [];
+    for (var j = 0; j < exceptions.length; j++) {
+      if (exceptions[j].reason) lines.push('\u2022 ' + exceptions[j].reason);
+    }
+    var notes = result.notes || [];
+    for (var k = 0; k < notes.length; k++) {
+      lines.push('\u2022 ' + notes[k]);
+    }
+    var suggestions = result.suggestions || [];
+    for (var l = 0; l < suggestions.length; l++) {
+      lines.push('\u2022 ' + suggestions[l].reason);
+    }
+    return lines.join('\n');
+  }
+
+  function createBadge(result) {
+    var level = severityLevel(result.severity);
+    var colors = levelColors(level);
     var badge = document.createElement('span');
-    badge.className = BADGE_CLASS + ' sourcefence-search-badge--' + severity;
-    badge.title = message || (severity === 'red' ? 'Restricted' : 'Caution');
+    badge.className = BADGE_CLASS + ' sourcefence-search-badge--level';
+    badge.style.setProperty('--sourcefence-color', colors.color);
+    badge.style.setProperty('--sourcefence-text', colors.text);
+    badge.title = buildBadgeTitle(result);
     badge.setAttribute('role', 'status');
+    badge.setAttribute('data-sourcefence-level', level.key);
 
-    var icon = BADGE_ICONS[severity] || '';
-    var label = severity === 'red' ? 'RESTRICTED' : 'CAUTION';
-
-    badge.innerHTML = icon + '<span>' + label + '</span>';
+    var label = document.createElement('span');
+    label.textContent = level.label;
+    badge.innerHTML = BADGE_ICONS[level.icon] || '';
+    badge.appendChild(label);
     return badge;
   }
 
@@ -418,6 +481,17 @@
     return /^(ex|former)[\s\-]/i.test(text.trim());
   }
 
+  /**
+   * Extract the job title from headline text: the part before
+   * "at Company", "@ Company" or the first "|". Headlines without a
+   * separator are used whole, since search cards rarely show anything else.
+   */
+  function extractTitleFromHeadline(headline) {
+    if (!headline) return null;
+    var title = headline.split(/\s+at\s+|\s*@\s*|\s*\|\s*/i)[0].trim();
+    return title.length > 1 && title.length < 100 ? title : null;
+  }
+
   /**
    * Try to extract company from headline text.
    * Patterns: "Engineer at Acme", "Engineer | Acme", "Acme - Engineer"
@@ -573,6 +647,63 @@
     return { current: current, past: past };
   }
 
+  /**
+   * LinkedIn company page identifier from a link: "10667" for
+   * "/company/10667/" or "/sales/company/10667?x=y", "meta" for
+   * "/company/meta/". Mirrors _companyIdFromHref in linkedin-parser.js.
+   */
+  function companyIdFromHref(href) {
+    var match = href && href.match(/\/company\/([^\/?#]+)/i);
+    if (!match) return null;
+    try {
+      return decodeURIComponent(match[1]).toLowerCase();
+    } catch (e) {
+      return match[1].toLowerCase();
+    }
+  }
+
+  /**
+   * True if an element sits inside a "Past:" annotation line (checked a few
+   * ancestors up, never beyond the card).
+   */
+  function isInPastLine(el, card) {
+    var node = el;
+    for (var depth = 0; depth < 4 && node && node !== card; depth++) {
+      if (/^Past:\s/i.test(node.textContent.trim())) return true;
+      node = node.parentElement;
+    }
+    return false;
+  }
+
+  /**
+   * Find the company page identifier for the card's current employer.
+   * Links inside "Past:" lines are ignored; when the company name is known,
+   * a link whose text names it is preferred over the first company link.
+   */
+  function extractCompanyIdFromCard(card, company) {
+    var fallback = null;
+    try {
+      var links = card.querySelectorAll('a[href*="/company/"]');
+      var wanted = company ? company.toLowerCase().trim() : '';
+      for (var i = 0; i < links.length; i++) {
+        if (isInPastLine(links[i], card)) continue;
+
+        var id = companyIdFromHref(links[i].getAttribute('href'));
+        if (!id) continue;
+        if (!wanted) return id;
+
+        var text = links[i].textContent.toLowerCase().trim();
+        if (text && (text.indexOf(wanted) !== -1 || wanted.indexOf(text) !== -1)) {
+          return id;
+        }
+        if (!fallback) fallback = id;
+      }
+    } catch (e) {
+      // Skip
+    }
+    return fallback;
+  }
+
   /**
    * Check if a company name matches any in a list of past companies.
    * Case-insensitive exact match.
@@ -627,28 +758,27 @@
       company = currentPast.current[0];
     }
 
-    // Strategy 1: Extract from card headline
-    if (!company) {
-      var headlineEl = null;
-      var headlineSelectors = [
-        '.artdeco-entity-lockup__subtitle',
-        '.hiring-search-results-card__headline',
-        '.entity-result__primary-subtitle',
-        '.search-result__info .subline-level-1',
-      ];
-      for (var h = 0; h < headlineSelectors.length; h++) {
-        try {
-          headlineEl = card.querySelector(headlineSelectors[h]);
-          if (headlineEl) break;
-        } catch (e) {}
-      }
-
-      if (headlineEl) {
-        var headlineText = headlineEl.textContent.trim();
-        if (headlineText) {
-          company = extractCompanyFromHeadline(headlineText);
+    // --- Headline (also read by compound rules) ---
+    var headline = null;
+    var headlineSelectors = [
+      '.artdeco-entity-lockup__subtitle',
+      '.hiring-search-results-card__headline',
+      '.entity-result__primary-subtitle',
+      '.search-result__info .subline-level-1',
+    ];
+    for (var h = 0; h < headlineSelectors.length; h++) {
+      try {
+        var headlineEl = card.querySelector(headlineSelectors[h]);
+        if (headlineEl) {
+          headline = headlineEl.textContent.trim() || null;
+          break;
         }
-      }
+      } catch (e) {}
+    }
+
+    // Strategy 1: Extract from card headline
+    if (!company && headline) {
+      company = extractCompanyFromHeadline(headline);
     }
 
     // Strategy 1b: If no headline selector worked, try content-based approach.
@@ -733,13 +863,19 @@
       }
     }
 
+    var companyId = company ? extractCompanyIdFromCard(card, company) : null;
+
     log('Parsed card -', 'location:', location || '(none)', '| company:', company || '(none)',
+        '| company id:', companyId || '(none)',
         '| exp companies:', experienceCompanies.join(', ') || '(none)',
         '| past companies:', currentPast.past.join(', ') || '(none)');
 
     return {
       location: location,
       company: company,
+      companyId: companyId,
+      headline: headline,
+      title: extractTitleFromHeadline(headline),
       allCompanies: experienceCompanies,
       pastCompanies: currentPast.past,
     };
@@ -819,7 +955,8 @@
     // just return without marking anything. The card will be re-checked
     // when LinkedIn renders more content into it (caught by
     // MutationObserver, IntersectionObserver, or scroll handler).
-    if (!data.location && !data.company && data.allCompanies.length === 0) {
+    if (!data.location && !data.company && data.allCompanies.length === 0 &&
+        data.pastCompanies.length === 0) {
       return;
     }
 
@@ -835,6 +972,7 @@
     if (companyToCheck && isPastCompany(companyToCheck, pastCompanies)) {
       companyToCheck = null;
     }
+    var companyIdToCheck = companyToCheck ? data.companyId : null;
 
     var currentCompanies = [];
     for (var i = 0; i < data.allCompanies.length; i++) {
@@ -843,16 +981,26 @@
       }
     }
 
+    // "Past:" lines carry no end dates, so lookback rules do not flag them
+    // (see withinLookback in matcher.js); the matcher only notes them.
+    data.pastEmployers = pastCompanies.map(function (co) {
+      return { company: co, ended: null };
+    });
+
     // Check the primary location + company
     try {
       matchFn({
         location: data.location,
         company: companyToCheck,
+        companyId: companyIdToCheck,
+        headline: data.headline,
+        title: data.title,
+        pastEmployers: data.pastEmployers,
       }).then(function (result) {
         // If primary check is green but we have additional companies from experience,
         // check ALL of them (some may be duplicates of the primary, which is fine)
         if ((!result || result.severity === 'green') && currentCompanies.length > 0) {
-          return checkAdditionalCompanies(currentCompanies, data.location, matchFn, result);
+          return checkAdditionalCompanies(currentCompanies, data, matchFn, result);
         }
         return result;
       }).then(function (result) {
@@ -868,17 +1016,27 @@
    * Check additional companies from experience entries.
    * Returns the highest-severity result across all companies.
    */
-  function checkAdditionalCompanies(companies, location, matchFn, bestSoFar) {
+  function checkAdditionalCompanies(companies, data, matchFn, bestSoFar) {
     var promises = companies.map(function (co) {
-      return matchFn({ location: location, company: co });
+      return matchFn({
+        location: data.location,
+        company: co,
+        headline: data.headline,
+        title: data.title,
+        pastEmployers: data.pastEmployers,
+      });
     });
 
     return Promise.all(promises).then(function (results) {
       var highest = bestSoFar || { severity: 'green', message: '' };
-      var RANK = { green: 0, amber: 1, red: 2 };
 
+      // Same order as the matcher: the strictest restriction, else the
+      // strongest positive level
       for (var i = 0; i < results.length; i++) {
-        if (results[i] && (RANK[results[i].severity] || 0) > (RANK[highest.severity] || 0)) {
+        if (!results[i]) continue;
+        var rank = severityLevel(results[i].severity).rank;
+        var highestRank = severityLevel(highest.severity).rank;
+        if (rank > 0 || highestRank > 0 ? rank > highestRank : rank < highestRank) {
           highest = results[i];
         }
       }
@@ -935,7 +1093,7 @@
     var anchor = findBadgeAnchor(card);
 
     if (anchor) {
-      var badge = createBadge(result.severity, result.message);
+      var badge = createBadge(result);
       if (anchor.mode === 'append') {
         // Append inside the container (inline with name text)
         anchor.el.appendChild(badge);
@@ -949,6 +1107,7 @@
 
     // Add colored left border to the card
     card.setAttribute('data-sourcefence-severity', result.severity);
+    card.style.setProperty('--sourcefence-color', levelColors(severityLevel(result.severity)).color);
 
     log('Badge injected:', result.severity, '|', result.message);
   }
@@ -1095,6 +1254,7 @@
     for (var j = 0; j < annotated.length; j++) {
       annotated[j].removeAttribute(ANNOTATED_ATTR);
       annotated[j].removeAttribute('data-sourcefence-severity');
+      annotated[j].style.removeProperty('--sourcefence-color');
     }
     // Reset IntersectionObserver tracking so new cards get observed
     observedCards = [];
@@ -1183,23 +1343,30 @@
       }
 
       if (message.type === 'GET_SEARCH_STATUS') {
-        // Popup requesting search page badge counts
+        // Popup requesting search page badge counts, per severity level
         var badges = document.querySelectorAll('.' + BADGE_CLASS);
-        var redCount = 0;
-        var amberCount = 0;
+        var levelCounts = [];
         for (var i = 0; i < badges.length; i++) {
-          if (badges[i].className.indexOf('--red') !== -1) redCount++;
-          else if (badges[i].className.indexOf('--amber') !== -1) amberCount++;
+          var key = badges[i].getAttribute('data-sourcefence-level');
+          var entry = levelCounts.filter(function (c) { return c.key === key; })[0];
+          if (!entry) {
+            var level = severityLevel(key);
+            entry = { key: key, label: level.label, rank: level.rank, color: level.color, count: 0 };
+            levelCounts.push(entry);
+          }
+          entry.count++;
         }
+        levelCounts.sort(function (a, b) {
+          return a.rank > 0 || b.rank > 0 ? b.rank - a.rank : a.rank - b.rank;
+        });
         var totalCards = document.querySelectorAll('[' + ANNOTATED_ATTR + ']').length;
         sendResponse({
           type: 'SEARCH_STATUS',
           data: {
             isSearchPage: true,
             totalCards: totalCards,
-            redCount: redCount,
-            amberCount: amberCount,
-            flaggedCount: redCount + amberCount
+            levelCounts: levelCounts,
+            flaggedCount: badges.length
           }
         });
         return true;
@@ -0,0 +1,119 @@
+/**
+ * SourceFence — Company Name Suffixes
+ *
+ * Legal-form suffixes and leading stop words that matcher.js strips from
+ * employer names and company rule patterns before comparing them, so that
+ * "Acme Corp", "ACME Corporation" and "The Acme Company" all become "acme",
+ * plus the generic employer names that never match a company rule.
+ *
+ * Data conventions:
+ *   - Entries are grouped by the locale the legal form comes from. The
+ *     grouping is for maintenance and for the dashboard preview; every
+ *     locale is applied to every name.
+ *   - Dots, slashes and parentheses are ignored when comparing, so "S.A.S."
+ *     also covers "SAS", "A/S" covers "AS" and "(publ)" covers "publ". List each form once, without
+ *     punctuation variants.
+ *   - Multi-word suffixes ("pvt ltd", "co ltd") are matched word by word at
+ *     the end of the name. Suffixes are stripped repeatedly ("Foo Corp LLC")
+ *     but never down to an empty name: "Company" on its own is kept.
+ *   - `stopWords` are only dropped from the start of a name ("The Container
+ *     Store Company" → "container store").
+ *   - Short forms ("AS", "SA", "SE") are only ever stripped as the last
+ *     word of a name, never from inside it. Even so, a wrongly stripped word
+ *     widens every company rule that ends in it, so add new ones with care.
+ *     Teams can add their own from the dashboard Settings page.
+ *   - `genericEmployers` are placeholders people put in the company field
+ *     ("Self-employed", "Stealth"). They are compared against the whole
+ *     employer name with everything but letters and digits removed, so
+ *     "Self Employed" is covered by "self-employed" but "Stealth Security
+ *     Inc" is not covered by "stealth".
+ *
+ * Keep in sync with COMPANY_SUFFIX_LOCALES in dashboard/src/lib/companyNames.js.
+ * Bump `version` whenever the data changes.
+ *
+ * Exposed as window.SourceFenceCompanySuffixes
+ */
+(function () {
+  'use strict';
+
+  window.SourceFenceCompanySuffixes = {
+    version: '2026.10.1',
+
+    locales: [
+      {
+        code: 'en',
+        name: 'English',
+        suffixes: [
+          'incorporated', 'inc', 'limited', 'ltd', 'corporation', 'corp',
+          'company', 'co', 'co ltd', 'llc', 'llp', 'lp', 'plc', 'pty',
+          'pty ltd'
+        ],
+        stopWords: ['the']
+      },
+      {
+        code: 'de',
+        name: 'German',
+        suffixes: ['gmbh', 'ag', 'kg', 'gmbh & co kg', 'ug', 'kgaa'],
+        stopWords: []
+      },
+      {
+        code: 'fr',
+        name: 'French',
+        suffixes: ['sa', 'sas', 'sasu', 'sarl', 'sca', 'snc'],
+        stopWords: []
+      },
+      {
+        code: 'nl',
+        name: 'Dutch',
+        suffixes: ['bv', 'nv'],
+        stopWords: []
+      },
+      {
+        code: 'it',
+        name: 'Italian',
+        suffixes: ['spa', 'srl'],
+        stopWords: []
+      },
+      {
+        code: 'es',
+        name: 'Spanish and Portuguese',
+        suffixes: ['sl', 'sau', 'ltda', 'lda'],
+        stopWords: []
+      },
+      {
+        code: 'nordic',
+        name: 'Nordic',
+        suffixes: ['ab', 'publ', 'asa', 'as', 'aps', 'oy', 'oyj', 'hf'],
+        stopWords: []
+      },
+      {
+        code: 'eu',
+        name: 'European',
+        suffixes: ['se'],
+        stopWords: []
+      },
+      {
+        code: 'ja',
+        name: 'Japanese',
+        suffixes: ['kk', 'kabushiki kaisha', 'godo kaisha'],
+        stopWords: []
+      },
+      {
+        code: 'in',
+        name: 'Indian',
+        suffixes: ['pvt', 'pvt ltd', 'private limited'],
+        stopWords: []
+      }
+    ],
+
+    genericEmployers: [
+      'self-employed', 'self employment', 'freelance', 'freelancer',
+      'freelancing', 'independent', 'independent consultant',
+      'independent contractor', 'contractor', 'consultant', 'stealth',
+      'stealth startup', 'stealth mode', 'stealth mode startup',
+      'confidential', 'confidential company', 'undisclosed', 'private',
+      'various', 'n/a', 'none', 'unemployed', 'career break', 'retired',
+      'student', 'open to work'
+    ]
+  };
+})();
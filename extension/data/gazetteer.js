@@ -0,0 +1,333 @@
+/**
+ * SourceFence — Offline Geographic Gazetteer
+ *
+ * Country → region → city hierarchy used by matcher.js so that a
+ * country-level location rule (e.g. "Germany") also matches candidates whose
+ * LinkedIn location only names a city or region ("Munich, Bavaria").
+ *
+ * Data conventions:
+ *   - Names are written as LinkedIn displays them in English. Diacritics are
+ *     fine — the matcher normalizes both sides.
+ *   - `regions` are states / provinces / administrative areas; their
+ *     `places` are cities and metro names inside them.
+ *   - Country-level `places` are cities not assigned to a listed region.
+ *   - Names shared between countries (Punjab, Hyderabad, Cambridge, …) may
+ *     appear more than once. The matcher treats a location that resolves to
+ *     more than one country as ambiguous and does not infer a country.
+ *
+ * Bump `version` whenever the data changes so match explanations and bug
+ * reports can be tied to a specific dataset.
+ *
+ * Exposed as window.SourceFenceGazetteer
+ */
+(function () {
+  'use strict';
+
+  window.SourceFenceGazetteer = {
+    version: '2026.10.1',
+
+    countries: [
+      // ---------------------------------------------------------------------
+      // Europe
+      // ---------------------------------------------------------------------
+      {
+        name: 'Germany',
+        regions: [
+          { name: 'Bavaria', places: ['Munich', 'Nuremberg', 'Augsburg', 'Regensburg', 'Ingolstadt', 'Würzburg', 'Erlangen'] },
+          { name: 'Berlin', places: [] },
+          { name: 'Hamburg', places: [] },
+          { name: 'Bremen', places: [] },
+          { name: 'Hesse', places: ['Frankfurt', 'Wiesbaden', 'Darmstadt', 'Kassel', 'Offenbach'] },
+          { name: 'North Rhine-Westphalia', places: ['Cologne', 'Düsseldorf', 'Dortmund', 'Essen', 'Bonn', 'Duisburg', 'Münster', 'Bielefeld', 'Aachen', 'Bochum', 'Ruhr'] },
+          { name: 'Baden-Württemberg', places: ['Stuttgart', 'Karlsruhe', 'Mannheim', 'Heidelberg', 'Freiburg', 'Ulm'] },
+          { name: 'Lower Saxony', places: ['Hanover', 'Braunschweig', 'Wolfsburg', 'Göttingen', 'Osnabrück'] },
+          { name: 'Saxony', places: ['Dresden', 'Leipzig', 'Chemnitz'] },
+          { name: 'Schleswig-Holstein', places: ['Kiel', 'Lübeck'] },
+          { name: 'Rhineland-Palatinate', places: ['Mainz', 'Ludwigshafen', 'Koblenz'] },
+          { name: 'Thuringia', places: ['Erfurt', 'Jena'] },
+          { name: 'Brandenburg', places: ['Potsdam'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'United Kingdom',
+        regions: [
+          { name: 'England', places: ['London', 'Manchester', 'Birmingham', 'Leeds', 'Liverpool', 'Bristol', 'Sheffield', 'Newcastle upon Tyne', 'Nottingham', 'Leicester', 'Oxford', 'Cambridge', 'Brighton', 'Southampton', 'Milton Keynes'] },
+          { name: 'Scotland', places: ['Edinburgh', 'Glasgow', 'Aberdeen', 'Dundee'] },
+          { name: 'Wales', places: ['Cardiff', 'Swansea'] },
+          { name: 'Northern Ireland', places: ['Belfast'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'France',
+        regions: [
+          { name: 'Île-de-France', places: ['Paris', 'Boulogne-Billancourt', 'Versailles', 'La Défense'] },
+          { name: 'Auvergne-Rhône-Alpes', places: ['Lyon', 'Grenoble', 'Clermont-Ferrand'] },
+          { name: "Provence-Alpes-Côte d'Azur", places: ['Marseille', 'Aix-en-Provence', 'Toulon', 'Sophia Antipolis'] },
+          { name: 'Occitanie', places: ['Toulouse', 'Montpellier'] },
+          { name: 'Nouvelle-Aquitaine', places: ['Bordeaux'] },
+          { name: 'Hauts-de-France', places: ['Lille'] },
+          { name: 'Pays de la Loire', places: ['Nantes'] },
+          { name: 'Grand Est', places: ['Strasbourg'] },
+          { name: 'Brittany', places: ['Rennes'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Spain',
+        regions: [
+          { name: 'Community of Madrid', places: ['Madrid'] },
+          { name: 'Catalonia', places: ['Barcelona'] },
+          { name: 'Valencian Community', places: ['Valencia', 'Alicante'] },
+          { name: 'Andalusia', places: ['Seville', 'Málaga', 'Granada'] },
+          { name: 'Basque Country', places: ['Bilbao', 'San Sebastián'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Italy',
+        regions: [
+          { name: 'Lombardy', places: ['Milan', 'Bergamo', 'Brescia'] },
+          { name: 'Lazio', places: ['Rome'] },
+          { name: 'Piedmont', places: ['Turin'] },
+          { name: 'Campania', places: ['Naples'] },
+          { name: 'Tuscany', places: ['Florence', 'Pisa'] },
+          { name: 'Veneto', places: ['Venice', 'Verona', 'Padua'] },
+          { name: 'Emilia-Romagna', places: ['Bologna', 'Modena', 'Parma'] },
+          { name: 'Sicily', places: ['Palermo', 'Catania'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Netherlands',
+        regions: [
+          { name: 'North Holland', places: ['Amsterdam', 'Haarlem'] },
+          { name: 'South Holland', places: ['Rotterdam', 'The Hague', 'Leiden', 'Delft'] },
+          { name: 'Utrecht', places: [] },
+          { name: 'North Brabant', places: ['Eindhoven', 'Tilburg'] },
+          { name: 'Groningen', places: [] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Poland',
+        regions: [
+          { name: 'Masovian', places: ['Warsaw'] },
+          { name: 'Lesser Poland', places: ['Kraków'] },
+          { name: 'Lower Silesian', places: ['Wrocław'] },
+          { name: 'Pomeranian', places: ['Gdańsk', 'Gdynia', 'Tricity'] },
+          { name: 'Greater Poland', places: ['Poznań'] },
+          { name: 'Łódź', places: [] },
+        ],
+        places: [],
+      },
+      { name: 'Ireland', regions: [], places: ['Dublin', 'Cork', 'Galway', 'Limerick'] },
+      { name: 'Switzerland', regions: [], places: ['Zurich', 'Geneva', 'Basel', 'Bern', 'Lausanne', 'Zug'] },
+      { name: 'Austria', regions: [], places: ['Vienna', 'Graz', 'Linz', 'Salzburg', 'Innsbruck'] },
+      { name: 'Belgium', regions: [], places: ['Brussels', 'Antwerp', 'Ghent', 'Leuven', 'Liège'] },
+      { name: 'Sweden', regions: [], places: ['Stockholm', 'Gothenburg', 'Malmö', 'Uppsala'] },
+      { name: 'Norway', regions: [], places: ['Oslo', 'Bergen', 'Trondheim', 'Stavanger'] },
+      { name: 'Denmark', regions: [], places: ['Copenhagen', 'Aarhus', 'Odense'] },
+      { name: 'Finland', regions: [], places: ['Helsinki', 'Espoo', 'Tampere', 'Oulu'] },
+      { name: 'Portugal', regions: [], places: ['Lisbon', 'Porto', 'Braga'] },
+      { name: 'Czechia', regions: [], places: ['Prague', 'Brno', 'Ostrava'] },
+      { name: 'Romania', regions: [], places: ['Bucharest', 'Cluj-Napoca', 'Iași', 'Timișoara', 'Brașov'] },
+      { name: 'Hungary', regions: [], places: ['Budapest', 'Debrecen', 'Szeged'] },
+      { name: 'Greece', regions: [], places: ['Athens', 'Thessaloniki'] },
+      { name: 'Turkey', regions: [], places: ['Istanbul', 'Ankara', 'Izmir', 'Bursa'] },
+      { name: 'Ukraine', regions: [], places: ['Kyiv', 'Lviv', 'Kharkiv', 'Odesa', 'Dnipro'] },
+      { name: 'Belarus', regions: [], places: ['Minsk'] },
+      { name: 'Russia', regions: [], places: ['Moscow', 'Saint Petersburg', 'Novosibirsk', 'Yekaterinburg', 'Kazan'] },
+
+      // ---------------------------------------------------------------------
+      // North America
+      // ---------------------------------------------------------------------
+      {
+        name: 'United States',
+        regions: [
+          { name: 'California', places: ['San Francisco', 'Los Angeles', 'San Diego', 'San Jose', 'Oakland', 'Sacramento', 'Palo Alto', 'Mountain View', 'Sunnyvale', 'Santa Clara', 'Irvine', 'Silicon Valley', 'Bay Area'] },
+          { name: 'New York', places: ['New York City', 'Brooklyn', 'Manhattan', 'Buffalo'] },
+          { name: 'Texas', places: ['Austin', 'Dallas', 'Houston', 'San Antonio', 'Fort Worth'] },
+          { name: 'Washington', places: ['Seattle', 'Redmond', 'Bellevue', 'Spokane', 'Tacoma'] },
+          { name: 'Massachusetts', places: ['Boston', 'Cambridge', 'Worcester'] },
+          { name: 'Illinois', places: ['Chicago'] },
+          { name: 'Florida', places: ['Miami', 'Orlando', 'Tampa', 'Jacksonville'] },
+          { name: 'Colorado', places: ['Denver', 'Boulder'] },
+          { name: 'Pennsylvania', places: ['Philadelphia', 'Pittsburgh'] },
+          { name: 'Michigan', places: ['Detroit', 'Ann Arbor'] },
+          { name: 'Arizona', places: ['Phoenix', 'Scottsdale', 'Tempe'] },
+          { name: 'North Carolina', places: ['Charlotte', 'Raleigh', 'Durham'] },
+          { name: 'Virginia', places: ['Arlington'] },
+          { name: 'Oregon', places: ['Portland'] },
+          { name: 'Utah', places: ['Salt Lake City'] },
+          { name: 'Minnesota', places: ['Minneapolis'] },
+          { name: 'Ohio', places: ['Columbus', 'Cleveland', 'Cincinnati'] },
+          { name: 'Tennessee', places: ['Nashville', 'Memphis'] },
+          { name: 'New Jersey', places: ['Newark', 'Jersey City', 'Princeton'] },
+          { name: 'New Mexico', places: ['Albuquerque', 'Santa Fe'] },
+          { name: 'Alabama', places: ['Birmingham', 'Huntsville'] },
+          { name: 'District of Columbia', places: ['Washington DC'] },
+        ],
+        places: ['Atlanta'],
+      },
+      {
+        name: 'Canada',
+        regions: [
+          { name: 'Ontario', places: ['Toronto', 'Ottawa', 'Mississauga', 'Waterloo'] },
+          { name: 'Quebec', places: ['Montreal', 'Quebec City'] },
+          { name: 'British Columbia', places: ['Vancouver'] },
+          { name: 'Alberta', places: ['Calgary', 'Edmonton'] },
+          { name: 'Manitoba', places: ['Winnipeg'] },
+          { name: 'Nova Scotia', places: ['Halifax'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Mexico',
+        regions: [
+          { name: 'Jalisco', places: ['Guadalajara'] },
+          { name: 'Nuevo León', places: ['Monterrey'] },
+          { name: 'Querétaro', places: [] },
+        ],
+        places: ['Mexico City'],
+      },
+      { name: 'Cuba', regions: [], places: ['Havana'] },
+
+      // ---------------------------------------------------------------------
+      // South America
+      // ---------------------------------------------------------------------
+      {
+        name: 'Brazil',
+        regions: [
+          { name: 'São Paulo', places: ['Campinas'] },
+          { name: 'Rio de Janeiro', places: [] },
+          { name: 'Minas Gerais', places: ['Belo Horizonte'] },
+          { name: 'Paraná', places: ['Curitiba'] },
+          { name: 'Rio Grande do Sul', places: ['Porto Alegre'] },
+          { name: 'Federal District', places: ['Brasília'] },
+          { name: 'Pernambuco', places: ['Recife'] },
+        ],
+        places: [],
+      },
+      { name: 'Argentina', regions: [], places: ['Buenos Aires', 'Córdoba', 'Rosario', 'Mendoza'] },
+      { name: 'Chile', regions: [], places: ['Santiago', 'Valparaíso'] },
+      { name: 'Colombia', regions: [], places: ['Bogotá', 'Medellín', 'Cali', 'Barranquilla'] },
+
+      // ---------------------------------------------------------------------
+      // Asia & Middle East
+      // ---------------------------------------------------------------------
+      {
+        name: 'India',
+        regions: [
+          { name: 'Karnataka', places: ['Bengaluru', 'Bangalore', 'Mysuru', 'Mangaluru'] },
+          { name: 'Maharashtra', places: ['Mumbai', 'Pune', 'Nagpur', 'Nashik', 'Thane'] },
+          { name: 'Delhi', places: ['New Delhi'] },
+          { name: 'Haryana', places: ['Gurugram', 'Gurgaon', 'Faridabad'] },
+          { name: 'Uttar Pradesh', places: ['Noida', 'Lucknow', 'Kanpur', 'Ghaziabad'] },
+          { name: 'Tamil Nadu', places: ['Chennai', 'Coimbatore', 'Madurai'] },
+          { name: 'Telangana', places: ['Hyderabad'] },
+          { name: 'West Bengal', places: ['Kolkata'] },
+          { name: 'Gujarat', places: ['Ahmedabad', 'Surat', 'Vadodara', 'Gandhinagar'] },
+          { name: 'Kerala', places: ['Kochi', 'Thiruvananthapuram', 'Trivandrum'] },
+          { name: 'Rajasthan', places: ['Jaipur', 'Jodhpur', 'Udaipur'] },
+          { name: 'Punjab', places: ['Chandigarh', 'Ludhiana', 'Amritsar'] },
+          { name: 'Madhya Pradesh', places: ['Indore', 'Bhopal'] },
+          { name: 'Odisha', places: ['Bhubaneswar'] },
+          { name: 'Andhra Pradesh', places: ['Visakhapatnam', 'Vijayawada'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Pakistan',
+        regions: [
+          { name: 'Punjab', places: ['Lahore', 'Faisalabad', 'Rawalpindi', 'Multan'] },
+          { name: 'Sindh', places: ['Karachi', 'Hyderabad'] },
+          { name: 'Islamabad Capital Territory', places: ['Islamabad'] },
+          { name: 'Khyber Pakhtunkhwa', places: ['Peshawar'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'China',
+        regions: [
+          { name: 'Beijing', places: [] },
+          { name: 'Shanghai', places: [] },
+          { name: 'Tianjin', places: [] },
+          { name: 'Chongqing', places: [] },
+          { name: 'Guangdong', places: ['Guangzhou', 'Shenzhen', 'Dongguan'] },
+          { name: 'Zhejiang', places: ['Hangzhou', 'Ningbo'] },
+          { name: 'Jiangsu', places: ['Nanjing', 'Suzhou'] },
+          { name: 'Sichuan', places: ['Chengdu'] },
+          { name: 'Hubei', places: ['Wuhan'] },
+          { name: 'Shaanxi', places: ["Xi'an"] },
+          { name: 'Fujian', places: ['Xiamen', 'Fuzhou'] },
+        ],
+        places: [],
+      },
+      {
+        name: 'Japan',
+        regions: [
+          { name: 'Tokyo', places: [] },
+          { name: 'Kanagawa', places: ['Yokohama', 'Kawasaki'] },
+          { name: 'Osaka', places: [] },
+          { name: 'Kyoto', places: [] },
+          { name: 'Aichi', places: ['Nagoya'] },
+          { name: 'Fukuoka', places: [] },
+          { name: 'Hokkaido', places: ['Sapporo'] },
+        ],
+        places: [],
+      },
+      { name: 'South Korea', regions: [], places: ['Seoul', 'Busan', 'Incheon', 'Suwon', 'Seongnam', 'Pangyo'] },
+      { name: 'North Korea', regions: [], places: ['Pyongyang'] },
+      { name: 'Singapore', regions: [], places: [] },
+      { name: 'Philippines', regions: [{ name: 'Metro Manila', places: ['Manila', 'Makati', 'Taguig', 'Quezon City'] }], places: ['Cebu'] },
+      { name: 'Vietnam', regions: [], places: ['Hanoi', 'Ho Chi Minh City', 'Da Nang'] },
+      { name: 'Indonesia', regions: [], places: ['Jakarta', 'Surabaya', 'Bandung', 'Bali'] },
+      { name: 'Malaysia', regions: [], places: ['Kuala Lumpur', 'Selangor', 'Penang'] },
+      { name: 'Thailand', regions: [], places: ['Bangkok', 'Chiang Mai', 'Phuket'] },
+      { name: 'Bangladesh', regions: [], places: ['Dhaka', 'Chittagong'] },
+      { name: 'Sri Lanka', regions: [], places: ['Colombo'] },
+      { name: 'United Arab Emirates', regions: [], places: ['Dubai', 'Abu Dhabi', 'Sharjah'] },
+      { name: 'Saudi Arabia', regions: [], places: ['Riyadh', 'Jeddah', 'Dammam'] },
+      { name: 'Qatar', regions: [], places: ['Doha'] },
+      { name: 'Oman', regions: [], places: ['Muscat', 'Salalah'] },
+      { name: 'Israel', regions: [], places: ['Tel Aviv', 'Jerusalem', 'Haifa', 'Herzliya'] },
+      { name: 'Iran', regions: [], places: ['Tehran', 'Isfahan', 'Shiraz', 'Tabriz'] },
+      { name: 'Syria', regions: [], places: ['Damascus', 'Aleppo'] },
+
+      // ---------------------------------------------------------------------
+      // Africa
+      // ---------------------------------------------------------------------
+      { name: 'Nigeria', regions: [], places: ['Lagos', 'Abuja', 'Ibadan'] },
+      {
+        name: 'South Africa',
+        regions: [
+          { name: 'Gauteng', places: ['Johannesburg', 'Pretoria'] },
+          { name: 'Western Cape', places: ['Cape Town', 'Stellenbosch'] },
+          { name: 'KwaZulu-Natal', places: ['Durban'] },
+        ],
+        places: [],
+      },
+      { name: 'Egypt', regions: [], places: ['Cairo', 'Alexandria', 'Giza'] },
+      { name: 'Kenya', regions: [], places: ['Nairobi', 'Mombasa'] },
+
+      // ---------------------------------------------------------------------
+      // Oceania
+      // ---------------------------------------------------------------------
+      {
+        name: 'Australia',
+        regions: [
+          { name: 'New South Wales', places: ['Sydney'] },
+          { name: 'Victoria', places: ['Melbourne'] },
+          { name: 'Queensland', places: ['Brisbane', 'Gold Coast'] },
+          { name: 'Western Australia', places: ['Perth'] },
+          { name: 'South Australia', places: ['Adelaide'] },
+          { name: 'Australian Capital Territory', places: ['Canberra'] },
+        ],
+        places: [],
+      },
+      { name: 'New Zealand', regions: [], places: ['Auckland', 'Wellington', 'Christchurch'] },
+    ],
+  };
+})();
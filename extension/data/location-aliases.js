@@ -0,0 +1,193 @@
+/**
+ * SourceFence — Location Aliases
+ *
+ * Alternative names for countries and cities, used by matcher.js to map a
+ * location (and each rule pattern) onto one canonical English name before
+ * matching. A single "Germany" rule therefore also matches "Deutschland",
+ * "Allemagne", "Германия" or "DEU", and "Bangalore" matches "Bengaluru".
+ *
+ * Data conventions:
+ *   - `name` is the canonical name and should be spelled the same way as in
+ *     data/gazetteer.js so that aliased cities still resolve to a country.
+ *   - `aliases` are endonyms, exonyms, historical names and common
+ *     abbreviations. They are matched as whole words anywhere in a location.
+ *   - `codes` are ISO 3166-1 alpha-2 / alpha-3 codes. Codes only count when
+ *     they make up an entire comma-separated part of the location
+ *     ("Berlin, DEU"), never as a word inside a longer name.
+ *   - `ambiguousCodes` collide with US state, Canadian province or Indian
+ *     state abbreviations ("San Jose, CA" is California, not Canada). These
+ *     only resolve when the code is the whole string — in practice, a rule
+ *     pattern such as "CA".
+ *   - Names that are genuinely shared (Georgia, Holland → North/South
+ *     Holland, Canton, St. Petersburg) are deliberately left out. A false
+ *     positive is worse than a missed alias; teams can add their own from
+ *     the dashboard.
+ *
+ * Bump `version` whenever the data changes.
+ *
+ * Exposed as window.SourceFenceLocationAliases
+ */
+(function () {
+  'use strict';
+
+  window.SourceFenceLocationAliases = {
+    version: '2026.10.1',
+
+    ambiguousCodes: [
+      'AL', 'AR', 'AZ', 'CA', 'CO', 'DE', 'GA', 'ID', 'IL', 'IN', 'KY', 'LA',
+      'MA', 'MD', 'ME', 'MN', 'MO', 'MT', 'NE', 'NL', 'PA', 'SC', 'SD', 'TN',
+      'VA', 'HR', 'MH', 'PE', 'SK', 'NT', 'SA', 'IND', 'COL'
+    ],
+
+    entries: [
+      // ---------------------------------------------------------------------
+      // Countries — Europe
+      // ---------------------------------------------------------------------
+      { name: 'Germany', aliases: ['Deutschland', 'Allemagne', 'Alemania', 'Germania', 'Niemcy', 'Duitsland', 'Tyskland', 'Saksa', 'Německo', 'Германия', 'Німеччина', 'ドイツ', '德国', '독일'], codes: ['DE', 'DEU'] },
+      { name: 'United Kingdom', aliases: ['UK', 'U.K.', 'Great Britain', 'Britain', 'Royaume-Uni', 'Reino Unido', 'Vereinigtes Königreich', 'Regno Unito', 'Verenigd Koninkrijk', 'Wielka Brytania', 'Великобритания', 'イギリス', '英国', '영국'], codes: ['GB', 'GBR'] },
+      { name: 'France', aliases: ['Frankreich', 'Francia', 'Francja', 'Frankrijk', 'Frankrike', 'Франция', 'フランス', '法国', '프랑스'], codes: ['FR', 'FRA'] },
+      { name: 'Spain', aliases: ['España', 'Espagne', 'Spanien', 'Spagna', 'Hiszpania', 'Spanje', 'Испания', 'スペイン', '西班牙', '스페인'], codes: ['ES', 'ESP'] },
+      { name: 'Italy', aliases: ['Italia', 'Italie', 'Italien', 'Włochy', 'Italië', 'Италия', 'イタリア', '意大利', '이탈리아'], codes: ['IT', 'ITA'] },
+      { name: 'Netherlands', aliases: ['Nederland', 'The Netherlands', 'Niederlande', 'Pays-Bas', 'Países Bajos', 'Paesi Bassi', 'Holandia', 'Нидерланды', 'オランダ', '荷兰'], codes: ['NL', 'NLD'] },
+      { name: 'Poland', aliases: ['Polska', 'Polen', 'Pologne', 'Polonia', 'Польша', 'Польща', 'ポーランド', '波兰'], codes: ['PL', 'POL'] },
+      { name: 'Ireland', aliases: ['Éire', 'Irland', 'Irlande', 'Irlanda', 'Republic of Ireland'], codes: ['IE', 'IRL'] },
+      { name: 'Switzerland', aliases: ['Schweiz', 'Suisse', 'Svizzera', 'Svizra', 'Suiza', 'Szwajcaria', 'Zwitserland', 'Confoederatio Helvetica', 'Швейцария', 'スイス', '瑞士'], codes: ['CH', 'CHE'] },
+      { name: 'Austria', aliases: ['Österreich', 'Autriche', 'Oostenrijk', 'Австрия', 'オーストリア', '奥地利'], codes: ['AT', 'AUT'] },
+      { name: 'Belgium', aliases: ['België', 'Belgique', 'Belgien', 'Bélgica', 'Belgio', 'Belgia', 'Бельгия'], codes: ['BE', 'BEL'] },
+      { name: 'Sweden', aliases: ['Sverige', 'Schweden', 'Suède', 'Suecia', 'Svezia', 'Szwecja', 'Zweden', 'Швеция'], codes: ['SE', 'SWE'] },
+      { name: 'Norway', aliases: ['Norge', 'Noreg', 'Norwegen', 'Norvège', 'Noruega', 'Norvegia', 'Norwegia', 'Noorwegen', 'Норвегия'], codes: ['NO', 'NOR'] },
+      { name: 'Denmark', aliases: ['Danmark', 'Dänemark', 'Danemark', 'Dinamarca', 'Danimarca', 'Dania', 'Denemarken', 'Дания'], codes: ['DK', 'DNK'] },
+      { name: 'Finland', aliases: ['Suomi', 'Finnland', 'Finlande', 'Finlandia', 'Финляндия'], codes: ['FI', 'FIN'] },
+      { name: 'Portugal', aliases: ['Portogallo', 'Portugalia', 'Португалия'], codes: ['PT', 'PRT'] },
+      { name: 'Czechia', aliases: ['Czech Republic', 'Česko', 'Česká republika', 'Tschechien', 'Tchéquie', 'República Checa', 'Czechy', 'Чехия'], codes: ['CZ', 'CZE'] },
+      { name: 'Romania', aliases: ['România', 'Rumänien', 'Roumanie', 'Rumania', 'Rumunia', 'Румыния'], codes: ['RO', 'ROU'] },
+      { name: 'Hungary', aliases: ['Magyarország', 'Ungarn', 'Hongrie', 'Hungría', 'Ungheria', 'Węgry', 'Венгрия'], codes: ['HU', 'HUN'] },
+      { name: 'Greece', aliases: ['Ελλάδα', 'Ελλάς', 'Hellas', 'Griechenland', 'Grèce', 'Grecia', 'Grecja', 'Греция'], codes: ['GR', 'GRC'] },
+      { name: 'Turkey', aliases: ['Türkiye', 'Türkei', 'Turquie', 'Turquía', 'Turchia', 'Turcja', 'Турция'], codes: ['TR', 'TUR'] },
+      { name: 'Ukraine', aliases: ['Україна', 'Украина', 'Ucrania', 'Ucraina', 'Ukraina'], codes: ['UA', 'UKR'] },
+      { name: 'Belarus', aliases: ['Беларусь', 'Белоруссия', 'Byelorussia', 'Weißrussland', 'Biélorussie', 'Bielorrusia', 'Białoruś'], codes: ['BY', 'BLR'] },
+      { name: 'Russia', aliases: ['Russian Federation', 'Россия', 'Российская Федерация', 'Russland', 'Russie', 'Rusia', 'Rosja', 'ロシア', '俄罗斯'], codes: ['RU', 'RUS'] },
+
+      // ---------------------------------------------------------------------
+      // Countries — Americas
+      // ---------------------------------------------------------------------
+      { name: 'United States', aliases: ['USA', 'U.S.A.', 'U.S.', 'United States of America', 'Estados Unidos', 'États-Unis', 'Vereinigte Staaten', 'Stati Uniti', 'Stany Zjednoczone', 'США', 'アメリカ合衆国', '美国', '미국'], codes: ['US', 'USA'] },
+      { name: 'Canada', aliases: ['Kanada', 'Canadá', 'Канада'], codes: ['CA', 'CAN'] },
+      { name: 'Mexico', aliases: ['México', 'Mexiko', 'Mexique', 'Messico', 'Meksyk', 'Мексика'], codes: ['MX', 'MEX'] },
+      { name: 'Cuba', aliases: ['Kuba', 'Куба'], codes: ['CU', 'CUB'] },
+      { name: 'Brazil', aliases: ['Brasil', 'Brasilien', 'Brésil', 'Brasile', 'Brazylia', 'Бразилия'], codes: ['BR', 'BRA'] },
+      { name: 'Argentina', aliases: ['Argentinien', 'Argentine', 'Аргентина'], codes: ['AR', 'ARG'] },
+      { name: 'Chile', aliases: ['Chili', 'Cile', 'Чили'], codes: ['CL', 'CHL'] },
+      { name: 'Colombia', aliases: ['Kolumbien', 'Colombie', 'Kolumbia', 'Колумбия'], codes: ['CO', 'COL'] },
+
+      // ---------------------------------------------------------------------
+      // Countries — Asia & Middle East
+      // ---------------------------------------------------------------------
+      { name: 'India', aliases: ['Bharat', 'Bhārat', 'भारत', 'Indien', 'Inde', 'Индия', 'インド', '印度', '인도'], codes: ['IN', 'IND'] },
+      { name: 'Pakistan', aliases: ['پاکستان', 'Пакистан'], codes: ['PK', 'PAK'] },
+      { name: 'China', aliases: ["People's Republic of China", 'PRC', 'Zhongguo', 'Zhōngguó', '中国', '中國', 'Chine', 'Cina', 'Chiny', 'Китай', '중국'], codes: ['CN', 'CHN'] },
+      { name: 'Japan', aliases: ['Nippon', 'Nihon', '日本', 'Japon', 'Giappone', 'Japonia', 'Япония', '일본'], codes: ['JP', 'JPN'] },
+      { name: 'South Korea', aliases: ['Republic of Korea', '대한민국', '한국', 'Südkorea', 'Corée du Sud', 'Corea del Sur', 'Южная Корея'], codes: ['KR', 'KOR'] },
+      { name: 'North Korea', aliases: ["Democratic People's Republic of Korea", 'DPRK', '조선민주주의인민공화국', 'Nordkorea', 'Corée du Nord', 'Corea del Norte', 'Северная Корея'], codes: ['KP', 'PRK'] },
+      { name: 'Singapore', aliases: ['Singapur', 'Singapour', 'Singapura', '新加坡'], codes: ['SG', 'SGP'] },
+      { name: 'Philippines', aliases: ['Pilipinas', 'Philippinen', 'Filipinas', 'Filippine', 'Filipiny'], codes: ['PH', 'PHL'] },
+      { name: 'Vietnam', aliases: ['Việt Nam', 'Viet Nam'], codes: ['VN', 'VNM'] },
+      { name: 'Indonesia', aliases: ['Indonesien', 'Indonésie'], codes: ['ID', 'IDN'] },
+      { name: 'Malaysia', aliases: ['Malaisie', 'Malasia', 'Malezja'], codes: ['MY', 'MYS'] },
+      { name: 'Thailand', aliases: ['ประเทศไทย', 'Thaïlande', 'Tailandia', 'Tajlandia', 'Siam'], codes: ['TH', 'THA'] },
+      { name: 'Bangladesh', aliases: ['বাংলাদেশ', 'Bangladesch'], codes: ['BD', 'BGD'] },
+      { name: 'Sri Lanka', aliases: ['Ceylon', 'ශ්‍රී ලංකාව', 'இலங்கை'], codes: ['LK', 'LKA'] },
+      { name: 'United Arab Emirates', aliases: ['UAE', 'U.A.E.', 'الإمارات العربية المتحدة', 'Vereinigte Arabische Emirate', 'Émirats arabes unis', 'Emiratos Árabes Unidos'], codes: ['AE', 'ARE'] },
+      { name: 'Saudi Arabia', aliases: ['KSA', 'Kingdom of Saudi Arabia', 'المملكة العربية السعودية', 'Saudi-Arabien', 'Arabie saoudite', 'Arabia Saudita'], codes: ['SA', 'SAU'] },
+      { name: 'Qatar', aliases: ['قطر', 'Katar'], codes: ['QA', 'QAT'] },
+      { name: 'Oman', aliases: ['عمان', 'Sultanate of Oman'], codes: ['OM', 'OMN'] },
+      { name: 'Israel', aliases: ['ישראל', 'Israël', 'Izrael', 'Израиль'], codes: ['IL', 'ISR'] },
+      { name: 'Iran', aliases: ['Persia', 'Islamic Republic of Iran', 'ایران', 'Иран'], codes: ['IR', 'IRN'] },
+      { name: 'Syria', aliases: ['Syrian Arab Republic', 'سوريا', 'Syrien', 'Syrie', 'Siria', 'Сирия'], codes: ['SY', 'SYR'] },
+
+      // ---------------------------------------------------------------------
+      // Countries — Africa & Oceania
+      // ---------------------------------------------------------------------
+      { name: 'Nigeria', aliases: ['Nigéria'], codes: ['NG', 'NGA'] },
+      { name: 'South Africa', aliases: ['RSA', 'Suid-Afrika', 'Südafrika', 'Afrique du Sud', 'Sudáfrica', 'Sudafrica'], codes: ['ZA', 'ZAF'] },
+      { name: 'Egypt', aliases: ['مصر', 'Ägypten', 'Égypte', 'Egipto', 'Egitto', 'Egipt', 'Египет'], codes: ['EG', 'EGY'] },
+      { name: 'Kenya', aliases: ['Kenia'], codes: ['KE', 'KEN'] },
+      { name: 'Australia', aliases: ['Australien', 'Australie', 'Австралия', 'オーストラリア', '澳大利亚'], codes: ['AU', 'AUS'] },
+      { name: 'New Zealand', aliases: ['Aotearoa', 'Neuseeland', 'Nouvelle-Zélande', 'Nueva Zelanda', 'Nuova Zelanda'], codes: ['NZ', 'NZL'] },
+
+      // ---------------------------------------------------------------------
+      // Regions
+      // ---------------------------------------------------------------------
+      { name: 'Bavaria', aliases: ['Bayern', 'Bavière', 'Baviera'] },
+      { name: 'Hesse', aliases: ['Hessen'] },
+      { name: 'North Rhine-Westphalia', aliases: ['Nordrhein-Westfalen', 'NRW'] },
+      { name: 'Lower Saxony', aliases: ['Niedersachsen'] },
+      { name: 'Saxony', aliases: ['Sachsen'] },
+      { name: 'Thuringia', aliases: ['Thüringen'] },
+      { name: 'Rhineland-Palatinate', aliases: ['Rheinland-Pfalz'] },
+      { name: 'Catalonia', aliases: ['Catalunya', 'Cataluña', 'Catalogne'] },
+      { name: 'Andalusia', aliases: ['Andalucía'] },
+      { name: 'Basque Country', aliases: ['Euskadi', 'País Vasco'] },
+      { name: 'Lombardy', aliases: ['Lombardia'] },
+      { name: 'Tuscany', aliases: ['Toscana'] },
+      { name: 'Piedmont', aliases: ['Piemonte'] },
+      { name: 'Sicily', aliases: ['Sicilia'] },
+      { name: 'Brittany', aliases: ['Bretagne'] },
+      { name: 'Masovian', aliases: ['Mazowieckie', 'Masovia'] },
+      { name: 'Lesser Poland', aliases: ['Małopolskie'] },
+      { name: 'Quebec', aliases: ['Québec'] },
+      { name: 'Odisha', aliases: ['Orissa'] },
+
+      // ---------------------------------------------------------------------
+      // Cities
+      // ---------------------------------------------------------------------
+      { name: 'Munich', aliases: ['München', 'Muenchen', 'Monaco di Baviera', 'Múnich'] },
+      { name: 'Cologne', aliases: ['Köln', 'Koeln'] },
+      { name: 'Nuremberg', aliases: ['Nürnberg', 'Nuernberg'] },
+      { name: 'Hanover', aliases: ['Hannover'] },
+      { name: 'Vienna', aliases: ['Wien', 'Vienne', 'Viena', 'Wiedeń'] },
+      { name: 'Prague', aliases: ['Praha', 'Prag', 'Praga'] },
+      { name: 'Warsaw', aliases: ['Warszawa', 'Warschau', 'Varsovie', 'Varsovia'] },
+      { name: 'Milan', aliases: ['Milano', 'Mailand'] },
+      { name: 'Rome', aliases: ['Roma', 'Rom'] },
+      { name: 'Naples', aliases: ['Napoli', 'Neapel'] },
+      { name: 'Turin', aliases: ['Torino'] },
+      { name: 'Florence', aliases: ['Firenze', 'Florenz'] },
+      { name: 'Venice', aliases: ['Venezia', 'Venedig'] },
+      { name: 'Seville', aliases: ['Sevilla'] },
+      { name: 'Lisbon', aliases: ['Lisboa', 'Lissabon'] },
+      { name: 'Copenhagen', aliases: ['København', 'Kopenhagen'] },
+      { name: 'Gothenburg', aliases: ['Göteborg'] },
+      { name: 'Athens', aliases: ['Αθήνα', 'Athen'] },
+      { name: 'Geneva', aliases: ['Genève', 'Genf', 'Ginevra'] },
+      { name: 'Brussels', aliases: ['Bruxelles', 'Brussel', 'Brüssel'] },
+      { name: 'Antwerp', aliases: ['Antwerpen', 'Anvers'] },
+      { name: 'The Hague', aliases: ['Den Haag', "'s-Gravenhage"] },
+      { name: 'Moscow', aliases: ['Москва', 'Moskau', 'Moscou', 'Moskva'] },
+      { name: 'Kyiv', aliases: ['Kiev', 'Київ', 'Киев'] },
+      { name: 'Odesa', aliases: ['Odessa', 'Одеса', 'Одесса'] },
+      { name: 'Kharkiv', aliases: ['Kharkov', 'Харків', 'Харьков'] },
+      { name: 'Lviv', aliases: ['Lvov', 'Lwów', 'Львів'] },
+      { name: 'Dnipro', aliases: ['Dnipropetrovsk', 'Dnepropetrovsk'] },
+      { name: 'Minsk', aliases: ['Мінск', 'Минск'] },
+      { name: 'Istanbul', aliases: ['İstanbul', 'Constantinople'] },
+      { name: 'New York City', aliases: ['NYC'] },
+      { name: 'Montreal', aliases: ['Montréal'] },
+      { name: 'Bogotá', aliases: ['Santa Fe de Bogotá'] },
+      { name: 'Bengaluru', aliases: ['Bangalore'] },
+      { name: 'Mumbai', aliases: ['Bombay'] },
+      { name: 'Chennai', aliases: ['Madras'] },
+      { name: 'Kolkata', aliases: ['Calcutta'] },
+      { name: 'Gurugram', aliases: ['Gurgaon'] },
+      { name: 'Mysuru', aliases: ['Mysore'] },
+      { name: 'Pune', aliases: ['Poona'] },
+      { name: 'Vadodara', aliases: ['Baroda'] },
+      { name: 'Kochi', aliases: ['Cochin'] },
+      { name: 'Thiruvananthapuram', aliases: ['Trivandrum'] },
+      { name: 'Beijing', aliases: ['Peking', 'Peiping', '北京'] },
+      { name: 'Shanghai', aliases: ['上海'] },
+      { name: 'Ho Chi Minh City', aliases: ['Saigon', 'Sài Gòn', 'Thành phố Hồ Chí Minh'] },
+      { name: 'Tokyo', aliases: ['東京', '東京都'] }
+    ]
+  };
+})();
@@ -0,0 +1,124 @@
+/**
+ * SourceFence — Rule Templates
+ *
+ * Curated restriction lists that teams would otherwise rebuild by hand.
+ * Each template is added as one policy holding its rules, from the options
+ * page (solo users) or the dashboard's Rule Templates page (teams), so it
+ * can be switched on and off as a unit.
+ *
+ * Data conventions:
+ *   - `id` never changes. `version` is bumped whenever a template's rules
+ *     change; users who added an older version are offered an update,
+ *     which replaces the policy's rules.
+ *   - Rules use the same fields as rules added by hand. Location rules use
+ *     whole-word matching so "Iran" does not match "Tirana", and rely on
+ *     the gazetteer and location aliases for cities and other spellings.
+ *   - Templates are a starting point, not legal advice. Descriptions say
+ *     what was reviewed and when, and what is deliberately left out.
+ *
+ * Keep in sync with RULE_TEMPLATES in dashboard/src/lib/ruleTemplates.js.
+ *
+ * Exposed as window.SourceFenceRuleTemplates
+ */
+(function () {
+  'use strict';
+
+  var SANCTIONS_MESSAGE = 'Comprehensively sanctioned jurisdiction (US, EU and UK). ' +
+    'Do not contact without clearance from legal.';
+
+  var GDPR_MESSAGE = 'EU/EEA resident: GDPR applies to their personal data. ' +
+    'Record a lawful basis before adding them to the ATS.';
+
+  var PAY_TRANSPARENCY_MESSAGE = 'Pay transparency law: share a good-faith pay range ' +
+    'for the role in postings and outreach.';
+
+  var NON_COMPETE_MESSAGE = 'Non-compete agreements are generally void here. ' +
+    'Do not pass on the candidate because of one, or ask them to sign one.';
+
+  function locations(patterns, severity, message) {
+    return patterns.map(function (pattern) {
+      return { pattern: pattern, match_mode: 'word', severity: severity, message: message };
+    });
+  }
+
+  window.SourceFenceRuleTemplates = {
+    version: '2026.10.1',
+
+    templates: [
+      {
+        id: 'sanctioned-jurisdictions',
+        version: '2026.10.1',
+        name: 'Sanctioned jurisdictions',
+        description: 'Countries and regions under comprehensive US, EU and UK ' +
+          'sanctions, reviewed October 2026. Syria was removed in 2025 when most ' +
+          'of its sanctions were lifted. Sanctions change often: check the current ' +
+          'OFAC, EU and UK lists.',
+        location_rules: locations([
+          'Cuba',
+          'Iran',
+          'North Korea',
+          'Crimea, Sevastopol',
+          'Donetsk',
+          'Luhansk, Lugansk'
+        ], 'red', SANCTIONS_MESSAGE),
+        company_rules: []
+      },
+      {
+        id: 'gdpr-eea',
+        version: '2026.10.1',
+        name: 'GDPR / EEA countries',
+        description: 'The 27 EU member states plus Iceland, Liechtenstein and ' +
+          'Norway, where the GDPR applies. "Ireland" also matches Northern ' +
+          'Ireland, which follows the similar UK GDPR.',
+        location_rules: locations([
+          'Austria', 'Belgium', 'Bulgaria', 'Croatia', 'Cyprus', 'Czechia',
+          'Denmark', 'Estonia', 'Finland', 'France', 'Germany', 'Greece',
+          'Hungary', 'Ireland', 'Italy', 'Latvia', 'Lithuania', 'Luxembourg',
+          'Malta', 'Netherlands', 'Poland', 'Portugal', 'Romania', 'Slovakia',
+          'Slovenia', 'Spain', 'Sweden', 'Iceland', 'Liechtenstein', 'Norway'
+        ], 'amber', GDPR_MESSAGE),
+        company_rules: []
+      },
+      {
+        id: 'us-pay-transparency',
+        version: '2026.10.1',
+        name: 'US pay transparency states',
+        description: 'US states and the District of Columbia whose laws require ' +
+          'a pay range in job postings, in force as of October 2026. City ' +
+          'ordinances (such as Cleveland) and laws not yet in force (Delaware, ' +
+          '2027) are not included.',
+        location_rules: locations([
+          'California',
+          'Colorado',
+          'District of Columbia, Washington DC',
+          'Hawaii',
+          'Illinois',
+          'Maryland',
+          'Massachusetts',
+          'Minnesota',
+          'New Jersey',
+          'New York',
+          'Vermont',
+          'Washington'
+        ], 'amber', PAY_TRANSPARENCY_MESSAGE),
+        company_rules: []
+      },
+      {
+        id: 'us-non-compete-bans',
+        version: '2026.10.1',
+        name: 'US states that ban non-competes',
+        description: 'US states where non-compete agreements are void for most ' +
+          'workers, as of October 2026. States that only limit them (by salary ' +
+          'or occupation) are not included.',
+        location_rules: locations([
+          'California',
+          'Minnesota',
+          'North Dakota',
+          'Oklahoma',
+          'Wyoming'
+        ], 'amber', NON_COMPETE_MESSAGE),
+        company_rules: []
+      }
+    ]
+  };
+})();
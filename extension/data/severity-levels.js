@@ -0,0 +1,44 @@
+/**
+ * SourceFence — Severity Levels
+ *
+ * The built-in severity levels a rule can carry, and the icons a level can
+ * use. Teams add their own levels ("Blocked", "Needs approval",
+ * "Preferred") from the dashboard Settings page; matcher.js merges them on
+ * top of this table, and a team level with the same key as a built-in one
+ * replaces it.
+ *
+ * Data conventions:
+ *   - `rank` orders the levels. Above 0 a level restricts sourcing, and a
+ *     higher rank is stricter. Below 0 it is a positive signal such as
+ *     "Preferred", which is only shown when no restriction matched. 0 is
+ *     `green`, the result when nothing matched; rules never carry it.
+ *   - `color` is used for the banner, the search badges and the toolbar
+ *     badge. Text on it is white or dark, whichever is easier to read.
+ *   - `icon` is one of `icons`. The SVGs live in banner.js and
+ *     search-annotator.js.
+ *   - Severity keys that are neither built in nor defined by the team (a
+ *     level deleted while the extension still had rules using it) are
+ *     shown and ranked as `fallback`.
+ *
+ * Keep in sync with BUILT_IN_SEVERITY_LEVELS and SEVERITY_ICONS in
+ * dashboard/src/lib/severities.js.
+ *
+ * Exposed as window.SourceFenceSeverityLevels
+ */
+(function () {
+  'use strict';
+
+  window.SourceFenceSeverityLevels = {
+    version: '2026.10.1',
+
+    levels: [
+      { key: 'red', label: 'Restricted', rank: 20, color: '#DC2626', icon: 'block' },
+      { key: 'amber', label: 'Caution', rank: 10, color: '#F59E0B', icon: 'warning' },
+      { key: 'green', label: 'Clear', rank: 0, color: '#0EA5A0', icon: 'check' }
+    ],
+
+    icons: ['block', 'warning', 'flag', 'info', 'star', 'check'],
+
+    fallback: 'amber'
+  };
+})();
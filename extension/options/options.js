@@ -0,0 +1,555 @@
+// Kept out of options.html: Manifest V3 blocks inline scripts on extension pages.
+
+const defaults = {
+  enabled: true,
+  show_green_alerts: true,
+  green_auto_dismiss_seconds: 3,
+  fuzzy_suggestions: false,
+  audit_log_days: 90,
+  audit_log_max_entries: 10000,
+};
+
+function load() {
+  chrome.storage.local.get('sourcefence_settings', (result) => {
+    const s = result.sourcefence_settings || defaults;
+    document.getElementById('enabled').checked = s.enabled;
+    document.getElementById('showGreen').checked = s.show_green_alerts;
+    document.getElementById('autoDismiss').value = s.green_auto_dismiss_seconds;
+    document.getElementById('fuzzySuggestions').checked = !!s.fuzzy_suggestions;
+  });
+}
+
+// Saves some settings, keeping the rest (the audit log retention is saved
+// from its own section)
+function saveSettings(changes, msgId, done) {
+  chrome.storage.local.get('sourcefence_settings', (result) => {
+    const settings = Object.assign({}, defaults, result.sourcefence_settings, changes);
+    chrome.storage.local.set({ sourcefence_settings: settings }, () => {
+      const msg = document.getElementById(msgId);
+      msg.style.display = 'inline';
+      setTimeout(() => { msg.style.display = 'none'; }, 2000);
+      if (done) done(settings);
+    });
+  });
+}
+
+document.getElementById('saveBtn').addEventListener('click', () => {
+  saveSettings({
+    enabled: document.getElementById('enabled').checked,
+    show_green_alerts: document.getElementById('showGreen').checked,
+    green_auto_dismiss_seconds: parseInt(document.getElementById('autoDismiss').value, 10),
+    fuzzy_suggestions: document.getElementById('fuzzySuggestions').checked,
+  }, 'savedMsg');
+});
+
+load();
+
+// ---------------------------------------------------------------------------
+// Rule templates
+//
+// Adding a template creates a local policy holding its rules, so it shows up
+// grouped in the popup and can be switched off as a unit.
+// ---------------------------------------------------------------------------
+
+const TEMPLATE_KEYS = {
+  policies: 'sourcefence_policies',
+  location_rules: 'sourcefence_location_rules',
+  company_rules: 'sourcefence_company_rules',
+};
+
+const RULE_PREFIXES = { location_rules: 'lr_', company_rules: 'cr_' };
+
+const RULE_KINDS = ['location_rules', 'company_rules'];
+
+// Same comparison as isNewerVersion in dashboard/src/lib/ruleTemplates.js
+function isNewerVersion(version, than) {
+  const a = String(version).split('.');
+  const b = String(than || '').split('.');
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = parseInt(a[i], 10) || 0;
+    const y = parseInt(b[i], 10) || 0;
+    if (x !== y) return x > y;
+  }
+  return false;
+}
+
+function templateRules(template, kind, policyId) {
+  const stamp = Date.now();
+  return template[kind].map((rule, i) => Object.assign({}, rule, {
+    id: RULE_PREFIXES[kind] + stamp + '_' + i,
+    active: true,
+    source: 'template',
+    policy_id: policyId,
+  }));
+}
+
+// Reads policies and rules, lets `change` edit them in place, then saves.
+function updateTemplateData(change) {
+  const keys = Object.values(TEMPLATE_KEYS);
+  chrome.storage.local.get(keys, (result) => {
+    const data = {};
+    Object.keys(TEMPLATE_KEYS).forEach((name) => {
+      const stored = result[TEMPLATE_KEYS[name]];
+      data[name] = Array.isArray(stored) ? stored : [];
+    });
+    change(data);
+    const toSave = {};
+    Object.keys(TEMPLATE_KEYS).forEach((name) => {
+      toSave[TEMPLATE_KEYS[name]] = data[name];
+    });
+    chrome.storage.local.set(toSave, renderTemplates);
+  });
+}
+
+// Drops a policy's rules, leaving rules from other policies alone
+function removePolicyRules(data, policyId) {
+  RULE_KINDS.forEach((kind) => {
+    data[kind] = data[kind].filter((r) => r.policy_id !== policyId);
+  });
+}
+
+function addTemplate(template) {
+  updateTemplateData((data) => {
+    const policy = {
+      id: 'pol_' + Date.now(),
+      name: template.name,
+      description: template.description,
+      active: true,
+      template_id: template.id,
+      template_version: template.version,
+    };
+    data.policies.push(policy);
+    RULE_KINDS.forEach((kind) => {
+      data[kind] = data[kind].concat(templateRules(template, kind, policy.id));
+    });
+  });
+}
+
+// Replaces the rules of an older version; the on/off switch is kept
+function updateTemplate(template, policyId) {
+  updateTemplateData((data) => {
+    const policy = data.policies.find((p) => p.id === policyId);
+    if (!policy) return;
+    policy.description = template.description;
+    policy.template_version = template.version;
+    removePolicyRules(data, policyId);
+    RULE_KINDS.forEach((kind) => {
+      data[kind] = data[kind].concat(templateRules(template, kind, policyId));
+    });
+  });
+}
+
+function removeTemplate(policyId) {
+  updateTemplateData((data) => {
+    data.policies = data.policies.filter((p) => p.id !== policyId);
+    removePolicyRules(data, policyId);
+  });
+}
+
+function setTemplateActive(policyId, active) {
+  updateTemplateData((data) => {
+    const policy = data.policies.find((p) => p.id === policyId);
+    if (policy) policy.active = active;
+  });
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function button(label, className, onClick) {
+  const btn = el('button', className, label);
+  btn.type = 'button';
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function buildPreview(template) {
+  const details = el('details', 'template-preview');
+  details.appendChild(el('summary', null, 'Show rules'));
+  const list = el('ul');
+  RULE_KINDS.forEach((kind) => {
+    template[kind].forEach((rule) => {
+      const item = el('li');
+      item.appendChild(el('span', 'severity-dot severity-dot--' + rule.severity));
+      item.appendChild(document.createTextNode(rule.pattern));
+      list.appendChild(item);
+    });
+  });
+  details.appendChild(list);
+  if (template.location_rules.length) {
+    details.appendChild(el('p', 'help-text', template.location_rules[0].message));
+  }
+  return details;
+}
+
+function buildTemplateCard(template, policy) {
+  const card = el('div', 'template-card');
+
+  const header = el('div', 'template-card__header');
+  const title = el('h3', null, template.name);
+  title.appendChild(el('span', 'template-version', 'v' + template.version));
+  header.appendChild(title);
+
+  const actions = el('div', 'template-card__actions');
+  if (!policy) {
+    actions.appendChild(button('Add to my rules', 'small-btn', () => addTemplate(template)));
+  } else {
+    const toggle = el('label', 'template-toggle');
+    const checkbox = el('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = policy.active !== false;
+    checkbox.addEventListener('change', () => setTemplateActive(policy.id, checkbox.checked));
+    toggle.appendChild(checkbox);
+    toggle.appendChild(document.createTextNode('On'));
+    actions.appendChild(toggle);
+    if (isNewerVersion(template.version, policy.template_version)) {
+      actions.appendChild(button('Update', 'small-btn', () => updateTemplate(template, policy.id)));
+    }
+    actions.appendChild(button('Remove', 'small-btn small-btn--secondary', () => removeTemplate(policy.id)));
+  }
+  header.appendChild(actions);
+  card.appendChild(header);
+
+  card.appendChild(el('p', 'help-text', template.description));
+  if (policy && isNewerVersion(template.version, policy.template_version)) {
+    card.appendChild(el('p', 'help-text template-update-note',
+      'You added version ' + policy.template_version + '. Updating replaces its rules, ' +
+      'including any you edited.'));
+  }
+  card.appendChild(buildPreview(template));
+  return card;
+}
+
+function renderTemplates() {
+  const container = document.getElementById('templateList');
+  const library = window.SourceFenceRuleTemplates;
+  if (!library) return;
+  chrome.storage.local.get(TEMPLATE_KEYS.policies, (result) => {
+    const policies = Array.isArray(result[TEMPLATE_KEYS.policies])
+      ? result[TEMPLATE_KEYS.policies]
+      : [];
+    container.textContent = '';
+    library.templates.forEach((template) => {
+      // Templates the team imported are managed on the dashboard
+      const policy = policies.find((p) => p.template_id === template.id && p.source !== 'remote');
+      container.appendChild(buildTemplateCard(template, policy));
+    });
+  });
+}
+
+renderTemplates();
+
+// ---------------------------------------------------------------------------
+// Team workspace
+//
+// Sign-in, joining a team and sign-out are handled by the service worker,
+// which keeps the Supabase session and syncs the team's rules.
+// ---------------------------------------------------------------------------
+
+const ACCOUNT_KEYS = {
+  auth: 'sourcefence_auth',
+  account: 'sourcefence_account',
+  sync: 'sourcefence_sync',
+};
+
+let signInMode = 'password'; // 'password' | 'magic'
+
+function showTeamFeedback(error, message) {
+  const errorEl = document.getElementById('teamError');
+  const messageEl = document.getElementById('teamMessage');
+  errorEl.textContent = error || '';
+  errorEl.hidden = !error;
+  messageEl.textContent = message || '';
+  messageEl.hidden = !message;
+}
+
+// Send an account message to the service worker, disabling `btn` meanwhile
+function sendAccountMessage(message, btn) {
+  btn.disabled = true;
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      btn.disabled = false;
+      resolve(response || { ok: false, error: 'SourceFence did not respond. Try again.' });
+    });
+  });
+}
+
+function renderAccount() {
+  chrome.storage.local.get(Object.values(ACCOUNT_KEYS), (result) => {
+    const auth = result[ACCOUNT_KEYS.auth];
+    const account = result[ACCOUNT_KEYS.account] || {};
+    const sync = result[ACCOUNT_KEYS.sync] || {};
+    const onTeam = !!(auth && account.company_id);
+
+    document.getElementById('signedOut').hidden = !!auth;
+    document.getElementById('noTeam').hidden = !auth || onTeam;
+    document.getElementById('connected').hidden = !onTeam;
+    document.getElementById('accountActions').hidden = !auth;
+
+    if (!auth) return;
+    document.getElementById('noTeamStatus').textContent =
+      'Signed in as ' + auth.user.email + '. Join your team to get its rules.';
+    if (onTeam) {
+      document.getElementById('connectedStatus').textContent =
+        'Connected to ' + (account.company_name || 'your team') + ' as ' +
+        (account.role || 'member') + ' (' + auth.user.email + ').';
+      document.getElementById('syncStatus').textContent = sync.last_error
+        ? 'Last sync failed: ' + sync.last_error
+        : sync.last_sync_timestamp
+          ? 'Team rules last synced ' + new Date(sync.last_sync_timestamp).toLocaleString() + '.'
+          : 'Team rules have not been synced yet.';
+    }
+  });
+}
+
+function setSignInMode(mode) {
+  signInMode = mode;
+  document.getElementById('passwordField').hidden = mode !== 'password';
+  document.getElementById('signInBtn').textContent =
+    mode === 'password' ? 'Sign in' : 'Send magic link';
+  document.getElementById('toggleMode').textContent =
+    mode === 'password' ? 'Email me a magic link instead' : 'Sign in with a password instead';
+  showTeamFeedback();
+}
+
+document.getElementById('toggleMode').addEventListener('click', () => {
+  setSignInMode(signInMode === 'password' ? 'magic' : 'password');
+});
+
+document.getElementById('signInForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const email = document.getElementById('email').value.trim();
+  const password = document.getElementById('password').value;
+  showTeamFeedback();
+
+  if (signInMode === 'password') {
+    if (!email || !password.trim()) {
+      showTeamFeedback('Please enter both email and password.');
+      return;
+    }
+    const response = await sendAccountMessage(
+      { type: 'SIGN_IN', email, password },
+      document.getElementById('signInBtn')
+    );
+    if (!response.ok) showTeamFeedback(response.error || 'Failed to sign in. Please check your credentials.');
+    else document.getElementById('password').value = '';
+    return;
+  }
+
+  if (!email) {
+    showTeamFeedback('Please enter your email address.');
+    return;
+  }
+  const response = await sendAccountMessage(
+    { type: 'SEND_MAGIC_LINK', email, redirectTo: chrome.runtime.getURL('options/options.html') },
+    document.getElementById('signInBtn')
+  );
+  if (response.ok) showTeamFeedback(null, 'Check your email for a magic link to sign in.');
+  else showTeamFeedback(response.error || 'Failed to send magic link. Please try again.');
+});
+
+document.getElementById('joinForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const inviteCode = document.getElementById('inviteCode').value.trim();
+  showTeamFeedback();
+  if (!inviteCode) {
+    showTeamFeedback('Please enter your invite code.');
+    return;
+  }
+  const response = await sendAccountMessage(
+    { type: 'JOIN_TEAM', inviteCode },
+    document.getElementById('joinBtn')
+  );
+  if (response.ok) document.getElementById('inviteCode').value = '';
+  else showTeamFeedback(response.error || 'Failed to join the team. Please try again.');
+});
+
+document.getElementById('signOutBtn').addEventListener('click', async () => {
+  showTeamFeedback();
+  const response = await sendAccountMessage(
+    { type: 'SIGN_OUT' },
+    document.getElementById('signOutBtn')
+  );
+  if (!response.ok) showTeamFeedback(response.error || 'Failed to sign out. Please try again.');
+});
+
+// A magic link opens this page with the session (or an error) in the URL
+// fragment. Hand it to the service worker and drop it from the address bar.
+function completeMagicLink() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  if (!params.has('access_token') && !params.has('error_description')) return;
+  history.replaceState(null, '', location.pathname);
+
+  if (params.has('error_description')) {
+    showTeamFeedback(params.get('error_description'));
+    return;
+  }
+  chrome.runtime.sendMessage({
+    type: 'MAGIC_LINK_SESSION',
+    session: {
+      access_token: params.get('access_token'),
+      refresh_token: params.get('refresh_token'),
+      expires_at: params.get('expires_at'),
+      expires_in: params.get('expires_in'),
+    },
+  }, (response) => {
+    if (!response || !response.ok) {
+      showTeamFeedback((response && response.error) || 'Failed to sign in. Request a new magic link.');
+    }
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (Object.values(ACCOUNT_KEYS).some((key) => key in changes)) renderAccount();
+  if ('sourcefence_policies' in changes) renderTemplates();
+});
+
+renderAccount();
+completeMagicLink();
+
+// ---------------------------------------------------------------------------
+// Audit log
+//
+// Every candidate check the service worker recorded (see audit-log.js),
+// newest first, with what happened to its banner.
+// ---------------------------------------------------------------------------
+
+const AUDIT_PAGE_SIZE = 100;
+
+const BANNER_LABELS = {
+  not_shown: 'Not shown',
+  shown: 'Shown',
+  dismissed: 'Dismissed',
+  acknowledged: 'Acknowledged',
+};
+
+const AUDIT_CSV_COLUMNS = [
+  'timestamp', 'profile_url', 'public_id', 'location', 'company', 'severity',
+  'severity_label', 'rule_ids', 'exception_ids', 'banner', 'banner_at',
+];
+
+let auditShown = AUDIT_PAGE_SIZE;
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function auditRow(entry) {
+  const row = el('tr');
+
+  row.appendChild(el('td', 'audit-time', formatTime(entry.timestamp)));
+
+  const profile = el('td');
+  if (entry.profile_url) {
+    const link = el('a', null, entry.public_id || entry.profile_url);
+    link.href = entry.profile_url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    profile.appendChild(link);
+  }
+  row.appendChild(profile);
+
+  row.appendChild(el('td', null, [entry.location, entry.company].filter(Boolean).join(' · ')));
+
+  const result = el('td');
+  result.appendChild(el('span', 'severity-dot severity-dot--' + entry.severity));
+  result.appendChild(document.createTextNode(entry.severity_label));
+  if (entry.rule_ids.length) {
+    result.title = 'Rules: ' + entry.rule_ids.join(', ') +
+      (entry.exception_ids.length ? '\nExceptions: ' + entry.exception_ids.join(', ') : '');
+  }
+  row.appendChild(result);
+
+  const banner = el('td', 'audit-banner--' + entry.banner, BANNER_LABELS[entry.banner] || entry.banner);
+  if (entry.banner_at) banner.title = formatTime(entry.banner_at);
+  row.appendChild(banner);
+
+  return row;
+}
+
+async function renderAuditLog() {
+  const restrictedOnly = document.getElementById('auditRestrictedOnly').checked;
+  const body = document.getElementById('auditRows');
+  const all = await self.SourceFenceAuditLog.list();
+  const entries = restrictedOnly ? all.filter((entry) => entry.restricted) : all;
+
+  body.textContent = '';
+  entries.slice(0, auditShown).forEach((entry) => body.appendChild(auditRow(entry)));
+
+  document.getElementById('auditEmpty').hidden = entries.length > 0;
+  document.getElementById('auditTable').hidden = entries.length === 0;
+  document.getElementById('auditMore').hidden = entries.length <= auditShown;
+  document.getElementById('auditCount').textContent = all.length === 1
+    ? '1 check recorded.'
+    : all.length + ' checks recorded.';
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(' ') : value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+async function exportAuditLog() {
+  const entries = await self.SourceFenceAuditLog.list();
+  const lines = [AUDIT_CSV_COLUMNS.join(',')].concat(entries.map((entry) =>
+    AUDIT_CSV_COLUMNS.map((column) => {
+      const value = entry[column];
+      return csvCell((column === 'timestamp' || column === 'banner_at') && value
+        ? new Date(value).toISOString()
+        : value);
+    }).join(',')
+  ));
+
+  const url = URL.createObjectURL(new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'sourcefence-audit-log-' + new Date().toISOString().slice(0, 10) + '.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function loadRetention() {
+  chrome.storage.local.get('sourcefence_settings', (result) => {
+    const retention = self.SourceFenceAuditLog.retentionFrom(result.sourcefence_settings);
+    document.getElementById('auditDays').value = retention.days;
+    document.getElementById('auditMaxEntries').value = retention.maxEntries;
+  });
+}
+
+document.getElementById('auditSaveBtn').addEventListener('click', () => {
+  saveSettings({
+    audit_log_days: parseInt(document.getElementById('auditDays').value, 10),
+    audit_log_max_entries: parseInt(document.getElementById('auditMaxEntries').value, 10),
+  }, 'auditSavedMsg', (settings) => {
+    // Apply a shorter retention straight away
+    self.SourceFenceAuditLog.prune(self.SourceFenceAuditLog.retentionFrom(settings))
+      .then(renderAuditLog);
+    loadRetention();
+  });
+});
+
+document.getElementById('auditRestrictedOnly').addEventListener('change', () => {
+  auditShown = AUDIT_PAGE_SIZE;
+  renderAuditLog();
+});
+
+document.getElementById('auditMore').addEventListener('click', () => {
+  auditShown += AUDIT_PAGE_SIZE;
+  renderAuditLog();
+});
+
+document.getElementById('auditRefreshBtn').addEventListener('click', renderAuditLog);
+document.getElementById('auditExportBtn').addEventListener('click', exportAuditLog);
+
+document.getElementById('auditClearBtn').addEventListener('click', () => {
+  if (!confirm('Delete every entry in the audit log? Export it first if you need to keep a copy.')) return;
+  self.SourceFenceAuditLog.clear().then(renderAuditLog);
+});
+
+loadRetention();
+renderAuditLog();
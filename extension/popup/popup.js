@@ -2,7 +2,7 @@
  * SourceFence — Popup Script
  *
  * Manages the extension popup UI: displays current profile status,
- * renders and manages location/company restriction rules, and
+ * renders and manages location/company/title/education restriction rules, and
  * handles tab switching and rule CRUD.
  */
 (function () {
@@ -15,16 +15,96 @@
   var STORAGE_KEYS = {
     locationRules: 'sourcefence_location_rules',
     companyRules: 'sourcefence_company_rules',
-    settings: 'sourcefence_settings'
+    titleRules: 'sourcefence_title_rules',
+    educationRules: 'sourcefence_education_rules',
+    severityLevels: 'sourcefence_severity_levels',
+    policies: 'sourcefence_policies',
+    settings: 'sourcefence_settings',
+    auth: 'sourcefence_auth',
+    account: 'sourcefence_account',
+    sync: 'sourcefence_sync',
+    realtime: 'sourcefence_realtime'
   };
 
+  // Per-tab rule storage and id prefix
+  var RULE_TYPES = {
+    locations: { storageKey: STORAGE_KEYS.locationRules, prefix: 'lr_' },
+    companies: { storageKey: STORAGE_KEYS.companyRules, prefix: 'cr_' },
+    titles: { storageKey: STORAGE_KEYS.titleRules, prefix: 'tr_' },
+    schools: { storageKey: STORAGE_KEYS.educationRules, prefix: 'er_' }
+  };
+
+  var TAB_NAMES = Object.keys(RULE_TYPES);
+
+  // How long a team rule added by a sync is tagged "New" (mirrors
+  // NEW_RULE_DAYS in content/matcher.js)
+  var NEW_RULE_DAYS = 7;
+
   // -----------------------------------------------------------------------
   // State
   // -----------------------------------------------------------------------
 
-  var locationRules = [];
-  var companyRules = [];
+  var rulesByType = { locations: [], companies: [], titles: [], schools: [] };
   var activeTab = 'locations';
+  var scheduleFilter = { locations: 'all', companies: 'all' };
+  var teamSeverityLevels = [];
+  var policies = [];
+  var expandedPolicies = {};
+
+  // -----------------------------------------------------------------------
+  // Location match modes (mirrors MATCH_MODES in content/matcher.js)
+  // -----------------------------------------------------------------------
+
+  var MATCH_MODE_LABELS = {
+    substring: 'Contains',
+    word: 'Whole word',
+    exact: 'Exact',
+    regex: 'Regex'
+  };
+
+  var MATCH_MODE_HINTS = {
+    locations: {
+      substring: 'Matches any profile whose location contains this text.',
+      word: 'Matches only whole words, so "Oman" will not match "Romania".',
+      exact: 'Matches only when the whole location equals this text.',
+      regex: 'Case-insensitive regular expression. Commas are not treated as separators.'
+    },
+    titles: {
+      substring: 'Matches any title that contains this text.',
+      word: 'Matches only whole words, so "VP" will not match "MVP".',
+      exact: 'Matches only when the whole title equals this text.',
+      regex: 'Case-insensitive regular expression. Commas are not treated as separators.'
+    },
+    schools: {
+      substring: 'Matches any school whose name contains this text.',
+      word: 'Matches only whole words, so "MIT" will not match "Smith College".',
+      exact: 'Matches only when the whole school name equals this text.',
+      regex: 'Case-insensitive regular expression. Commas are not treated as separators.'
+    }
+  };
+
+  var TITLE_FIELD_LABELS = {
+    title: 'Job title',
+    headline: 'Headline'
+  };
+
+  // Rule schedules (mirrors scheduleState in content/matcher.js). Only
+  // location and company rules have start and expiry dates.
+  var SCHEDULED_TYPES = ['locations', 'companies'];
+
+  var SCHEDULE_LABELS = {
+    active: 'Active',
+    scheduled: 'Scheduled',
+    expired: 'Expired'
+  };
+
+  // Policies group location and company rules (mirrors policyState in
+  // content/matcher.js)
+  var POLICY_STATE_LABELS = {
+    active: 'Active',
+    inactive: 'Off',
+    expired: 'Expired'
+  };
 
   // -----------------------------------------------------------------------
   // DOM references
@@ -36,21 +116,27 @@
     dom.statusSection = document.getElementById('status-section');
     dom.statusPrimary = document.getElementById('status-primary');
     dom.statusDetail = document.getElementById('status-detail');
+    dom.statusReasons = document.getElementById('status-reasons');
     dom.statusBadge = document.getElementById('status-badge');
     dom.statsRules = document.getElementById('stats-rules');
 
-    dom.tabLocations = document.getElementById('tab-locations');
-    dom.tabCompanies = document.getElementById('tab-companies');
-    dom.panelLocations = document.getElementById('panel-locations');
-    dom.panelCompanies = document.getElementById('panel-companies');
-
-    dom.ruleListLocations = document.getElementById('rule-list-locations');
-    dom.ruleListCompanies = document.getElementById('rule-list-companies');
-
-    dom.addFormLocations = document.getElementById('add-form-locations');
-    dom.addFormCompanies = document.getElementById('add-form-companies');
+    dom.tabs = {};
+    dom.panels = {};
+    dom.ruleLists = {};
+    dom.addForms = {};
+    TAB_NAMES.forEach(function (type) {
+      dom.tabs[type] = document.getElementById('tab-' + type);
+      dom.panels[type] = document.getElementById('panel-' + type);
+      dom.ruleLists[type] = document.getElementById('rule-list-' + type);
+      dom.addForms[type] = document.getElementById('add-form-' + type);
+    });
 
     dom.settingsLink = document.getElementById('settings-link');
+    dom.syncStatus = document.getElementById('sync-status');
+    dom.syncNow = document.getElementById('sync-now');
+    dom.syncChanges = document.getElementById('sync-changes');
+    dom.syncLive = document.getElementById('sync-live');
+    dom.footerAccount = document.getElementById('footer-account');
   }
 
   // -----------------------------------------------------------------------
@@ -59,29 +145,149 @@
 
   function loadRules() {
     return new Promise(function (resolve) {
-      chrome.storage.local.get(
-        [STORAGE_KEYS.locationRules, STORAGE_KEYS.companyRules],
-        function (data) {
-          locationRules = Array.isArray(data[STORAGE_KEYS.locationRules])
-            ? data[STORAGE_KEYS.locationRules]
-            : [];
-          companyRules = Array.isArray(data[STORAGE_KEYS.companyRules])
-            ? data[STORAGE_KEYS.companyRules]
-            : [];
-          resolve();
-        }
-      );
+      var keys = TAB_NAMES.map(function (type) { return RULE_TYPES[type].storageKey; });
+      keys.push(STORAGE_KEYS.severityLevels, STORAGE_KEYS.policies);
+      chrome.storage.local.get(keys, function (data) {
+        TAB_NAMES.forEach(function (type) {
+          var stored = data[RULE_TYPES[type].storageKey];
+          rulesByType[type] = Array.isArray(stored) ? stored : [];
+        });
+        teamSeverityLevels = Array.isArray(data[STORAGE_KEYS.severityLevels])
+          ? data[STORAGE_KEYS.severityLevels]
+          : [];
+        policies = Array.isArray(data[STORAGE_KEYS.policies])
+          ? data[STORAGE_KEYS.policies]
+          : [];
+        resolve();
+      });
     });
   }
 
+  // -----------------------------------------------------------------------
+  // Severity levels (mirrors severityLevel in content/matcher.js): the
+  // bundled levels from data/severity-levels.js plus the team's own
+  // -----------------------------------------------------------------------
+
+  function severityLevels() {
+    var byKey = {};
+    var bundled = (window.SourceFenceSeverityLevels || {}).levels || [];
+    bundled.concat(teamSeverityLevels).forEach(function (level) {
+      if (level && typeof level.key === 'string' && typeof level.rank === 'number') {
+        byKey[level.key] = level;
+      }
+    });
+    return byKey;
+  }
+
+  function severityLevel(key) {
+    var byKey = severityLevels();
+    return byKey[key] ||
+      byKey[(window.SourceFenceSeverityLevels || {}).fallback] ||
+      { key: key, label: key, rank: 1, color: '#F59E0B' };
+  }
+
+  /**
+   * Fill the add-form severity selects with every level a rule can carry:
+   * restrictions strictest first, then positive levels.
+   */
+  function renderSeverityOptions() {
+    var byKey = severityLevels();
+    var levels = Object.keys(byKey)
+      .map(function (key) { return byKey[key]; })
+      .filter(function (level) { return level.rank !== 0; })
+      .sort(function (a, b) { return b.rank - a.rank; });
+
+    TAB_NAMES.forEach(function (type) {
+      var select = document.getElementById('severity-' + type);
+      var selected = select.value;
+      while (select.options.length > 1) select.remove(1);
+      levels.forEach(function (level) {
+        var option = document.createElement('option');
+        option.value = level.key;
+        option.textContent = level.label + (level.rank < 0 ? ' (positive)' : '');
+        select.appendChild(option);
+      });
+      // Keep a half-filled form's choice when the team's levels change
+      if (byKey[selected]) select.value = selected;
+    });
+  }
+
+  /** Tint the status card and badge with a level's color. */
+  function setStatusColor(color) {
+    dom.statusSection.style.borderLeftColor = color || '';
+    dom.statusBadge.style.background = color ? 'color-mix(in srgb, ' + color + ' 15%, white)' : '';
+    dom.statusBadge.style.color = color ? 'color-mix(in srgb, ' + color + ' 75%, black)' : '';
+  }
+
+  // -----------------------------------------------------------------------
+  // Rule schedules
+  // -----------------------------------------------------------------------
+
+  /**
+   * Milliseconds for a starts_at / expires_at value, or null. Date-only
+   * values are days in this computer's time zone; an expiry date lasts to
+   * the end of its day. Timestamps from the dashboard are exact instants.
+   */
+  function scheduleTime(value, isExpiry) {
+    if (!value) return null;
+    var day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    if (day) {
+      return new Date(+day[1], +day[2] - 1, +day[3] + (isExpiry ? 1 : 0)).getTime();
+    }
+    var time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  /** 'scheduled', 'active' or 'expired' */
+  function scheduleState(rule) {
+    var now = Date.now();
+    var expires = scheduleTime(rule.expires_at, true);
+    if (expires !== null && now >= expires) return 'expired';
+    var starts = scheduleTime(rule.starts_at, false);
+    if (starts !== null && now < starts) return 'scheduled';
+    return 'active';
+  }
+
+  /** The policy a rule belongs to, or null (also for unknown policy ids) */
+  function rulePolicy(rule) {
+    if (!rule.policy_id) return null;
+    for (var i = 0; i < policies.length; i++) {
+      if (policies[i] && policies[i].id === rule.policy_id) return policies[i];
+    }
+    return null;
+  }
+
+  /** 'active', 'inactive' or 'expired' */
+  function policyState(policy) {
+    if (!policy.active) return 'inactive';
+    var expires = scheduleTime(policy.expires_at, true);
+    if (expires !== null && Date.now() >= expires) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Format a starts_at / expires_at for display. An expiry timestamp is
+   * shown as the last day the rule applies.
+   */
+  function formatScheduleDate(value, isExpiry) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) return String(value).trim();
+    var time = scheduleTime(value, isExpiry);
+    if (time === null) return String(value);
+    return new Date(isExpiry ? time - 1 : time).toLocaleDateString();
+  }
+
   // -----------------------------------------------------------------------
   // Update stats bar
   // -----------------------------------------------------------------------
 
   function updateStatsCount() {
-    var activeCount =
-      locationRules.filter(function (r) { return r.active !== false; }).length +
-      companyRules.filter(function (r) { return r.active !== false; }).length;
+    var activeCount = TAB_NAMES.reduce(function (count, type) {
+      return count + rulesByType[type].filter(function (r) {
+        var policy = rulePolicy(r);
+        return r.active !== false && scheduleState(r) === 'active' &&
+          (!policy || policyState(policy) === 'active');
+      }).length;
+    }, 0);
     dom.statsRules.textContent = activeCount + ' rule' + (activeCount !== 1 ? 's' : '') + ' active';
   }
 
@@ -90,11 +296,24 @@
   // -----------------------------------------------------------------------
 
   function renderRules(type) {
-    var rules = type === 'locations' ? locationRules : companyRules;
-    var listEl = type === 'locations' ? dom.ruleListLocations : dom.ruleListCompanies;
+    var filter = scheduleFilter[type] || 'all';
+    var rules = rulesByType[type].filter(function (r) {
+      return filter === 'all' || scheduleState(r) === filter;
+    });
+    var listEl = dom.ruleLists[type];
 
     listEl.innerHTML = '';
 
+    if (rules.length === 0 && rulesByType[type].length > 0) {
+      var noneEl = document.createElement('li');
+      noneEl.className = 'rule-list__empty';
+      noneEl.innerHTML =
+        '<strong>No ' + SCHEDULE_LABELS[filter].toLowerCase() + ' rules</strong><br>' +
+        '<span class="rule-list__empty-hint">Choose "All rules" above to see the rest.</span>';
+      listEl.appendChild(noneEl);
+      return;
+    }
+
     if (rules.length === 0) {
       var emptyEl = document.createElement('li');
       emptyEl.className = 'rule-list__empty';
@@ -103,64 +322,288 @@
         emptyEl.innerHTML =
           '<strong>No location rules yet</strong><br>' +
           '<span class="rule-list__empty-hint">Add a rule below to flag candidates from specific locations. ' +
-          'For example, add "India" as Red to restrict sourcing from that market.</span>';
+          'For example, add "India" as Restricted to restrict sourcing from that market.</span>';
+      } else if (type === 'schools') {
+        emptyEl.innerHTML =
+          '<strong>No education rules yet</strong><br>' +
+          '<span class="rule-list__empty-hint">Add a rule below to flag students and recent graduates of specific schools. ' +
+          'For example, add "Stanford" as Restricted for graduates within 2 years.</span>';
+      } else if (type === 'titles') {
+        emptyEl.innerHTML =
+          '<strong>No title rules yet</strong><br>' +
+          '<span class="rule-list__empty-hint">Add a rule below to flag candidates in specific roles. ' +
+          'For example, add "VP, Vice President" as Restricted with company "Acme Corp".</span>';
       } else {
         emptyEl.innerHTML =
           '<strong>No company rules yet</strong><br>' +
           '<span class="rule-list__empty-hint">Add a rule below to flag candidates at specific companies. ' +
-          'For example, add "Acme Corp" as Red for a non-solicit agreement.</span>';
+          'For example, add "Acme Corp" as Restricted for a non-solicit agreement.</span>';
       }
       listEl.appendChild(emptyEl);
       return;
     }
 
+    // Rules in a policy are listed under it, collapsed; the rest follow
+    var groups = [];
+    var byPolicy = {};
+    var loose = [];
     rules.forEach(function (rule) {
-      var li = document.createElement('li');
-      li.className = 'rule-item';
-
-      // Severity dot
-      var dot = document.createElement('span');
-      dot.className = 'rule-item__severity rule-item__severity--' + rule.severity;
-      li.appendChild(dot);
-
-      // Content wrapper
-      var content = document.createElement('div');
-      content.className = 'rule-item__content';
-
-      var pattern = document.createElement('span');
-      pattern.className = 'rule-item__pattern';
-      pattern.textContent = rule.pattern;
-      content.appendChild(pattern);
-
-      if (rule.message) {
-        var message = document.createElement('p');
-        message.className = 'rule-item__message';
-        message.textContent = rule.message;
-        content.appendChild(message);
+      var policy = rulePolicy(rule);
+      if (!policy) {
+        loose.push(rule);
+        return;
       }
-
-      if (rule.expires_at) {
-        var expiry = document.createElement('p');
-        expiry.className = 'rule-item__expiry';
-        expiry.textContent = 'Expires: ' + rule.expires_at;
-        content.appendChild(expiry);
+      if (!byPolicy[policy.id]) {
+        byPolicy[policy.id] = { policy: policy, rules: [] };
+        groups.push(byPolicy[policy.id]);
       }
+      byPolicy[policy.id].rules.push(rule);
+    });
 
-      li.appendChild(content);
+    groups.forEach(function (group) {
+      listEl.appendChild(buildPolicyGroup(type, group.policy, group.rules));
+    });
+    loose.forEach(function (rule) {
+      listEl.appendChild(buildRuleItem(type, rule));
+    });
+  }
 
-      // Delete button
-      var deleteBtn = document.createElement('button');
-      deleteBtn.className = 'rule-item__delete';
-      deleteBtn.textContent = '\u00D7';
-      deleteBtn.title = 'Delete rule';
-      deleteBtn.setAttribute('aria-label', 'Delete rule: ' + rule.pattern);
-      deleteBtn.addEventListener('click', function () {
-        deleteRule(type, rule.id);
-      });
-      li.appendChild(deleteBtn);
+  /**
+   * One rule in a tab's list: its severity dot, pattern, schedule and
+   * options, and a delete button.
+   */
+  function buildRuleItem(type, rule) {
+    var li = document.createElement('li');
+    li.className = 'rule-item';
+
+    // Severity dot
+    var dot = document.createElement('span');
+    var level = severityLevel(rule.severity);
+    dot.className = 'rule-item__severity';
+    dot.style.background = level.color;
+    dot.title = level.label;
+    li.appendChild(dot);
+
+    // Content wrapper
+    var content = document.createElement('div');
+    content.className = 'rule-item__content';
+
+    var pattern = document.createElement('span');
+    pattern.className = 'rule-item__pattern';
+    pattern.textContent = rule.pattern;
+    content.appendChild(pattern);
+
+    if (type !== 'companies' && rule.match_mode && rule.match_mode !== 'substring') {
+      var mode = document.createElement('span');
+      mode.className = 'rule-item__mode';
+      mode.textContent = MATCH_MODE_LABELS[rule.match_mode] || rule.match_mode;
+      content.appendChild(mode);
+    }
+
+    var state = scheduleState(rule);
+    if (state !== 'active') {
+      var stateEl = document.createElement('span');
+      stateEl.className = 'rule-item__mode rule-item__schedule--' + state;
+      stateEl.textContent = SCHEDULE_LABELS[state];
+      content.appendChild(stateEl);
+    }
+
+    if (type === 'titles') {
+      var scope = document.createElement('p');
+      scope.className = 'rule-item__expiry';
+      scope.textContent = (TITLE_FIELD_LABELS[rule.field] || TITLE_FIELD_LABELS.title) +
+        (rule.company_pattern ? ' at ' + rule.company_pattern : ' at any company');
+      content.appendChild(scope);
+    }
+
+    if (type === 'schools') {
+      var graduated = document.createElement('p');
+      graduated.className = 'rule-item__expiry';
+      graduated.textContent = rule.graduated_within_years
+        ? 'Students and graduates from the last ' + rule.graduated_within_years +
+          ' year' + (rule.graduated_within_years !== 1 ? 's' : '')
+        : 'All students and alumni';
+      content.appendChild(graduated);
+    }
+
+    if (rule.message) {
+      var message = document.createElement('p');
+      message.className = 'rule-item__message';
+      message.textContent = rule.message;
+      content.appendChild(message);
+    }
+
+    if (rule.starts_at) {
+      var starts = document.createElement('p');
+      starts.className = 'rule-item__expiry';
+      starts.textContent = 'Starts: ' + formatScheduleDate(rule.starts_at, false);
+      content.appendChild(starts);
+    }
 
-      listEl.appendChild(li);
+    if (rule.expires_at) {
+      var expiry = document.createElement('p');
+      expiry.className = 'rule-item__expiry';
+      expiry.textContent = 'Expires: ' + formatScheduleDate(rule.expires_at, true);
+      content.appendChild(expiry);
+    }
+
+    if (rule.include_subsidiaries) {
+      var family = document.createElement('p');
+      family.className = 'rule-item__expiry';
+      family.textContent = 'Includes subsidiaries';
+      content.appendChild(family);
+    }
+
+    if (rule.allow_reverse_match === false) {
+      var reverse = document.createElement('p');
+      reverse.className = 'rule-item__expiry';
+      reverse.textContent = 'Only employers containing the full name';
+      content.appendChild(reverse);
+    }
+
+    if (rule.linkedin_company_ids && rule.linkedin_company_ids.length) {
+      var pages = document.createElement('p');
+      pages.className = 'rule-item__expiry';
+      pages.textContent = 'LinkedIn page: ' + rule.linkedin_company_ids.join(', ');
+      content.appendChild(pages);
+    }
+
+    if (rule.lookback_months) {
+      var lookback = document.createElement('p');
+      lookback.className = 'rule-item__expiry';
+      lookback.textContent = 'Includes former employees (left within ' + rule.lookback_months + ' months)';
+      content.appendChild(lookback);
+    }
+
+    li.appendChild(content);
+
+    // Team rules are managed in the dashboard and come back on the next sync
+    if (rule.source === 'remote') {
+      var isNew = typeof rule.added_at === 'number' &&
+        Date.now() - rule.added_at < NEW_RULE_DAYS * 24 * 60 * 60 * 1000;
+      var team = document.createElement('span');
+      team.className = 'rule-item__mode rule-item__team';
+      team.textContent = isNew ? 'New' : 'Team';
+      team.title = (isNew ? 'Added by your team ' + formatSyncAge(rule.added_at) + '. ' : '') +
+        'Managed in the team dashboard';
+      li.appendChild(team);
+      return li;
+    }
+
+    // Delete button
+    var deleteBtn = document.createElement('button');
+    deleteBtn.className = 'rule-item__delete';
+    deleteBtn.textContent = '\u00D7';
+    deleteBtn.title = 'Delete rule';
+    deleteBtn.setAttribute('aria-label', 'Delete rule: ' + rule.pattern);
+    deleteBtn.addEventListener('click', function () {
+      deleteRule(type, rule.id);
     });
+    li.appendChild(deleteBtn);
+
+    return li;
+  }
+
+  /**
+   * A collapsed policy with its rules. Whether it is expanded is kept
+   * across re-renders.
+   */
+  function buildPolicyGroup(type, policy, rules) {
+    var li = document.createElement('li');
+    li.className = 'policy-group';
+
+    var details = document.createElement('details');
+    details.open = !!expandedPolicies[policy.id];
+    details.addEventListener('toggle', function () {
+      expandedPolicies[policy.id] = details.open;
+    });
+
+    var summary = document.createElement('summary');
+    summary.className = 'policy-group__summary';
+
+    var name = document.createElement('span');
+    name.className = 'policy-group__name';
+    name.textContent = policy.name;
+    summary.appendChild(name);
+
+    var state = policyState(policy);
+    if (state !== 'active') {
+      var stateEl = document.createElement('span');
+      stateEl.className = 'rule-item__mode policy-group__state--' + state;
+      stateEl.textContent = POLICY_STATE_LABELS[state];
+      summary.appendChild(stateEl);
+    }
+
+    var count = document.createElement('span');
+    count.className = 'policy-group__count';
+    count.textContent = rules.length + ' rule' + (rules.length !== 1 ? 's' : '');
+    summary.appendChild(count);
+    details.appendChild(summary);
+
+    if (policy.description || policy.expires_at) {
+      var about = document.createElement('p');
+      about.className = 'policy-group__description';
+      about.textContent = [
+        policy.description || '',
+        policy.expires_at ? 'Expires: ' + formatScheduleDate(policy.expires_at, true) : ''
+      ].filter(Boolean).join(' \u00B7 ');
+      details.appendChild(about);
+    }
+
+    var list = document.createElement('ul');
+    list.className = 'policy-group__rules';
+    rules.forEach(function (rule) {
+      list.appendChild(buildRuleItem(type, rule));
+    });
+    details.appendChild(list);
+
+    li.appendChild(details);
+    return li;
+  }
+
+  // -----------------------------------------------------------------------
+  // Pattern validation
+  // -----------------------------------------------------------------------
+
+  /**
+   * Return an error message if the pattern is not a valid regular
+   * expression, or null if it compiles.
+   */
+  function validateRegex(pattern) {
+    try {
+      new RegExp(pattern, 'i');
+      return null;
+    } catch (err) {
+      return 'Invalid regular expression: ' + err.message;
+    }
+  }
+
+  function setPatternError(type, message) {
+    var errorEl = document.getElementById('error-' + type);
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.hidden = !message;
+  }
+
+  function setScheduleError(type, message) {
+    var errorEl = document.getElementById('schedule-error-' + type);
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.hidden = !message;
+  }
+
+  /**
+   * Parse a comma-separated list of LinkedIn company page URLs or bare IDs
+   * into lowercased IDs, e.g. "linkedin.com/company/apex-systems/" becomes
+   * "apex-systems".
+   */
+  function parseCompanyIds(text) {
+    return text.split(',').map(function (part) {
+      var id = part.trim();
+      var match = id.match(/\/company\/([^\/?#]+)/i);
+      if (match) id = match[1];
+      return id.replace(/\/+$/, '').toLowerCase();
+    }).filter(function (id) { return id !== ''; });
   }
 
   // -----------------------------------------------------------------------
@@ -186,9 +629,34 @@
       return;
     }
 
-    var prefix = type === 'locations' ? 'lr_' : 'cr_';
+    var matchMode = null;
+    if (type !== 'companies') {
+      matchMode = document.getElementById('match-mode-' + type).value || 'substring';
+      var regexError = matchMode === 'regex' ? validateRegex(pattern) : null;
+      setPatternError(type, regexError);
+      if (regexError) {
+        patternInput.focus();
+        return;
+      }
+    }
+
+    var startsValue = '';
+    var expiryValue = '';
+    if (SCHEDULED_TYPES.indexOf(type) !== -1) {
+      startsValue = document.getElementById('starts-' + type).value;
+      expiryValue = document.getElementById('expiry-' + type).value;
+      var scheduleError = startsValue && expiryValue && startsValue > expiryValue
+        ? 'The start date must be on or before the expiry date.'
+        : null;
+      setScheduleError(type, scheduleError);
+      if (scheduleError) {
+        document.getElementById('starts-' + type).focus();
+        return;
+      }
+    }
+
     var rule = {
-      id: prefix + Date.now(),
+      id: RULE_TYPES[type].prefix + Date.now(),
       pattern: pattern,
       severity: severity,
       message: message,
@@ -196,56 +664,120 @@
       source: 'local'
     };
 
-    // Add optional expiry for company rules
+    if (matchMode) {
+      rule.match_mode = matchMode;
+    }
+
+    // Optional schedule for location and company rules. Stored as dates so
+    // they follow the recruiter's own time zone.
+    if (startsValue) {
+      rule.starts_at = startsValue;
+    }
+    if (expiryValue) {
+      rule.expires_at = expiryValue;
+    }
+
     if (type === 'companies') {
-      var expiryInput = document.getElementById('expiry-companies');
-      var expiryValue = expiryInput.value;
-      if (expiryValue) {
-        rule.expires_at = expiryValue;
+      var lookbackValue = parseInt(document.getElementById('lookback-companies').value, 10);
+      if (lookbackValue > 0) {
+        rule.lookback_months = lookbackValue;
+      }
+
+      if (document.getElementById('subsidiaries-companies').value === 'include') {
+        rule.include_subsidiaries = true;
+      }
+
+      if (document.getElementById('reverse-companies').value === 'off') {
+        rule.allow_reverse_match = false;
+      }
+
+      var companyIds = parseCompanyIds(document.getElementById('linkedin-companies').value);
+      if (companyIds.length > 0) {
+        rule.linkedin_company_ids = companyIds;
       }
     }
 
-    var storageKey = type === 'locations' ? STORAGE_KEYS.locationRules : STORAGE_KEYS.companyRules;
-    var rules = type === 'locations' ? locationRules : companyRules;
-    rules.push(rule);
+    // Title rules: which text to test, and an optional employer restriction
+    if (type === 'titles') {
+      rule.field = document.getElementById('field-titles').value || 'title';
+      var companyPattern = document.getElementById('company-titles').value.trim();
+      if (companyPattern) {
+        rule.company_pattern = companyPattern;
+      }
+    }
 
-    var update = {};
-    update[storageKey] = rules;
+    // Education rules: optional "graduated within N years" window
+    if (type === 'schools') {
+      var withinValue = parseInt(document.getElementById('graduated-schools').value, 10);
+      if (withinValue > 0) {
+        rule.graduated_within_years = withinValue;
+      }
+    }
 
-    chrome.storage.local.set(update, function () {
-      renderRules(type);
-      updateStatsCount();
+    updateRules(type, function (rules) {
+      return rules.concat([rule]);
     });
 
     // Clear form
     patternInput.value = '';
     severityInput.value = '';
     messageInput.value = '';
+    if (SCHEDULED_TYPES.indexOf(type) !== -1) {
+      document.getElementById('starts-' + type).value = '';
+      document.getElementById('expiry-' + type).value = '';
+    }
     if (type === 'companies') {
-      document.getElementById('expiry-companies').value = '';
+      document.getElementById('lookback-companies').value = '';
+      document.getElementById('subsidiaries-companies').value = '';
+      document.getElementById('linkedin-companies').value = '';
+      document.getElementById('reverse-companies').value = '';
+    } else {
+      document.getElementById('match-mode-' + type).value = 'substring';
+      updateMatchModeHint(type);
+    }
+    if (type === 'titles') {
+      document.getElementById('field-titles').value = 'title';
+      document.getElementById('company-titles').value = '';
+    }
+    if (type === 'schools') {
+      document.getElementById('graduated-schools').value = '';
     }
   }
 
+  function updateMatchModeHint(type) {
+    var mode = document.getElementById('match-mode-' + type).value;
+    var hints = MATCH_MODE_HINTS[type];
+    document.getElementById('hint-' + type).textContent = hints[mode] || hints.substring;
+    setPatternError(type, null);
+  }
+
   // -----------------------------------------------------------------------
   // Delete rule
   // -----------------------------------------------------------------------
 
   function deleteRule(type, id) {
-    var storageKey = type === 'locations' ? STORAGE_KEYS.locationRules : STORAGE_KEYS.companyRules;
-
-    if (type === 'locations') {
-      locationRules = locationRules.filter(function (r) { return r.id !== id; });
-    } else {
-      companyRules = companyRules.filter(function (r) { return r.id !== id; });
-    }
+    updateRules(type, function (rules) {
+      return rules.filter(function (r) { return r.id !== id; });
+    });
+  }
 
-    var rules = type === 'locations' ? locationRules : companyRules;
-    var update = {};
-    update[storageKey] = rules;
+  // -----------------------------------------------------------------------
+  // Save rules: applies the change to what is in storage now, not to the
+  // copy loaded when the popup opened, so team rules a sync wrote in the
+  // meantime are kept
+  // -----------------------------------------------------------------------
 
-    chrome.storage.local.set(update, function () {
-      renderRules(type);
-      updateStatsCount();
+  function updateRules(type, change) {
+    var storageKey = RULE_TYPES[type].storageKey;
+    chrome.storage.local.get(storageKey, function (data) {
+      var stored = Array.isArray(data[storageKey]) ? data[storageKey] : [];
+      var update = {};
+      update[storageKey] = change(stored);
+      chrome.storage.local.set(update, function () {
+        rulesByType[type] = update[storageKey];
+        renderRules(type);
+        updateStatsCount();
+      });
     });
   }
 
@@ -279,27 +811,35 @@
 
     // Set severity if match result is present
     if (data.severity) {
-      setStatusSeverity(data.severity, data.message);
+      setStatusSeverity(data.severity, data.message, data);
     } else {
       setStatusSeverity('green', '');
     }
   }
 
-  function setStatusSearch(flaggedCount, redCount, amberCount, totalCards) {
+  /**
+   * @param {number} flaggedCount - cards with a badge
+   * @param {Array}  levelCounts - { key, label, rank, color, count } per
+   *   severity level, highest first (see search-annotator.js)
+   * @param {number} totalCards
+   */
+  function setStatusSearch(flaggedCount, levelCounts, totalCards) {
+    levelCounts = levelCounts || [];
     if (flaggedCount > 0) {
       dom.statusPrimary.textContent = 'Search results scanned';
 
-      var parts = [];
-      if (redCount > 0) parts.push(redCount + ' restricted');
-      if (amberCount > 0) parts.push(amberCount + ' caution');
+      var parts = levelCounts.map(function (c) {
+        return c.count + ' ' + c.label.toLowerCase();
+      });
       dom.statusDetail.textContent = parts.join(', ') + ' of ' + totalCards + ' candidates flagged';
 
       // Use the highest severity for the card color
-      var severity = redCount > 0 ? 'red' : 'amber';
-      dom.statusSection.className = 'status-card status-card--' + severity;
-      dom.statusBadge.className = 'severity-badge severity-badge--' + severity;
+      dom.statusSection.className = 'status-card';
+      dom.statusBadge.className = 'severity-badge';
+      setStatusColor(levelCounts.length > 0 ? levelCounts[0].color : '');
       dom.statusBadge.textContent = flaggedCount + ' flagged';
     } else {
+      setStatusColor('');
       dom.statusPrimary.textContent = 'Search results scanned';
       dom.statusDetail.textContent = totalCards
         ? totalCards + ' candidates checked \u2014 no restrictions found'
@@ -313,16 +853,63 @@
   function setStatusNeutral(text) {
     dom.statusPrimary.textContent = text;
     dom.statusDetail.textContent = '';
+    renderReasons(null);
+    setStatusColor('');
     dom.statusSection.className = 'status-card status-card--neutral';
     dom.statusBadge.className = 'severity-badge severity-badge--hidden';
     dom.statusBadge.textContent = '';
   }
 
-  function setStatusSeverity(severity, message) {
-    dom.statusSection.className = 'status-card status-card--' + severity;
+  /**
+   * List why the candidate was flagged: the winning rule first, then any
+   * other rules that also matched.
+   * @param {Object|null} result - matcher explanation ({ winner, matches })
+   */
+  function renderReasons(result) {
+    dom.statusReasons.textContent = '';
+    if (!result) return;
+
+    // The result arrives as a structured clone, so the winner is compared
+    // by content rather than identity.
+    var winner = result.winner;
+    var reasons = winner ? [winner.reason] : [];
+    (result.matches || []).forEach(function (m) {
+      if (m.reason && !(winner && m.rule_id === winner.rule_id && m.reason === winner.reason)) {
+        reasons.push(m.reason);
+      }
+    });
+    (result.exceptions || []).forEach(function (e) {
+      if (e.reason) reasons.push(e.reason);
+    });
+    (result.notes || []).forEach(function (note) {
+      reasons.push(note);
+    });
+    (result.suggestions || []).forEach(function (s) {
+      if (s.reason) reasons.push(s.reason);
+    });
+
+    reasons.forEach(function (reason) {
+      var li = document.createElement('li');
+      li.className = 'status-card__reason';
+      li.textContent = reason;
+      dom.statusReasons.appendChild(li);
+    });
+  }
 
-    dom.statusBadge.className = 'severity-badge severity-badge--' + severity;
-    dom.statusBadge.textContent = severity.charAt(0).toUpperCase() + severity.slice(1);
+  function setStatusSeverity(severity, message, result) {
+    // The matcher sends the level with the result; the popup's own table
+    // is the fallback
+    var level = (result && result.level) || severityLevel(severity);
+    if (severity === 'green') {
+      setStatusColor('');
+      dom.statusSection.className = 'status-card status-card--green';
+      dom.statusBadge.className = 'severity-badge severity-badge--green';
+    } else {
+      dom.statusSection.className = 'status-card';
+      dom.statusBadge.className = 'severity-badge';
+      setStatusColor(level.color);
+    }
+    dom.statusBadge.textContent = level.label;
 
     if (message) {
       // Append the match message to detail if it differs from current detail
@@ -333,6 +920,8 @@
         dom.statusDetail.textContent = message;
       }
     }
+
+    renderReasons(result);
   }
 
   // -----------------------------------------------------------------------
@@ -342,15 +931,12 @@
   function switchTab(tab) {
     activeTab = tab;
 
-    var isLocations = tab === 'locations';
-
-    dom.tabLocations.classList.toggle('tabs__tab--active', isLocations);
-    dom.tabCompanies.classList.toggle('tabs__tab--active', !isLocations);
-    dom.tabLocations.setAttribute('aria-selected', String(isLocations));
-    dom.tabCompanies.setAttribute('aria-selected', String(!isLocations));
-
-    dom.panelLocations.classList.toggle('tab-panel--hidden', !isLocations);
-    dom.panelCompanies.classList.toggle('tab-panel--hidden', isLocations);
+    TAB_NAMES.forEach(function (type) {
+      var isActive = type === tab;
+      dom.tabs[type].classList.toggle('tabs__tab--active', isActive);
+      dom.tabs[type].setAttribute('aria-selected', String(isActive));
+      dom.panels[type].classList.toggle('tab-panel--hidden', !isActive);
+    });
   }
 
   // -----------------------------------------------------------------------
@@ -395,11 +981,11 @@
       if (isSearchPageUrl(url)) {
         chrome.tabs.sendMessage(tab.id, { type: 'GET_SEARCH_STATUS' }, function (response) {
           if (chrome.runtime.lastError || !response || response.type !== 'SEARCH_STATUS') {
-            setStatusSearch(0, 0, 0);
+            setStatusSearch(0, [], 0);
             return;
           }
           var d = response.data;
-          setStatusSearch(d.flaggedCount, d.redCount, d.amberCount, d.totalCards);
+          setStatusSearch(d.flaggedCount, d.levelCounts, d.totalCards);
         });
         return;
       }
@@ -434,7 +1020,7 @@
 
       if (message.type === 'MATCH_RESULT') {
         if (message.data && message.data.severity) {
-          setStatusSeverity(message.data.severity, message.data.message);
+          setStatusSeverity(message.data.severity, message.data.message, message.data);
         }
       }
     });
@@ -445,24 +1031,32 @@
   // -----------------------------------------------------------------------
 
   function bindEvents() {
-    // Tab switching
-    dom.tabLocations.addEventListener('click', function () {
-      switchTab('locations');
-    });
+    TAB_NAMES.forEach(function (type) {
+      // Tab switching
+      dom.tabs[type].addEventListener('click', function () {
+        switchTab(type);
+      });
 
-    dom.tabCompanies.addEventListener('click', function () {
-      switchTab('companies');
-    });
+      // Add rule forms
+      dom.addForms[type].addEventListener('submit', function (e) {
+        e.preventDefault();
+        addRule(type);
+      });
 
-    // Add rule forms
-    dom.addFormLocations.addEventListener('submit', function (e) {
-      e.preventDefault();
-      addRule('locations');
-    });
+      var modeSelect = document.getElementById('match-mode-' + type);
+      if (modeSelect) {
+        modeSelect.addEventListener('change', function () {
+          updateMatchModeHint(type);
+        });
+      }
 
-    dom.addFormCompanies.addEventListener('submit', function (e) {
-      e.preventDefault();
-      addRule('companies');
+      var filterSelect = document.getElementById('filter-' + type);
+      if (filterSelect) {
+        filterSelect.addEventListener('change', function () {
+          scheduleFilter[type] = filterSelect.value;
+          renderRules(type);
+        });
+      }
     });
 
     // Settings link
@@ -470,6 +1064,105 @@
       e.preventDefault();
       chrome.runtime.openOptionsPage();
     });
+
+    dom.syncNow.addEventListener('click', syncNow);
+  }
+
+  // -----------------------------------------------------------------------
+  // Team sync status
+  // -----------------------------------------------------------------------
+
+  function formatSyncAge(timestamp) {
+    var minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return minutes + ' min ago';
+    var hours = Math.floor(minutes / 60);
+    if (hours < 24) return hours + ' h ago';
+    return new Date(timestamp).toLocaleDateString();
+  }
+
+  /**
+   * "3 rules added, 1 removed", from the counts the latest sync stored;
+   * empty when it changed nothing.
+   */
+  function formatSyncChanges(changes) {
+    if (!changes) return '';
+    var parts = [
+      [changes.added, 'added'],
+      [changes.updated, 'changed'],
+      [changes.removed, 'removed']
+    ].filter(function (part) { return part[0] > 0; });
+    return parts.map(function (part, i) {
+      var noun = i > 0 ? '' : part[0] === 1 ? ' rule' : ' rules';
+      return part[0] + noun + ' ' + part[1];
+    }).join(', ');
+  }
+
+  /**
+   * "Live" while the service worker's Realtime channel is joined, so rule
+   * changes arrive as they are saved; "Stale" otherwise, when they only
+   * arrive with the next 15-minute pull.
+   */
+  function renderLiveIndicator(realtime) {
+    var live = realtime.status === 'live';
+    dom.syncLive.textContent = live ? 'Live' : 'Stale';
+    dom.syncLive.className = 'sync-live sync-live--' + (live ? 'live' : 'stale');
+    if (live) {
+      dom.syncLive.title = 'Rule changes arrive as soon as your team saves them';
+    } else if (realtime.status === 'stale' || realtime.status === 'connecting') {
+      dom.syncLive.title = 'Reconnecting for live updates. Until then, rules are pulled every 15 minutes.';
+    } else {
+      dom.syncLive.title = 'Live updates run while a LinkedIn tab is open. Until then, rules are pulled every 15 minutes.';
+    }
+  }
+
+  function renderSyncStatus() {
+    var keys = [STORAGE_KEYS.auth, STORAGE_KEYS.account, STORAGE_KEYS.sync, STORAGE_KEYS.realtime];
+    chrome.storage.local.get(keys, function (data) {
+      var sync = data[STORAGE_KEYS.sync] || {};
+      var account = data[STORAGE_KEYS.account] || {};
+      var signedIn = !!data[STORAGE_KEYS.auth];
+      var onTeam = signedIn && !!account.company_id;
+
+      // Footer: the team and role the extension is connected as
+      dom.footerAccount.hidden = !onTeam;
+      dom.footerAccount.textContent = onTeam
+        ? (account.company_name || 'Team') + ' \u00B7 ' + (account.role === 'admin' ? 'Admin' : 'Member')
+        : '';
+      dom.footerAccount.title = onTeam ? 'Signed in as ' + data[STORAGE_KEYS.auth].user.email : '';
+
+      dom.syncNow.hidden = !onTeam;
+      dom.syncLive.hidden = !onTeam;
+      if (onTeam) renderLiveIndicator(data[STORAGE_KEYS.realtime] || {});
+      var changes = onTeam && !sync.last_error ? formatSyncChanges(sync.last_changes) : '';
+      dom.syncChanges.hidden = !changes;
+      dom.syncChanges.textContent = changes ? changes + ' since your last sync' : '';
+      if (!signedIn) {
+        dom.syncStatus.textContent = sync.last_error || 'Not connected to a team. Sign in from Settings.';
+      } else if (!onTeam) {
+        dom.syncStatus.textContent = 'Join your team from Settings to sync its rules';
+      } else if (sync.last_error) {
+        dom.syncStatus.textContent = 'Team sync failed: ' + sync.last_error;
+      } else if (sync.last_sync_timestamp) {
+        dom.syncStatus.textContent = 'Team rules synced ' + formatSyncAge(sync.last_sync_timestamp);
+      } else {
+        dom.syncStatus.textContent = 'Team rules not synced yet';
+      }
+    });
+  }
+
+  function syncNow() {
+    dom.syncNow.disabled = true;
+    dom.syncStatus.textContent = 'Syncing team rules\u2026';
+    chrome.runtime.sendMessage({ type: 'SYNC_NOW' }, function () {
+      dom.syncNow.disabled = false;
+      loadRules().then(function () {
+        renderSeverityOptions();
+        TAB_NAMES.forEach(renderRules);
+        updateStatsCount();
+        renderSyncStatus();
+      });
+    });
   }
 
   // -----------------------------------------------------------------------
@@ -483,10 +1176,30 @@
 
     // Load data and render
     loadRules().then(function () {
-      renderRules('locations');
-      renderRules('companies');
+      renderSeverityOptions();
+      TAB_NAMES.forEach(renderRules);
       updateStatsCount();
       queryActiveTab();
     });
+    renderSyncStatus();
+
+    // The service worker updates these while the popup is open, including
+    // team rules pushed over Realtime
+    var ruleKeys = TAB_NAMES.map(function (type) { return RULE_TYPES[type].storageKey; })
+      .concat([STORAGE_KEYS.severityLevels, STORAGE_KEYS.policies]);
+    chrome.storage.onChanged.addListener(function (changes, areaName) {
+      if (areaName !== 'local') return;
+      if (STORAGE_KEYS.sync in changes || STORAGE_KEYS.realtime in changes) {
+        renderSyncStatus();
+      }
+      var rulesChanged = ruleKeys.some(function (key) { return key in changes; });
+      if (rulesChanged) {
+        loadRules().then(function () {
+          if (STORAGE_KEYS.severityLevels in changes) renderSeverityOptions();
+          TAB_NAMES.forEach(renderRules);
+          updateStatsCount();
+        });
+      }
+    });
   });
 })();
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * SourceFence — Matcher Benchmark
+ *
+ * Times a search results page (25 cards, each checked for its current
+ * employer and two more companies, as search-annotator.js does) against a
+ * large generated rule set, with the matcher's rule indexes on and off, and
+ * checks that both give the same results.
+ *
+ * Usage:
+ *   node scripts/benchmark-matcher.js [companyRules] [locationRules]
+ *
+ * Defaults to 5000 company rules and 1000 location rules. No dependencies:
+ * the extension's data files and matcher are loaded with a stubbed
+ * `window` and `chrome.storage`.
+ */
+'use strict';
+
+var path = require('path');
+
+var COMPANY_RULES = parseInt(process.argv[2], 10) || 5000;
+var LOCATION_RULES = parseInt(process.argv[3], 10) || 1000;
+var CARDS = 25;
+var PAGES = 20;
+
+// Deterministic pseudo-random numbers so every run uses the same rules
+var seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+var SYLLABLES = ['ac', 'bel', 'cor', 'dyn', 'ex', 'fal', 'gen', 'hal', 'in', 'jor',
+  'kel', 'lum', 'mar', 'nov', 'or', 'pax', 'quin', 'ros', 'sol', 'tor', 'ul', 'vex',
+  'wen', 'xan', 'yor', 'zel'];
+var SUFFIXES = ['', ' Inc', ' Ltd', ' GmbH', ' Holdings', ' Group', ' Systems', ' Capital',
+  ' S.A.', ' Technologies'];
+
+function companyName() {
+  var words = 1 + Math.floor(random() * 2);
+  var name = [];
+  for (var w = 0; w < words; w++) {
+    var word = pick(SYLLABLES) + pick(SYLLABLES) + pick(SYLLABLES) + pick(SYLLABLES);
+    name.push(word.charAt(0).toUpperCase() + word.slice(1));
+  }
+  return name.join(' ') + pick(SUFFIXES);
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+global.window = {};
+require(path.join(__dirname, '../extension/data/gazetteer.js'));
+
+// Location rules name places in every other country, so most cards (drawn
+// from the remaining countries) do not match
+var places = [];
+var otherPlaces = [];
+window.SourceFenceGazetteer.countries.forEach(function (c, i) {
+  var list = i % 2 === 0 ? places : otherPlaces;
+  list.push(c.name);
+  (c.regions || []).forEach(function (r) {
+    list.push(r.name);
+    (r.places || []).forEach(function (p) { list.push(p); });
+  });
+  (c.places || []).forEach(function (p) { list.push(p); });
+});
+
+var companyRules = [];
+var companyNames = [];
+for (var c = 0; c < COMPANY_RULES; c++) {
+  var name = companyName();
+  companyNames.push(name);
+  var rule = {
+    id: 'cr_' + c,
+    active: true,
+    pattern: name,
+    severity: random() < 0.5 ? 'red' : 'amber',
+    message: 'Do not source from ' + name
+  };
+  if (random() < 0.1) rule.lookback_months = 12;
+  if (random() < 0.05) rule.allow_reverse_match = false;
+  if (random() < 0.05) rule.linkedin_company_ids = [String(100000 + c)];
+  companyRules.push(rule);
+}
+
+var MODES = ['substring', 'substring', 'substring', 'word', 'exact', 'regex'];
+var locationRules = [];
+for (var l = 0; l < LOCATION_RULES; l++) {
+  var mode = pick(MODES);
+  locationRules.push({
+    id: 'lr_' + l,
+    active: true,
+    pattern: mode === 'regex' ? '\\b' + pick(places) + '\\b' : pick(places) + ', ' + pick(places),
+    match_mode: mode,
+    severity: random() < 0.5 ? 'red' : 'amber',
+    message: 'Location restricted'
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Matcher
+// ---------------------------------------------------------------------------
+
+global.chrome = {
+  storage: {
+    local: {
+      get: function (keys, callback) {
+        callback({
+          sourcefence_location_rules: locationRules,
+          sourcefence_company_rules: companyRules
+        });
+      }
+    },
+    onChanged: { addListener: function () {} }
+  },
+  runtime: {
+    onMessage: { addListener: function () {} },
+    sendMessage: function () {}
+  }
+};
+require(path.join(__dirname, '../extension/data/location-aliases.js'));
+require(path.join(__dirname, '../extension/data/company-suffixes.js'));
+require(path.join(__dirname, '../extension/data/severity-levels.js'));
+require(path.join(__dirname, '../extension/content/matcher.js'));
+var matcher = window.SourceFenceMatcher;
+
+// One search page: some cards hit a rule, most do not
+var cards = [];
+for (var k = 0; k < CARDS; k++) {
+  var hit = random() < 0.2;
+  cards.push({
+    location: hit ? pick(places) : pick(otherPlaces),
+    company: hit ? pick(companyNames) : companyName(),
+    others: [companyName(), hit ? companyName() : pick(companyNames)],
+    pastEmployers: [{ company: companyName(), ended: null }]
+  });
+}
+
+function candidates() {
+  var list = [];
+  cards.forEach(function (card) {
+    list.push({ location: card.location, company: card.company, pastEmployers: card.pastEmployers });
+    card.others.forEach(function (other) {
+      list.push({ location: card.location, company: other });
+    });
+  });
+  return list;
+}
+
+function run(indexed) {
+  matcher._setRuleIndexEnabled(indexed);
+  var list = candidates();
+  return Promise.all(list.map(function (candidate) {
+    return matcher.matchOnly(candidate);
+  }));
+}
+
+function time(indexed) {
+  var start = process.hrtime.bigint();
+  var chain = Promise.resolve();
+  for (var p = 0; p < PAGES; p++) {
+    chain = chain.then(function () { return run(indexed); });
+  }
+  return chain.then(function () {
+    return Number(process.hrtime.bigint() - start) / 1e6 / PAGES;
+  });
+}
+
+var linearResults;
+var linearMs;
+run(false).then(function (results) {
+  linearResults = results;
+  return time(false);
+}).then(function (ms) {
+  linearMs = ms;
+  var start = process.hrtime.bigint();
+  return run(true).then(function (results) {
+    var buildMs = Number(process.hrtime.bigint() - start) / 1e6;
+    if (JSON.stringify(results) !== JSON.stringify(linearResults)) {
+      console.error('Indexed and linear results differ');
+      process.exitCode = 1;
+    }
+    var matched = results.filter(function (r) { return r.severity !== 'green'; }).length;
+    return time(true).then(function (indexedMs) {
+      console.log(COMPANY_RULES + ' company rules, ' + LOCATION_RULES + ' location rules, ' +
+        CARDS + ' cards (' + results.length + ' checks, ' + matched + ' matched)');
+      console.log('  linear:   ' + linearMs.toFixed(1) + ' ms per page');
+      console.log('  indexed:  ' + indexedMs.toFixed(1) + ' ms per page' +
+        ' (first page ' + buildMs.toFixed(1) + ' ms, including building the index)');
+      console.log('  speedup:  ' + (linearMs / indexedMs).toFixed(1) + 'x');
+    });
+  });
+});
@@ -0,0 +1,15 @@
+-- SourceFence Migration 002
+-- Adds a per-rule match mode to location rules so admins can choose between
+-- substring, whole-word, exact and regular-expression matching.
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+ALTER TABLE location_rules
+  ADD COLUMN match_mode TEXT NOT NULL DEFAULT 'substring'
+  CHECK (match_mode IN ('substring', 'word', 'exact', 'regex'));
+
+-- Regex patterns are validated by the dashboard and the extension popup at
+-- save time using JavaScript RegExp semantics. Postgres regex syntax differs,
+-- so no server-side pattern check is attempted here.
@@ -0,0 +1,76 @@
+-- SourceFence Migration 003
+-- Team-specific location aliases. The extension ships with a built-in alias
+-- dictionary (endonyms, exonyms, ISO codes); these rows let admins add their
+-- own spellings, which the extension merges on top of the built-in set.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE location_aliases (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL CHECK (alias <> '' AND position(',' IN alias) = 0),
+  canonical TEXT NOT NULL CHECK (canonical <> '' AND position(',' IN canonical) = 0),
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_location_aliases_company_id ON location_aliases(company_id);
+
+-- One meaning per alias per team (case-insensitive)
+CREATE UNIQUE INDEX idx_location_aliases_company_alias
+  ON location_aliases(company_id, lower(alias));
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_location_aliases_updated_at
+  BEFORE UPDATE ON location_aliases
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE location_aliases ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read location aliases
+CREATE POLICY "Members can view location aliases"
+  ON location_aliases FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create location aliases
+CREATE POLICY "Admins can insert location aliases"
+  ON location_aliases FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update location aliases
+CREATE POLICY "Admins can update location aliases"
+  ON location_aliases FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete location aliases
+CREATE POLICY "Admins can delete location aliases"
+  ON location_aliases FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
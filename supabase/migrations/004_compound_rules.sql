@@ -0,0 +1,85 @@
+-- SourceFence Migration 004
+-- Compound rules combine conditions on several candidate fields (location,
+-- company, headline, title) with AND / OR / NOT, e.g. "Acme employees based
+-- in Germany". The condition tree is stored as JSON and evaluated by the
+-- extension matcher.
+--
+-- conditions shape:
+--   group: { "op": "and" | "or", "negate": bool, "conditions": [ ... ] }
+--   leaf:  { "field": "location" | "company" | "headline" | "title",
+--            "pattern": text, "match_mode": text, "negate": bool }
+-- The root is always a group.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE compound_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (name <> ''),
+  conditions JSONB NOT NULL CHECK (
+    jsonb_typeof(conditions) = 'object'
+    AND jsonb_typeof(conditions -> 'conditions') = 'array'
+  ),
+  severity TEXT NOT NULL CHECK (severity IN ('red', 'amber')),
+  message TEXT,
+  active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_compound_rules_company_id ON compound_rules(company_id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_compound_rules_updated_at
+  BEFORE UPDATE ON compound_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE compound_rules ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read compound rules
+CREATE POLICY "Members can view compound rules"
+  ON compound_rules FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create compound rules
+CREATE POLICY "Admins can insert compound rules"
+  ON compound_rules FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update compound rules
+CREATE POLICY "Admins can update compound rules"
+  ON compound_rules FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete compound rules
+CREATE POLICY "Admins can delete compound rules"
+  ON compound_rules FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
@@ -0,0 +1,89 @@
+-- SourceFence Migration 005
+-- Exception (allow-list) rules. When an exception's conditions match a
+-- candidate, it clears or downgrades matches from the normal rule pass,
+-- e.g. "Amazon is amber, except Amazon Web Services in Berlin".
+--
+-- conditions uses the same tree shape as compound_rules (migration 004).
+-- severity is what affected matches are lowered to: 'green' clears them,
+-- 'amber' downgrades red matches. rule_id / rule_type name the single rule
+-- the exception overrides; when both are NULL it applies to every match.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE exception_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (name <> ''),
+  conditions JSONB NOT NULL CHECK (
+    jsonb_typeof(conditions) = 'object'
+    AND jsonb_typeof(conditions -> 'conditions') = 'array'
+  ),
+  -- No foreign key: the target may live in any of the three rule tables.
+  -- The extension ignores exceptions whose target no longer exists.
+  rule_id UUID,
+  rule_type TEXT CHECK (rule_type IN ('location', 'company', 'compound')),
+  severity TEXT NOT NULL DEFAULT 'green' CHECK (severity IN ('green', 'amber')),
+  message TEXT,
+  active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK ((rule_id IS NULL) = (rule_type IS NULL))
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_exception_rules_company_id ON exception_rules(company_id);
+CREATE INDEX idx_exception_rules_rule_id ON exception_rules(rule_id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_exception_rules_updated_at
+  BEFORE UPDATE ON exception_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE exception_rules ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read exception rules
+CREATE POLICY "Members can view exception rules"
+  ON exception_rules FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create exception rules
+CREATE POLICY "Admins can insert exception rules"
+  ON exception_rules FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update exception rules
+CREATE POLICY "Admins can update exception rules"
+  ON exception_rules FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete exception rules
+CREATE POLICY "Admins can delete exception rules"
+  ON exception_rules FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
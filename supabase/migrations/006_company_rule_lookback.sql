@@ -0,0 +1,16 @@
+-- SourceFence Migration 006
+-- Lets a company rule also flag former employees who left within a
+-- cooling-off window, for non-solicit agreements that cover recent leavers.
+-- NULL keeps the original behaviour: current employees only.
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+ALTER TABLE company_rules
+  ADD COLUMN lookback_months INTEGER
+  CHECK (lookback_months BETWEEN 1 AND 60);
+
+-- End dates come from the Experience section of the profile. Search result
+-- cards only list "Past:" employers without dates; the extension treats
+-- those as inside the window.
@@ -0,0 +1,85 @@
+-- SourceFence Migration 007
+-- Title rules flag candidates by job title or headline, e.g. "no VP-level
+-- or above from Client X" or "no security-cleared engineers". A rule can
+-- be limited to candidates currently at one company via company_pattern.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE title_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  pattern TEXT NOT NULL,
+  match_mode TEXT NOT NULL DEFAULT 'substring'
+    CHECK (match_mode IN ('substring', 'word', 'exact', 'regex')),
+  -- 'title' tests the role parsed from the headline ("VP of Sales" in
+  -- "VP of Sales at Acme"); 'headline' tests the whole headline.
+  field TEXT NOT NULL DEFAULT 'title' CHECK (field IN ('title', 'headline')),
+  company_pattern TEXT,
+  severity TEXT NOT NULL CHECK (severity IN ('red', 'amber')),
+  message TEXT,
+  active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Exceptions (migration 005) can now override title rules too
+ALTER TABLE exception_rules DROP CONSTRAINT exception_rules_rule_type_check;
+ALTER TABLE exception_rules ADD CONSTRAINT exception_rules_rule_type_check
+  CHECK (rule_type IN ('location', 'company', 'title', 'compound'));
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_title_rules_company_id ON title_rules(company_id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_title_rules_updated_at
+  BEFORE UPDATE ON title_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE title_rules ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read title rules
+CREATE POLICY "Members can view title rules"
+  ON title_rules FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create title rules
+CREATE POLICY "Admins can insert title rules"
+  ON title_rules FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update title rules
+CREATE POLICY "Admins can update title rules"
+  ON title_rules FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete title rules
+CREATE POLICY "Admins can delete title rules"
+  ON title_rules FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
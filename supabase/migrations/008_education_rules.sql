@@ -0,0 +1,84 @@
+-- SourceFence Migration 008
+-- Education rules flag current students and recent graduates of specific
+-- schools, e.g. for campus recruiting partnerships. The pattern is tested
+-- against each school in the profile's Education section.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE education_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  pattern TEXT NOT NULL,
+  match_mode TEXT NOT NULL DEFAULT 'substring'
+    CHECK (match_mode IN ('substring', 'word', 'exact', 'regex')),
+  -- Only match schools the candidate graduated from within this many
+  -- years (current students always match). NULL matches all alumni.
+  graduated_within_years INTEGER CHECK (graduated_within_years BETWEEN 1 AND 50),
+  severity TEXT NOT NULL CHECK (severity IN ('red', 'amber')),
+  message TEXT,
+  active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Exceptions can now override education rules too
+ALTER TABLE exception_rules DROP CONSTRAINT exception_rules_rule_type_check;
+ALTER TABLE exception_rules ADD CONSTRAINT exception_rules_rule_type_check
+  CHECK (rule_type IN ('location', 'company', 'title', 'education', 'compound'));
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_education_rules_company_id ON education_rules(company_id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_education_rules_updated_at
+  BEFORE UPDATE ON education_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE education_rules ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read education rules
+CREATE POLICY "Members can view education rules"
+  ON education_rules FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create education rules
+CREATE POLICY "Admins can insert education rules"
+  ON education_rules FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update education rules
+CREATE POLICY "Admins can update education rules"
+  ON education_rules FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete education rules
+CREATE POLICY "Admins can delete education rules"
+  ON education_rules FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
@@ -0,0 +1,85 @@
+-- SourceFence Migration 009
+-- Corporate families for company rules. Admins record parent → subsidiary
+-- relationships (e.g. Alphabet → Waymo); a company rule with
+-- include_subsidiaries then also flags every company below its pattern in
+-- the hierarchy, at any depth.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE company_subsidiaries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  parent TEXT NOT NULL CHECK (parent <> ''),
+  subsidiary TEXT NOT NULL CHECK (subsidiary <> ''),
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (lower(parent) <> lower(subsidiary))
+);
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+ALTER TABLE company_rules
+  ADD COLUMN include_subsidiaries BOOLEAN NOT NULL DEFAULT false;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_company_subsidiaries_company_id ON company_subsidiaries(company_id);
+
+-- Each relationship is recorded once per team (case-insensitive)
+CREATE UNIQUE INDEX idx_company_subsidiaries_company_link
+  ON company_subsidiaries(company_id, lower(parent), lower(subsidiary));
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_company_subsidiaries_updated_at
+  BEFORE UPDATE ON company_subsidiaries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE company_subsidiaries ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read company subsidiaries
+CREATE POLICY "Members can view company subsidiaries"
+  ON company_subsidiaries FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create company subsidiaries
+CREATE POLICY "Admins can insert company subsidiaries"
+  ON company_subsidiaries FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update company subsidiaries
+CREATE POLICY "Admins can update company subsidiaries"
+  ON company_subsidiaries FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete company subsidiaries
+CREATE POLICY "Admins can delete company subsidiaries"
+  ON company_subsidiaries FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
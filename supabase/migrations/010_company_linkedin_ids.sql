@@ -0,0 +1,14 @@
+-- SourceFence Migration 010
+-- Pins a company rule to specific LinkedIn company pages, so that a rule
+-- for "Apex" (Apex Systems) no longer flags people at unrelated companies
+-- that share the name. NULL keeps the original behaviour: match by name.
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+-- Lowercased company page IDs: the numeric ID or vanity name after
+-- /company/ in the page URL. When the candidate's company page is known the
+-- extension compares IDs only; otherwise it falls back to the rule pattern.
+ALTER TABLE company_rules
+  ADD COLUMN linkedin_company_ids TEXT[];
@@ -0,0 +1,84 @@
+-- SourceFence Migration 011
+-- Team-specific company-name terms. The extension ships with a built-in
+-- table of legal-form suffixes per locale (Inc, GmbH, S.A.S., K.K., ...);
+-- these rows let admins add their own suffixes, and leading stop words such
+-- as "The", which the extension merges on top of the built-in table before
+-- normalizing employer names and company rule patterns.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE company_suffixes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  term TEXT NOT NULL CHECK (term <> '' AND position(',' IN term) = 0),
+  kind TEXT NOT NULL DEFAULT 'suffix' CHECK (kind IN ('suffix', 'stop_word')),
+  locale TEXT,
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Stop words are single words dropped from the start of a name
+ALTER TABLE company_suffixes
+  ADD CONSTRAINT company_suffixes_stop_word_check
+  CHECK (kind <> 'stop_word' OR position(' ' IN trim(term)) = 0);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_company_suffixes_company_id ON company_suffixes(company_id);
+
+-- Each term is recorded once per kind per team (case-insensitive)
+CREATE UNIQUE INDEX idx_company_suffixes_company_term
+  ON company_suffixes(company_id, kind, lower(term));
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_company_suffixes_updated_at
+  BEFORE UPDATE ON company_suffixes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE company_suffixes ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read company suffixes
+CREATE POLICY "Members can view company suffixes"
+  ON company_suffixes FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create company suffixes
+CREATE POLICY "Admins can insert company suffixes"
+  ON company_suffixes FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update company suffixes
+CREATE POLICY "Admins can update company suffixes"
+  ON company_suffixes FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete company suffixes
+CREATE POLICY "Admins can delete company suffixes"
+  ON company_suffixes FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
@@ -0,0 +1,29 @@
+-- SourceFence Migration 012
+-- Guards against over-broad company matches. A company rule also matches
+-- when its pattern contains the candidate's employer ("Goldman Sachs" for a
+-- "Goldman Sachs Group" rule); admins can now switch that off per rule, and
+-- add generic employer names ("Self-employed", "Stealth") that never match
+-- any company rule.
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+-- false: only employers whose name contains the pattern match. The
+-- extension additionally requires a reverse match to be at least four
+-- characters and to cover whole words of the pattern.
+ALTER TABLE company_rules
+  ADD COLUMN allow_reverse_match BOOLEAN NOT NULL DEFAULT true;
+
+-- ============================================================================
+-- CONSTRAINTS
+-- ============================================================================
+
+-- Generic employer names share the company_suffixes table with suffixes and
+-- stop words. They are compared against the whole employer name.
+ALTER TABLE company_suffixes
+  DROP CONSTRAINT company_suffixes_kind_check;
+
+ALTER TABLE company_suffixes
+  ADD CONSTRAINT company_suffixes_kind_check
+  CHECK (kind IN ('suffix', 'stop_word', 'generic_employer'));
@@ -0,0 +1,43 @@
+-- SourceFence Migration 013
+-- Scheduled rules. Location and company rules can have a start date and an
+-- expiry date, for hiring freezes and client agreements with a known
+-- effective window. Before starts_at a rule is "Scheduled", from expires_at
+-- on it is "Expired", and in between it is "Active". NULL means no limit.
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+-- Both are instants, so a rule starts and ends at the same moment for every
+-- recruiter whatever their time zone. The dashboard stores the start of the
+-- chosen day (and, for expiry, the start of the day after it) in the
+-- admin's time zone.
+ALTER TABLE location_rules
+  ADD COLUMN starts_at TIMESTAMPTZ,
+  ADD COLUMN expires_at TIMESTAMPTZ;
+
+ALTER TABLE company_rules
+  ADD COLUMN starts_at TIMESTAMPTZ;
+
+-- expires_at was a DATE that stayed valid through the whole day. Existing
+-- expiry dates now end at midnight UTC after that day, not at the end of
+-- the day in the admin's time zone as new ones do: companies have no time
+-- zone stored to convert with. For teams west of UTC (the Americas) these
+-- rules stop hours before their last day ends, and east of UTC they run
+-- into the next morning. The README shows how to move them to the team's
+-- own time zone.
+ALTER TABLE company_rules
+  ALTER COLUMN expires_at TYPE TIMESTAMPTZ
+  USING ((expires_at + 1)::timestamp AT TIME ZONE 'UTC');
+
+-- ============================================================================
+-- CONSTRAINTS
+-- ============================================================================
+
+ALTER TABLE location_rules
+  ADD CONSTRAINT location_rules_schedule_check
+  CHECK (starts_at IS NULL OR expires_at IS NULL OR starts_at < expires_at);
+
+ALTER TABLE company_rules
+  ADD CONSTRAINT company_rules_schedule_check
+  CHECK (starts_at IS NULL OR expires_at IS NULL OR starts_at < expires_at);
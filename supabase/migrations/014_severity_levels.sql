@@ -0,0 +1,178 @@
+-- SourceFence Migration 014
+-- Team-defined severity levels. Rules were limited to 'red' and 'amber';
+-- teams can now add their own levels ("Blocked", "Needs approval",
+-- "Heads-up", "Preferred") with a rank, label, color and icon, and change
+-- the label, color, icon and rank of the built-in ones. The extension
+-- merges these rows on top of its built-in table (extension/data/
+-- severity-levels.js), so 'red', 'amber' and 'green' need no rows.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+-- rank > 0 restricts sourcing and the highest rank wins; rank < 0 is a
+-- positive signal, shown only when no restriction matched. 0 is reserved
+-- for 'green' (nothing matched), which cannot be redefined.
+CREATE TABLE severity_levels (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  key TEXT NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]*$' AND key <> 'green'),
+  label TEXT NOT NULL CHECK (trim(label) <> ''),
+  rank INTEGER NOT NULL CHECK (rank <> 0 AND rank BETWEEN -100 AND 100),
+  color TEXT NOT NULL CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+  icon TEXT NOT NULL DEFAULT 'warning'
+    CHECK (icon IN ('block', 'warning', 'flag', 'info', 'star', 'check')),
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_severity_levels_company_id ON severity_levels(company_id);
+
+-- Each key is defined once per team
+CREATE UNIQUE INDEX idx_severity_levels_company_key
+  ON severity_levels(company_id, key);
+
+-- ============================================================================
+-- RULE SEVERITIES
+-- ============================================================================
+
+-- Rules may now carry any level: a built-in key or one of the team's own.
+-- Exceptions may also lower matches to 'green' (clear).
+ALTER TABLE location_rules DROP CONSTRAINT location_rules_severity_check;
+ALTER TABLE company_rules DROP CONSTRAINT company_rules_severity_check;
+ALTER TABLE compound_rules DROP CONSTRAINT compound_rules_severity_check;
+ALTER TABLE title_rules DROP CONSTRAINT title_rules_severity_check;
+ALTER TABLE education_rules DROP CONSTRAINT education_rules_severity_check;
+ALTER TABLE exception_rules DROP CONSTRAINT exception_rules_severity_check;
+
+-- Whether a severity key is defined for a team
+CREATE OR REPLACE FUNCTION is_severity_level(p_company_id UUID, p_key TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT p_key IN ('red', 'amber') OR EXISTS (
+    SELECT 1 FROM severity_levels
+    WHERE company_id IS NOT DISTINCT FROM p_company_id AND key = p_key
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE SET search_path = public;
+
+CREATE OR REPLACE FUNCTION check_rule_severity()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT (
+    is_severity_level(NEW.company_id, NEW.severity)
+    OR (TG_TABLE_NAME = 'exception_rules' AND NEW.severity = 'green')
+  ) THEN
+    RAISE EXCEPTION 'Unknown severity level "%"', NEW.severity
+      USING ERRCODE = 'check_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_location_rules_severity
+  BEFORE INSERT OR UPDATE OF severity ON location_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_severity();
+
+CREATE TRIGGER trg_company_rules_severity
+  BEFORE INSERT OR UPDATE OF severity ON company_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_severity();
+
+CREATE TRIGGER trg_compound_rules_severity
+  BEFORE INSERT OR UPDATE OF severity ON compound_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_severity();
+
+CREATE TRIGGER trg_title_rules_severity
+  BEFORE INSERT OR UPDATE OF severity ON title_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_severity();
+
+CREATE TRIGGER trg_education_rules_severity
+  BEFORE INSERT OR UPDATE OF severity ON education_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_severity();
+
+CREATE TRIGGER trg_exception_rules_severity
+  BEFORE INSERT OR UPDATE OF severity ON exception_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_severity();
+
+-- A team level cannot be deleted while rules still use it. Deleting a row
+-- that only changes a built-in level restores the built-in one. Deleting
+-- the company removes its levels and rules in no set order, so the check
+-- is skipped once the company row is gone.
+CREATE OR REPLACE FUNCTION check_severity_level_unused()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.company_id IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM companies WHERE id = OLD.company_id)
+  THEN
+    RETURN OLD;
+  END IF;
+
+  IF OLD.key NOT IN ('red', 'amber') AND (
+    EXISTS (SELECT 1 FROM location_rules WHERE company_id IS NOT DISTINCT FROM OLD.company_id AND severity = OLD.key)
+    OR EXISTS (SELECT 1 FROM company_rules WHERE company_id IS NOT DISTINCT FROM OLD.company_id AND severity = OLD.key)
+    OR EXISTS (SELECT 1 FROM compound_rules WHERE company_id IS NOT DISTINCT FROM OLD.company_id AND severity = OLD.key)
+    OR EXISTS (SELECT 1 FROM title_rules WHERE company_id IS NOT DISTINCT FROM OLD.company_id AND severity = OLD.key)
+    OR EXISTS (SELECT 1 FROM education_rules WHERE company_id IS NOT DISTINCT FROM OLD.company_id AND severity = OLD.key)
+    OR EXISTS (SELECT 1 FROM exception_rules WHERE company_id IS NOT DISTINCT FROM OLD.company_id AND severity = OLD.key)
+  ) THEN
+    RAISE EXCEPTION 'Severity level "%" is still used by rules', OLD.key
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_severity_levels_unused
+  BEFORE DELETE ON severity_levels
+  FOR EACH ROW EXECUTE FUNCTION check_severity_level_unused();
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_severity_levels_updated_at
+  BEFORE UPDATE ON severity_levels
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE severity_levels ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read severity levels
+CREATE POLICY "Members can view severity levels"
+  ON severity_levels FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create severity levels
+CREATE POLICY "Admins can insert severity levels"
+  ON severity_levels FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update severity levels
+CREATE POLICY "Admins can update severity levels"
+  ON severity_levels FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete severity levels
+CREATE POLICY "Admins can delete severity levels"
+  ON severity_levels FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
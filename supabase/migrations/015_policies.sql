@@ -0,0 +1,159 @@
+-- SourceFence Migration 015
+-- Policies: named groups of location and company rules ("EU hiring freeze",
+-- "Client X non-solicit") that are switched on and off as a unit. A rule in
+-- a policy is only enforced while both the rule and its policy are active
+-- and neither has expired.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE policies (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (trim(name) <> ''),
+  description TEXT,
+  -- The team member who answers questions about the policy
+  owner_id UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  -- An instant, like the rule schedules in migration 013
+  expires_at TIMESTAMPTZ,
+  active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES team_members(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+-- Deleting a policy keeps its rules, which are then enforced on their own
+ALTER TABLE location_rules
+  ADD COLUMN policy_id UUID REFERENCES policies(id) ON DELETE SET NULL;
+
+ALTER TABLE company_rules
+  ADD COLUMN policy_id UUID REFERENCES policies(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_policies_company_id ON policies(company_id);
+
+-- Policy names are unique per team (case-insensitive)
+CREATE UNIQUE INDEX idx_policies_company_name
+  ON policies(company_id, lower(name));
+
+CREATE INDEX idx_location_rules_policy_id ON location_rules(policy_id);
+CREATE INDEX idx_company_rules_policy_id ON company_rules(policy_id);
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- The foreign keys above do not know about teams. A rule may only join its
+-- own team's policy, and a policy's owner and creator must be members of
+-- its team; otherwise members would sync a rule whose policy they cannot
+-- read. SECURITY DEFINER so other teams' rows are seen, and rejected,
+-- rather than hidden by RLS.
+CREATE OR REPLACE FUNCTION check_rule_policy_company()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.policy_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM policies
+    WHERE id = NEW.policy_id AND company_id IS NOT DISTINCT FROM NEW.company_id
+  ) THEN
+    RAISE EXCEPTION 'Policy % belongs to another team', NEW.policy_id
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION check_policy_company()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Rules of the old team would be left pointing at it
+  IF TG_OP = 'UPDATE' AND NEW.company_id IS DISTINCT FROM OLD.company_id THEN
+    RAISE EXCEPTION 'A policy cannot move to another team'
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+
+  IF NEW.owner_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM team_members
+    WHERE id = NEW.owner_id AND company_id IS NOT DISTINCT FROM NEW.company_id
+  ) THEN
+    RAISE EXCEPTION 'Policy owner % is not a member of the team', NEW.owner_id
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+
+  IF NEW.created_by IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM team_members
+    WHERE id = NEW.created_by AND company_id IS NOT DISTINCT FROM NEW.company_id
+  ) THEN
+    RAISE EXCEPTION 'Policy creator % is not a member of the team', NEW.created_by
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_location_rules_policy_company
+  BEFORE INSERT OR UPDATE OF policy_id, company_id ON location_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_policy_company();
+
+CREATE TRIGGER trg_company_rules_policy_company
+  BEFORE INSERT OR UPDATE OF policy_id, company_id ON company_rules
+  FOR EACH ROW EXECUTE FUNCTION check_rule_policy_company();
+
+CREATE TRIGGER trg_policies_company
+  BEFORE INSERT OR UPDATE OF company_id, owner_id, created_by ON policies
+  FOR EACH ROW EXECUTE FUNCTION check_policy_company();
+
+CREATE TRIGGER trg_policies_updated_at
+  BEFORE UPDATE ON policies
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE policies ENABLE ROW LEVEL SECURITY;
+
+-- All company members can read policies
+CREATE POLICY "Members can view policies"
+  ON policies FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- Admins can create policies
+CREATE POLICY "Admins can insert policies"
+  ON policies FOR INSERT
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can update policies
+CREATE POLICY "Admins can update policies"
+  ON policies FOR UPDATE
+  USING (
+    is_company_admin(company_id)
+  )
+  WITH CHECK (
+    is_company_admin(company_id)
+  );
+
+-- Admins can delete policies
+CREATE POLICY "Admins can delete policies"
+  ON policies FOR DELETE
+  USING (
+    is_company_admin(company_id)
+  );
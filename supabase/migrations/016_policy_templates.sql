@@ -0,0 +1,30 @@
+-- SourceFence Migration 016
+-- Rule templates. The dashboard ships curated restriction lists (sanctioned
+-- jurisdictions, GDPR / EEA countries, ...) that an admin imports as a
+-- policy (migration 015). The policy records which template and version it
+-- came from, so the dashboard can offer an update when the template changes.
+
+-- ============================================================================
+-- COLUMNS
+-- ============================================================================
+
+ALTER TABLE policies
+  ADD COLUMN template_id TEXT,
+  ADD COLUMN template_version TEXT;
+
+-- ============================================================================
+-- CONSTRAINTS
+-- ============================================================================
+
+ALTER TABLE policies
+  ADD CONSTRAINT policies_template_check
+  CHECK ((template_id IS NULL) = (template_version IS NULL));
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+-- Each template is imported once per team; updates replace its rules
+CREATE UNIQUE INDEX idx_policies_company_template
+  ON policies(company_id, template_id)
+  WHERE template_id IS NOT NULL;
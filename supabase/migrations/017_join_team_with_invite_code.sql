@@ -0,0 +1,96 @@
+-- SourceFence Migration 017
+-- Joining a team with its invite code (companies.invite_code, shown on the
+-- dashboard Settings page). Recruiters sign in from the extension and enter
+-- the code to become a member. They cannot read companies or add
+-- themselves to team_members under RLS, so the lookup and insert run in a
+-- SECURITY DEFINER function that only ever adds the caller, as a member.
+--
+-- Anyone can sign up, so the function is also a way to guess other teams'
+-- codes. Each user gets five wrong codes an hour, recorded in
+-- invite_code_attempts, and codes are 16 random characters generated by
+-- the database (migration 020).
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+-- Wrong invite codes per user. Only the function below reads and writes
+-- it: RLS is on with no policies.
+CREATE TABLE invite_code_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  attempted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_invite_code_attempts_user_attempted_at
+  ON invite_code_attempts(user_id, attempted_at);
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Returns { company_id, company_name, role }, or { error } for a wrong
+-- code: raising would roll back the recorded attempt. Joining a team the
+-- caller already belongs to keeps their current role.
+CREATE OR REPLACE FUNCTION join_team_with_invite_code(p_invite_code TEXT)
+RETURNS JSON AS $$
+DECLARE
+  v_company companies%ROWTYPE;
+  v_role TEXT;
+  v_failures INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in before joining a team.' USING ERRCODE = '28000';
+  END IF;
+
+  -- One attempt at a time per user, so parallel calls cannot skip the limit
+  PERFORM pg_advisory_xact_lock(hashtext('join_team_with_invite_code:' || auth.uid()::TEXT));
+
+  DELETE FROM invite_code_attempts
+  WHERE user_id = auth.uid() AND attempted_at < NOW() - INTERVAL '1 hour';
+
+  SELECT count(*) INTO v_failures
+  FROM invite_code_attempts
+  WHERE user_id = auth.uid();
+
+  IF v_failures >= 5 THEN
+    RAISE EXCEPTION 'Too many wrong invite codes. Try again in an hour.' USING ERRCODE = '54000';
+  END IF;
+
+  SELECT * INTO v_company
+  FROM companies
+  WHERE upper(invite_code) = upper(trim(p_invite_code));
+
+  IF NOT FOUND OR trim(p_invite_code) = '' THEN
+    INSERT INTO invite_code_attempts (user_id) VALUES (auth.uid());
+    RETURN json_build_object('error', 'That invite code is not valid.');
+  END IF;
+
+  INSERT INTO team_members (company_id, user_id, email, role)
+  VALUES (v_company.id, auth.uid(), auth.jwt() ->> 'email', 'member')
+  ON CONFLICT (company_id, user_id) DO NOTHING;
+
+  SELECT tm.role INTO v_role
+  FROM team_members tm
+  WHERE tm.company_id = v_company.id AND tm.user_id = auth.uid();
+
+  RETURN json_build_object(
+    'company_id', v_company.id,
+    'company_name', v_company.name,
+    'role', v_role
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION join_team_with_invite_code(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION join_team_with_invite_code(TEXT) TO authenticated;
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE invite_code_attempts ENABLE ROW LEVEL SECURITY;
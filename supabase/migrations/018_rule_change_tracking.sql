@@ -0,0 +1,191 @@
+-- SourceFence Migration 018
+-- Change tracking for extension sync. Instead of pulling every team table
+-- on each sync, the extension asks for the rows changed since its last
+-- sync: inserts and updates come from updated_at, and deletes from a
+-- tombstone table filled by a trigger on each synced table. Tombstones are
+-- kept for 30 days; an extension that has not synced for longer gets a full
+-- snapshot instead.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+-- No foreign key to companies: the rows of a deleted company are removed
+-- by cascade, and their tombstones must not block that delete.
+CREATE TABLE deleted_rows (
+  id BIGSERIAL PRIMARY KEY,
+  company_id UUID NOT NULL,
+  table_name TEXT NOT NULL,
+  row_id UUID NOT NULL,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+CREATE INDEX idx_deleted_rows_company_deleted_at
+  ON deleted_rows(company_id, deleted_at);
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Records a tombstone for the deleted row and drops the team's tombstones
+-- that are past the 30-day window.
+CREATE OR REPLACE FUNCTION record_deleted_row()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.company_id IS NULL THEN
+    RETURN OLD;
+  END IF;
+
+  INSERT INTO deleted_rows (company_id, table_name, row_id)
+  VALUES (OLD.company_id, TG_TABLE_NAME, OLD.id);
+
+  DELETE FROM deleted_rows
+  WHERE company_id = OLD.company_id
+    AND deleted_at < NOW() - INTERVAL '30 days';
+
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The team's rows changed since p_since, as
+--   { cursor, full, changed: { <table>: [rows] }, deleted: [{ table_name, row_id }] }
+-- Pass the returned cursor as p_since next time. Without p_since, or when
+-- it is older than the tombstone window, every row is returned with
+-- full = true and deleted is empty.
+--
+-- updated_at is the start of the writing transaction, so a write that
+-- commits after a sync can carry an earlier timestamp than that sync's
+-- cursor. Rows from the last five minutes before the cursor are returned
+-- again to cover it; applying a row twice is harmless.
+--
+-- Runs with the caller's rights, so RLS limits it to the caller's teams.
+CREATE OR REPLACE FUNCTION team_changes_since(
+  p_company_id UUID,
+  p_since TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+  v_tables CONSTANT TEXT[] := ARRAY[
+    'location_rules', 'company_rules', 'title_rules', 'education_rules',
+    'compound_rules', 'exception_rules', 'policies', 'location_aliases',
+    'company_subsidiaries', 'company_suffixes', 'severity_levels'
+  ];
+  v_full BOOLEAN := p_since IS NULL OR p_since < NOW() - INTERVAL '30 days';
+  v_after TIMESTAMPTZ := p_since - INTERVAL '5 minutes';
+  v_table TEXT;
+  v_rows JSONB;
+  v_changed JSONB := '{}'::JSONB;
+  v_deleted JSONB := '[]'::JSONB;
+BEGIN
+  FOREACH v_table IN ARRAY v_tables LOOP
+    EXECUTE format(
+      'SELECT coalesce(jsonb_agg(to_jsonb(t) ORDER BY t.id), ''[]''::JSONB)
+       FROM %I t
+       WHERE t.company_id = $1 AND ($2 OR t.updated_at > $3)',
+      v_table
+    )
+    INTO v_rows
+    USING p_company_id, v_full, v_after;
+
+    v_changed := v_changed || jsonb_build_object(v_table, v_rows);
+  END LOOP;
+
+  IF NOT v_full THEN
+    SELECT coalesce(
+      jsonb_agg(jsonb_build_object('table_name', d.table_name, 'row_id', d.row_id) ORDER BY d.id),
+      '[]'::JSONB
+    )
+    INTO v_deleted
+    FROM deleted_rows d
+    WHERE d.company_id = p_company_id AND d.deleted_at > v_after;
+  END IF;
+
+  RETURN json_build_object(
+    'cursor', NOW(),
+    'full', v_full,
+    'changed', v_changed,
+    'deleted', v_deleted
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION team_changes_since(UUID, TIMESTAMPTZ) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION team_changes_since(UUID, TIMESTAMPTZ) TO authenticated;
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER trg_location_rules_deleted
+  AFTER DELETE ON location_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_company_rules_deleted
+  AFTER DELETE ON company_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_title_rules_deleted
+  AFTER DELETE ON title_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_education_rules_deleted
+  AFTER DELETE ON education_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_compound_rules_deleted
+  AFTER DELETE ON compound_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_exception_rules_deleted
+  AFTER DELETE ON exception_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_policies_deleted
+  AFTER DELETE ON policies
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_location_aliases_deleted
+  AFTER DELETE ON location_aliases
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_company_subsidiaries_deleted
+  AFTER DELETE ON company_subsidiaries
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_company_suffixes_deleted
+  AFTER DELETE ON company_suffixes
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+CREATE TRIGGER trg_severity_levels_deleted
+  AFTER DELETE ON severity_levels
+  FOR EACH ROW
+  EXECUTE FUNCTION record_deleted_row();
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE deleted_rows ENABLE ROW LEVEL SECURITY;
+
+-- Tombstones are only written by the trigger above
+CREATE POLICY "Members can view deleted rows"
+  ON deleted_rows FOR SELECT
+  USING (
+    company_id IN (
+      SELECT company_id FROM team_members WHERE user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,24 @@
+-- SourceFence Migration 019
+-- Realtime change events for the tables the extension syncs. While a
+-- LinkedIn tab is open the extension listens for inserts and updates on
+-- these tables, filtered to its team, and for tombstones in deleted_rows
+-- (migration 018) instead of deletes: Realtime checks row-level security
+-- before sending an insert or update, but cannot for a deleted row.
+
+-- ============================================================================
+-- PUBLICATION
+-- ============================================================================
+
+ALTER PUBLICATION supabase_realtime ADD TABLE
+  location_rules,
+  company_rules,
+  title_rules,
+  education_rules,
+  compound_rules,
+  exception_rules,
+  policies,
+  location_aliases,
+  company_subsidiaries,
+  company_suffixes,
+  severity_levels,
+  deleted_rows;
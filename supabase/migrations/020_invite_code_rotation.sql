@@ -0,0 +1,90 @@
+-- SourceFence Migration 020
+-- Invite code rotation. The limit on wrong invite codes (migration 017)
+-- only protects codes that are too long to guess, so codes are now
+-- generated here: 16 random characters, shown on the dashboard Settings
+-- page, which admins can regenerate. Admins can also rename their company;
+-- its other columns stay read-only.
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- 16 characters in groups of four, such as K7QM-2XRD-9HWP-4TNC. The
+-- alphabet skips 0/O and 1/I so a code can be read out. The bytes come from
+-- gen_random_uuid(), which uses the server's strong random source; the
+-- version and variant bits fall outside the five bits used per character
+-- for all but one character.
+CREATE OR REPLACE FUNCTION random_invite_code()
+RETURNS TEXT AS $$
+DECLARE
+  v_alphabet CONSTANT TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  v_bytes BYTEA := decode(replace(gen_random_uuid()::TEXT, '-', ''), 'hex');
+  v_code TEXT := '';
+BEGIN
+  FOR i IN 0..15 LOOP
+    IF i > 0 AND i % 4 = 0 THEN
+      v_code := v_code || '-';
+    END IF;
+    v_code := v_code || substr(v_alphabet, get_byte(v_bytes, i) % 32 + 1, 1);
+  END LOOP;
+  RETURN v_code;
+END;
+$$ LANGUAGE plpgsql VOLATILE SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION random_invite_code() FROM PUBLIC, anon, authenticated;
+
+-- Gives the company a new invite code and returns it. The previous code
+-- stops working straight away. Admins only.
+CREATE OR REPLACE FUNCTION regenerate_invite_code(p_company_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+  v_code TEXT := random_invite_code();
+BEGIN
+  IF NOT is_company_admin(p_company_id) THEN
+    RAISE EXCEPTION 'Only team admins can change the invite code.' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE companies SET invite_code = v_code WHERE id = p_company_id;
+  RETURN v_code;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION regenerate_invite_code(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION regenerate_invite_code(UUID) TO authenticated;
+
+-- ============================================================================
+-- DATA
+-- ============================================================================
+
+-- Codes set before this migration could be short enough to guess. Teams
+-- with one get a new code and need to share it again.
+UPDATE companies
+SET invite_code = random_invite_code()
+WHERE invite_code IS NOT NULL AND char_length(invite_code) < 16;
+
+-- ============================================================================
+-- CONSTRAINTS
+-- ============================================================================
+
+ALTER TABLE companies
+  ADD CONSTRAINT companies_invite_code_length_check
+  CHECK (invite_code IS NULL OR char_length(invite_code) >= 16);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY
+-- ============================================================================
+
+-- Only the name can be changed directly; invite codes go through
+-- regenerate_invite_code
+REVOKE UPDATE ON companies FROM anon, authenticated;
+GRANT UPDATE (name) ON companies TO authenticated;
+
+-- Admins can rename their company
+CREATE POLICY "Admins can update their company"
+  ON companies FOR UPDATE
+  USING (
+    is_company_admin(id)
+  )
+  WITH CHECK (
+    is_company_admin(id)
+  );
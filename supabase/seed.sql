@@ -14,7 +14,7 @@ BEGIN
   -- Company
   -- =========================================================================
   INSERT INTO companies (name, domain, invite_code, plan)
-  VALUES ('Acme Recruiting', 'acmerecruiting.com', 'ACME-2024', 'team')
+  VALUES ('Acme Recruiting', 'acmerecruiting.com', 'ACME-7KQM-X2RD-9HWP', 'team')
   RETURNING id INTO v_company_id;
 
   -- =========================================================================
@@ -57,7 +57,7 @@ BEGIN
       'Meta',
       'red',
       'Non-solicit agreement in effect. Do not contact Meta employees.',
-      '2026-12-31',
+      '2027-01-01 00:00:00+00', -- through 31 Dec 2026
       true,
       NULL
     ),